@@ -0,0 +1,292 @@
+/**
+ * Génération des icônes de l'application à partir du logo SportSee
+ *
+ * Décode un PNG 8 bits (RGB ou RGBA, non entrelacé), le redimensionne
+ * (interpolation bilinéaire) et le centre sur un fond carré uni, puis
+ * encode le résultat en PNG RGBA. Sans dépendance : seul `zlib` est utilisé.
+ *
+ * @module pwa/pngIcon
+ * @requires node:zlib
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { readFileSync, writeFileSync } from 'node:fs';
+ * import { createSquareIcon } from './pngIcon.js';
+ *
+ * const logo = readFileSync('src/assets/logo/logo.png');
+ * writeFileSync('icon-192.png', createSquareIcon(logo, { size: 192, background: '#020203' }));
+ */
+import { deflateSync, inflateSync } from "node:zlib";
+
+/**
+ * Signature d'un fichier PNG
+ * @type {Buffer}
+ * @private
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Octets par pixel selon le type de couleur PNG (profondeur 8 bits)
+ * @type {Object<number, number>}
+ * @private
+ */
+const BYTES_PER_PIXEL = { 2: 3, 6: 4 };
+
+/**
+ * Table du CRC-32 des chunks PNG
+ * @type {Uint32Array}
+ * @private
+ */
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Calcule le CRC-32 d'un buffer
+ *
+ * @private
+ * @param {Buffer} buffer - Octets à contrôler
+ * @returns {number} Le CRC
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Prédicteur de Paeth (filtre PNG de type 4)
+ *
+ * @private
+ * @param {number} a - Octet de gauche
+ * @param {number} b - Octet du dessus
+ * @param {number} c - Octet en haut à gauche
+ * @returns {number} L'octet prédit
+ */
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+/**
+ * Image décodée
+ * @typedef {Object} RgbaImage
+ * @property {number} width - Largeur (px)
+ * @property {number} height - Hauteur (px)
+ * @property {Uint8Array} pixels - Pixels RGBA, ligne par ligne
+ */
+
+/**
+ * Décode un PNG 8 bits RGB ou RGBA non entrelacé
+ *
+ * @function decodePng
+ * @param {Buffer} buffer - Contenu du fichier PNG
+ * @returns {RgbaImage} L'image en RGBA
+ * @throws {Error} Si le fichier n'est pas un PNG pris en charge
+ */
+export const decodePng = (buffer) => {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("Fichier PNG invalide");
+  }
+
+  let offset = 8;
+  let header;
+  const idat = [];
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+
+    offset += length + 12;
+  }
+
+  const bpp = BYTES_PER_PIXEL[header?.colorType];
+  if (!header || header.bitDepth !== 8 || !bpp || header.interlace !== 0) {
+    throw new Error("PNG non pris en charge (8 bits RGB/RGBA non entrelacé attendu)");
+  }
+
+  const { width, height } = header;
+  const raw = inflateSync(Buffer.concat(idat));
+  const stride = width * bpp;
+  const rows = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? rows[row + x - bpp] : 0;
+      const up = y > 0 ? rows[row - stride + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? rows[row - stride + x - bpp] : 0;
+      const predictors = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)];
+      rows[row + x] = (line[x] + predictors[filter]) & 0xff;
+    }
+  }
+
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    pixels.set(rows.subarray(i * bpp, i * bpp + 3), i * 4);
+    pixels[i * 4 + 3] = bpp === 4 ? rows[i * bpp + 3] : 255;
+  }
+
+  return { width, height, pixels };
+};
+
+/**
+ * Construit un chunk PNG
+ *
+ * @private
+ * @param {string} type - Type du chunk (ex: "IHDR")
+ * @param {Buffer} data - Contenu du chunk
+ * @returns {Buffer} Le chunk avec longueur et CRC
+ */
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  const crc = Buffer.alloc(4);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+
+  length.writeUInt32BE(data.length);
+  crc.writeUInt32BE(crc32(body));
+
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Encode une image RGBA en PNG
+ *
+ * @function encodePng
+ * @param {RgbaImage} image - Image à encoder
+ * @returns {Buffer} Le fichier PNG
+ */
+export const encodePng = ({ width, height, pixels }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Profondeur
+  header[9] = 6; // RGBA
+
+  // Filtre 0 (aucun) en tête de chaque ligne
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk("IHDR", header),
+    chunk("IDAT", deflateSync(raw, { level: 9 })),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+};
+
+/**
+ * Convertit une couleur hexadécimale en composantes RGB
+ *
+ * @private
+ * @param {string} hex - Couleur (ex: "#020203")
+ * @returns {number[]} Composantes [r, g, b]
+ */
+const parseHexColor = (hex) => {
+  const value = Number.parseInt(hex.replace("#", ""), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+};
+
+/**
+ * Lit un pixel RGBA avec interpolation bilinéaire
+ *
+ * @private
+ * @param {RgbaImage} image - Image source
+ * @param {number} x - Abscisse (px, fractionnaire)
+ * @param {number} y - Ordonnée (px, fractionnaire)
+ * @returns {number[]} Composantes [r, g, b, a]
+ */
+const sampleBilinear = ({ width, height, pixels }, x, y) => {
+  const x0 = Math.max(0, Math.min(width - 1, Math.floor(x)));
+  const y0 = Math.max(0, Math.min(height - 1, Math.floor(y)));
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const fx = Math.max(0, Math.min(1, x - x0));
+  const fy = Math.max(0, Math.min(1, y - y0));
+
+  return [0, 1, 2, 3].map((channel) => {
+    const at = (px, py) => pixels[(py * width + px) * 4 + channel];
+    const top = at(x0, y0) * (1 - fx) + at(x1, y0) * fx;
+    const bottom = at(x0, y1) * (1 - fx) + at(x1, y1) * fx;
+    return top * (1 - fy) + bottom * fy;
+  });
+};
+
+/**
+ * Crée une icône carrée : le logo centré sur un fond uni
+ *
+ * @function createSquareIcon
+ * @param {Buffer} logo - Fichier PNG du logo
+ * @param {Object} options - Options de l'icône
+ * @param {number} options.size - Côté de l'icône (px)
+ * @param {string} [options.background="#020203"] - Couleur de fond
+ * @param {number} [options.padding=0.1] - Marge autour du logo (fraction du côté) ;
+ *   0.2 garde le logo dans la zone sûre d'une icône « maskable »
+ * @returns {Buffer} Le fichier PNG de l'icône
+ */
+export const createSquareIcon = (logo, { size, background = "#020203", padding = 0.1 }) => {
+  const source = decodePng(logo);
+  const [red, green, blue] = parseHexColor(background);
+  const scale = (size * (1 - 2 * padding)) / Math.max(source.width, source.height);
+  const logoWidth = source.width * scale;
+  const logoHeight = source.height * scale;
+  const left = (size - logoWidth) / 2;
+  const top = (size - logoHeight) / 2;
+  const pixels = new Uint8Array(size * size * 4);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = (y * size + x) * 4;
+      const inside =
+        x + 0.5 >= left && x + 0.5 < left + logoWidth && y + 0.5 >= top && y + 0.5 < top + logoHeight;
+      const [r, g, b, a] = inside
+        ? sampleBilinear(source, (x + 0.5 - left) / scale - 0.5, (y + 0.5 - top) / scale - 0.5)
+        : [0, 0, 0, 0];
+      const alpha = a / 255;
+
+      pixels[i] = Math.round(r * alpha + red * (1 - alpha));
+      pixels[i + 1] = Math.round(g * alpha + green * (1 - alpha));
+      pixels[i + 2] = Math.round(b * alpha + blue * (1 - alpha));
+      pixels[i + 3] = 255;
+    }
+  }
+
+  return encodePng({ width: size, height: size, pixels });
+};
+
+/**
+ * Export par défaut
+ */
+export default createSquareIcon;
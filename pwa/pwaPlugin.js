@@ -0,0 +1,218 @@
+/**
+ * Plugin Vite rendant SportSee installable (PWA)
+ *
+ * - génère les icônes à partir de `src/assets/logo/logo.png` et le manifeste
+ *   `manifest.webmanifest` (servis aussi par le serveur de développement) ;
+ * - ajoute au HTML le lien vers le manifeste et la couleur du thème ;
+ * - émet au build le service worker `sw.js` (modèle pwa/sw.js) avec la
+ *   liste des fichiers de la coquille à mettre en cache et une version
+ *   dérivée de cette liste : chaque déploiement installe une nouvelle version.
+ *
+ * @module pwa/pwaPlugin
+ * @requires ./pngIcon.js
+ * @requires ../src/services/pwa/serviceWorker.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * // vite.config.js
+ * plugins: [react(), pwaPlugin()]
+ */
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync, readdirSync } from "node:fs";
+import { resolve } from "node:path";
+import { createSquareIcon } from "./pngIcon.js";
+import { SW_API_CACHE, SW_CACHED_AT_HEADER } from "../src/services/pwa/serviceWorker.js";
+import { DEFAULT_DATA_CONFIG } from "../src/services/config/dataConfig.js";
+
+/**
+ * Options du plugin PWA
+ * @typedef {Object} PwaOptions
+ * @property {string} name - Nom complet de l'application
+ * @property {string} shortName - Nom affiché sous l'icône
+ * @property {string} description - Description du manifeste
+ * @property {string} themeColor - Couleur de la barre d'application (en-tête SportSee)
+ * @property {string} backgroundColor - Couleur de l'écran de démarrage
+ * @property {string} logo - Logo source des icônes (relatif à la racine du projet)
+ */
+
+/**
+ * Options par défaut
+ * @type {PwaOptions}
+ * @readonly
+ */
+export const DEFAULT_PWA_OPTIONS = Object.freeze({
+  name: "SportSee",
+  shortName: "SportSee",
+  description: "Tableau de bord de suivi sportif SportSee",
+  themeColor: "#020203",
+  backgroundColor: "#ffffff",
+  logo: "src/assets/logo/logo.png",
+});
+
+/**
+ * Icônes générées : fichier, côté (px), marge autour du logo et usage
+ * @type {Array<{ file: string, size: number, padding: number, purpose: string }>}
+ * @readonly
+ */
+export const PWA_ICONS = Object.freeze([
+  { file: "icons/icon-192.png", size: 192, padding: 0.1, purpose: "any" },
+  { file: "icons/icon-512.png", size: 512, padding: 0.1, purpose: "any" },
+  // Zone sûre des icônes « maskable » : cercle de 80 % du côté
+  { file: "icons/icon-maskable-512.png", size: 512, padding: 0.2, purpose: "maskable" },
+]);
+
+/**
+ * Nom du manifeste
+ * @type {string}
+ * @readonly
+ */
+const MANIFEST_FILE = "manifest.webmanifest";
+
+/**
+ * Construit le manifeste de l'application
+ *
+ * @function createManifest
+ * @param {PwaOptions} options - Options du plugin
+ * @param {string} [base="/"] - Chemin public de l'application
+ * @returns {Object} Le manifeste Web App
+ */
+export const createManifest = (options, base = "/") => ({
+  name: options.name,
+  short_name: options.shortName,
+  description: options.description,
+  lang: "fr",
+  start_url: base,
+  scope: base,
+  display: "standalone",
+  orientation: "any",
+  theme_color: options.themeColor,
+  background_color: options.backgroundColor,
+  icons: PWA_ICONS.map(({ file, size, purpose }) => ({
+    src: `${base}${file}`,
+    sizes: `${size}x${size}`,
+    type: "image/png",
+    purpose,
+  })),
+});
+
+/**
+ * Crée le plugin Vite PWA
+ *
+ * @function pwaPlugin
+ * @param {Partial<PwaOptions>} [overrides] - Options à remplacer
+ * @returns {import('vite').Plugin} Le plugin
+ */
+export const pwaPlugin = (overrides = {}) => {
+  const options = { ...DEFAULT_PWA_OPTIONS, ...overrides };
+  const icons = new Map();
+  let config;
+
+  /**
+   * Génère (une seule fois) le PNG d'une icône
+   * @param {{ file: string, size: number, padding: number }} icon - Icône à générer
+   * @returns {Buffer} Le fichier PNG
+   */
+  const renderIcon = ({ file, size, padding }) => {
+    if (!icons.has(file)) {
+      const logo = readFileSync(resolve(config.root, options.logo));
+      icons.set(file, createSquareIcon(logo, { size, padding, background: options.themeColor }));
+    }
+    return icons.get(file);
+  };
+
+  /**
+   * Polices du dossier public/fonts, mises en cache avec la coquille
+   * @returns {string[]} URLs des polices
+   */
+  const listPublicFonts = () => {
+    const dir = resolve(config.publicDir, "fonts");
+    return existsSync(dir)
+      ? readdirSync(dir)
+          .filter((file) => file.endsWith(".woff2"))
+          .map((file) => `${config.base}fonts/${file}`)
+      : [];
+  };
+
+  return {
+    name: "sportsee-pwa",
+
+    configResolved(resolved) {
+      config = resolved;
+    },
+
+    transformIndexHtml() {
+      return [
+        { tag: "meta", attrs: { name: "description", content: options.description } },
+        { tag: "meta", attrs: { name: "theme-color", content: options.themeColor } },
+        { tag: "link", attrs: { rel: "manifest", href: `${config.base}${MANIFEST_FILE}` } },
+        { tag: "link", attrs: { rel: "apple-touch-icon", href: `${config.base}${PWA_ICONS[0].file}` } },
+      ];
+    },
+
+    // Manifeste et icônes en développement (le service worker n'est actif qu'en production)
+    configureServer(server) {
+      server.middlewares.use((req, res, next) => {
+        const path = req.url?.split("?")[0].slice(config.base.length);
+        const icon = PWA_ICONS.find(({ file }) => file === path);
+
+        if (path === MANIFEST_FILE) {
+          res.setHeader("Content-Type", "application/manifest+json");
+          res.end(JSON.stringify(createManifest(options, config.base)));
+        } else if (icon) {
+          res.setHeader("Content-Type", "image/png");
+          res.end(renderIcon(icon));
+        } else {
+          next();
+        }
+      });
+    },
+
+    generateBundle(_, bundle) {
+      PWA_ICONS.forEach((icon) =>
+        this.emitFile({ type: "asset", fileName: icon.file, source: renderIcon(icon) })
+      );
+      this.emitFile({
+        type: "asset",
+        fileName: MANIFEST_FILE,
+        source: JSON.stringify(createManifest(options, config.base), null, 2),
+      });
+
+      // Le bundle contient déjà les fichiers émis ci-dessus ; index.html est ajouté par Vite ensuite
+      const precache = [
+        ...new Set([
+          `${config.base}index.html`,
+          ...Object.keys(bundle)
+            .filter((file) => !file.endsWith(".map"))
+            .map((file) => `${config.base}${file}`),
+          ...listPublicFonts(),
+        ]),
+      ].sort();
+
+      const apiBaseUrl = config.env.VITE_API_BASE_URL || DEFAULT_DATA_CONFIG.apiBaseUrl;
+      const swConfig = {
+        version: createHash("sha256").update(precache.join("\n")).digest("hex").slice(0, 12),
+        precache,
+        navigationFallback: `${config.base}index.html`,
+        // Préfixes relatifs (ex: "/mock-api") résolus par le service worker sur son origine
+        apiPrefixes: [apiBaseUrl.replace(/\/+$/, ""), `${config.base}fixtures/`],
+        apiCache: SW_API_CACHE,
+        cachedAtHeader: SW_CACHED_AT_HEADER,
+      };
+
+      const template = readFileSync(new URL("./sw.js", import.meta.url), "utf8");
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: template
+          .replace("/* global __SW_CONFIG__ */\n", "")
+          .replace("const CONFIG = __SW_CONFIG__;", `const CONFIG = ${JSON.stringify(swConfig)};`),
+      });
+    },
+  };
+};
+
+/**
+ * Export par défaut
+ */
+export default pwaPlugin;
@@ -0,0 +1,162 @@
+/**
+ * Service worker SportSee
+ *
+ * Modèle complété au build par le plugin PWA (`__SW_CONFIG__`) :
+ * - coquille de l'application (HTML, JS, CSS, images, polices) mise en
+ *   cache à l'installation, servie depuis le cache ;
+ * - navigations : réseau d'abord, repli sur `index.html` hors connexion ;
+ * - polices : cache d'abord ;
+ * - réponses de l'API : réseau d'abord, repli sur la dernière réponse
+ *   marquée de l'en-tête `X-SportSee-Cached-At` (date de la copie).
+ *
+ * Une nouvelle version reste en attente jusqu'à ce que la page lui envoie
+ * `{ type: "SKIP_WAITING" }` (invite « Mettre à jour »).
+ *
+ * @module pwa/sw
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+/* global __SW_CONFIG__ */
+
+/**
+ * Configuration injectée au build
+ * @type {{ version: string, precache: string[], navigationFallback: string, apiPrefixes: string[], apiCache: string, cachedAtHeader: string }}
+ */
+const CONFIG = __SW_CONFIG__;
+
+/**
+ * Caches du service worker
+ * @type {{ shell: string, fonts: string, api: string }}
+ */
+const CACHES = {
+  shell: `sportsee-shell-${CONFIG.version}`,
+  fonts: "sportsee-fonts",
+  api: CONFIG.apiCache,
+};
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHES.shell).then((cache) => cache.addAll(CONFIG.precache)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith("sportsee-shell-") && key !== CACHES.shell)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Préfixes absolus des URLs de données (API et fixtures)
+ * @type {string[]}
+ */
+const API_PREFIXES = CONFIG.apiPrefixes.map((prefix) => new URL(prefix, self.location.origin).href);
+
+/**
+ * Indique si une requête vise l'API SportSee (hors authentification)
+ *
+ * @param {URL} url - URL demandée
+ * @returns {boolean} true pour un endpoint de données
+ */
+const isApiRequest = (url) =>
+  API_PREFIXES.some((prefix) => url.href.startsWith(prefix)) &&
+  !url.pathname.includes("/auth/");
+
+/**
+ * Réseau d'abord pour l'API ; la copie conservée porte sa date
+ *
+ * @param {Request} request - Requête de données
+ * @returns {Promise<Response>} Réponse réseau, ou copie hors ligne
+ */
+const networkFirstApi = async (request) => {
+  const cache = await caches.open(CACHES.api);
+
+  try {
+    const response = await fetch(request);
+
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      headers.set(CONFIG.cachedAtHeader, String(Date.now()));
+      const copy = new Response(await response.clone().blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+      });
+      await cache.put(request, copy);
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+/**
+ * Cache d'abord, avec mise en cache de la réponse réseau
+ *
+ * @param {Request} request - Requête d'une ressource statique
+ * @param {string} cacheName - Cache à utiliser
+ * @returns {Promise<Response>} Réponse en cache ou réseau
+ */
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+
+  return response;
+};
+
+/**
+ * Réseau d'abord pour les navigations, repli sur la coquille hors connexion
+ *
+ * @param {Request} request - Requête de navigation
+ * @returns {Promise<Response>} La page
+ */
+const networkFirstNavigation = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const shell = await caches.match(CONFIG.navigationFallback);
+    if (shell) return shell;
+    throw error;
+  }
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (isApiRequest(url)) {
+    event.respondWith(networkFirstApi(request));
+  } else if (url.origin !== self.location.origin) {
+    return;
+  } else if (request.mode === "navigate") {
+    event.respondWith(networkFirstNavigation(request));
+  } else if (request.destination === "font" || url.pathname.endsWith(".woff2")) {
+    event.respondWith(cacheFirst(request, CACHES.fonts));
+  } else {
+    event.respondWith(cacheFirst(request, CACHES.shell));
+  }
+});
@@ -0,0 +1,370 @@
+/**
+ * Gestionnaire HTTP de l'API SportSee de substitution
+ *
+ * Reproduit les endpoints du backend SportSee (`/user/:id`, `/activity`,
+ * `/average-sessions`, `/performance`, `/score-history`, `/goals`) à partir des données de mockData.js,
+ * avec la même enveloppe `{ data: ... }`. Les objectifs (`/user/:id/goals`)
+ * sont enregistrés en mémoire par `PUT` et relus ensuite par `GET` ; avant
+ * le premier enregistrement, l'endpoint répond 404 (objectifs par défaut du
+ * front). Des interrupteurs permettent de
+ * simuler latence, erreurs serveur et réponses malformées afin d'exercer le
+ * chemin HTTP complet du front (timeouts, retries, erreurs typées).
+ *
+ * Avec l'option `auth`, les routes `/auth/*` et le contrôle des jetons
+ * bearer sont actifs (voir mockAuth.js).
+ *
+ * Compatible avec `http.createServer` et les middlewares Connect (Vite).
+ *
+ * @module server/mockApiHandler
+ * @requires ../src/services/data/mockData.js
+ * @requires ../src/services/data/faultInjection.js
+ * @requires ./mockAuth.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import http from 'node:http';
+ * import { createMockApiHandler } from './mockApiHandler.js';
+ *
+ * http.createServer(createMockApiHandler({ latency: 300, errorRate: 0.1 })).listen(3000);
+ *
+ * @example
+ * // Modification des interrupteurs à chaud
+ * // curl -X POST localhost:3000/__config -d '{"errorRate": 1, "errorStatus": 503}'
+ */
+import { mockData } from "../src/services/data/mockData.js";
+import { corruptPayload } from "../src/services/data/faultInjection.js";
+import { createMockAuth } from "./mockAuth.js";
+
+/**
+ * Interrupteurs de simulation du serveur
+ * @typedef {Object} MockApiOptions
+ * @property {number} latency - Latence ajoutée à chaque réponse (ms)
+ * @property {number} jitter - Variation aléatoire maximale de la latence (ms)
+ * @property {number} errorRate - Probabilité (0-1) de répondre par une erreur serveur
+ * @property {number} errorStatus - Statut HTTP des erreurs simulées
+ * @property {number} malformedRate - Probabilité (0-1) de renvoyer une réponse malformée
+ * @property {string[]} malformedKinds - Types de malformation tirés au sort
+ * @property {boolean} auth - Exige un jeton bearer valide sur les endpoints de données
+ * @property {number} tokenTtl - Durée de vie des jetons d'accès (s)
+ * @property {Object<string, Function>} dataMap - Endpoint → fonction retournant les données
+ */
+
+/**
+ * Types de réponses malformées simulables
+ * - truncated : JSON tronqué (illisible)
+ * - no-envelope : données sans l'enveloppe `data`
+ * - partial, missing-fields, wrong-types : données altérées (voir faultInjection.js)
+ * @type {string[]}
+ * @readonly
+ */
+export const MALFORMED_KINDS = ["truncated", "no-envelope", "partial", "missing-fields", "wrong-types"];
+
+/**
+ * Interrupteurs par défaut : serveur fidèle, sans latence ni erreur
+ * @type {MockApiOptions}
+ * @readonly
+ */
+export const DEFAULT_MOCK_API_OPTIONS = Object.freeze({
+  latency: 0,
+  jitter: 0,
+  errorRate: 0,
+  errorStatus: 500,
+  malformedRate: 0,
+  malformedKinds: MALFORMED_KINDS,
+  auth: false,
+  tokenTtl: 900,
+  dataMap: mockData,
+});
+
+/**
+ * Chemin de lecture/modification des interrupteurs à chaud
+ * @type {string}
+ * @readonly
+ */
+export const CONTROL_PATH = "/__config";
+
+/**
+ * Chemin des objectifs d'un utilisateur (ID capturé)
+ * @type {RegExp}
+ * @readonly
+ */
+export const GOALS_PATH = /^\/user\/(\d+)\/goals\/?$/;
+
+/**
+ * Champs réglables via l'endpoint de contrôle
+ * @type {string[]}
+ * @private
+ */
+const TUNABLE_KEYS = [
+  "latency",
+  "jitter",
+  "errorRate",
+  "errorStatus",
+  "malformedRate",
+  "malformedKinds",
+  "auth",
+  "tokenTtl",
+];
+
+/**
+ * Altère les données selon le type de malformation
+ *
+ * @function malformPayload
+ * @param {Object} data - Données correctes de l'endpoint
+ * @param {string} kind - Type de malformation (voir MALFORMED_KINDS) ; les types
+ *   inconnus du serveur sont délégués à corruptPayload
+ * @returns {string} Corps de réponse malformé
+ *
+ * @example
+ * malformPayload({ id: 12 }, 'no-envelope'); // '{"id":12}'
+ */
+export const malformPayload = (data, kind) => {
+  switch (kind) {
+    case "truncated": {
+      const body = JSON.stringify({ data });
+      return body.slice(0, Math.max(1, Math.floor(body.length / 2)));
+    }
+
+    case "no-envelope":
+      return JSON.stringify(data);
+
+    default:
+      return JSON.stringify({ data: corruptPayload(data, kind) });
+  }
+};
+
+/**
+ * Envoie une réponse JSON (ou texte) avec les en-têtes CORS
+ *
+ * @private
+ * @param {http.ServerResponse} res - Réponse HTTP
+ * @param {number} status - Statut HTTP
+ * @param {string} body - Corps de la réponse
+ * @param {string} [contentType="application/json"] - Type de contenu
+ */
+const send = (res, status, body, contentType = "application/json; charset=utf-8") => {
+  res.writeHead(status, {
+    "Content-Type": contentType,
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  });
+  res.end(body);
+};
+
+/**
+ * Lit le corps JSON d'une requête
+ *
+ * @private
+ * @param {http.IncomingMessage} req - Requête HTTP
+ * @returns {Promise<Object>} Le corps décodé ({} si vide)
+ */
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+
+/**
+ * Attend le délai indiqué
+ *
+ * @private
+ * @param {number} ms - Durée en millisecondes
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Crée le gestionnaire HTTP de l'API de substitution
+ *
+ * @function createMockApiHandler
+ * @param {Partial<MockApiOptions>} [overrides] - Interrupteurs initiaux
+ * @param {Object} [deps] - Dépendances injectables
+ * @param {Function} [deps.random=Math.random] - Générateur aléatoire (0 ≤ x < 1)
+ * @returns {Function} Gestionnaire `(req, res) => void`, qui répond à toute requête (404 du backend
+ *   pour un chemin inconnu) ; `handler.options` expose les interrupteurs courants
+ */
+export const createMockApiHandler = (overrides = {}, { random = Math.random } = {}) => {
+  const options = { ...DEFAULT_MOCK_API_OPTIONS, ...overrides };
+  const auth = createMockAuth({ getTokenTtl: () => options.tokenTtl });
+  // Objectifs enregistrés par PUT, par ID utilisateur
+  const savedGoals = new Map();
+
+  const handler = async (req, res) => {
+    const { pathname, search } = new URL(req.url, "http://localhost");
+
+    if (req.method === "OPTIONS") {
+      send(res, 204, "");
+      return;
+    }
+
+    // Lecture / modification des interrupteurs à chaud
+    if (pathname === CONTROL_PATH) {
+      if (req.method === "POST") {
+        try {
+          const changes = await readJsonBody(req);
+          TUNABLE_KEYS.forEach((key) => {
+            if (changes[key] !== undefined) options[key] = changes[key];
+          });
+        } catch {
+          send(res, 400, JSON.stringify({ error: "Corps JSON invalide" }));
+          return;
+        }
+      }
+      const current = Object.fromEntries(TUNABLE_KEYS.map((key) => [key, options[key]]));
+      send(res, 200, JSON.stringify(current));
+      return;
+    }
+
+    if (options.auth && pathname.startsWith("/auth/") && req.method === "POST") {
+      let body;
+      try {
+        body = await readJsonBody(req);
+      } catch {
+        send(res, 400, JSON.stringify({ error: "Corps JSON invalide" }));
+        return;
+      }
+
+      const result = auth.handle(pathname, body, req);
+      if (result) {
+        send(res, result.status, JSON.stringify(result.body));
+        return;
+      }
+    }
+
+    // Objectifs : enregistrement, puis relecture de la version enregistrée
+    const goalsUserId = pathname.match(GOALS_PATH)?.[1];
+    const knownUser = goalsUserId && options.dataMap[`/user/${goalsUserId}`];
+
+    if (knownUser && (req.method === "PUT" || savedGoals.has(goalsUserId))) {
+      if (options.auth) {
+        const denied = auth.authorize(req, pathname);
+        if (denied) {
+          send(res, denied.status, JSON.stringify(denied.body));
+          return;
+        }
+      }
+
+      if (req.method === "PUT") {
+        try {
+          savedGoals.set(goalsUserId, { ...(await readJsonBody(req)), userId: Number(goalsUserId) });
+        } catch {
+          send(res, 400, JSON.stringify({ error: "Corps JSON invalide" }));
+          return;
+        }
+      }
+
+      send(res, 200, JSON.stringify({ data: savedGoals.get(goalsUserId) }));
+      return;
+    }
+
+    // La requête fait partie de la clé (ex: "/user/12/average-sessions?weeksAgo=1")
+    const mockFunction = options.dataMap[`${pathname.replace(/\/+$/, "")}${search}`];
+
+    if (!mockFunction) {
+      // Même réponse que le backend SportSee pour un utilisateur inconnu
+      send(res, 404, "can not get user", "text/plain; charset=utf-8");
+      return;
+    }
+
+    if (options.auth) {
+      const denied = auth.authorize(req, pathname);
+      if (denied) {
+        send(res, denied.status, JSON.stringify(denied.body));
+        return;
+      }
+    }
+
+    const delay = options.latency + Math.round(options.jitter * random());
+    if (delay > 0) {
+      await wait(delay);
+    }
+
+    if (random() < options.errorRate) {
+      send(res, options.errorStatus, JSON.stringify({ error: "Erreur simulée" }));
+      return;
+    }
+
+    const data = mockFunction();
+
+    if (random() < options.malformedRate && options.malformedKinds.length > 0) {
+      const kind = options.malformedKinds[Math.floor(random() * options.malformedKinds.length)];
+      send(res, 200, malformPayload(data, kind));
+      return;
+    }
+
+    send(res, 200, JSON.stringify({ data }));
+  };
+
+  handler.options = options;
+  return handler;
+};
+
+/**
+ * Lit les interrupteurs depuis les arguments de ligne de commande et l'environnement
+ *
+ * Arguments : `--port=3000 --latency=300 --jitter=200 --error-rate=0.1
+ * --error-status=503 --malformed-rate=0.05 --malformed=truncated,wrong-types --auth --token-ttl=60`.
+ * Variables équivalentes : MOCK_API_PORT, MOCK_API_LATENCY, MOCK_API_JITTER,
+ * MOCK_API_ERROR_RATE, MOCK_API_ERROR_STATUS, MOCK_API_MALFORMED_RATE, MOCK_API_MALFORMED,
+ * MOCK_API_AUTH, MOCK_API_TOKEN_TTL.
+ *
+ * @function parseMockApiArgs
+ * @param {string[]} argv - Arguments (sans `node` ni le script)
+ * @param {Object} [env={}] - Variables d'environnement
+ * @returns {{ port: number, options: Partial<MockApiOptions> }} Port et interrupteurs
+ *
+ * @example
+ * parseMockApiArgs(['--latency=500', '--error-rate=0.2']);
+ * // { port: 3000, options: { latency: 500, errorRate: 0.2, ... } }
+ */
+export const parseMockApiArgs = (argv, env = {}) => {
+  const args = Object.fromEntries(
+    argv
+      .filter((arg) => arg.startsWith("--"))
+      .map((arg) => {
+        const [key, ...rest] = arg.slice(2).split("=");
+        return [key, rest.length ? rest.join("=") : "true"];
+      })
+  );
+
+  const read = (name, envName, fallback) => {
+    const value = Number(args[name] ?? env[envName]);
+    return Number.isFinite(value) ? value : fallback;
+  };
+
+  const malformed = args.malformed ?? env.MOCK_API_MALFORMED;
+  const authFlag = args.auth ?? env.MOCK_API_AUTH;
+
+  return {
+    port: read("port", "MOCK_API_PORT", 3000),
+    options: {
+      latency: read("latency", "MOCK_API_LATENCY", DEFAULT_MOCK_API_OPTIONS.latency),
+      jitter: read("jitter", "MOCK_API_JITTER", DEFAULT_MOCK_API_OPTIONS.jitter),
+      errorRate: read("error-rate", "MOCK_API_ERROR_RATE", DEFAULT_MOCK_API_OPTIONS.errorRate),
+      errorStatus: read("error-status", "MOCK_API_ERROR_STATUS", DEFAULT_MOCK_API_OPTIONS.errorStatus),
+      malformedRate: read("malformed-rate", "MOCK_API_MALFORMED_RATE", DEFAULT_MOCK_API_OPTIONS.malformedRate),
+      malformedKinds: malformed
+        ? malformed.split(",").filter((kind) => MALFORMED_KINDS.includes(kind))
+        : DEFAULT_MOCK_API_OPTIONS.malformedKinds,
+      auth: authFlag === undefined ? DEFAULT_MOCK_API_OPTIONS.auth : authFlag === "true",
+      tokenTtl: read("token-ttl", "MOCK_API_TOKEN_TTL", DEFAULT_MOCK_API_OPTIONS.tokenTtl),
+    },
+  };
+};
+
+/**
+ * Export par défaut
+ */
+export default createMockApiHandler;
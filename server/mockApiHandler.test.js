@@ -0,0 +1,66 @@
+import { describe, expect, it, vi } from "vitest";
+import { createMockApiHandler } from "./mockApiHandler.js";
+import { MOCK_API_PREFIX, mockApiPlugin } from "./mockApiPlugin.js";
+
+/**
+ * Réponse HTTP minimale qui mémorise le statut et le corps envoyés
+ * @returns {{ status: number|null, body: string|null, writeHead: Function, end: Function }} La réponse
+ */
+const createResponse = () => {
+  const res = { status: null, body: null };
+  res.writeHead = (status) => {
+    res.status = status;
+  };
+  res.end = (body) => {
+    res.body = body;
+  };
+  return res;
+};
+
+/**
+ * Envoie une requête GET au gestionnaire
+ * @param {Function} handler - Gestionnaire (ou middleware) à appeler
+ * @param {string} url - Chemin demandé
+ * @param {Function} [next] - Middleware suivant
+ * @returns {Promise<ReturnType<typeof createResponse>>} La réponse
+ */
+const get = async (handler, url, next) => {
+  const res = createResponse();
+  await handler({ method: "GET", url, headers: {} }, res, next);
+  return res;
+};
+
+describe("createMockApiHandler", () => {
+  it("renvoie les données mockées dans l'enveloppe data", async () => {
+    const res = await get(createMockApiHandler(), "/user/12");
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.body).data.id).toBe(12);
+  });
+
+  it("répond 404 comme le backend à un chemin inconnu, sans passer la main", async () => {
+    const next = vi.fn();
+
+    const unknownUser = await get(createMockApiHandler(), "/user/99", next);
+    const unknownPath = await get(createMockApiHandler(), "/inconnu", next);
+
+    expect(unknownUser).toMatchObject({ status: 404, body: "can not get user" });
+    expect(unknownPath).toMatchObject({ status: 404, body: "can not get user" });
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe("mockApiPlugin", () => {
+  it("répond 404 sous le préfixe au lieu de laisser Vite servir l'application", async () => {
+    const use = vi.fn();
+    mockApiPlugin().configureServer({ middlewares: { use } });
+    const [prefix, middleware] = use.mock.calls[0];
+    const next = vi.fn();
+
+    const res = await get(middleware, "/inconnu", next);
+
+    expect(prefix).toBe(MOCK_API_PREFIX);
+    expect(res.status).toBe(404);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Plugin Vite montant l'API SportSee de substitution
+ *
+ * Expose les endpoints mockés sous `/mock-api` sur le serveur de
+ * développement, sans processus séparé ni CORS. Il suffit alors de pointer
+ * le front dessus : `VITE_DATA_SOURCE=api` et `VITE_API_BASE_URL=/mock-api`.
+ * Un chemin inconnu sous ce préfixe reçoit le 404 du backend, jamais
+ * l'index.html servi par Vite pour les routes de l'application.
+ *
+ * @module server/mockApiPlugin
+ * @requires ./mockApiHandler.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * // vite.config.js
+ * plugins: [react(), mockApiPlugin({ latency: 400 })]
+ */
+import { createMockApiHandler } from "./mockApiHandler.js";
+
+/**
+ * Préfixe de montage par défaut
+ * @type {string}
+ * @readonly
+ */
+export const MOCK_API_PREFIX = "/mock-api";
+
+/**
+ * Crée le plugin Vite de l'API de substitution
+ *
+ * @function mockApiPlugin
+ * @param {Partial<MockApiOptions>} [options] - Interrupteurs initiaux du serveur
+ * @param {string} [prefix=MOCK_API_PREFIX] - Préfixe de montage des endpoints
+ * @returns {import('vite').Plugin} Plugin actif uniquement en développement
+ */
+export const mockApiPlugin = (options = {}, prefix = MOCK_API_PREFIX) => ({
+  name: "sportsee-mock-api",
+  apply: "serve",
+  configureServer(server) {
+    const handler = createMockApiHandler(options);
+    // Sans `next` : la requête ne retombe pas dans les middlewares suivants de Vite
+    server.middlewares.use(prefix, (req, res) => handler(req, res));
+  },
+});
+
+/**
+ * Export par défaut
+ */
+export default mockApiPlugin;
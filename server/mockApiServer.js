@@ -0,0 +1,31 @@
+/**
+ * Serveur autonome de l'API SportSee de substitution
+ *
+ * Lance sur le port 3000 (par défaut) un serveur Node reproduisant le
+ * backend SportSee à partir des données mockées, pour utiliser le mode
+ * `api` du front sans le vrai backend.
+ *
+ * @module server/mockApiServer
+ * @requires node:http
+ * @requires ./mockApiHandler.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * // Serveur fidèle
+ * // npm run mock-api
+ *
+ * @example
+ * // Backend lent et instable avec réponses parfois malformées
+ * // npm run mock-api -- --latency=800 --jitter=400 --error-rate=0.3 --error-status=502 --malformed-rate=0.1
+ */
+import http from "node:http";
+import { createMockApiHandler, parseMockApiArgs, CONTROL_PATH } from "./mockApiHandler.js";
+
+const { port, options } = parseMockApiArgs(process.argv.slice(2), process.env);
+const handler = createMockApiHandler(options);
+
+http.createServer(handler).listen(port, () => {
+  console.log(`API SportSee de substitution sur http://localhost:${port}`);
+  console.log(`Interrupteurs (GET/POST ${CONTROL_PATH}) :`, JSON.stringify(options));
+});
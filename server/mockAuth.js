@@ -0,0 +1,138 @@
+/**
+ * Authentification de l'API SportSee de substitution
+ *
+ * Implémente le contrat attendu par AuthService (`/auth/login`,
+ * `/auth/refresh`, `/auth/logout`) avec des comptes de démonstration et des
+ * jetons en mémoire, et vérifie le jeton bearer des endpoints de données.
+ *
+ * @module server/mockAuth
+ * @requires node:crypto
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * // npm run mock-api -- --auth --token-ttl=30
+ * // curl -X POST localhost:3000/auth/login -d '{"email":"cecilia@sportsee.fr","password":"sportsee"}'
+ */
+import { randomUUID } from "node:crypto";
+
+/**
+ * Compte de démonstration
+ * @typedef {Object} DemoAccount
+ * @property {string} email - Adresse e-mail
+ * @property {string} password - Mot de passe
+ * @property {number|null} id - ID de l'utilisateur SportSee (null pour un coach)
+ * @property {string} role - Rôle ("user" ou "coach")
+ */
+
+/**
+ * Comptes de démonstration (mot de passe commun : "sportsee")
+ * @type {DemoAccount[]}
+ * @readonly
+ */
+export const DEMO_ACCOUNTS = Object.freeze([
+  { email: "karl@sportsee.fr", password: "sportsee", id: 12, role: "user" },
+  { email: "cecilia@sportsee.fr", password: "sportsee", id: 18, role: "user" },
+  { email: "coach@sportsee.fr", password: "sportsee", id: null, role: "coach" },
+]);
+
+/**
+ * Crée le gestionnaire d'authentification
+ *
+ * @function createMockAuth
+ * @param {Object} [options] - Options
+ * @param {DemoAccount[]} [options.accounts=DEMO_ACCOUNTS] - Comptes acceptés
+ * @param {Function} [options.getTokenTtl] - Retourne la durée de vie des jetons d'accès (s)
+ * @returns {{ handle: Function, authorize: Function }} Routes d'authentification et contrôle d'accès
+ */
+export const createMockAuth = ({ accounts = DEMO_ACCOUNTS, getTokenTtl = () => 900 } = {}) => {
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+
+  const issue = (account) => {
+    const accessToken = randomUUID();
+    const refreshToken = randomUUID();
+    const expiresIn = getTokenTtl();
+
+    accessTokens.set(accessToken, { account, expiresAt: Date.now() + expiresIn * 1000 });
+    refreshTokens.set(refreshToken, account);
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresIn,
+      user: { id: account.id, role: account.role },
+    };
+  };
+
+  const readBearer = (req) => req.headers.authorization?.match(/^Bearer (.+)$/)?.[1] ?? null;
+
+  return {
+    /**
+     * Traite une route d'authentification
+     *
+     * @param {string} pathname - Chemin demandé
+     * @param {Object} body - Corps JSON de la requête
+     * @param {http.IncomingMessage} req - Requête HTTP
+     * @returns {{ status: number, body: Object }|null} Réponse, null si la route n'est pas une route d'authentification
+     */
+    handle(pathname, body, req) {
+      switch (pathname) {
+        case "/auth/login": {
+          const account = accounts.find(
+            (candidate) => candidate.email === body.email && candidate.password === body.password
+          );
+          return account
+            ? { status: 200, body: { data: issue(account) } }
+            : { status: 401, body: { error: "Identifiants invalides" } };
+        }
+
+        case "/auth/refresh": {
+          const account = refreshTokens.get(body.refreshToken);
+          if (!account) {
+            return { status: 401, body: { error: "Jeton de renouvellement invalide" } };
+          }
+          // Rotation : l'ancien jeton de renouvellement n'est plus valable
+          refreshTokens.delete(body.refreshToken);
+          return { status: 200, body: { data: issue(account) } };
+        }
+
+        case "/auth/logout":
+          accessTokens.delete(readBearer(req));
+          return { status: 200, body: { data: null } };
+
+        default:
+          return null;
+      }
+    },
+
+    /**
+     * Vérifie l'accès à un endpoint de données
+     *
+     * @param {http.IncomingMessage} req - Requête HTTP
+     * @param {string} pathname - Endpoint demandé
+     * @returns {{ status: number, body: Object }|null} Réponse d'erreur, null si l'accès est autorisé
+     */
+    authorize(req, pathname) {
+      const token = readBearer(req);
+      const entry = token ? accessTokens.get(token) : null;
+
+      if (!entry || entry.expiresAt <= Date.now()) {
+        accessTokens.delete(token);
+        return { status: 401, body: { error: "Jeton absent ou expiré" } };
+      }
+
+      const userId = pathname.match(/^\/user\/([^/]+)/)?.[1];
+      if (entry.account.role !== "coach" && String(entry.account.id) !== userId) {
+        return { status: 403, body: { error: "Accès refusé" } };
+      }
+
+      return null;
+    },
+  };
+};
+
+/**
+ * Export par défaut
+ */
+export default createMockAuth;
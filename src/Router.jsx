@@ -19,18 +19,43 @@
  * 
  * @description
  * Routes configurées :
- * - `/user/:userId` - Affiche le dashboard pour un utilisateur spécifique
- * - `*` - Redirige vers l'utilisateur par défaut (ID: 18)
+ * - `/login` - Page de connexion (si l'authentification est activée)
+ * - `/user/:userId` - Affiche le dashboard pour un utilisateur spécifique (protégé par RequireAuth)
+ * - `*` - Redirige vers le tableau de bord de l'utilisateur connecté, sinon vers l'utilisateur
+ *   par défaut (ID: 18, configurable via VITE_DEFAULT_USER_ID)
  * 
  * @requires react
  * @requires react-router-dom
  * @requires ./page/Dashboard.jsx
+ * @requires ./page/Login.jsx
+ * @requires ./components/RequireAuth.jsx
+ * @requires ./components/UpdatePrompt.jsx
  * @author SportSee Team
  * @since 1.0.0
  */
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import Dashboard from './page/Dashboard.jsx';
+import Login from './page/Login.jsx';
+import RequireAuth from './components/RequireAuth.jsx';
+import UpdatePrompt from './components/UpdatePrompt.jsx';
+import { DataService } from './services/api/DataService.js';
+import { AuthService } from './services/auth/AuthService.js';
+import { useAuth } from './services/hooks/useAuth.js';
+
+/**
+ * Redirection par défaut : tableau de bord de l'utilisateur connecté (la
+ * connexion si sa session n'en ouvre aucun), sinon celui de l'utilisateur par défaut
+ *
+ * @function DefaultRedirect
+ * @returns {JSX.Element} Redirection
+ */
+function DefaultRedirect() {
+  const { session, enabled } = useAuth();
+  const userId = enabled && session ? AuthService.getHomeUserId(session) : DataService.DEFAULT_USER_ID;
+
+  return <Navigate to={userId === null ? '/login' : `/user/${userId}`} replace />;
+}
 
 /**
  * Composant RouterComponent
@@ -42,9 +67,11 @@ import Dashboard from './page/Dashboard.jsx';
 function RouterComponent() {
   return (
     <Router>
+      <UpdatePrompt />
       <Routes>
-        <Route path="/user/:userId" element={<Dashboard />} />
-        <Route path="*" element={<Navigate to="/user/18" replace />} />
+        <Route path="/login" element={<Login />} />
+        <Route path="/user/:userId" element={<RequireAuth><Dashboard /></RequireAuth>} />
+        <Route path="*" element={<DefaultRedirect />} />
       </Routes>
     </Router>
   );
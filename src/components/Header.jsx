@@ -1,9 +1,21 @@
+import { useNavigate } from 'react-router-dom';
 import Logo from '../assets/logo/logo.png';
 import './header.css'
+import { useAuth } from '../services/hooks/useAuth.js';
+import { useI18n } from '../services/hooks/usePreferences.js';
+import LanguageSwitcher from './LanguageSwitcher.jsx';
+import UnitSwitcher from './UnitSwitcher.jsx';
+
+/**
+ * Entrées de la navigation principale (clés `header.nav` des catalogues)
+ * @type {string[]}
+ */
+const NAV_ITEMS = ['home', 'profile', 'settings', 'community'];
 
 /**
  * Composant d'en-tête de l'application SportSee
- * Affiche le logo et la navigation principale
+ * Affiche le logo, la navigation principale, les sélecteurs de langue et
+ * d'unités et, si une session est ouverte, le bouton de déconnexion
  * 
  * @component
  * @returns {JSX.Element} En-tête avec logo et navigation
@@ -14,19 +26,34 @@ import './header.css'
  * )
  */
 const Header = () => {
+  const navigate = useNavigate();
+  const { session, logout } = useAuth();
+  const { t } = useI18n();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
   return (
     <header className="header">
-      <img src={Logo} alt="SportSee Logo" className='header__logo'/>
+      <img src={Logo} alt={t('header.logoAlt')} className='header__logo'/>
       <nav className='header__nav'>
         <ul className='header__list'>
-          <li className='header__item'>Accueil</li>
-          <li className='header__item'>Profil</li>
-          <li className='header__item'>Réglage</li>
-          <li className='header__item'>Communauté</li>
+          {NAV_ITEMS.map((item) => (
+            <li key={item} className='header__item'>{t(`header.nav.${item}`)}</li>
+          ))}
         </ul>
       </nav>
+      <LanguageSwitcher />
+      <UnitSwitcher />
+      {session && (
+        <button type='button' className='header__logout' onClick={handleLogout}>
+          {t('header.logout')}
+        </button>
+      )}
     </header>
   );
 };
 
-export default Header;
\ No newline at end of file
+export default Header;
@@ -0,0 +1,59 @@
+import { useState } from 'react';
+import './insightsPanel.css'
+import { useI18n } from '../services/hooks/usePreferences.js';
+
+/**
+ * Panneau dépliable des bilans personnalisés
+ * Sous le message de bienvenue, un bouton déplie la liste complète des
+ * bilans, du plus important au moins important ; le panneau s'ouvre
+ * par-dessus les graphiques pour ne pas décaler la grille du dashboard.
+ * Rien n'est affiché avec moins de deux bilans : le seul bilan est déjà
+ * le sous-titre.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {Insight[]|null} props.insights - Bilans classés (useInsights)
+ * @returns {JSX.Element|null} Panneau des bilans, ou rien
+ *
+ * @example
+ * const { data: insights } = useInsights(userId);
+ * return (
+ *   <InsightsPanel insights={insights} />
+ * )
+ */
+const InsightsPanel = ({ insights }) => {
+  const [open, setOpen] = useState(false);
+  const { t } = useI18n();
+
+  if (!insights || insights.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className='insights-panel'>
+      <button
+        type='button'
+        className='insights-panel__toggle'
+        aria-expanded={open}
+        aria-controls='insights-panel-list'
+        onClick={() => setOpen(!open)}
+      >
+        {open ? t('insights.hide') : t('insights.show', { count: insights.length })}
+      </button>
+      {open && (
+        <section id='insights-panel-list' className='insights-panel__content' aria-label={t('insights.title')}>
+          <h3 className='insights-panel__title'>{t('insights.title')}</h3>
+          <ul className='insights-panel__list'>
+            {insights.map((insight) => (
+              <li key={insight.id} className={`insights-panel__item insights-panel__item--${insight.tone}`}>
+                {insight.message}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default InsightsPanel;
@@ -0,0 +1,37 @@
+import './languageSwitcher.css'
+import { useI18n } from '../services/hooks/usePreferences.js';
+import { SUPPORTED_LOCALES, getMessage } from '../services/i18n/i18n.js';
+
+/**
+ * Sélecteur de la langue de l'interface
+ * Chaque langue est affichée dans sa propre langue (« Français », « English »).
+ * Le choix est conservé dans le navigateur et appliqué immédiatement.
+ *
+ * @component
+ * @returns {JSX.Element} Liste déroulante des langues disponibles
+ *
+ * @example
+ * return (
+ *   <LanguageSwitcher />
+ * )
+ */
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <select
+      className='language-switcher'
+      aria-label={t('language.label')}
+      value={locale}
+      onChange={(event) => setLocale(event.target.value)}
+    >
+      {SUPPORTED_LOCALES.map((language) => (
+        <option key={language} value={language} lang={language}>
+          {getMessage(language, 'language.name')}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default LanguageSwitcher;
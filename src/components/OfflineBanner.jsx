@@ -0,0 +1,38 @@
+import './offlineBanner.css'
+import { DataService } from '../services/api/DataService.js';
+import { useOfflineStatus } from '../services/hooks/useOfflineStatus.js';
+import { useI18n } from '../services/hooks/usePreferences.js';
+
+/**
+ * Indicateur de données hors ligne
+ * Affiché lorsque des données proviennent de la copie locale car la source
+ * est injoignable ; le bouton relance le chargement sans attendre le retour
+ * de la connexion.
+ *
+ * @component
+ * @returns {JSX.Element|null} Bandeau hors ligne, ou rien si les données sont à jour
+ *
+ * @example
+ * return (
+ *   <OfflineBanner />
+ * )
+ */
+const OfflineBanner = () => {
+  const { offline, savedAt } = useOfflineStatus();
+  const { t, formatDateTime } = useI18n();
+
+  if (!offline) {
+    return null;
+  }
+
+  return (
+    <div className='offline-banner' role='status'>
+      <span className='offline-banner__text'>{t('offline.message', { date: formatDateTime(savedAt) })}</span>
+      <button type='button' className='offline-banner__retry' onClick={() => DataService.reconcile()}>
+        {t('offline.retry')}
+      </button>
+    </div>
+  );
+};
+
+export default OfflineBanner;
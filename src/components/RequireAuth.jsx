@@ -0,0 +1,40 @@
+import { Navigate, useLocation, useParams } from 'react-router-dom';
+import { AuthService } from '../services/auth/AuthService.js';
+import { useAuth } from '../services/hooks/useAuth.js';
+
+/**
+ * Garde de route des tableaux de bord
+ * Redirige vers la connexion sans session, et vers son propre tableau de bord
+ * un utilisateur qui n'est pas coach (vers la connexion si sa session n'a pas
+ * d'ID d'utilisateur valide). Sans effet si l'authentification est désactivée.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {JSX.Element} props.children - Page protégée
+ * @returns {JSX.Element} La page protégée ou une redirection
+ *
+ * @example
+ * <Route path="/user/:userId" element={<RequireAuth><Dashboard /></RequireAuth>} />
+ */
+const RequireAuth = ({ children }) => {
+  const { userId } = useParams();
+  const location = useLocation();
+  const { session, enabled } = useAuth();
+
+  if (!enabled) {
+    return children;
+  }
+
+  if (!session) {
+    return <Navigate to="/login" replace state={{ from: `${location.pathname}${location.search}` }} />;
+  }
+
+  if (userId !== undefined && !AuthService.canViewUser(userId, session)) {
+    const homeUserId = AuthService.getHomeUserId(session);
+    return <Navigate to={homeUserId === null ? '/login' : `/user/${homeUserId}`} replace />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
@@ -3,6 +3,7 @@ import meditatingIcon from '../assets/icons/meditating.png';
 import swimmingIcon from '../assets/icons/swimming.png';
 import dumbbellIcon from '../assets/icons/dumbbell.png';
 import bikingIcon from '../assets/icons/biking.png';
+import { useI18n } from '../services/hooks/usePreferences.js';
 
 /**
  * Composant de barre latérale de l'application SportSee
@@ -17,15 +18,17 @@ import bikingIcon from '../assets/icons/biking.png';
  * )
  */
 const Sidebar = () => {
+  const { t } = useI18n();
+
   return (
     <aside className="sidebar">
       <div className='sidebar-container-icons'>
-        <img className='sidebar-icon' src={meditatingIcon} alt="Meditation" />
-        <img className='sidebar-icon' src={swimmingIcon} alt="Swimming" />
-        <img className='sidebar-icon' src={dumbbellIcon} alt="Dumbbell" />
-        <img className='sidebar-icon' src={bikingIcon} alt="Biking" />
+        <img className='sidebar-icon' src={meditatingIcon} alt={t('sidebar.meditation')} />
+        <img className='sidebar-icon' src={swimmingIcon} alt={t('sidebar.swimming')} />
+        <img className='sidebar-icon' src={dumbbellIcon} alt={t('sidebar.dumbbell')} />
+        <img className='sidebar-icon' src={bikingIcon} alt={t('sidebar.biking')} />
       </div>
-        <p className='sidebar-copyright'>Copyright, SportSee 2020</p>
+        <p className='sidebar-copyright'>{t('sidebar.copyright')}</p>
     </aside>
   )
 }
@@ -0,0 +1,58 @@
+import './unitSwitcher.css'
+import { useI18n, useUnits } from '../services/hooks/usePreferences.js';
+import { UNIT_SYSTEMS, UNITS, getUnitsFor } from '../services/utils/units.js';
+
+/**
+ * Sélecteur des unités d'affichage
+ * Choix du système de poids et de masse (métrique ou impérial) et, séparément,
+ * de l'unité d'énergie (kCal ou kJ). La préférence est conservée dans le
+ * navigateur et appliquée immédiatement aux graphiques et statistiques.
+ *
+ * @component
+ * @returns {JSX.Element} Sélecteurs du système d'unités et de l'unité d'énergie
+ *
+ * @example
+ * return (
+ *   <UnitSwitcher />
+ * )
+ */
+const UnitSwitcher = () => {
+  const { units, setUnits } = useUnits();
+  const { t } = useI18n();
+  const system = units.weight === UNIT_SYSTEMS.imperial.weight ? 'imperial' : 'metric';
+
+  // Le changement de système conserve l'unité d'énergie choisie
+  const handleSystemChange = (event) => {
+    const { weight, mass } = UNIT_SYSTEMS[event.target.value];
+    setUnits({ weight, mass });
+  };
+
+  return (
+    <div className='unit-switcher'>
+      <select
+        className='unit-switcher__select'
+        aria-label={t('units.systemLabel')}
+        value={system}
+        onChange={handleSystemChange}
+      >
+        {Object.keys(UNIT_SYSTEMS).map((name) => (
+          <option key={name} value={name}>{t(`units.systems.${name}`)}</option>
+        ))}
+      </select>
+      <select
+        className='unit-switcher__select'
+        aria-label={t('units.energyLabel')}
+        value={units.energy}
+        onChange={(event) => setUnits({ energy: event.target.value })}
+      >
+        {getUnitsFor('energy').map((unit) => (
+          <option key={unit} value={unit} title={t(`units.names.${unit}`)}>
+            {UNITS[unit].symbol}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default UnitSwitcher;
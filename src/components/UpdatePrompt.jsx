@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import './updatePrompt.css'
+import { useServiceWorkerUpdate } from '../services/hooks/useServiceWorkerUpdate.js';
+import { useI18n } from '../services/hooks/usePreferences.js';
+
+/**
+ * Invite de mise à jour de l'application
+ * Affichée lorsqu'un nouveau build a été installé par le service worker ;
+ * « Mettre à jour » l'active et recharge la page, « Plus tard » masque
+ * l'invite jusqu'au prochain chargement.
+ *
+ * @component
+ * @returns {JSX.Element|null} Invite de mise à jour, ou rien si l'application est à jour
+ *
+ * @example
+ * return (
+ *   <UpdatePrompt />
+ * )
+ */
+const UpdatePrompt = () => {
+  const { updateAvailable, update } = useServiceWorkerUpdate();
+  const [dismissed, setDismissed] = useState(false);
+  const { t } = useI18n();
+
+  if (!updateAvailable || dismissed) {
+    return null;
+  }
+
+  return (
+    <div className='update-prompt' role='alert'>
+      <span className='update-prompt__text'>{t('update.message')}</span>
+      <div className='update-prompt__actions'>
+        <button type='button' className='update-prompt__button update-prompt__button--primary' onClick={update}>
+          {t('update.apply')}
+        </button>
+        <button type='button' className='update-prompt__button' onClick={() => setDismissed(true)}>
+          {t('update.later')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
@@ -1,8 +1,13 @@
 /**
  * Composant graphique d'activité quotidienne SportSee
  *
- * Affiche un graphique en barres combiné montrant le poids (kg) et les calories brûlées
- * pour chaque jour de la semaine. Utilise recharts pour le rendu.
+ * Affiche un graphique en barres combiné montrant le poids et les calories brûlées
+ * pour chaque jour de la période choisie (7 ou 30 derniers jours, ou période
+ * personnalisée), dans les unités choisies par l'utilisateur (kg/lb, kCal/kJ).
+ * Au-delà de 31 jours, les barres représentent les moyennes de chaque semaine.
+ * La moyenne mobile et la tendance linéaire du poids sont superposées aux
+ * barres, avec la ligne du poids cible lorsqu'il est renseigné.
+ * Utilise recharts pour le rendu.
  *
  * @component
  * @param {Object} props - Propriétés du composant
@@ -31,26 +36,39 @@
  * - Tooltip personnalisé au survol
  * - Curseur gris semi-transparent
  * - Légende personnalisée en en-tête
+ * - Sélecteur de période en en-tête (ActivityPeriodSelector)
+ * - Axes, tooltip et légende dans les unités de l'utilisateur
  * 
  * Données affichées :
- * - Axe X : Jours (1, 2, 3, ..., 7)
+ * - Axe X : Dates des sessions (« 1 juil. »), ou premier jour de chaque semaine
  * - Axe Y gauche : Calories (caché)
- * - Axe Y droit : Poids en kg
- * - Barre noire : Poids (kilogram)
- * - Barre rouge : Calories brûlées
+ * - Axe Y droit : Poids (kg ou lb)
+ * - Barre noire : Poids (weight)
+ * - Barre rouge : Calories brûlées (energy, kCal ou kJ)
+ * - Courbe noire : Moyenne mobile du poids (7 jours, ou 4 semaines)
+ * - Ligne grise pointillée : Tendance linéaire du poids sur la période
+ * - Ligne turquoise pointillée : Poids cible (résumé et saisie dans ActivityTrend)
  *
  * @requires react
- * @requires recharts - Pour ResponsiveContainer, ComposedChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend
+ * @requires recharts - Pour ResponsiveContainer, ComposedChart, Bar, Line, ReferenceLine, XAxis, YAxis, CartesianGrid, Tooltip, Legend
  * @requires ../../services/hooks/chartHooks.js - Hook useActivityChart
+ * @requires ../../services/hooks/usePreferences.js - Hook useI18n (textes traduits)
+ * @requires ../../services/utils/units.js - Symboles des unités
+ * @requires ../../services/transformers/ChartTransformers.js - Périodes prédéfinies
  * @requires ./ActivityTooltip.jsx - Tooltip personnalisé
+ * @requires ./ActivityPeriodSelector.jsx - Sélecteur de période
+ * @requires ./ActivityTrend.jsx - Tendance et poids cible
  * @requires ./charts.css - Styles des graphiques
  * @author SportSee Team
  * @since 1.0.0
  */
+import { useState } from 'react';
 import {
   ResponsiveContainer,
   ComposedChart,
   Bar,
+  Line,
+  ReferenceLine,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -58,8 +76,13 @@ import {
   Legend
 } from 'recharts';
 import { useActivityChart } from '../../services/hooks/chartHooks.js';
+import { useI18n } from '../../services/hooks/usePreferences.js';
+import { getUnitSymbol } from '../../services/utils/units.js';
+import { ActivityTransformer } from '../../services/transformers/ChartTransformers.js';
 
 import ActivityTooltip from './ActivityTooltip.jsx';
+import ActivityPeriodSelector from './ActivityPeriodSelector.jsx';
+import ActivityTrend from './ActivityTrend.jsx';
 import './charts.css';
 
 /**
@@ -69,20 +92,63 @@ import './charts.css';
  * @param {number} [props.userId=12] - ID utilisateur
  */
 const ActivityChart = ({ userId = 12 }) => {
-  const { data, loading, error } = useActivityChart(userId);
+  const [selection, setSelection] = useState({ period: 'week' });
+  const period =
+    selection.period === 'custom'
+      ? { from: selection.from, to: selection.to }
+      : ActivityTransformer.PERIODS[selection.period];
+  const { data, loading, error } = useActivityChart(userId, period);
+  const { t } = useI18n();
 
   if (loading) {
-    return <div className="chart-loading">Chargement...</div>;
+    return <div className="chart-loading">{t('charts.loading')}</div>;
   }
   if (error) {
-    return <div className="chart-error">Erreur: {error}</div>;
+    return <div className="chart-error">{t('charts.error', { message: error.message })}</div>;
   }
   if (!data || !data.sessions) {
-    return <div className="chart-empty">Aucune donnée</div>;
+    return <div className="chart-empty">{t('charts.empty')}</div>;
   }
 
-  // Calcul dynamique du domaine et des ticks pour le poids
-  const weights = data.sessions.map((s) => s.kilogram);
+  const header = (
+    <div className="chart-header">
+      <h3 className="chart-title">
+        {t(data.granularity === 'week' ? 'charts.activity.weeklyTitle' : 'charts.activity.title')}
+      </h3>
+      <ActivityPeriodSelector selection={selection} range={data.range} onChange={setSelection} />
+      <div className="chart-legend">
+        <div className="legend-item">
+          <span className="legend-dot legend-dot--weight"></span>
+          <span>{t('charts.activity.weight', { unit: getUnitSymbol(data.units.weight) })}</span>
+        </div>
+        <div className="legend-item">
+          <span className="legend-dot legend-dot--calories"></span>
+          <span>{t('charts.activity.calories', { unit: getUnitSymbol(data.units.energy) })}</span>
+        </div>
+        <div className="legend-item">
+          <span className="legend-line legend-line--average"></span>
+          <span>{t('charts.activity.average')}</span>
+        </div>
+      </div>
+    </div>
+  );
+
+  // Période sans session : l'en-tête reste affiché pour changer de période
+  if (!data.sessions.length) {
+    return (
+      <div className="activity-chart">
+        {header}
+        <div className="chart-empty">{t('charts.empty')}</div>
+      </div>
+    );
+  }
+
+  // Calcul dynamique du domaine et des ticks pour le poids (dans l'unité choisie),
+  // courbes et poids cible compris
+  const weights = data.sessions
+    .flatMap((s) => [s.weight, s.weightAverage, s.weightTrend])
+    .concat(data.goal ? [data.goal.weight] : [])
+    .filter(Number.isFinite);
   const min = Math.min(...weights);
   const max = Math.max(...weights);
   // On force 1 unité de marge en bas/haut
@@ -93,6 +159,7 @@ const ActivityChart = ({ userId = 12 }) => {
   let tickStep = 1;
   if (range > 6) tickStep = 2;
   if (range > 14) tickStep = 5;
+  if (range > 35) tickStep = 10;
   // Calcul du premier tick arrondi au multiple inférieur
   const firstTick = Math.floor(domainMin / tickStep) * tickStep;
   // Calcul du dernier tick arrondi au multiple supérieur
@@ -102,6 +169,9 @@ const ActivityChart = ({ userId = 12 }) => {
     ticks.push(t);
   }
 
+  // Barres plus fines pour une longue période
+  const barSize = data.sessions.length > 14 ? 4 : 7;
+
   // Fonction pour personnaliser les lignes de grille
   const CustomGridLine = (props) => {
     const { y1, y2, x1, x2 } = props;
@@ -134,8 +204,8 @@ const ActivityChart = ({ userId = 12 }) => {
       cursorX = points[0].x || 0;
     }
 
-    // Configuration du cursor
-    const cursorWidth = 80; // Largeur pour couvrir les deux barres
+    // Configuration du cursor (plus étroit lorsque les barres sont nombreuses)
+    const cursorWidth = data.sessions.length > 14 ? 24 : 80; // Largeur pour couvrir les deux barres
     const centeredX = cursorX - cursorWidth / 2;
     const cursorY = top || 0;
     const cursorHeight = height || 186;
@@ -154,21 +224,9 @@ const ActivityChart = ({ userId = 12 }) => {
 
   return (
     <div className="activity-chart">
-      <div className="chart-header">
-        <h3 className="chart-title">Activité quotidienne</h3>
-        <div className="chart-legend">
-          <div className="legend-item">
-            <span className="legend-dot legend-dot--weight"></span>
-            <span>Poids (kg)</span>
-          </div>
-          <div className="legend-item">
-            <span className="legend-dot legend-dot--calories"></span>
-            <span>Calories brûlées (kCal)</span>
-          </div>
-        </div>
-      </div>
+      {header}
 
-      <ResponsiveContainer width="100%" height="85%">
+      <ResponsiveContainer width="100%" height="75%">
         <ComposedChart
           data={data.sessions}
           margin={{
@@ -208,25 +266,57 @@ const ActivityChart = ({ userId = 12 }) => {
             hide
           />
           <Tooltip
-            content={<ActivityTooltip />}
+            content={<ActivityTooltip units={data.units} />}
             cursor={<CustomCursor />}
           />
           <Bar
             yAxisId="weight"
-            dataKey="kilogram"
+            dataKey="weight"
             className="activity-bar-weight"
             radius={[3, 3, 0, 0]}
-            barSize={7}
+            barSize={barSize}
           />
           <Bar
             yAxisId="calories"
-            dataKey="calories"
+            dataKey="energy"
             className="activity-bar-calories"
             radius={[3, 3, 0, 0]}
-            barSize={7}
+            barSize={barSize}
+          />
+          <Line
+            yAxisId="weight"
+            type="monotone"
+            dataKey="weightAverage"
+            className="activity-line-average"
+            stroke="#282d30"
+            strokeWidth={1.5}
+            dot={false}
+            activeDot={false}
+            isAnimationActive={false}
+          />
+          <Line
+            yAxisId="weight"
+            type="linear"
+            dataKey="weightTrend"
+            className="activity-line-trend"
+            stroke="#74798c"
+            strokeDasharray="4 3"
+            dot={false}
+            activeDot={false}
+            isAnimationActive={false}
           />
+          {data.goal && (
+            <ReferenceLine
+              yAxisId="weight"
+              y={data.goal.weight}
+              className="activity-line-goal"
+              stroke="#00babc"
+              strokeDasharray="6 3"
+            />
+          )}
         </ComposedChart>
       </ResponsiveContainer>
+      <ActivityTrend userId={userId} trend={data.trend} goal={data.goal} unit={data.units.weight} />
     </div>
   );
 };
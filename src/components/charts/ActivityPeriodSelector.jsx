@@ -0,0 +1,93 @@
+/**
+ * Sélecteur de période du graphique d'activité SportSee
+ *
+ * Propose les 7 ou 30 derniers jours enregistrés, ou une période
+ * personnalisée choisie avec deux champs de date. La période personnalisée
+ * part de la période affichée au moment du choix.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.selection - Sélection courante
+ * @param {string} props.selection.period - "week", "month" ou "custom"
+ * @param {string} [props.selection.from] - Premier jour de la période personnalisée (AAAA-MM-JJ)
+ * @param {string} [props.selection.to] - Dernier jour de la période personnalisée (AAAA-MM-JJ)
+ * @param {{ from: string, to: string }} [props.range] - Période actuellement affichée
+ * @param {Function} props.onChange - Appelée avec la nouvelle sélection
+ * @returns {JSX.Element} Liste des périodes et, pour une période personnalisée, ses bornes
+ *
+ * @example
+ * const [selection, setSelection] = useState({ period: 'week' });
+ * <ActivityPeriodSelector selection={selection} range={data.range} onChange={setSelection} />
+ *
+ * @requires ../../services/hooks/usePreferences.js - Hook useI18n (textes traduits)
+ * @requires ../../services/transformers/ChartTransformers.js - Périodes prédéfinies
+ * @requires ./charts.css - Styles du sélecteur
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+import { useI18n } from '../../services/hooks/usePreferences.js';
+import { ActivityTransformer } from '../../services/transformers/ChartTransformers.js';
+import './charts.css';
+
+/**
+ * Périodes proposées, dans l'ordre du sélecteur
+ * @type {string[]}
+ */
+const PERIOD_OPTIONS = [...Object.keys(ActivityTransformer.PERIODS), 'custom'];
+
+const ActivityPeriodSelector = ({ selection, range, onChange }) => {
+  const { t } = useI18n();
+
+  const handlePeriodChange = (event) => {
+    const period = event.target.value;
+    onChange(period === 'custom' ? { period, from: range?.from, to: range?.to } : { period });
+  };
+
+  // Un champ vidé conserve la borne précédente
+  const handleBoundChange = (bound) => (event) => {
+    if (event.target.value) {
+      onChange({ ...selection, [bound]: event.target.value });
+    }
+  };
+
+  return (
+    <div className='activity-period'>
+      <select
+        className='activity-period__select'
+        aria-label={t('charts.activity.period.label')}
+        value={selection.period}
+        onChange={handlePeriodChange}
+      >
+        {PERIOD_OPTIONS.map((period) => (
+          <option key={period} value={period}>{t(`charts.activity.period.${period}`)}</option>
+        ))}
+      </select>
+      {selection.period === 'custom' && (
+        <>
+          <label className='activity-period__field'>
+            {t('charts.activity.period.from')}
+            <input
+              type='date'
+              className='activity-period__date'
+              value={selection.from ?? ''}
+              max={selection.to}
+              onChange={handleBoundChange('from')}
+            />
+          </label>
+          <label className='activity-period__field'>
+            {t('charts.activity.period.to')}
+            <input
+              type='date'
+              className='activity-period__date'
+              value={selection.to ?? ''}
+              min={selection.from}
+              onChange={handleBoundChange('to')}
+            />
+          </label>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ActivityPeriodSelector;
@@ -1,45 +1,55 @@
 /**
  * Composant de tooltip personnalisé pour le graphique d'activité SportSee
- * 
- * Affiche le poids (kg) et les calories (kCal) au survol des barres
- * dans le graphique d'activité quotidienne.
- * 
+ *
+ * Affiche le poids et les calories au survol des barres dans le graphique
+ * d'activité quotidienne, avec le symbole des unités choisies (kg/lb, kCal/kJ).
+ *
  * @component
  * @param {Object} props - Les propriétés du composant
  * @param {boolean} props.active - Indique si le tooltip est actif (au survol)
  * @param {Array} props.payload - Données à afficher dans le tooltip
- * @param {Object} props.payload[].dataKey - Clé identifiant le type de donnée ('kilogram' ou 'calories')
+ * @param {Object} props.payload[].dataKey - Clé identifiant le type de donnée ('weight' ou 'energy')
  * @param {number} props.payload[].value - Valeur numérique à afficher
+ * @param {Object} [props.units] - Unités des valeurs (défaut : kg et kCal)
+ * @param {string} [props.units.weight="kg"] - Unité du poids
+ * @param {string} [props.units.energy="kcal"] - Unité de l'énergie
  * @returns {JSX.Element|null} Tooltip avec poids et calories, ou null si inactif
- * 
+ *
  * @example
  * // Utilisation dans un graphique Recharts
  * <ComposedChart data={sessions}>
- *   <Tooltip content={<ActivityTooltip />} />
+ *   <Tooltip content={<ActivityTooltip units={{ weight: 'lb', energy: 'kj' }} />} />
  * </ComposedChart>
- * 
+ *
  * @description
- * Le tooltip recherche dans le payload les entrées avec dataKey 'kilogram' et 'calories'
+ * Le tooltip recherche dans le payload les entrées avec dataKey 'weight' et 'energy'
  * pour afficher les deux valeurs formatées avec les unités appropriées.
- * 
+ *
  * @requires react
+ * @requires ../../services/hooks/usePreferences.js - Hook useI18n (séparateurs de la langue)
+ * @requires ../../services/utils/units.js - Formatage des valeurs
  * @requires ./charts.css - Styles du tooltip
  * @author SportSee Team
  * @since 1.0.0
  */
 import './charts.css';
-const ActivityTooltip = ({ active, payload }) => {
+import { useI18n } from '../../services/hooks/usePreferences.js';
+import { formatQuantity } from '../../services/utils/units.js';
+
+const ActivityTooltip = ({ active, payload, units }) => {
+  const { intlLocale } = useI18n();
+
   if (active && payload && payload.length) {
-    // On suppose que payload contient les deux valeurs : kilogram et calories
-    const poids = payload.find((entry) => entry.dataKey === 'kilogram');
-    const calories = payload.find((entry) => entry.dataKey === 'calories');
+    // On suppose que payload contient les deux valeurs : poids et énergie
+    const poids = payload.find((entry) => entry.dataKey === 'weight');
+    const calories = payload.find((entry) => entry.dataKey === 'energy');
     return (
       <div className="activity-tooltip">
         {poids && (
-          <p className="activity-tooltip-value">{poids.value}kg</p>
+          <p className="activity-tooltip-value">{formatQuantity(poids.value, units?.weight ?? 'kg', { locale: intlLocale })}</p>
         )}
         {calories && (
-          <p className="activity-tooltip-value">{calories.value}kCal</p>
+          <p className="activity-tooltip-value">{formatQuantity(calories.value, units?.energy ?? 'kcal', { locale: intlLocale })}</p>
         )}
       </div>
     );
@@ -0,0 +1,91 @@
+/**
+ * Résumé de la tendance du poids du graphique d'activité SportSee
+ *
+ * Affiche la pente de la tendance du poids sur la période (par semaine),
+ * le champ du poids cible et, s'il est renseigné, la date estimée à
+ * laquelle il sera atteint au rythme actuel. Le poids cible est saisi dans
+ * l'unité d'affichage et enregistré en kg avec les objectifs (voir useGoals).
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.userId - ID de l'utilisateur
+ * @param {{ perWeek: number }|null} props.trend - Tendance du poids (ActivityTransformer.format)
+ * @param {Object|null} props.goal - Projection du poids cible (ActivityTransformer.projectWeightGoal)
+ * @param {string} props.unit - Unité d'affichage du poids ("kg" ou "lb")
+ * @returns {JSX.Element} Tendance, champ du poids cible et projection
+ *
+ * @example
+ * <ActivityTrend userId={18} trend={data.trend} goal={data.goal} unit={data.units.weight} />
+ *
+ * @requires react
+ * @requires ../../services/hooks/usePreferences.js - Hook useI18n (textes traduits)
+ * @requires ../../services/hooks/useGoals.js - Poids cible des objectifs
+ * @requires ../../services/utils/units.js - Conversion du poids cible
+ * @requires ../../services/data/goals.js - Bornes du poids cible
+ * @requires ../../services/utils/calendarDate.js - Date estimée
+ * @requires ./charts.css - Styles du résumé
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+import { useState } from 'react';
+import { useI18n } from '../../services/hooks/usePreferences.js';
+import { useGoals } from '../../services/hooks/useGoals.js';
+import { convertValue, getUnitSymbol, toBaseValue } from '../../services/utils/units.js';
+import { isValidGoal } from '../../services/data/goals.js';
+import { formatCalendarDate } from '../../services/utils/calendarDate.js';
+import './charts.css';
+
+const ActivityTrend = ({ userId, trend, goal, unit }) => {
+  const { t, locale, formatNumber } = useI18n();
+  const { goals, saveGoals } = useGoals(userId);
+  const targetWeight = goals?.targetWeight ?? null;
+  // Saisie en cours (conservée telle quelle jusqu'à la validation, ex: "75,")
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const value = Number.parseFloat(draft.replace(',', '.'));
+    const kilograms = value > 0 ? toBaseValue(value, unit) : null;
+    // Poids hors bornes (voir goals.js) : la valeur enregistrée est conservée
+    if (kilograms === null || isValidGoal('targetWeight', kilograms)) {
+      saveGoals({ targetWeight: kilograms });
+    }
+    setDraft(null);
+  };
+
+  return (
+    <div className='activity-trend'>
+      {trend && (
+        <span className='activity-trend__slope'>
+          {t('charts.activity.trend', {
+            value: `${formatNumber(trend.perWeek, {
+              maximumFractionDigits: 1,
+              signDisplay: 'exceptZero'
+            })} ${getUnitSymbol(unit)}`
+          })}
+        </span>
+      )}
+      <label className='activity-trend__field'>
+        {t('charts.activity.goal.label', { unit: getUnitSymbol(unit) })}
+        <input
+          type='text'
+          inputMode='decimal'
+          className='activity-trend__input'
+          value={draft ?? convertValue(targetWeight, unit) ?? ''}
+          onChange={(event) => setDraft(event.target.value)}
+          onBlur={commit}
+          onKeyDown={(event) => event.key === 'Enter' && commit()}
+        />
+      </label>
+      {goal && (
+        <span className={`activity-trend__goal activity-trend__goal--${goal.status}`}>
+          {t(`charts.activity.goal.${goal.status}`, {
+            date: formatCalendarDate(goal.date, { weekday: false, locale })
+          })}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default ActivityTrend;
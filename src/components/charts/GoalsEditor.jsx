@@ -0,0 +1,156 @@
+/**
+ * Formulaire des objectifs de l'utilisateur SportSee
+ *
+ * Affiche et modifie les objectifs du score (calories brûlées par jour,
+ * durée d'une session, sessions par semaine) et le poids cible, saisis
+ * dans les unités d'affichage et enregistrés via le DataService (API ou
+ * stockage local). Sous chaque objectif du score, la réalisation du dernier
+ * jour enregistré.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.userId - ID de l'utilisateur
+ * @param {Object|null} [props.progress] - Progression du dernier jour (ScoreTransformer.computeGoalProgress)
+ * @param {Function} props.onClose - Appelée à l'annulation et après l'enregistrement
+ * @returns {JSX.Element} Formulaire des objectifs
+ *
+ * @example
+ * <GoalsEditor userId={18} progress={data.progress} onClose={() => setEditing(false)} />
+ *
+ * @requires react
+ * @requires ../../services/hooks/useGoals.js - Chargement et enregistrement des objectifs
+ * @requires ../../services/hooks/usePreferences.js - Hooks useI18n et useUnits
+ * @requires ../../services/data/goals.js - Bornes des objectifs
+ * @requires ../../services/utils/units.js - Conversion des valeurs saisies
+ * @requires ./charts.css - Styles du formulaire
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+import { useState } from 'react';
+import { useGoals } from '../../services/hooks/useGoals.js';
+import { useI18n, useUnits } from '../../services/hooks/usePreferences.js';
+import { GOAL_FIELDS, isValidGoal } from '../../services/data/goals.js';
+import { convertValue, getUnitSymbol, toBaseValue } from '../../services/utils/units.js';
+import './charts.css';
+
+/**
+ * Unité d'affichage de chaque objectif (null : pas de conversion)
+ * @param {UnitPreferences} units - Unités choisies
+ * @returns {Object<string, string|null>} Unité par objectif
+ */
+const getGoalUnits = (units) => ({
+  calories: units.energy,
+  sessionMinutes: null,
+  weeklySessions: null,
+  targetWeight: units.weight
+});
+
+const GoalsEditor = ({ userId, progress, onClose }) => {
+  const { goals, loading, error, saving, saveError, saveGoals } = useGoals(userId);
+  const { units } = useUnits();
+  const { t, formatNumber } = useI18n();
+  // Saisies modifiées, par objectif (les autres affichent la valeur enregistrée)
+  const [drafts, setDrafts] = useState({});
+  const [invalid, setInvalid] = useState([]);
+
+  const goalUnits = getGoalUnits(units);
+  const toDisplay = (name, value) => (goalUnits[name] ? convertValue(value, goalUnits[name]) : value);
+
+  if (loading) {
+    return <div className='goals-editor chart-loading'>{t('charts.loading')}</div>;
+  }
+
+  if (error || !goals) {
+    return (
+      <div className='goals-editor chart-error'>
+        {t('charts.error', { message: error?.message ?? '' })}
+        <button type='button' className='goals-editor__button' onClick={onClose}>
+          {t('charts.score.goals.cancel')}
+        </button>
+      </div>
+    );
+  }
+
+  const parse = (name) => {
+    const draft = drafts[name];
+    if (draft === undefined) return goals[name];
+    if (draft.trim() === '' && GOAL_FIELDS[name].optional) return null;
+
+    const value = Number.parseFloat(draft.replace(',', '.'));
+    return goalUnits[name] ? toBaseValue(value, goalUnits[name]) : value;
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    const changes = Object.fromEntries(Object.keys(GOAL_FIELDS).map((name) => [name, parse(name)]));
+    const errors = Object.keys(changes).filter((name) => !isValidGoal(name, changes[name]));
+
+    setInvalid(errors);
+    if (errors.length === 0 && (await saveGoals(changes))) {
+      onClose();
+    }
+  };
+
+  const achieved = Object.fromEntries((progress?.parts ?? []).map((part) => [part.name, part]));
+
+  return (
+    <form className='goals-editor' onSubmit={handleSubmit} noValidate>
+      <h3 className='goals-editor__title'>{t('charts.score.goals.title')}</h3>
+
+      {Object.entries(GOAL_FIELDS).map(([name, field]) => {
+        const unit = goalUnits[name];
+        const part = achieved[name];
+
+        return (
+          <div key={name} className='goals-editor__field'>
+            <label className='goals-editor__label'>
+              {t(`charts.score.goals.${name}`, { unit: unit ? getUnitSymbol(unit) : '' })}
+              <input
+                type='text'
+                inputMode='decimal'
+                className='goals-editor__input'
+                aria-invalid={invalid.includes(name)}
+                placeholder={field.optional ? t('charts.score.goals.optional') : undefined}
+                value={drafts[name] ?? toDisplay(name, goals[name]) ?? ''}
+                onChange={(event) => setDrafts({ ...drafts, [name]: event.target.value })}
+              />
+            </label>
+            {invalid.includes(name) ? (
+              <span className='goals-editor__hint goals-editor__hint--error'>
+                {t('charts.score.goals.invalid', {
+                  min: formatNumber(toDisplay(name, field.min)),
+                  max: formatNumber(toDisplay(name, field.max))
+                })}
+              </span>
+            ) : (
+              part && (
+                <span className={`goals-editor__hint${part.reached ? ' goals-editor__hint--reached' : ''}`}>
+                  {t('charts.score.goals.done', { value: formatNumber(toDisplay(name, part.value)) })}
+                </span>
+              )
+            )}
+          </div>
+        );
+      })}
+
+      {saveError && (
+        <p className='goals-editor__error' role='alert'>
+          {t('charts.score.goals.saveError', { message: saveError.message })}
+        </p>
+      )}
+
+      <div className='goals-editor__actions'>
+        <span className='goals-editor__source'>{t(`charts.score.goals.source.${goals.source}`)}</span>
+        <button type='button' className='goals-editor__button' onClick={onClose}>
+          {t('charts.score.goals.cancel')}
+        </button>
+        <button type='submit' className='goals-editor__button goals-editor__button--primary' disabled={saving}>
+          {t(saving ? 'charts.score.goals.saving' : 'charts.score.goals.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default GoalsEditor;
@@ -2,7 +2,8 @@
  * Composant graphique radar de performance SportSee
  *
  * Affiche un graphique radar des performances sportives de l'utilisateur
- * avec les catégories : Cardio, Énergie, Endurance, Force, Vitesse, Intensité.
+ * pour chacune des catégories de l'utilisateur (Cardio, Énergie, Endurance,
+ * Force, Vitesse, Intensité pour l'API SportSee, plus toute catégorie ajoutée).
  * Utilise les données formatées par le hook usePerformanceChart.
  *
  * @component
@@ -31,19 +32,25 @@
  *
  * @description
  * Caractéristiques du graphique :
- * - Forme hexagonale (6 catégories de performance)
- * - Labels en français sur les axes polaires
+ * - Un axe par catégorie de performance (hexagone pour les 6 catégories de l'API)
+ * - Labels dans la langue de l'utilisateur sur les axes polaires, de la couleur de la catégorie
  * - Couleur rouge (#FF0101) avec opacité 0.7
  * - Grille polaire pour faciliter la lecture
- * - Pas d'axe radial visible
+ * - Pas d'axe radial visible, graduation fixe de 0 à 100 : deux radars restent comparables
+ * - Sélecteur d'échelle (absolue, relative à la meilleure catégorie, centile d'une
+ *   population de référence), conservé dans les préférences
+ * - Tooltip avec la valeur de l'API et sa lecture dans l'échelle choisie
  * - Fond sombre pour contraste optimal
  * 
  * Catégories affichées (dans l'ordre du radar) :
- * - Intensité, Vitesse, Force, Endurance, Énergie, Cardio
+ * - Intensité, Vitesse, Force, Endurance, Énergie, Cardio, puis les catégories
+ *   ajoutées au registre (services/data/performanceKinds.js)
  *
  * @requires react
- * @requires recharts - Pour ResponsiveContainer, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar
+ * @requires recharts - Pour ResponsiveContainer, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, Text
  * @requires ../../services/hooks/chartHooks.js - Hook usePerformanceChart
+ * @requires ../../services/hooks/usePreferences.js - Hooks useI18n (textes traduits) et useRadarScale
+ * @requires ../../services/utils/radarScale.js - Échelles disponibles
  * @requires ./charts.css - Styles des graphiques
  * @uses {ChartHookState<FormattedPerformanceData[]>} usePerformanceChart
  * @author SportSee Team
@@ -56,24 +63,71 @@ import {
   PolarGrid,
   PolarAngleAxis,
   PolarRadiusAxis,
-  Radar
+  Radar,
+  Text,
+  Tooltip
 } from 'recharts';
 import { usePerformanceChart } from '../../services/hooks/chartHooks.js';
+import { useI18n, useRadarScale } from '../../services/hooks/usePreferences.js';
+import { RADAR_SCALES, RADAR_SCALE_MAX } from '../../services/utils/radarScale.js';
 import './charts.css';
 
+/**
+ * Libellé d'un axe du radar, de la couleur de sa catégorie
+ * (Text de Recharts : conserve les classes utilisées par charts.css)
+ *
+ * @param {Object} props - Propriétés fournies par PolarAngleAxis
+ * @param {Array} props.data - Données du radar (couleur de chaque catégorie)
+ * @returns {JSX.Element} Texte SVG du libellé
+ */
+const PerformanceTick = ({ data, payload, ...props }) => (
+  <Text
+    {...props}
+    className='recharts-polar-angle-axis-tick-value'
+    style={{ fill: data[payload.index]?.color ?? 'white' }}
+    fontSize={12}
+  >
+    {payload.value}
+  </Text>
+);
+
+/**
+ * Tooltip du radar : valeur de la catégorie dans l'échelle choisie
+ *
+ * @param {Object} props - Propriétés fournies par Tooltip
+ * @param {string} props.scale - Échelle du radar
+ * @param {Function} props.t - Fonction de traduction
+ * @returns {JSX.Element|null} Tooltip, ou null si inactif
+ */
+const PerformanceTooltip = ({ active, payload, scale, t }) => {
+  if (!active || !payload?.length) {
+    return null;
+  }
+
+  const { subject, value, score, max } = payload[0].payload;
+  return (
+    <div className='performance-tooltip'>
+      <p className='performance-tooltip__label'>{subject}</p>
+      <p>{t(`charts.performance.scale.values.${scale}`, { value, max, score })}</p>
+    </div>
+  );
+};
+
 const PerformanceChart = ({ userId = 18 }) => {
   const { data, loading, error } = usePerformanceChart(userId);
+  const { radarScale, setRadarScale } = useRadarScale();
+  const { t } = useI18n();
 
   if (loading) {
-    return <div className="chart-loading">Chargement...</div>;
+    return <div className="chart-loading">{t('charts.loading')}</div>;
   }
 
   if (error) {
-    return <div className="chart-error">Erreur: {error}</div>;
+    return <div className="chart-error">{t('charts.error', { message: error.message })}</div>;
   }
 
   if (!data || !data.length) {
-    return <div className="chart-empty">Aucune donnée disponible</div>;
+    return <div className="chart-empty">{t('charts.empty')}</div>;
   }
 
   return (
@@ -81,6 +135,16 @@ const PerformanceChart = ({ userId = 18 }) => {
       overflow: 'visible',
       padding: '10px' // Espace supplémentaire pour les labels
     }}>
+      <select
+        className='performance-chart__scale'
+        aria-label={t('charts.performance.scale.label')}
+        value={radarScale}
+        onChange={(event) => setRadarScale(event.target.value)}
+      >
+        {RADAR_SCALES.map((scale) => (
+          <option key={scale} value={scale}>{t(`charts.performance.scale.modes.${scale}`)}</option>
+        ))}
+      </select>
       <ResponsiveContainer width="100%" height="100%">
         <RadarChart
           data={data}
@@ -89,27 +153,27 @@ const PerformanceChart = ({ userId = 18 }) => {
           <PolarGrid />
           <PolarAngleAxis
             dataKey="subject"
-            tick={{
-              fill: 'white',
-              fontSize: 12,
-              textAnchor: 'middle'
-            }}
+            tick={(props) => <PerformanceTick {...props} data={data} />}
             className="performance-radar-labels"
           />
           <PolarRadiusAxis
             angle={90}
-            domain={[0, 'dataMax']}
+            domain={[0, RADAR_SCALE_MAX]}
             tick={false}
             axisLine={false}
           />
           <Radar
-            name="Performance"
-            dataKey="value"
+            name={t('charts.performance.name')}
+            dataKey="score"
             stroke="#FF0101"
             fill="#FF0101"
             fillOpacity={0.7}
             activeDot={false}
           />
+          <Tooltip
+            content={<PerformanceTooltip scale={radarScale} t={t} />}
+            cursor={false}
+          />
         </RadarChart>
       </ResponsiveContainer>
     </div>
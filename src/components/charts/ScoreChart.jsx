@@ -1,9 +1,13 @@
 /**
  * Composant graphique circulaire de score quotidien SportSee
  *
- * Affiche le pourcentage de réalisation de l'objectif quotidien sous forme
- * de graphique en secteurs (doughnut chart) avec texte central.
- * Utilise todayScore ou score depuis les données utilisateur.
+ * Affiche le pourcentage de réalisation des objectifs de l'utilisateur sous
+ * forme de graphique en secteurs (doughnut chart) avec texte central.
+ * Le score est calculé par rapport aux objectifs au dernier jour enregistré
+ * (todayScore ou score des données utilisateur, sans activité).
+ * Sous l'anneau, l'historique montre les 30 derniers jours et les séries de
+ * jours où les objectifs sont atteints (voir ScoreHistory). Le bouton
+ * « Objectifs » ouvre leur formulaire à la place de l'anneau (voir GoalsEditor).
  *
  * @component
  * @param {Object} props - Propriétés du composant
@@ -44,12 +48,15 @@
  * @requires react
  * @requires recharts - Pour ResponsiveContainer, PieChart, Pie, Cell
  * @requires ../../services/hooks/chartHooks.js - Hook useScoreChart
+ * @requires ../../services/hooks/usePreferences.js - Hook useI18n (textes traduits)
+ * @requires ./ScoreHistory.jsx - Historique du score et séries
+ * @requires ./GoalsEditor.jsx - Formulaire des objectifs
  * @requires ./charts.css - Styles des graphiques
  * @uses {ChartHookState<FormattedScoreData>} useScoreChart
  * @author SportSee Team
  * @since 1.0.0
  */
-import React from 'react';
+import React, { useState } from 'react';
 import {
   ResponsiveContainer,
   PieChart,
@@ -57,21 +64,34 @@ import {
   Cell
 } from 'recharts';
 import { useScoreChart } from '../../services/hooks/chartHooks.js';
+import { useI18n } from '../../services/hooks/usePreferences.js';
+import ScoreHistory from './ScoreHistory.jsx';
+import GoalsEditor from './GoalsEditor.jsx';
 import './charts.css';
 
 const ScoreChart = ({ userId = 18 }) => {
   const { data, loading, error } = useScoreChart(userId);
+  const { t } = useI18n();
+  const [editing, setEditing] = useState(false);
 
   if (loading) {
-    return <div className="chart-loading">Chargement...</div>;
+    return <div className="chart-loading">{t('charts.loading')}</div>;
   }
 
   if (error) {
-    return <div className="chart-error">Erreur: {error}</div>;
+    return <div className="chart-error">{t('charts.error', { message: error.message })}</div>;
   }
 
   if (!data) {
-    return <div className="chart-empty">Aucune donnée</div>;
+    return <div className="chart-empty">{t('charts.empty')}</div>;
+  }
+
+  if (editing) {
+    return (
+      <div className="score-chart">
+        <GoalsEditor userId={userId} progress={data.progress} onClose={() => setEditing(false)} />
+      </div>
+    );
   }
 
   // Récupération du pourcentage transformé
@@ -85,7 +105,10 @@ const ScoreChart = ({ userId = 18 }) => {
 
   return (
     <div className="score-chart">
-      <h3 className="chart-title">Score</h3>
+      <h3 className="chart-title">{t('charts.score.title')}</h3>
+      <button type='button' className='score-chart__edit' onClick={() => setEditing(true)}>
+        {t('charts.score.goals.edit')}
+      </button>
 
       <div className="score-container">
         <ResponsiveContainer width="100%" height="100%">
@@ -111,10 +134,17 @@ const ScoreChart = ({ userId = 18 }) => {
 
         <div className="score-content">
           <div className="score-percentage">{scorePercentage}%</div>
-          <div className="score-label">de votre</div>
-          <div className="score-label">objectif</div>
+          <div className="score-label">{t('charts.score.ofYour')}</div>
+          <div className="score-label">{t('charts.score.goal')}</div>
+          {data.progress && (
+            <div className="score-reached">
+              {t('charts.score.reached', { count: data.progress.reached, total: data.progress.total })}
+            </div>
+          )}
         </div>
       </div>
+
+      <ScoreHistory userId={userId} />
     </div>
   );
 };
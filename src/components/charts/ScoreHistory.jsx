@@ -0,0 +1,93 @@
+/**
+ * Historique du score quotidien SportSee
+ *
+ * Affiche sous l'anneau du score une courbe des 30 derniers jours et les
+ * séries de jours consécutifs où l'objectif est atteint (en cours et
+ * meilleure). Rien n'est affiché tant que l'historique n'est pas chargé,
+ * ni s'il est indisponible : l'anneau reste utilisable seul.
+ *
+ * @component
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.userId - ID de l'utilisateur
+ * @returns {JSX.Element|null} Courbe et séries, ou null sans historique
+ *
+ * @example
+ * <ScoreHistory userId={18} />
+ *
+ * @requires recharts - Pour ResponsiveContainer, LineChart, Line, YAxis, Tooltip
+ * @requires ../../services/hooks/chartHooks.js - Hook useScoreHistory
+ * @requires ../../services/hooks/usePreferences.js - Hook useI18n (textes traduits)
+ * @requires ../../services/utils/calendarDate.js - Dates du tooltip
+ * @requires ./charts.css - Styles de l'historique
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+import { ResponsiveContainer, LineChart, Line, YAxis, Tooltip } from 'recharts';
+import { useScoreHistory } from '../../services/hooks/chartHooks.js';
+import { useI18n } from '../../services/hooks/usePreferences.js';
+import { formatShortDate } from '../../services/utils/calendarDate.js';
+import './charts.css';
+
+/**
+ * Point de la courbe, mis en évidence les jours où l'objectif est atteint
+ * @param {Object} props - Propriétés fournies par Recharts (cx, cy, payload)
+ * @returns {JSX.Element} Le point (invisible les autres jours)
+ */
+const HistoryDot = ({ cx, cy, payload }) => (
+  <circle cx={cx} cy={cy} r={payload.reached ? 2 : 0} className='score-history__dot' />
+);
+
+const ScoreHistory = ({ userId }) => {
+  const { data } = useScoreHistory(userId);
+  const { t, locale } = useI18n();
+
+  if (!data) {
+    return null;
+  }
+
+  const renderTooltip = ({ active, payload }) => {
+    const point = payload?.[0]?.payload;
+    if (!active || !point || point.percentage === null) return null;
+
+    return (
+      <div className='score-history__tooltip'>
+        {t('charts.score.history.day', {
+          date: formatShortDate(point.day, { locale }),
+          percentage: point.percentage
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <div className='score-history'>
+      <div
+        className='score-history__sparkline'
+        role='img'
+        aria-label={t('charts.score.history.label', { days: data.points.length })}
+      >
+        <ResponsiveContainer width='100%' height='100%'>
+          <LineChart data={data.points} margin={{ top: 3, right: 3, bottom: 3, left: 3 }}>
+            <YAxis hide domain={[0, 100]} />
+            <Tooltip content={renderTooltip} cursor={false} />
+            <Line
+              type='monotone'
+              dataKey='percentage'
+              stroke='#FF0101'
+              strokeWidth={1.5}
+              dot={HistoryDot}
+              activeDot={false}
+              isAnimationActive={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      <p className='score-history__streaks'>
+        <span>{t('charts.score.history.current', { count: data.streaks.current })}</span>
+        <span>{t('charts.score.history.best', { count: data.streaks.best })}</span>
+      </p>
+    </div>
+  );
+};
+
+export default ScoreHistory;
@@ -4,6 +4,7 @@
  * Affiche un graphique en ligne des durées moyennes de sessions d'entraînement
  * par jour de la semaine. Inclut des interactions au survol avec overlay et tooltip.
  * Utilise des points fantômes pour améliorer le rendu visuel aux extrémités.
+ * Une semaine passée peut être superposée en pointillés pour comparaison.
  *
  * @component
  * @param {Object} props - Propriétés du composant
@@ -35,6 +36,8 @@
  * - Points fantômes invisibles aux extrémités (jours 0 et 8) pour une courbe fluide
  * - Overlay sombre au survol à droite du curseur
  * - Tooltip personnalisé affichant la durée en minutes
+ * - Comparaison avec la semaine précédente ou une semaine choisie : seconde
+ *   ligne et, dans le tooltip, durée de référence et écart en minutes et en %
  * - Gestion des états de chargement et d'erreur
  * - Gradient sur la ligne pour effet visuel
  * 
@@ -45,6 +48,8 @@
  * @requires react - Pour useState, useCallback, useMemo
  * @requires recharts - Pour ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip
  * @requires ../../services/hooks/chartHooks.js - Hook useSessionsChart
+ * @requires ../../services/hooks/usePreferences.js - Hook useI18n (jours et textes traduits)
+ * @requires ../../services/transformers/ChartTransformers.js - Semaines de référence proposées
  * @requires ./charts.css - Styles des graphiques
  * @uses {ChartHookState<FormattedSession[]>} useSessionsChart
  * @author SportSee Team
@@ -60,12 +65,30 @@ import {
   Tooltip
 } from 'recharts';
 import { useSessionsChart } from '../../services/hooks/chartHooks.js';
+import { useI18n } from '../../services/hooks/usePreferences.js';
+import { SessionsTransformer } from '../../services/transformers/ChartTransformers.js';
 import './charts.css';
 
+/**
+ * Semaines proposées par le sélecteur de comparaison (0 : sans comparaison)
+ * @type {number[]}
+ */
+const REFERENCE_OPTIONS = Array.from({ length: SessionsTransformer.REFERENCE_WEEKS + 1 }, (_, index) => index);
+
 const SessionsChart = ({ userId = 18 }) => {
-  const { data, loading, error } = useSessionsChart(userId);
+  const [weeksAgo, setWeeksAgo] = useState(0);
+  const { data, loading, error, reference } = useSessionsChart(userId, weeksAgo);
+  const { t, formatNumber } = useI18n();
   const [overlayPosition, setOverlayPosition] = useState(null);
 
+  // Libellé d'une semaine de référence ("Semaine précédente", "Il y a 2 semaines")
+  const getReferenceLabel = useCallback((weeks) => {
+    if (weeks === 0) return t('charts.sessions.reference.none');
+    return weeks === 1
+      ? t('charts.sessions.reference.previous')
+      : t('charts.sessions.reference.weeksAgo', { count: weeks });
+  }, [t]);
+
   // Gestion simplifiée du hover avec position relative
   const handleMouseMove = useCallback((e) => {
     if (e && e.chartX !== undefined) {
@@ -91,14 +114,35 @@ const SessionsChart = ({ userId = 18 }) => {
         setOverlayPosition(coordinate.x);
       }
 
+      const session = payload[0].payload;
+      const signed = { signDisplay: 'exceptZero' };
+
       return (
         <div className="sessions-tooltip">
-          {`${payload[0].value} min`}
+          {t('charts.sessions.duration', { minutes: session.sessionLength })}
+          {session.referenceLength != null && (
+            <>
+              <p className="sessions-tooltip__reference">
+                {t('charts.sessions.reference.value', {
+                  week: getReferenceLabel(weeksAgo),
+                  minutes: session.referenceLength
+                })}
+              </p>
+              <p className="sessions-tooltip__delta">
+                {session.deltaPercent === null
+                  ? t('charts.sessions.duration', { minutes: formatNumber(session.delta, signed) })
+                  : t('charts.sessions.reference.deltaPercent', {
+                      minutes: formatNumber(session.delta, signed),
+                      percent: formatNumber(session.deltaPercent, signed)
+                    })}
+              </p>
+            </>
+          )}
         </div>
       );
     }
     return null;
-  }, []);
+  }, [t, formatNumber, getReferenceLabel, weeksAgo]);
 
   // Mémoriser le graphique avec activeDot simplifié
   const chartComponent = useMemo(() => {
@@ -129,7 +173,7 @@ const SessionsChart = ({ userId = 18 }) => {
             tickLine={false}
             className="sessions-x-axis"
             tickFormatter={(value) => {
-              const dayNames = ["L", "M", "M", "J", "V", "S", "D"];
+              const dayNames = t('calendar.weekdaysNarrow');
               if (value === 0 || value === 8) {
                 return "";
               }
@@ -141,6 +185,20 @@ const SessionsChart = ({ userId = 18 }) => {
             content={CustomTooltip}
             cursor={false}
           />
+          {weeksAgo > 0 && (
+            <Line
+              type="monotone"
+              dataKey="referenceLength"
+              className="sessions-line-reference"
+              stroke="#FFFFFF"
+              strokeOpacity={0.5}
+              strokeWidth={2}
+              strokeDasharray="4 4"
+              dot={false}
+              activeDot={false}
+              isAnimationActive={false}
+            />
+          )}
           <Line
             type="monotone"
             dataKey="sessionLength"
@@ -151,23 +209,38 @@ const SessionsChart = ({ userId = 18 }) => {
         </LineChart>
       </ResponsiveContainer>
     );
-  }, [data, handleMouseMove, handleMouseLeave, CustomTooltip]);
+  }, [data, handleMouseMove, handleMouseLeave, CustomTooltip, t, weeksAgo]);
 
   if (loading) {
-    return <div className="chart-loading">Chargement...</div>;
+    return <div className="chart-loading">{t('charts.loading')}</div>;
   }
 
   if (error) {
-    return <div className="chart-error">Erreur: {error.message}</div>;
+    return <div className="chart-error">{t('charts.error', { message: error.message })}</div>;
   }
 
   if (!data || !data.sessions) {
-    return <div className="chart-empty">Aucune donnée disponible</div>;
+    return <div className="chart-empty">{t('charts.empty')}</div>;
   }
 
   return (
     <div className="sessions-chart" style={{ position: 'relative' }}>
-      <h3 className="chart-title">Durée moyenne des sessions</h3>
+      <h3 className="chart-title">{t('charts.sessions.title')}</h3>
+      <div className='sessions-chart__reference'>
+        <select
+          className='sessions-chart__reference-select'
+          aria-label={t('charts.sessions.reference.label')}
+          value={weeksAgo}
+          onChange={(event) => setWeeksAgo(Number(event.target.value))}
+        >
+          {REFERENCE_OPTIONS.map((weeks) => (
+            <option key={weeks} value={weeks}>{getReferenceLabel(weeks)}</option>
+          ))}
+        </select>
+        {reference.error && (
+          <span className='sessions-chart__reference-status'>{t('charts.sessions.reference.unavailable')}</span>
+        )}
+      </div>
       {chartComponent}
 
       {/* Overlay simplifié basé sur la position de la souris */}
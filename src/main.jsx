@@ -10,6 +10,8 @@
  * @requires ./normalize.css - Styles de normalisation cross-browser
  * @requires ./index.css - Styles globaux de l'application
  * @requires ./Router.jsx - Configuration du routage
+ * @requires ./services/pwa/serviceWorker.js - Service worker (PWA)
+ * @requires ./services/i18n/i18n.js - Langue du document
  * @author SportSee Team
  * @since 1.0.0
  * 
@@ -31,6 +33,28 @@ import { createRoot } from 'react-dom/client'
 import './normalize.css'
 import './index.css'
 import RouterComponent from './Router.jsx'
+import { AuthService } from './services/auth/AuthService.js'
+import { registerServiceWorker } from './services/pwa/serviceWorker.js'
+import { bindDocumentLanguage } from './services/i18n/i18n.js'
+import { userPreferences } from './services/preferences/preferencesStore.js'
+
+/**
+ * Ajout du jeton d'authentification aux requêtes du DataService
+ * (sans effet si VITE_AUTH_ENABLED n'est pas activé)
+ */
+AuthService.install();
+
+/**
+ * Application installable et coquille disponible hors connexion
+ * (production uniquement, voir pwa/pwaPlugin.js)
+ */
+registerServiceWorker();
+
+/**
+ * Attribut lang du document aligné sur la langue choisie (lecteurs d'écran,
+ * césure, traduction automatique)
+ */
+bindDocumentLanguage(userPreferences);
 
 /**
  * Récupération de l'élément root du DOM
@@ -2,9 +2,11 @@
  * Page Dashboard principale de l'application SportSee
  *
  * Affiche le tableau de bord complet d'un utilisateur avec :
- * - Message de bienvenue personnalisé
+ * - Message de bienvenue personnalisé, avec le bilan le plus important en sous-titre
+ *   et la liste des bilans (objectifs, poids, meilleur jour, point faible) dépliable
  * - Graphiques d'activité, sessions, performance et score
- * - Statistiques nutritionnelles (calories, protéines, glucides, lipides)
+ * - Statistiques nutritionnelles (calories, protéines, glucides, lipides),
+ *   dans les unités choisies par l'utilisateur
  *
  * @component
  * @returns {JSX.Element} Page dashboard complète
@@ -23,14 +25,16 @@
  * Architecture des données :
  * - Récupération de l'ID utilisateur depuis l'URL via useParams
  * - Chargement des données utilisateur via useUser (hook personnalisé)
+ * - Bilans personnalisés via useInsights (moteur de bilans, dans la langue et les unités choisies)
  * - Mémorisation des statistiques via useMemo pour optimisation
+ * - Conversion des apports via UnitConverter (préférence d'unités de useUnits)
  * - Affichage conditionnel basé sur les états loading/error
  * 
  * Structure de la page :
  * 1. Header - Navigation principale
  * 2. Sidebar - Activités sportives
  * 3. Dashboard
- *    - Titre de bienvenue
+ *    - Titre de bienvenue, bilan principal, panneau des bilans (et indicateur de données hors ligne)
  *    - Grille de graphiques (activité, sessions, performance, score)
  *    - Panneau de statistiques nutritionnelles
  *
@@ -38,8 +42,14 @@
  * @requires react-router-dom - Pour useParams et navigation
  * @requires ../components/Header.jsx - En-tête de l'application
  * @requires ../components/Sidebar.jsx - Barre latérale
+ * @requires ../components/OfflineBanner.jsx - Indicateur de données hors ligne
+ * @requires ../components/InsightsPanel.jsx - Panneau des bilans
  * @requires ../components/charts/index.jsx - Composants de graphiques
  * @requires ../services/hooks/hooks.js - Hook useUser
+ * @requires ../services/hooks/useInsights.js - Hook useInsights (bilans personnalisés)
+ * @requires ../services/hooks/usePreferences.js - Hooks useUnits et useI18n
+ * @requires ../services/transformers/UnitConverter.js - Conversion des apports
+ * @requires ../services/utils/units.js - Formatage des valeurs
  * @requires ../services/api/DataService.js - Service de données
  * @requires ../assets/icons - Icônes nutritionnelles
  * @author SportSee Team
@@ -48,14 +58,21 @@
 import React, { useMemo } from 'react';
 import Header from '../components/Header.jsx';
 import Sidebar from '../components/Sidebar.jsx';
+import OfflineBanner from '../components/OfflineBanner.jsx';
+import InsightsPanel from '../components/InsightsPanel.jsx';
 import './dashboard.css';
 import CarbsIcon from '../assets/icons/carbs-icon.png?url';
 import ProteinIcon from '../assets/icons/protein-icon.png?url';
 import SugarIcon from '../assets/icons/sugar-icon.png?url';
 import FatIcon from '../assets/icons/fat-icon.png?url';
 import { useUser } from '../services/hooks/hooks.js';
+import { useInsights } from '../services/hooks/useInsights.js';
+import { useI18n, useUnits } from '../services/hooks/usePreferences.js';
+import { UnitConverter } from '../services/transformers/UnitConverter.js';
+import { formatQuantity } from '../services/utils/units.js';
 import { useParams } from 'react-router-dom';
 import { DataService } from '../services/api/DataService.js';
+import { UserNotFoundError, NetworkError, HttpError } from '../services/api/DataErrors.js';
 import {
   ActivityChart,
   SessionsChart,
@@ -67,61 +84,68 @@ const Dashboard = () => {
   // Récupération de l'ID utilisateur depuis l'URL
   const { userId } = useParams();
 
-  // Conversion en number et fallback
-  const numericUserId = userId ? parseInt(userId, 10) : 18;
+  // Conversion en number et fallback sur l'utilisateur par défaut configuré
+  const numericUserId = userId ? parseInt(userId, 10) : DataService.DEFAULT_USER_ID;
 
   // Utilisation du hook pour récupérer les données utilisateur
   const { data: userData, loading, error } = useUser(numericUserId);
+  const { units } = useUnits();
+  const { data: insights } = useInsights(numericUserId);
+  const { t, intlLocale } = useI18n();
 
   // Optimisation: Mémorisation des statistiques pour éviter les recalculs
   const statsData = useMemo(() => {
     if (!userData || !userData.keyData) {
       // Données par défaut si les données utilisateur sont manquantes
       return [
-        { id: 1, icon: CarbsIcon, value: '---', label: 'Calories', alt: 'Calories icon' },
-        { id: 2, icon: ProteinIcon, value: '---', label: 'Protéines', alt: 'Protein icon' },
-        { id: 3, icon: SugarIcon, value: '---', label: 'Glucides', alt: 'Sugar icon' },
-        { id: 4, icon: FatIcon, value: '---', label: 'Lipides', alt: 'Fat icon' }
+        { id: 1, icon: CarbsIcon, value: '---', label: t('dashboard.stats.calories'), alt: 'Calories icon' },
+        { id: 2, icon: ProteinIcon, value: '---', label: t('dashboard.stats.protein'), alt: 'Protein icon' },
+        { id: 3, icon: SugarIcon, value: '---', label: t('dashboard.stats.carbohydrates'), alt: 'Sugar icon' },
+        { id: 4, icon: FatIcon, value: '---', label: t('dashboard.stats.lipids'), alt: 'Fat icon' }
       ];
     }
 
-    const { calorieCount, proteinCount, carbohydrateCount, lipidCount } = userData.keyData;
+    // Valeurs converties dans les unités choisies (kCal/kJ, g/oz)
+    const { values, units: statUnits } = UnitConverter.keyData(userData, units);
+    const formatStat = (key) =>
+      values[key] ? formatQuantity(values[key], statUnits[key], { locale: intlLocale }) : '---';
+
     return [
       {
         id: 1,
         icon: CarbsIcon,
-        value: calorieCount ? `${calorieCount.toLocaleString()}kCal` : '---',
-        label: 'Calories',
+        value: formatStat('calorieCount'),
+        label: t('dashboard.stats.calories'),
         alt: 'Calories icon'
       },
       {
         id: 2,
         icon: ProteinIcon,
-        value: proteinCount ? `${proteinCount}g` : '---',
-        label: 'Protéines',
+        value: formatStat('proteinCount'),
+        label: t('dashboard.stats.protein'),
         alt: 'Protein icon'
       },
       {
         id: 3,
         icon: SugarIcon,
-        value: carbohydrateCount ? `${carbohydrateCount}g` : '---',
-        label: 'Glucides',
+        value: formatStat('carbohydrateCount'),
+        label: t('dashboard.stats.carbohydrates'),
         alt: 'Sugar icon'
       },
       {
         id: 4,
         icon: FatIcon,
-        value: lipidCount ? `${lipidCount}g` : '---',
-        label: 'Lipides',
+        value: formatStat('lipidCount'),
+        label: t('dashboard.stats.lipids'),
         alt: 'Fat icon'
       }
     ];
-  }, [userData]);
+  }, [userData, units, t, intlLocale]);
 
   // Optimisation: Mémorisation du prénom utilisateur
   const firstName = useMemo(() => {
-    return userData?.userInfos?.firstName || 'Utilisateur';
-  }, [userData]);
+    return userData?.userInfos?.firstName || t('dashboard.defaultName');
+  }, [userData, t]);
 
   // Gestion des états de chargement et d'erreur
   if (loading) {
@@ -131,8 +155,8 @@ const Dashboard = () => {
         <Sidebar />
         <div className='dashboard'>
           <div className='dashboard__welcome'>
-            <h2 className='dashboard__title'>Chargement...</h2>
-            <p className='dashboard__subtitle'>Mode: {DataService.USE_MOCK_DATA ? 'MOCK' : 'API'}</p>
+            <h2 className='dashboard__title'>{t('dashboard.loading')}</h2>
+            <p className='dashboard__subtitle'>{t('dashboard.mode', { mode: DataService.config.mode.toUpperCase() })}</p>
           </div>
         </div>
       </main>
@@ -140,15 +164,27 @@ const Dashboard = () => {
   }
 
   if (error) {
+    // Message adapté au type d'erreur : utilisateur inconnu, serveur injoignable ou autre
+    let errorTitle = t('dashboard.errors.title');
+    let errorMessage = t('dashboard.errors.message', { message: error.message });
+
+    if (error instanceof UserNotFoundError) {
+      errorTitle = t('dashboard.errors.notFoundTitle');
+      errorMessage = t('dashboard.errors.notFoundMessage', { userId: error.userId });
+    } else if (error instanceof NetworkError || (error instanceof HttpError && error.isServerError)) {
+      errorTitle = t('dashboard.errors.unavailableTitle');
+      errorMessage = t('dashboard.errors.unavailableMessage');
+    }
+
     return (
       <main className="main-content">
         <Header />
         <Sidebar />
         <div className='dashboard'>
           <div className='dashboard__welcome'>
-            <h2 className='dashboard__title'>Erreur de chargement</h2>
-            <p className='dashboard__subtitle'>Impossible de récupérer les données utilisateur: {error}</p>
-            <p className='dashboard__subtitle'>Mode: {DataService.USE_MOCK_DATA ? 'MOCK' : 'API'}</p>
+            <h2 className='dashboard__title'>{errorTitle}</h2>
+            <p className='dashboard__subtitle'>{errorMessage}</p>
+            <p className='dashboard__subtitle'>{t('dashboard.mode', { mode: DataService.config.mode.toUpperCase() })}</p>
           </div>
         </div>
       </main>
@@ -161,8 +197,10 @@ const Dashboard = () => {
       <Sidebar />
       <div className='dashboard'>
         <div className='dashboard__welcome'>
-          <h2 className='dashboard__title'>Bonjour<span className='dashboard__title--highlight'>&nbsp;{firstName}</span></h2>
-          <p className='dashboard__subtitle'>Félicitation ! Vous avez explosé vos objectifs hier 👏</p>
+          <h2 className='dashboard__title'>{t('dashboard.greeting')}<span className='dashboard__title--highlight'>&nbsp;{firstName}</span></h2>
+          {insights?.[0] && <p className='dashboard__subtitle'>{insights[0].message}</p>}
+          <InsightsPanel insights={insights} />
+          <OfflineBanner />
         </div>
          <div className='dashboard__data'>
         <div className='dashboard__charts'>
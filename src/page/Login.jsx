@@ -0,0 +1,136 @@
+/**
+ * Page de connexion de l'application SportSee
+ *
+ * Formulaire e-mail / mot de passe. Après connexion, l'utilisateur est
+ * renvoyé vers la page demandée avant la redirection, sinon vers son
+ * tableau de bord. Une session sans tableau de bord (pas d'ID d'utilisateur
+ * valide) reste sur la page, avec un message, pour se connecter avec un
+ * autre compte.
+ *
+ * @component
+ * @returns {JSX.Element} Page de connexion
+ *
+ * @example
+ * <Route path="/login" element={<Login />} />
+ *
+ * @requires react
+ * @requires react-router-dom - Pour la navigation après connexion
+ * @requires ../components/Header.jsx - En-tête de l'application
+ * @requires ../services/hooks/useAuth.js - Session d'authentification
+ * @requires ../services/hooks/usePreferences.js - Hook useI18n (textes traduits)
+ * @requires ../services/auth/AuthService.js - Tableau de bord d'accueil de la session
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import Header from '../components/Header.jsx';
+import './login.css';
+import { useAuth } from '../services/hooks/useAuth.js';
+import { useI18n } from '../services/hooks/usePreferences.js';
+import { DataService } from '../services/api/DataService.js';
+import { AuthService } from '../services/auth/AuthService.js';
+import { AuthenticationError } from '../services/api/DataErrors.js';
+
+/**
+ * Page d'accueil d'une session : page demandée ou tableau de bord de l'utilisateur
+ *
+ * @private
+ * @param {AuthSession} session - Session ouverte
+ * @param {string} [from] - Page demandée avant la redirection vers la connexion
+ * @returns {string|null} Chemin de destination, null si la session n'ouvre aucun tableau de bord
+ */
+const getHomePath = (session, from) => {
+  const homeUserId = AuthService.getHomeUserId(session);
+  if (homeUserId === null) return null;
+  return from ?? `/user/${homeUserId}`;
+};
+
+const Login = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { session, enabled, login } = useAuth();
+  const { t } = useI18n();
+  const from = location.state?.from;
+
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const homePath = session ? getHomePath(session, from) : null;
+
+  // Authentification désactivée ou déjà connecté : rien à faire ici
+  if (!enabled) {
+    return <Navigate to={`/user/${DataService.DEFAULT_USER_ID}`} replace />;
+  }
+  if (session && homePath && !submitting) {
+    return <Navigate to={homePath} replace />;
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const newSession = await login({ email, password });
+      const newHomePath = getHomePath(newSession, from);
+
+      if (newHomePath) {
+        navigate(newHomePath, { replace: true });
+        return;
+      }
+      setError(t('login.noDashboard'));
+      setSubmitting(false);
+    } catch (err) {
+      setError(
+        err instanceof AuthenticationError
+          ? t('login.invalidCredentials')
+          : t('login.failed', { message: err.message })
+      );
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <main className="main-content">
+      <Header />
+      <div className='login'>
+        <form className='login__form' onSubmit={handleSubmit}>
+          <h2 className='login__title'>{t('login.title')}</h2>
+          <label className='login__label'>
+            {t('login.email')}
+            <input
+              className='login__input'
+              type='email'
+              autoComplete='username'
+              value={email}
+              onChange={(event) => setEmail(event.target.value)}
+              required
+            />
+          </label>
+          <label className='login__label'>
+            {t('login.password')}
+            <input
+              className='login__input'
+              type='password'
+              autoComplete='current-password'
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              required
+            />
+          </label>
+          {(error || (session && !homePath)) && (
+            <p className='login__error' role='alert'>{error ?? t('login.noDashboard')}</p>
+          )}
+          <button className='login__submit' type='submit' disabled={submitting}>
+            {submitting ? t('login.submitting') : t('login.submit')}
+          </button>
+        </form>
+      </div>
+    </main>
+  );
+};
+
+export default Login;
@@ -0,0 +1,113 @@
+/**
+ * Interface des adaptateurs de source de données SportSee
+ *
+ * Un adaptateur sait récupérer les données brutes d'un endpoint SportSee
+ * (contenu de l'enveloppe `{ data: ... }` de l'API) depuis une source
+ * donnée : API REST, données mockées, fichier de démonstration, IndexedDB...
+ * La normalisation et le cache restent de la responsabilité du DataService.
+ *
+ * Un adaptateur peut aussi enregistrer des données (`write`, facultatif) :
+ * sans cette méthode, le DataService conserve les modifications localement
+ * (ex: objectifs de l'utilisateur).
+ *
+ * @module services/adapters/DataAdapter
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { DataAdapter } from './DataAdapter.js';
+ *
+ * class MemoryAdapter extends DataAdapter {
+ *   constructor(records) {
+ *     super('memory');
+ *     this.records = records;
+ *   }
+ *
+ *   async fetch(endpoint) {
+ *     return this.records[endpoint];
+ *   }
+ * }
+ *
+ * DataService.registerAdapter('memory', new MemoryAdapter({ '/user/1': { id: 1 } }));
+ */
+
+/**
+ * Contexte transmis à chaque appel d'adaptateur
+ * @typedef {Object} AdapterContext
+ * @property {AbortSignal} [signal] - Signal d'annulation de la requête
+ * @property {DataConfig} config - Configuration active du DataService
+ * @property {Object<string, string>} [headers] - En-têtes ajoutés par les intercepteurs (sources HTTP)
+ * @property {Array<{ from: string, to: string, error: Error }>} [fallbacks] - Replis effectués
+ *   par un adaptateur composite pendant l'appel (complétés par l'adaptateur)
+ */
+
+/**
+ * Classe de base des adaptateurs
+ *
+ * @class DataAdapter
+ * @abstract
+ */
+export class DataAdapter {
+  /**
+   * @param {string} name - Nom lisible de l'adaptateur (journalisation, débogage)
+   */
+  constructor(name) {
+    /**
+     * Nom de l'adaptateur
+     * @type {string}
+     */
+    this.name = name;
+  }
+
+  /**
+   * Récupère les données brutes d'un endpoint
+   *
+   * @abstract
+   * @async
+   * @param {string} endpoint - Endpoint SportSee (ex: "/user/18/activity")
+   * @param {AdapterContext} context - Contexte de l'appel
+   * @returns {Promise<Object>} Les données brutes (sans enveloppe `data`)
+   * @throws {DataServiceError} Erreur typée en cas d'échec
+   */
+  async fetch() {
+    throw new Error(`${this.constructor.name}.fetch() n'est pas implémentée`);
+  }
+}
+
+/**
+ * Enregistre des données sur un endpoint (méthode facultative)
+ *
+ * @function DataAdapter#write
+ * @abstract
+ * @async
+ * @param {string} endpoint - Endpoint SportSee (ex: "/user/18/goals")
+ * @param {Object} data - Données à enregistrer
+ * @param {AdapterContext} context - Contexte de l'appel
+ * @returns {Promise<Object>} Les données brutes enregistrées (sans enveloppe `data`)
+ * @throws {DataServiceError} Erreur typée en cas d'échec
+ */
+
+/**
+ * Vérifie qu'un objet respecte l'interface d'adaptateur
+ *
+ * @function isDataAdapter
+ * @param {*} candidate - Objet à vérifier
+ * @returns {boolean} true si l'objet expose une méthode fetch
+ */
+export const isDataAdapter = (candidate) =>
+  Boolean(candidate) && typeof candidate.fetch === "function";
+
+/**
+ * Vérifie qu'un adaptateur sait enregistrer des données
+ *
+ * @function isWritableAdapter
+ * @param {*} candidate - Adaptateur à vérifier
+ * @returns {boolean} true si l'adaptateur expose une méthode write
+ */
+export const isWritableAdapter = (candidate) =>
+  isDataAdapter(candidate) && typeof candidate.write === "function";
+
+/**
+ * Export par défaut
+ */
+export default DataAdapter;
@@ -0,0 +1,143 @@
+/**
+ * Adaptateur composite avec repli par endpoint
+ *
+ * Interroge une liste d'adaptateurs dans l'ordre et passe au suivant
+ * lorsque le précédent échoue, uniquement pour les endpoints concernés.
+ * Exemple typique : API réelle avec repli sur les données mockées.
+ * Chaque repli est ajouté à `context.fallbacks` (voir AdapterContext).
+ *
+ * L'adaptateur composite ne sait enregistrer des données (`write`) que si
+ * l'un des adaptateurs interrogés le sait.
+ *
+ * @module services/adapters/FallbackAdapter
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * // API avec repli sur les mocks pour tous les endpoints
+ * const adapter = new FallbackAdapter([new RestAdapter(), new MockAdapter()]);
+ *
+ * @example
+ * // Repli uniquement pour la performance (endpoint absent du backend de recette)
+ * const adapter = new FallbackAdapter([new RestAdapter(), new MockAdapter()], {
+ *   endpoints: /\/performance$/
+ * });
+ */
+import { DataAdapter, isWritableAdapter } from "./DataAdapter.js";
+import { AbortedError } from "../api/DataErrors.js";
+
+/**
+ * Politique de repli par défaut : tout échec sauf une annulation
+ *
+ * @private
+ * @param {Error} error - Erreur de l'adaptateur précédent
+ * @returns {boolean} true si le repli est autorisé
+ */
+const defaultShouldFallback = (error) => !(error instanceof AbortedError);
+
+export class FallbackAdapter extends DataAdapter {
+  /**
+   * @param {DataAdapter[]} adapters - Adaptateurs interrogés dans l'ordre
+   * @param {Object} [options] - Options de repli
+   * @param {RegExp|string[]|Function} [options.endpoints] - Endpoints autorisés au repli (tous par défaut) ;
+   *   une expression régulière `g` ou `y` est réinitialisée avant chaque test
+   * @param {Function} [options.shouldFallback] - `(error, endpoint) => boolean`, décide si l'erreur autorise le repli
+   * @param {string} [options.name] - Nom de l'adaptateur composite
+   */
+  constructor(
+    adapters,
+    { endpoints, shouldFallback = defaultShouldFallback, name } = {}
+  ) {
+    super(name ?? adapters.map((adapter) => adapter.name).join("-"));
+
+    /**
+     * Adaptateurs interrogés dans l'ordre
+     * @type {DataAdapter[]}
+     */
+    this.adapters = adapters;
+
+    /**
+     * Filtre des endpoints autorisés au repli
+     * @type {RegExp|string[]|Function|undefined}
+     */
+    this.endpoints = endpoints;
+
+    /**
+     * Politique de repli selon l'erreur
+     * @type {Function}
+     */
+    this.shouldFallback = shouldFallback;
+
+    const writer = adapters.find(isWritableAdapter);
+    if (writer) {
+      /**
+       * Enregistre les données avec le premier adaptateur qui sait écrire
+       *
+       * Pas de repli : des données enregistrées dans une autre source ne
+       * seraient pas relues par le premier adaptateur.
+       *
+       * @async
+       * @param {string} endpoint - L'endpoint concerné
+       * @param {Object} data - Données à enregistrer
+       * @param {AdapterContext} context - Contexte de l'appel
+       * @returns {Promise<Object>} Les données brutes enregistrées
+       * @throws {DataServiceError} Erreur de l'adaptateur
+       */
+      this.write = (endpoint, data, context = {}) => writer.write(endpoint, data, context);
+    }
+  }
+
+  /**
+   * Indique si un endpoint est concerné par le repli
+   *
+   * @param {string} endpoint - L'endpoint demandé
+   * @returns {boolean} true si le repli est autorisé pour cet endpoint
+   */
+  allowsFallback(endpoint) {
+    const { endpoints } = this;
+
+    if (!endpoints) return true;
+    if (endpoints instanceof RegExp) {
+      // Une expression globale ou collante reprendrait au dernier index trouvé
+      endpoints.lastIndex = 0;
+      return endpoints.test(endpoint);
+    }
+    if (Array.isArray(endpoints)) return endpoints.includes(endpoint);
+    return Boolean(endpoints(endpoint));
+  }
+
+  /**
+   * Récupère les données depuis le premier adaptateur qui réussit
+   *
+   * @async
+   * @param {string} endpoint - L'endpoint demandé
+   * @param {AdapterContext} context - Contexte de l'appel
+   * @returns {Promise<Object>} Les données brutes
+   * @throws {DataServiceError} Erreur du dernier adaptateur tenté
+   */
+  async fetch(endpoint, context = {}) {
+    let lastError;
+
+    for (const [index, adapter] of this.adapters.entries()) {
+      try {
+        return await adapter.fetch(endpoint, context);
+      } catch (error) {
+        lastError = error;
+
+        const isLast = index === this.adapters.length - 1;
+        if (isLast || !this.allowsFallback(endpoint) || !this.shouldFallback(error, endpoint)) {
+          throw error;
+        }
+
+        context.fallbacks?.push({ from: adapter.name, to: this.adapters[index + 1].name, error });
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+/**
+ * Export par défaut
+ */
+export default FallbackAdapter;
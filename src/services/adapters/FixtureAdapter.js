@@ -0,0 +1,128 @@
+/**
+ * Adaptateur de fichiers de démonstration (fixtures JSON)
+ *
+ * Charge une seule fois un fichier JSON associant chaque endpoint à la
+ * réponse de l'API correspondante (avec son enveloppe `{ data: ... }`).
+ * Permet de préparer des démos sans backend ni modification du code.
+ *
+ * @module services/adapters/FixtureAdapter
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * // public/fixtures/demo.json
+ * // {
+ * //   "/user/42": { "data": { "id": 42, "userInfos": { ... }, ... } },
+ * //   "/user/42/activity": { "data": { "userId": 42, "sessions": [ ... ] } }
+ * // }
+ * const fixtures = new FixtureAdapter({ url: '/fixtures/demo.json' });
+ * const raw = await fixtures.fetch('/user/42');
+ *
+ * @example
+ * // Fixtures fournies directement (tests, Storybook...)
+ * const inline = new FixtureAdapter({ fixtures: { '/user/1': { data: { id: 1 } } } });
+ */
+import { DataAdapter } from "./DataAdapter.js";
+import {
+  AbortedError,
+  HttpError,
+  ValidationError,
+  createNotFoundError,
+  toDataServiceError,
+} from "../api/DataErrors.js";
+
+/**
+ * URL par défaut du fichier de démonstration (servi depuis public/)
+ * @type {string}
+ * @readonly
+ */
+export const DEFAULT_FIXTURE_URL = `${import.meta.env?.BASE_URL ?? "/"}fixtures/demo.json`;
+
+export class FixtureAdapter extends DataAdapter {
+  /**
+   * @param {Object} [options] - Options de l'adaptateur
+   * @param {string} [options.url=DEFAULT_FIXTURE_URL] - URL du fichier JSON de fixtures
+   * @param {Object<string, Object>} [options.fixtures] - Fixtures déjà chargées (prioritaires sur l'URL)
+   */
+  constructor({ url = DEFAULT_FIXTURE_URL, fixtures } = {}) {
+    super("fixture");
+
+    /**
+     * URL du fichier de fixtures
+     * @type {string}
+     */
+    this.url = url;
+
+    /**
+     * Chargement du fichier, partagé entre tous les appels
+     * @type {Promise<Object<string, Object>>|null}
+     * @private
+     */
+    this._loading = fixtures ? Promise.resolve(fixtures) : null;
+  }
+
+  /**
+   * Charge (une seule fois) le fichier de fixtures
+   *
+   * @async
+   * @returns {Promise<Object<string, Object>>} Endpoint → réponse de l'API
+   * @throws {DataServiceError} Si le fichier est introuvable ou illisible
+   */
+  load() {
+    if (!this._loading) {
+      this._loading = fetch(this.url)
+        .then((response) => {
+          if (!response.ok) {
+            throw new HttpError(
+              `Fixtures introuvables: ${this.url} (${response.status})`,
+              { status: response.status, statusText: response.statusText }
+            );
+          }
+          return response.json();
+        })
+        .catch((error) => {
+          // Un échec n'est pas mémorisé : le prochain appel retentera le chargement
+          this._loading = null;
+          if (error instanceof SyntaxError) {
+            throw new ValidationError(`Fixtures illisibles: ${this.url}`, {
+              cause: error,
+            });
+          }
+          throw toDataServiceError(error);
+        });
+    }
+
+    return this._loading;
+  }
+
+  /**
+   * Récupère les données brutes d'un endpoint depuis les fixtures
+   *
+   * @async
+   * @param {string} endpoint - L'endpoint demandé
+   * @param {AdapterContext} [context] - Contexte de l'appel
+   * @returns {Promise<Object>} Les données contenues dans l'enveloppe `data`
+   * @throws {HttpError} 404 si l'endpoint est absent des fixtures
+   *   (UserNotFoundError pour `/user/:id`)
+   */
+  async fetch(endpoint, { signal } = {}) {
+    const fixtures = await this.load();
+
+    if (signal?.aborted) {
+      throw new AbortedError(undefined, { endpoint });
+    }
+
+    const response = fixtures[endpoint];
+
+    if (!response) {
+      throw createNotFoundError(endpoint);
+    }
+
+    return response.data;
+  }
+}
+
+/**
+ * Export par défaut
+ */
+export default FixtureAdapter;
@@ -0,0 +1,109 @@
+/**
+ * Adaptateur IndexedDB du DataService
+ *
+ * Sert les réponses précédemment enregistrées dans IndexedDB, sans appel
+ * réseau. Chaque enregistrement contient l'endpoint, les données brutes et
+ * la date de sauvegarde.
+ *
+ * @module services/adapters/IndexedDbAdapter
+ * @requires ../storage/idbStore.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const local = new IndexedDbAdapter();
+ * await local.save('/user/18', rawUserData);
+ * const raw = await local.fetch('/user/18');
+ */
+import { DataAdapter } from "./DataAdapter.js";
+import { createIdbStore } from "../storage/idbStore.js";
+import {
+  AbortedError,
+  DataServiceError,
+  createNotFoundError,
+} from "../api/DataErrors.js";
+
+/**
+ * Enregistrement stocké dans IndexedDB
+ * @typedef {Object} StoredResponse
+ * @property {string} endpoint - Endpoint SportSee (clé)
+ * @property {Object} data - Données de l'endpoint
+ * @property {number} savedAt - Timestamp (ms) de sauvegarde
+ */
+
+export class IndexedDbAdapter extends DataAdapter {
+  /**
+   * @param {Object} [options] - Options de l'adaptateur
+   * @param {string} [options.dbName="sportsee"] - Nom de la base IndexedDB
+   * @param {string} [options.storeName="responses"] - Nom de l'object store
+   */
+  constructor({ dbName = "sportsee", storeName = "responses" } = {}) {
+    super("indexeddb");
+
+    /**
+     * Magasin IndexedDB sous-jacent
+     * @type {IdbStore}
+     */
+    this.store = createIdbStore({ dbName, storeName });
+  }
+
+  /**
+   * Lit l'enregistrement complet d'un endpoint
+   *
+   * @async
+   * @param {string} endpoint - L'endpoint recherché
+   * @returns {Promise<StoredResponse|undefined>} L'enregistrement, s'il existe
+   * @throws {DataServiceError} Si IndexedDB est inaccessible
+   */
+  async read(endpoint) {
+    try {
+      return await this.store.get(endpoint);
+    } catch (error) {
+      throw new DataServiceError("Stockage local inaccessible", {
+        endpoint,
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Enregistre les données d'un endpoint
+   *
+   * @async
+   * @param {string} endpoint - L'endpoint concerné
+   * @param {Object} data - Données à conserver
+   * @returns {Promise<void>}
+   */
+  async save(endpoint, data) {
+    await this.store.put({ endpoint, data, savedAt: Date.now() });
+  }
+
+  /**
+   * Récupère les données enregistrées d'un endpoint
+   *
+   * @async
+   * @param {string} endpoint - L'endpoint demandé
+   * @param {AdapterContext} [context] - Contexte de l'appel
+   * @returns {Promise<Object>} Les données enregistrées
+   * @throws {HttpError} 404 si aucune donnée n'est enregistrée pour cet endpoint
+   *   (UserNotFoundError pour `/user/:id`)
+   */
+  async fetch(endpoint, { signal } = {}) {
+    const record = await this.read(endpoint);
+
+    if (signal?.aborted) {
+      throw new AbortedError(undefined, { endpoint });
+    }
+
+    if (!record) {
+      throw createNotFoundError(endpoint);
+    }
+
+    return record.data;
+  }
+}
+
+/**
+ * Export par défaut
+ */
+export default IndexedDbAdapter;
@@ -0,0 +1,119 @@
+/**
+ * Adaptateur des données mockées SportSee
+ *
+ * Sert les données simulées de mockData.js, sans appel réseau. Les IDs
+ * absents de mockData.js reçoivent un utilisateur synthétique déterministe
+ * (voir syntheticData.js), sauf si `config.mock.synthetic` vaut false.
+ * Les pannes de `config.mock.faults` (latence, échecs, données altérées)
+ * sont appliquées à chaque réponse (voir faultInjection.js).
+ *
+ * @module services/adapters/MockAdapter
+ * @requires ../data/mockData.js
+ * @requires ../data/syntheticData.js
+ * @requires ../data/faultInjection.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const mock = new MockAdapter();
+ * const raw = await mock.fetch('/user/12/activity');
+ *
+ * @example
+ * // Jeu de données personnalisé
+ * const custom = new MockAdapter({ dataMap: { '/user/1': () => ({ id: 1 }) } });
+ */
+import { DataAdapter } from "./DataAdapter.js";
+import { mockData } from "../data/mockData.js";
+import { generateEndpointData } from "../data/syntheticData.js";
+import { applyFaults } from "../data/faultInjection.js";
+import {
+  AbortedError,
+  createNotFoundError,
+} from "../api/DataErrors.js";
+
+export class MockAdapter extends DataAdapter {
+  /**
+   * @param {Object} [options] - Options de l'adaptateur
+   * @param {Object<string, Function>} [options.dataMap=mockData] - Endpoint → fonction retournant les données
+   * @param {Function|null} [options.generator=generateEndpointData] - Générateur `(endpoint, options) => données|null`
+   *   des endpoints absents de `dataMap`, null pour le désactiver
+   * @param {Function} [options.random=Math.random] - Générateur aléatoire de l'injection de pannes
+   */
+  constructor({ dataMap = mockData, generator = generateEndpointData, random = Math.random } = {}) {
+    super("mock");
+
+    /**
+     * Carte des données mockées organisées par endpoint
+     * @type {Object<string, Function>}
+     */
+    this.dataMap = dataMap;
+
+    /**
+     * Générateur des données absentes de la carte
+     * @type {Function|null}
+     */
+    this.generator = generator;
+
+    /**
+     * Générateur aléatoire (0 ≤ x < 1) utilisé par l'injection de pannes
+     * @type {Function}
+     */
+    this.random = random;
+  }
+
+  /**
+   * Récupère les données mockées d'un endpoint
+   *
+   * @async
+   * @param {string} endpoint - L'endpoint demandé
+   * @param {AdapterContext} [context] - Contexte de l'appel
+   * @returns {Promise<Object>} Les données mockées correspondantes
+   * @throws {HttpError} 404 si aucune donnée mockée ni synthétique n'existe pour cet endpoint
+   *   (UserNotFoundError pour `/user/:id`)
+   * @throws {HttpError|NetworkError} Panne simulée par `config.mock.faults`
+   */
+  async fetch(endpoint, { signal, config } = {}) {
+    if (signal?.aborted) {
+      throw new AbortedError(undefined, { endpoint });
+    }
+
+    return applyFaults(endpoint, () => this.read(endpoint, config), config?.mock?.faults, {
+      signal,
+      random: this.random,
+    });
+  }
+
+  /**
+   * Lit les données mockées ou synthétiques d'un endpoint, sans panne
+   *
+   * @param {string} endpoint - L'endpoint demandé
+   * @param {DataConfig} [config] - Configuration active
+   * @returns {Object} Les données brutes
+   * @throws {HttpError} 404 si aucune donnée mockée ni synthétique n'existe pour cet endpoint
+   *   (UserNotFoundError pour `/user/:id`)
+   */
+  read(endpoint, config) {
+    const mockFunction = this.dataMap[endpoint];
+
+    if (mockFunction) {
+      return mockFunction();
+    }
+
+    const mockConfig = config?.mock ?? {};
+    const generated =
+      this.generator && mockConfig.synthetic !== false
+        ? this.generator(endpoint, mockConfig)
+        : null;
+
+    if (!generated) {
+      throw createNotFoundError(endpoint);
+    }
+
+    return generated;
+  }
+}
+
+/**
+ * Export par défaut
+ */
+export default MockAdapter;
@@ -0,0 +1,150 @@
+/**
+ * Adaptateur de l'API REST SportSee
+ *
+ * Appelle le backend SportSee avec délai d'attente et nouvelles tentatives,
+ * puis extrait les données de l'enveloppe `{ data: ... }`. Les écritures
+ * (`write`) sont des requêtes PUT au corps JSON, avec la même enveloppe en réponse.
+ *
+ * Une réponse servie par le service worker depuis son cache (serveur
+ * injoignable) est signalée par une StaleResponseError portant ses données.
+ *
+ * @module services/adapters/RestAdapter
+ * @requires ../api/fetchWithRetry.js
+ * @requires ../pwa/serviceWorker.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const api = new RestAdapter();
+ * const raw = await api.fetch('/user/18', { config: DataService.config });
+ */
+import { DataAdapter } from "./DataAdapter.js";
+import { fetchWithRetry } from "../api/fetchWithRetry.js";
+import { SW_CACHED_AT_HEADER } from "../pwa/serviceWorker.js";
+import {
+  AbortedError,
+  AuthenticationError,
+  HttpError,
+  StaleResponseError,
+  ValidationError,
+  createNotFoundError,
+  toDataServiceError,
+} from "../api/DataErrors.js";
+
+export class RestAdapter extends DataAdapter {
+  /**
+   * @param {Object} [options] - Options de l'adaptateur
+   * @param {string} [options.baseUrl] - URL de base, sinon `config.apiBaseUrl`
+   */
+  constructor({ baseUrl } = {}) {
+    super("api");
+
+    /**
+     * URL de base imposée (prioritaire sur la configuration)
+     * @type {string|undefined}
+     */
+    this.baseUrl = baseUrl;
+  }
+
+  /**
+   * Récupère les données brutes d'un endpoint depuis l'API
+   *
+   * Chaque tentative est bornée par `config.timeout` et les échecs
+   * transitoires sont rejoués selon `config.retry`.
+   *
+   * @async
+   * @param {string} endpoint - L'endpoint de l'API à appeler
+   * @param {AdapterContext} context - Contexte de l'appel
+   * @returns {Promise<Object>} Les données contenues dans l'enveloppe `data`
+   * @throws {DataServiceError} Erreur typée, avec `attempts` (nombre de tentatives)
+   * @throws {StaleResponseError} Si la réponse provient du cache du service worker
+   */
+  async fetch(endpoint, context = {}) {
+    return this._request(endpoint, context, context.headers ? { headers: context.headers } : {});
+  }
+
+  /**
+   * Enregistre des données sur un endpoint de l'API (requête PUT, corps JSON)
+   *
+   * @async
+   * @param {string} endpoint - L'endpoint de l'API à appeler (ex: "/user/18/goals")
+   * @param {Object} data - Données à enregistrer
+   * @param {AdapterContext} context - Contexte de l'appel
+   * @returns {Promise<Object>} Les données enregistrées, contenues dans l'enveloppe `data`
+   * @throws {DataServiceError} Erreur typée (HttpError 404 si l'endpoint n'existe pas)
+   */
+  async write(endpoint, data, context = {}) {
+    return this._request(endpoint, context, {
+      method: "PUT",
+      headers: { ...context.headers, "Content-Type": "application/json" },
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Envoie une requête à l'API et extrait les données de la réponse
+   *
+   * @async
+   * @private
+   * @param {string} endpoint - L'endpoint de l'API à appeler
+   * @param {AdapterContext} context - Contexte de l'appel
+   * @param {RequestInit} init - Options fetch (méthode, en-têtes, corps)
+   * @returns {Promise<Object>} Les données contenues dans l'enveloppe `data`
+   */
+  async _request(endpoint, { signal, config } = {}, init) {
+    const baseUrl = this.baseUrl ?? config?.apiBaseUrl ?? "";
+    let response;
+
+    try {
+      response = await fetchWithRetry(`${baseUrl}${endpoint}`, {
+        timeout: config?.timeout,
+        retry: config?.retry,
+        init,
+        signal,
+      });
+    } catch (error) {
+      // L'API SportSee répond 404 pour un utilisateur inconnu comme pour un endpoint absent
+      if (error instanceof HttpError && error.status === 404) {
+        throw createNotFoundError(endpoint, { attempts: error.attempts, cause: error });
+      }
+      // Jeton absent, expiré ou révoqué
+      if (error instanceof HttpError && error.status === 401) {
+        throw new AuthenticationError(undefined, {
+          endpoint,
+          attempts: error.attempts,
+          cause: error,
+        });
+      }
+      throw toDataServiceError(error, { endpoint });
+    }
+
+    let result;
+    try {
+      result = await response.json();
+    } catch (error) {
+      if (signal?.aborted) {
+        throw new AbortedError(undefined, { endpoint, cause: error });
+      }
+      throw new ValidationError("Réponse API illisible (JSON invalide)", {
+        endpoint,
+        cause: error,
+      });
+    }
+
+    const cachedAt = Number(response.headers?.get?.(SW_CACHED_AT_HEADER));
+    if (cachedAt) {
+      throw new StaleResponseError(undefined, {
+        endpoint,
+        data: result?.data,
+        savedAt: cachedAt,
+      });
+    }
+
+    return result?.data; // Structure API SportSee
+  }
+}
+
+/**
+ * Export par défaut
+ */
+export default RestAdapter;
@@ -0,0 +1,34 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { RestAdapter } from "./RestAdapter.js";
+import { HttpError, UserNotFoundError } from "../api/DataErrors.js";
+
+describe("RestAdapter", () => {
+  const api = new RestAdapter({ baseUrl: "http://localhost:3000" });
+
+  beforeEach(() => {
+    // Réponse du backend SportSee à toute requête inconnue
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => new Response("can not get user", { status: 404, statusText: "Not Found" }))
+    );
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("signale un utilisateur introuvable sur un 404 de la racine de l'utilisateur", async () => {
+    const error = await api.fetch("/user/99").catch((failure) => failure);
+
+    expect(error).toBeInstanceOf(UserNotFoundError);
+    expect(error.userId).toBe("99");
+  });
+
+  it("renvoie une HttpError 404 pour une sous-ressource absente", async () => {
+    const error = await api.fetch("/user/18/goals").catch((failure) => failure);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).not.toBeInstanceOf(UserNotFoundError);
+    expect(error).toMatchObject({ status: 404, endpoint: "/user/18/goals", attempts: 1 });
+  });
+});
@@ -0,0 +1,17 @@
+/**
+ * Module des adaptateurs de source de données SportSee
+ *
+ * Chaque adaptateur implémente `fetch(endpoint, { signal, config })` et
+ * peut être enregistré auprès du DataService via `registerAdapter()`.
+ *
+ * @module services/adapters
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+
+export { DataAdapter, isDataAdapter, isWritableAdapter } from "./DataAdapter.js";
+export { RestAdapter } from "./RestAdapter.js";
+export { MockAdapter } from "./MockAdapter.js";
+export { FixtureAdapter, DEFAULT_FIXTURE_URL } from "./FixtureAdapter.js";
+export { IndexedDbAdapter } from "./IndexedDbAdapter.js";
+export { FallbackAdapter } from "./FallbackAdapter.js";
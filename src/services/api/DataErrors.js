@@ -0,0 +1,314 @@
+/**
+ * Hiérarchie d'erreurs de la couche de données SportSee
+ *
+ * Chaque échec de récupération est représenté par une classe dédiée afin
+ * que les hooks et composants puissent distinguer, par exemple, un
+ * utilisateur inexistant (404) d'une panne du serveur.
+ *
+ * @module services/api/DataErrors
+ * @requires ../utils/endpoints.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { UserNotFoundError, HttpError } from './DataErrors.js';
+ *
+ * if (error instanceof UserNotFoundError) {
+ *   return <p>Utilisateur introuvable</p>;
+ * }
+ * if (error instanceof HttpError && error.status >= 500) {
+ *   return <p>Le serveur SportSee est indisponible</p>;
+ * }
+ *
+ * @description
+ * Hiérarchie :
+ * - DataServiceError : erreur de base (code, endpoint, tentatives, cause)
+ *   - NetworkError : serveur injoignable
+ *     - TimeoutError : délai d'attente dépassé
+ *     - StaleResponseError : copie hors ligne servie par le service worker
+ *   - HttpError : réponse HTTP en échec (status)
+ *     - UserNotFoundError : utilisateur inexistant (404 sur `/user/:id`)
+ *     - AuthenticationError : session absente, expirée ou identifiants invalides (401)
+ *   - ValidationError : données absentes ou invalides
+ *   - AbortedError : requête annulée par l'appelant
+ */
+import { getEndpointType, getUserIdFromEndpoint } from "../utils/endpoints.js";
+
+/**
+ * Erreur de base de la couche de données
+ *
+ * @class DataServiceError
+ * @extends Error
+ */
+export class DataServiceError extends Error {
+  /**
+   * Code identifiant le type d'erreur
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static CODE = "DATA_ERROR";
+
+  /**
+   * @param {string} message - Message lisible (en français)
+   * @param {Object} [options] - Contexte de l'erreur
+   * @param {string} [options.endpoint] - Endpoint concerné
+   * @param {number} [options.attempts] - Nombre de tentatives effectuées
+   * @param {*} [options.cause] - Erreur d'origine
+   */
+  constructor(message, { endpoint, attempts, cause } = {}) {
+    super(message, cause !== undefined ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = new.target.CODE;
+    this.endpoint = endpoint;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Serveur injoignable (erreur réseau, CORS, DNS...)
+ *
+ * @class NetworkError
+ * @extends DataServiceError
+ */
+export class NetworkError extends DataServiceError {
+  static CODE = "NETWORK_ERROR";
+}
+
+/**
+ * Délai d'attente dépassé pour une tentative
+ *
+ * @class TimeoutError
+ * @extends NetworkError
+ */
+export class TimeoutError extends NetworkError {
+  static CODE = "TIMEOUT";
+
+  /**
+   * @param {string} message - Message lisible
+   * @param {Object} [options] - Contexte de l'erreur
+   * @param {number} [options.timeout] - Délai dépassé (ms)
+   */
+  constructor(message, { timeout, ...options } = {}) {
+    super(message, options);
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Serveur injoignable, mais une réponse précédente a été servie par le
+ * service worker (hors connexion)
+ *
+ * @class StaleResponseError
+ * @extends NetworkError
+ */
+export class StaleResponseError extends NetworkError {
+  static CODE = "STALE_RESPONSE";
+
+  /**
+   * @param {string} [message] - Message lisible
+   * @param {Object} [options] - Contexte de l'erreur
+   * @param {*} [options.data] - Données brutes de la copie
+   * @param {number} [options.savedAt] - Timestamp (ms) de la copie
+   */
+  constructor(message = "Serveur injoignable, copie du service worker reçue", { data, savedAt, ...options } = {}) {
+    super(message, options);
+    this.data = data;
+    this.savedAt = savedAt;
+  }
+}
+
+/**
+ * Réponse HTTP en échec
+ *
+ * @class HttpError
+ * @extends DataServiceError
+ */
+export class HttpError extends DataServiceError {
+  static CODE = "HTTP_ERROR";
+
+  /**
+   * @param {string} message - Message lisible
+   * @param {Object} [options] - Contexte de l'erreur
+   * @param {number} options.status - Statut HTTP
+   * @param {string} [options.statusText] - Libellé du statut HTTP
+   */
+  constructor(message, { status, statusText = "", ...options } = {}) {
+    super(message, options);
+    this.status = status;
+    this.statusText = statusText;
+  }
+
+  /**
+   * Indique une erreur côté serveur (5xx)
+   * @type {boolean}
+   */
+  get isServerError() {
+    return this.status >= 500;
+  }
+}
+
+/**
+ * Utilisateur inexistant côté API ou données mockées
+ *
+ * @class UserNotFoundError
+ * @extends HttpError
+ */
+export class UserNotFoundError extends HttpError {
+  static CODE = "USER_NOT_FOUND";
+
+  /**
+   * @param {number|string} userId - ID de l'utilisateur recherché
+   * @param {Object} [options] - Contexte de l'erreur
+   */
+  constructor(userId, options = {}) {
+    super(`Utilisateur ${userId} introuvable`, {
+      status: 404,
+      statusText: "Not Found",
+      ...options,
+    });
+    this.userId = userId;
+  }
+}
+
+/**
+ * Session absente ou expirée, ou identifiants refusés
+ *
+ * @class AuthenticationError
+ * @extends HttpError
+ */
+export class AuthenticationError extends HttpError {
+  static CODE = "UNAUTHORIZED";
+
+  /**
+   * @param {string} [message] - Message lisible
+   * @param {Object} [options] - Contexte de l'erreur
+   */
+  constructor(message = "Authentification requise", options = {}) {
+    super(message, { status: 401, statusText: "Unauthorized", ...options });
+  }
+}
+
+/**
+ * Données absentes ou impossibles à normaliser
+ *
+ * @class ValidationError
+ * @extends DataServiceError
+ */
+export class ValidationError extends DataServiceError {
+  static CODE = "VALIDATION_ERROR";
+
+  /**
+   * @param {string} message - Message lisible
+   * @param {Object} [options] - Contexte de l'erreur
+   * @param {ValidationReport} [options.report] - Rapport détaillé de la validation du schéma
+   */
+  constructor(message, { report, ...options } = {}) {
+    super(message, options);
+    this.report = report ?? null;
+  }
+}
+
+/**
+ * Requête annulée par l'appelant (changement d'utilisateur, démontage...)
+ *
+ * @class AbortedError
+ * @extends DataServiceError
+ */
+export class AbortedError extends DataServiceError {
+  static CODE = "ABORTED";
+
+  /**
+   * @param {string} [message] - Message lisible
+   * @param {Object} [options] - Contexte de l'erreur
+   */
+  constructor(message = "Requête annulée", options = {}) {
+    super(message, options);
+  }
+}
+
+/**
+ * Construit l'erreur d'un endpoint introuvable (404)
+ *
+ * Seul un 404 sur la racine d'un utilisateur (`/user/:id`) signifie que
+ * l'utilisateur n'existe pas ; sur une sous-ressource (ex: `/user/18/goals`
+ * pour une source qui ne la connaît pas), c'est une HttpError 404.
+ *
+ * @function createNotFoundError
+ * @param {string} endpoint - Endpoint demandé
+ * @param {Object} [options] - Contexte de l'erreur (attempts, cause)
+ * @returns {UserNotFoundError|HttpError} Erreur typée
+ *
+ * @example
+ * createNotFoundError("/user/99");          // UserNotFoundError (userId "99")
+ * createNotFoundError("/user/18/goals");    // HttpError (status 404)
+ */
+export const createNotFoundError = (endpoint, options = {}) => {
+  if (getEndpointType(endpoint) === "user") {
+    return new UserNotFoundError(getUserIdFromEndpoint(endpoint), { endpoint, ...options });
+  }
+
+  return new HttpError(`Ressource introuvable: ${endpoint}`, {
+    status: 404,
+    statusText: "Not Found",
+    endpoint,
+    ...options,
+  });
+};
+
+/**
+ * Convertit n'importe quelle erreur en DataServiceError
+ *
+ * Les DataServiceError sont conservées intactes (complétées du contexte
+ * manquant), les autres erreurs sont enveloppées avec leur cause.
+ *
+ * @function toDataServiceError
+ * @param {*} error - Erreur à convertir
+ * @param {Object} [context] - Contexte à ajouter (endpoint, attempts)
+ * @returns {DataServiceError} Erreur typée
+ *
+ * @example
+ * catch (error) {
+ *   throw toDataServiceError(error, { endpoint });
+ * }
+ */
+export const toDataServiceError = (error, { endpoint, attempts } = {}) => {
+  if (error instanceof DataServiceError) {
+    error.endpoint ??= endpoint;
+    error.attempts ??= attempts;
+    return error;
+  }
+
+  if (error?.name === "AbortError") {
+    return new AbortedError(undefined, { endpoint, attempts, cause: error });
+  }
+
+  // fetch rejette avec un TypeError lorsque le serveur est injoignable
+  if (error instanceof TypeError) {
+    return new NetworkError(`Serveur injoignable: ${error.message}`, {
+      endpoint,
+      attempts,
+      cause: error,
+    });
+  }
+
+  return new DataServiceError(
+    error?.message || "Erreur de récupération des données",
+    { endpoint, attempts, cause: error }
+  );
+};
+
+/**
+ * Export par défaut regroupant les classes d'erreurs
+ */
+export default {
+  DataServiceError,
+  NetworkError,
+  TimeoutError,
+  StaleResponseError,
+  HttpError,
+  UserNotFoundError,
+  AuthenticationError,
+  ValidationError,
+  AbortedError,
+};
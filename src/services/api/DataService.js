@@ -4,6 +4,23 @@
  * Cette classe fournit une interface unifiée pour récupérer les données utilisateur
  * depuis l'API ou depuis des données mockées pour le développement.
  *
+ * Chaque source (API REST, mocks, fixtures, IndexedDB...) est un adaptateur
+ * enregistré via `registerAdapter()` ; la source active est `config.mode`.
+ *
+ * La configuration (mode, URL, délais, utilisateur par défaut) est résolue
+ * par le module services/config/dataConfig et injectée via `configure()`.
+ *
+ * Les préoccupations transverses (authentification, journalisation,
+ * mesures, réécriture des données) sont des intercepteurs ajoutés via
+ * `addInterceptor()`, appliqués à chaque requête quelle que soit la source.
+ *
+ * Chaque réponse normalisée est copiée dans IndexedDB (`offline`) ; si la
+ * source devient injoignable, la dernière copie est affichée puis rechargée
+ * au retour de la connexion (`reconcile()`).
+ *
+ * Les objectifs de l'utilisateur sont enregistrés par l'adaptateur actif
+ * s'il sait écrire (`write`), sinon dans le localStorage (`goalsStore`).
+ *
  * @class DataService
  * @author SportSee Team
  * @since 1.0.0
@@ -17,28 +34,111 @@
  * const activity = await DataService.getUserActivity(18);
  */
 
-import {
-  mockUserData,
-  mockActivityData,
-  mockSessionsData,
-  mockPerformanceData,
-  mockUserDataUser18,
-  mockActivityDataUser18,
-  mockSessionsDataUser18,
-  mockPerformanceDataUser18,
-} from "../data/mockData.js";
-
 import { DataNormalizer } from "../data/DataNormalizer.js";
+import { RequestCache } from "./RequestCache.js";
+import { InterceptorChain } from "./InterceptorChain.js";
+import { OfflineCache } from "./OfflineCache.js";
+import { resolveDataConfig } from "../config/dataConfig.js";
+import { scoreSnapshots } from "../storage/scoreSnapshots.js";
+import { goalsStore } from "../storage/goalsStore.js";
+import { toIsoDate } from "../utils/calendarDate.js";
+import { resolveGoals } from "../data/goals.js";
+import {
+  AbortedError,
+  DataServiceError,
+  HttpError,
+  NetworkError,
+  StaleResponseError,
+  UserNotFoundError,
+  ValidationError,
+} from "./DataErrors.js";
+import {
+  RestAdapter,
+  MockAdapter,
+  FixtureAdapter,
+  IndexedDbAdapter,
+  FallbackAdapter,
+  isDataAdapter,
+  isWritableAdapter,
+} from "../adapters/index.js";
 
 export class DataService {
+  /**
+   * Configuration active de la source de données
+   * @type {DataConfig}
+   * @static
+   * @see module:services/config/dataConfig
+   * @description Résolue au chargement depuis l'URL, le localStorage et les variables Vite ; modifiable via configure()
+   */
+  static config = resolveDataConfig();
+
+  /**
+   * Cache mémoire des réponses normalisées, indexé par endpoint
+   * @type {RequestCache}
+   * @static
+   * @see RequestCache
+   */
+  static cache = new RequestCache({ ttl: DataService.config.cacheTtl });
+
+  /**
+   * Chaîne d'intercepteurs appliquée à chaque requête envoyée à un adaptateur
+   * @type {InterceptorChain}
+   * @static
+   * @see module:services/api/InterceptorChain
+   * @description Les réponses servies par le cache ne traversent pas la chaîne
+   */
+  static interceptors = new InterceptorChain();
+
+  /**
+   * Copie hors ligne des réponses normalisées
+   * @type {OfflineCache}
+   * @static
+   * @see module:services/api/OfflineCache
+   * @description Réconciliée automatiquement à l'événement `online` du navigateur
+   */
+  static offline = new OfflineCache({ onReconnect: () => DataService.reconcile() });
+
+  /**
+   * Instantanés locaux du score quotidien, historique des sources qui n'en ont pas
+   * @type {ReturnType<typeof createScoreSnapshotStore>}
+   * @static
+   * @see module:services/storage/scoreSnapshots
+   */
+  static scoreSnapshots = scoreSnapshots;
+
+  /**
+   * Objectifs enregistrés localement, pour les sources qui ne savent pas les enregistrer
+   * @type {ReturnType<typeof createGoalsStore>}
+   * @static
+   * @see module:services/storage/goalsStore
+   */
+  static goalsStore = goalsStore;
+
+  /**
+   * Révision des données, incrémentée lorsque les composants doivent recharger
+   * @type {number}
+   * @static
+   */
+  static revision = 0;
+
+  /**
+   * Abonnés aux changements de révision
+   * @type {Set<Function>}
+   * @static
+   * @private
+   */
+  static _listeners = new Set();
+
   /**
    * Mode d'utilisation des données (mock ou API réelle)
    * @type {boolean}
    * @static
-   * @default false
+   * @readonly
    * @description true = données mockées, false = API réelle
    */
-  static USE_MOCK_DATA = true; // true = données mockées, false = API réelle
+  static get USE_MOCK_DATA() {
+    return DataService.config.mode === "mock";
+  }
 
   /**
    * URL de base de l'API SportSee
@@ -46,7 +146,9 @@ export class DataService {
    * @static
    * @readonly
    */
-  static API_BASE_URL = "http://localhost:3000";
+  static get API_BASE_URL() {
+    return DataService.config.apiBaseUrl;
+  }
 
   /**
    * ID utilisateur par défaut
@@ -54,40 +156,171 @@ export class DataService {
    * @static
    * @readonly
    */
-  static DEFAULT_USER_ID = 18;
+  static get DEFAULT_USER_ID() {
+    return DataService.config.defaultUserId;
+  }
 
   /**
-   * Carte des données mockées organisées par endpoint
-   * @type {Object<string, Function>}
+   * Durée de vie par défaut des réponses en cache (ms)
+   * @type {number}
    * @static
    * @readonly
-   * @description Chaque clé correspond à un endpoint API et chaque valeur est une fonction retournant les données mockées
-   */
-  // Données mockées organisées par endpoint
-  static mockDataMap = {
-    // Utilisateur 18 - Cecilia (données spécifiques)
-    [`/user/${DataService.DEFAULT_USER_ID}`]: () => mockUserDataUser18.data,
-    [`/user/${DataService.DEFAULT_USER_ID}/activity`]: () =>
-      mockActivityDataUser18.data,
-    [`/user/${DataService.DEFAULT_USER_ID}/average-sessions`]: () =>
-      mockSessionsDataUser18.data,
-    [`/user/${DataService.DEFAULT_USER_ID}/performance`]: () =>
-      mockPerformanceDataUser18.data,
-    // Utilisateur 12 - Karl (données originales)
-    ["/user/12"]: () => mockUserData.data,
-    ["/user/12/activity"]: () => mockActivityData.data,
-    ["/user/12/average-sessions"]: () => mockSessionsData.data,
-    ["/user/12/performance"]: () => mockPerformanceData.data,
-  };
+   */
+  static get CACHE_TTL() {
+    return DataService.config.cacheTtl;
+  }
+
+  /**
+   * Date du jour des données : celle de la configuration en mode mock (les
+   * données de démonstration s'arrêtent en 2020), la date réelle sinon
+   *
+   * @static
+   * @returns {string} Date AAAA-MM-JJ
+   *
+   * @example
+   * DataService.getToday(); // "2020-07-08" en mode mock
+   */
+  static getToday() {
+    return DataService.USE_MOCK_DATA ? DataService.config.mock.today : toIsoDate(new Date());
+  }
+
+  /**
+   * Injecte une nouvelle configuration (fusionnée avec la configuration active)
+   *
+   * Le cache est vidé si la source ou l'URL de l'API change, afin de ne
+   * jamais mélanger des réponses mockées et des réponses de l'API.
+   *
+   * @static
+   * @param {Partial<DataConfig>} overrides - Valeurs à remplacer
+   * @returns {DataConfig} La configuration active
+   *
+   * @example
+   * DataService.configure({ mode: "api", apiBaseUrl: "https://api.sportsee.fr" });
+   *
+   * @example
+   * // Réinitialisation depuis l'environnement
+   * DataService.configure(resolveDataConfig());
+   */
+  static configure(overrides = {}) {
+    const previous = DataService.config;
+    const next = { ...previous, ...overrides };
+
+    DataService.config = next;
+    DataService.cache.ttl = next.cacheTtl;
+
+    if (next.mode !== previous.mode || next.apiBaseUrl !== previous.apiBaseUrl) {
+      DataService.cache.clear();
+    }
+
+    return next;
+  }
+
+  /**
+   * Bascule entre données mockées et API réelle
+   *
+   * @static
+   * @param {boolean} useMock - true pour les données mockées
+   * @returns {DataConfig} La configuration active
+   */
+  static setMockMode(useMock) {
+    return DataService.configure({ mode: useMock ? "mock" : "api" });
+  }
+
+  /**
+   * Adaptateurs de source de données enregistrés, indexés par nom de source
+   * @type {Map<string, DataAdapter>}
+   * @static
+   * @see module:services/adapters
+   * @description La source active est choisie par `config.mode` (ex: "api", "mock", "fixture")
+   */
+  static adapters = new Map([
+    ["api", new RestAdapter()],
+    ["mock", new MockAdapter()],
+    ["fixture", new FixtureAdapter()],
+    ["indexeddb", new IndexedDbAdapter()],
+    // API réelle avec repli sur les données mockées
+    ["api-mock", new FallbackAdapter([new RestAdapter(), new MockAdapter()])],
+  ]);
+
+  /**
+   * Enregistre (ou remplace) un adaptateur de source de données
+   *
+   * @static
+   * @param {string} name - Nom de la source (valeur de `config.mode`)
+   * @param {DataAdapter} adapter - Adaptateur exposant `fetch(endpoint, context)`
+   *   et, s'il sait enregistrer des données, `write(endpoint, data, context)`
+   * @throws {TypeError} Si l'adaptateur n'expose pas de méthode fetch
+   *
+   * @example
+   * DataService.registerAdapter("staging", new RestAdapter({ baseUrl: "https://staging.sportsee.fr" }));
+   * DataService.configure({ mode: "staging" });
+   */
+  static registerAdapter(name, adapter) {
+    if (!isDataAdapter(adapter)) {
+      throw new TypeError(`Adaptateur invalide pour la source "${name}"`);
+    }
+
+    DataService.adapters.set(name, adapter);
+
+    // Les réponses de l'ancien adaptateur ne doivent pas être resservies
+    if (name === DataService.config.mode) {
+      DataService.cache.clear();
+    }
+  }
+
+  /**
+   * Ajoute un intercepteur en fin de chaîne
+   *
+   * @static
+   * @param {Interceptor} interceptor - Étapes onRequest, onResponse et/ou onError
+   * @returns {Function} Fonction retirant l'intercepteur
+   *
+   * @example
+   * // En-tête ajouté à chaque appel API
+   * const eject = DataService.addInterceptor({
+   *   name: "auth",
+   *   onRequest(request) {
+   *     request.headers.Authorization = `Bearer ${token}`;
+   *   }
+   * });
+   */
+  static addInterceptor(interceptor) {
+    return DataService.interceptors.add(interceptor);
+  }
+
+  /**
+   * Retourne l'adaptateur d'une source
+   *
+   * @static
+   * @param {string} [name=DataService.config.mode] - Nom de la source
+   * @returns {DataAdapter} L'adaptateur enregistré
+   * @throws {DataServiceError} Si aucune source de ce nom n'est enregistrée
+   */
+  static getAdapter(name = DataService.config.mode) {
+    const adapter = DataService.adapters.get(name);
+
+    if (!adapter) {
+      throw new DataServiceError(`Source de données inconnue: "${name}"`);
+    }
+
+    return adapter;
+  }
 
   /**
    * Méthode principale pour récupérer des données
    *
+   * Les réponses sont conservées dans le cache mémoire pendant `ttl` ms et
+   * les appels simultanés sur le même endpoint partagent une seule requête.
+   *
    * @static
    * @async
    * @param {string} endpoint - L'endpoint de l'API (ex: "/user/18", "/user/18/activity")
+   * @param {Object} [options] - Options de récupération
+   * @param {number} [options.ttl=DataService.CACHE_TTL] - Durée de vie de la réponse en cache (ms), 0 pour ne pas la conserver
+   * @param {boolean} [options.force=false] - Ignore le cache et relance la requête
+   * @param {AbortSignal} [options.signal] - Signal d'annulation de l'appelant
    * @returns {Promise<Object>} Les données récupérées depuis l'API ou les données mockées
-   * @throws {Error} Erreur si l'endpoint n'existe pas ou si l'appel API échoue
+   * @throws {DataServiceError} Erreur typée (UserNotFoundError, HttpError, NetworkError...)
    *
    * @example
    * // Récupération des données utilisateur
@@ -96,79 +329,324 @@ export class DataService {
    * @example
    * // Récupération de l'activité utilisateur
    * const activity = await DataService.fetchData("/user/18/activity");
+   *
+   * @example
+   * // Contournement du cache
+   * const fresh = await DataService.fetchData("/user/18", { force: true });
+   *
+   * @example
+   * // Annulation lors d'un changement d'utilisateur
+   * const controller = new AbortController();
+   * DataService.fetchData("/user/18", { signal: controller.signal });
+   * controller.abort(); // rejette avec AbortedError
    */
-  static async fetchData(endpoint) {
-    if (DataService.USE_MOCK_DATA) {
-      return DataService._getMockData(endpoint);
-    } else {
-      return DataService._getApiData(endpoint);
+  static async fetchData(
+    endpoint,
+    { ttl = DataService.CACHE_TTL, force = false, signal } = {}
+  ) {
+    return DataService.cache.resolve(
+      endpoint,
+      (sharedSignal) => DataService._loadData(endpoint, { signal: sharedSignal }),
+      { ttl, force, signal }
+    );
+  }
+
+  /**
+   * Charge les données, avec repli sur la copie hors ligne si la source est injoignable
+   *
+   * @static
+   * @async
+   * @private
+   * @param {string} endpoint - L'endpoint à charger
+   * @param {Object} [options] - Options de chargement
+   * @param {AbortSignal} [options.signal] - Signal d'annulation
+   * @returns {Promise<Object>} Les données normalisées (fraîches ou hors ligne)
+   */
+  static async _loadData(endpoint, { signal } = {}) {
+    const source = DataService.config.mode;
+    let data;
+
+    try {
+      data = await DataService._loadFromSource(endpoint, { signal });
+    } catch (error) {
+      const record = await DataService._readOffline(source, endpoint, error);
+
+      if (!record) {
+        throw error;
+      }
+
+      DataService.offline.markServed(endpoint, record.savedAt);
+      return record.data;
+    }
+
+    if (DataService.config.offline?.enabled) {
+      DataService.offline.save(source, endpoint, data).catch(() => {
+        // Stockage indisponible (navigation privée, quota) : pas de copie hors ligne
+      });
     }
+
+    // Les autres endpoints hors ligne sont rechargés une seule fois, au retour
+    // de la connexion (événement `online`, voir DataService.offline)
+    DataService.offline.markFresh(endpoint);
+
+    return data;
   }
 
   /**
-   * Récupération des données mockées
+   * Lit la copie hors ligne d'un endpoint si l'erreur indique une source injoignable
    *
    * @static
+   * @async
    * @private
-   * @param {string} endpoint - L'endpoint pour lequel récupérer les données mockées
-   * @returns {Object} Les données mockées correspondantes
-   * @throws {Error} Si aucune donnée mockée n'est trouvée pour cet endpoint
+   * @param {string} source - Source de données
+   * @param {string} endpoint - L'endpoint concerné
+   * @param {Error} error - Erreur du chargement
+   * @returns {Promise<OfflineRecord|undefined>} La copie, undefined si non applicable
    */
-  static _getMockData(endpoint) {
-    const mockFunction = DataService.mockDataMap[endpoint];
+  static async _readOffline(source, endpoint, error) {
+    if (!DataService.config.offline?.enabled || !(error instanceof NetworkError)) {
+      return undefined;
+    }
 
-    if (!mockFunction) {
-      throw new Error(`Données mockées non trouvées pour: ${endpoint}`);
+    let record = await DataService.offline.load(source, endpoint);
+
+    // Copie du service worker si IndexedDB n'en a pas de plus récente
+    if (error instanceof StaleResponseError && !(record?.savedAt >= error.savedAt)) {
+      record = {
+        data: DataService._normalize(endpoint, error.data),
+        savedAt: error.savedAt,
+      };
     }
 
-    const rawData = mockFunction();
+    if (record) {
+      console.warn(`Source injoignable, données hors ligne affichées pour ${endpoint}`);
+    }
 
-    // ✅ Application de la normalisation aussi sur les données mockées
-    const normalizedData = DataNormalizer.normalizeByEndpoint(
-      endpoint,
-      rawData
-    );
+    return record;
+  }
 
-    return normalizedData;
+  /**
+   * Charge les données depuis l'adaptateur actif, sans passer par le cache
+   *
+   * La requête traverse la chaîne d'intercepteurs ; les données brutes
+   * (éventuellement réécrites ou reprises sur erreur) sont ensuite normalisées
+   * selon l'endpoint de la requête interceptée.
+   *
+   * @static
+   * @async
+   * @private
+   * @param {string} endpoint - L'endpoint à charger
+   * @param {Object} [options] - Options de chargement
+   * @param {AbortSignal} [options.signal] - Signal d'annulation
+   * @param {"GET"|"PUT"} [options.method="GET"] - "PUT" pour enregistrer `body`
+   * @param {Object} [options.body] - Données à enregistrer (requête PUT)
+   * @returns {Promise<Object>} Les données normalisées (lues, ou enregistrées par la source)
+   */
+  static async _loadFromSource(endpoint, { signal, method = "GET", body } = {}) {
+    if (signal?.aborted) {
+      throw new AbortedError(undefined, { endpoint });
+    }
+
+    const prepare = (meta = {}) =>
+      DataService.interceptors.runRequest({
+        endpoint,
+        source: DataService.config.mode,
+        method,
+        body,
+        headers: {},
+        signal,
+        config: DataService.config,
+        startedAt: Date.now(),
+        meta,
+      });
+
+    const request = await prepare();
+
+    // Rejoue la requête complète (ex: après renouvellement d'un jeton expiré)
+    request.replay = async () =>
+      DataService._send(await prepare({ ...request.meta, replayed: true }));
+
+    let rawData;
+
+    try {
+      // ✅ Application de la normalisation quelle que soit la source
+      return DataService._normalize(request.endpoint, await DataService._send(request));
+    } catch (error) {
+      // Lève l'erreur si aucun intercepteur ne fournit de données de reprise
+      rawData = await DataService.interceptors.runError(error, request);
+    }
+
+    return DataService._normalize(request.endpoint, rawData);
   }
 
   /**
-   * Récupération des données depuis l'API SportSee
+   * Envoie une requête préparée à son adaptateur et applique les étapes onResponse
    *
    * @static
    * @async
    * @private
-   * @param {string} endpoint - L'endpoint de l'API à appeler
-   * @returns {Promise<Object>} Les données retournées par l'API
-   * @throws {Error} Erreur HTTP ou erreur de réseau
+   * @param {InterceptedRequest} request - Requête issue de la chaîne d'intercepteurs
+   * @returns {Promise<*>} Données brutes, éventuellement réécrites
+   */
+  static async _send(request) {
+    const adapter = DataService.getAdapter(request.source);
+    const context = {
+      signal: request.signal,
+      config: request.config,
+      headers: request.headers,
+      fallbacks: [],
+    };
+    const response = await DataService.interceptors.runResponse({
+      data: await (request.method === "PUT"
+        ? adapter.write(request.endpoint, request.body, context)
+        : adapter.fetch(request.endpoint, context)),
+      request,
+      duration: Date.now() - request.startedAt,
+      fallbacks: context.fallbacks,
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Invalide les réponses en cache correspondant à un endpoint ou un motif
+   *
+   * Une chaîne invalide l'endpoint et ses sous-ressources, une expression
+   * régulière est testée sur chaque endpoint en cache.
+   *
+   * @static
+   * @param {string|RegExp} matcher - Endpoint (ex: "/user/18") ou motif
+   * @returns {number} Nombre d'entrées supprimées
    *
    * @example
-   * // Appel interne pour récupérer les données utilisateur
-   * const data = await DataService._getApiData("/user/18");
+   * // Rafraîchit toutes les données de l'utilisateur 18
+   * DataService.invalidate("/user/18");
+   *
+   * @example
+   * // Rafraîchit l'activité de tous les utilisateurs
+   * DataService.invalidate(/\/activity$/);
    */
-  static async _getApiData(endpoint) {
-    try {
-      const response = await fetch(`${DataService.API_BASE_URL}${endpoint}`);
+  static invalidate(matcher) {
+    return DataService.cache.invalidate(matcher);
+  }
 
-      if (!response.ok) {
-        throw new Error(
-          `Erreur HTTP: ${response.status} - ${response.statusText}`
-        );
-      }
+  /**
+   * Vide entièrement le cache des réponses
+   *
+   * @static
+   *
+   * @example
+   * DataService.clear();
+   */
+  static clear() {
+    DataService.cache.clear();
+  }
+
+  /**
+   * Recharge les données affichées depuis la copie hors ligne
+   *
+   * Les endpoints concernés sont retirés du cache et la révision est
+   * incrémentée pour que les hooks abonnés relancent leurs requêtes.
+   *
+   * @static
+   * @returns {number} Nombre d'endpoints à recharger
+   *
+   * @example
+   * // Bouton « Réessayer » de l'indicateur hors ligne
+   * DataService.reconcile();
+   */
+  static reconcile() {
+    const endpoints = DataService.offline.takeServed();
 
-      const result = await response.json();
-      const rawData = result.data; // Structure API SportSee
+    endpoints.forEach((endpoint) => DataService.cache.invalidate(endpoint));
 
-      // ✅ Application de la normalisation selon le type d'endpoint
-      const normalizedData = DataNormalizer.normalizeByEndpoint(
+    if (endpoints.length > 0) {
+      DataService._bumpRevision();
+    }
+
+    return endpoints.length;
+  }
+
+  /**
+   * Incrémente la révision et notifie les abonnés (rechargement des hooks)
+   *
+   * @static
+   * @private
+   */
+  static _bumpRevision() {
+    DataService.revision++;
+    DataService._listeners.forEach((listener) => listener(DataService.revision));
+  }
+
+  /**
+   * Abonne une fonction aux changements de révision des données
+   *
+   * @static
+   * @param {Function} listener - Appelée avec la nouvelle révision
+   * @returns {Function} Fonction de désabonnement
+   */
+  static subscribe(listener) {
+    DataService._listeners.add(listener);
+    return () => DataService._listeners.delete(listener);
+  }
+
+  /**
+   * Révision courante des données (pour useSyncExternalStore)
+   *
+   * @static
+   * @returns {number} La révision
+   */
+  static getRevision() {
+    return DataService.revision;
+  }
+
+  /**
+   * Normalise les données brutes d'un endpoint
+   *
+   * @static
+   * @private
+   * @param {string} endpoint - L'endpoint concerné
+   * @param {Object} rawData - Données brutes (API ou mock)
+   * @returns {Object} Les données normalisées
+   * @throws {ValidationError} Si les données sont absentes, non conformes au schéma
+   *   (mode strict, détail dans `error.report`) ou non normalisables
+   */
+  static _normalize(endpoint, rawData) {
+    if (rawData === undefined || rawData === null) {
+      throw new ValidationError(`Aucune donnée reçue pour ${endpoint}`, {
         endpoint,
-        rawData
-      );
+      });
+    }
 
-      return normalizedData;
-    } catch (error) {
-      throw new Error(`Échec de l'appel API: ${error.message}`);
+    const normalizedData = DataNormalizer.normalizeByEndpoint(
+      endpoint,
+      rawData,
+      { mode: DataService.config.validation?.mode }
+    );
+
+    if (normalizedData === null) {
+      throw new ValidationError(`Données invalides pour ${endpoint}`, {
+        endpoint,
+      });
     }
+
+    return normalizedData;
+  }
+
+  /**
+   * Retourne le rapport de validation des données retournées par le service
+   *
+   * @static
+   * @param {Object} data - Données normalisées (ex: résultat de getUserActivity)
+   * @returns {ValidationReport|null} Le rapport (champs invalides et réparations),
+   *   null pour une copie hors ligne ou des données non validées
+   *
+   * @example
+   * const activity = await DataService.getUserActivity(18);
+   * DataService.getValidationReport(activity)?.repairs; // []
+   */
+  static getValidationReport(data) {
+    return DataNormalizer.getValidationReport(data);
   }
 
   /**
@@ -177,8 +655,11 @@ export class DataService {
    * @static
    * @async
    * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
+   * @param {Object} [options] - Options de récupération
+   * @param {AbortSignal} [options.signal] - Signal d'annulation de la requête
    * @returns {Promise<UserData>} Les données de l'utilisateur
-   * @throws {Error} Erreur si l'utilisateur n'existe pas ou si l'API échoue
+   * @throws {UserNotFoundError} Si l'utilisateur n'existe pas
+   * @throws {DataServiceError} Si l'API échoue
    *
    * @typedef {Object} UserData
    * @property {number} id - ID de l'utilisateur
@@ -202,8 +683,8 @@ export class DataService {
    * // Utilisation avec l'ID par défaut
    * const defaultUser = await DataService.getUserById();
    */
-  static async getUserById(userId = DataService.DEFAULT_USER_ID) {
-    return await DataService.fetchData(`/user/${userId}`);
+  static async getUserById(userId = DataService.DEFAULT_USER_ID, { signal } = {}) {
+    return await DataService.fetchData(`/user/${userId}`, { signal });
   }
 
   /**
@@ -212,12 +693,19 @@ export class DataService {
    * @static
    * @async
    * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
-   * @returns {Promise<ActivityData>} Les données d'activité de l'utilisateur
-   * @throws {Error} Erreur si les données n'existent pas ou si l'API échoue
+   * @param {Object} [options] - Options de récupération
+   * @param {AbortSignal} [options.signal] - Signal d'annulation de la requête
+   * @param {string} [options.from] - Premier jour de la période (AAAA-MM-JJ)
+   * @param {string} [options.to] - Dernier jour de la période (par défaut, le dernier jour enregistré)
+   * @param {number} [options.days] - Nombre de jours de la période, si `from` est absent
+   * @returns {Promise<ActivityData>} Les données d'activité de l'utilisateur : tout
+   *   l'historique, ou les sessions de la période demandée
+   * @throws {DataServiceError} Erreur typée si les données n'existent pas ou si l'API échoue
    *
    * @typedef {Object} ActivityData
    * @property {number} userId - ID de l'utilisateur
    * @property {ActivitySession[]} sessions - Tableau des sessions d'activité
+   * @property {{ from: string, to: string }} [range] - Période sélectionnée (si demandée)
    *
    * @typedef {Object} ActivitySession
    * @property {string} day - Date de la session (format YYYY-MM-DD)
@@ -227,9 +715,22 @@ export class DataService {
    * @example
    * const activity = await DataService.getUserActivity(18);
    * console.log(activity.sessions[0].kilogram); // 70
+   *
+   * @example
+   * // 30 derniers jours enregistrés, puis période personnalisée
+   * const month = await DataService.getUserActivity(18, { days: 30 });
+   * const july = await DataService.getUserActivity(18, { from: "2020-07-01", to: "2020-07-31" });
    */
-  static async getUserActivity(userId = DataService.DEFAULT_USER_ID) {
-    return await DataService.fetchData(`/user/${userId}/activity`);
+  static async getUserActivity(
+    userId = DataService.DEFAULT_USER_ID,
+    { signal, from, to, days } = {}
+  ) {
+    // L'API renvoie tout l'historique : une seule réponse en cache, découpée par période
+    const activity = await DataService.fetchData(`/user/${userId}/activity`, { signal });
+
+    return from || to || days
+      ? DataNormalizer.selectActivityRange(activity, { from, to, days })
+      : activity;
   }
 
   /**
@@ -238,8 +739,12 @@ export class DataService {
    * @static
    * @async
    * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
+   * @param {Object} [options] - Options de récupération
+   * @param {AbortSignal} [options.signal] - Signal d'annulation de la requête
+   * @param {number} [options.weeksAgo=0] - Semaine demandée : 0 pour la semaine en cours,
+   *   1 pour la précédente... (paramètre `weeksAgo` de l'endpoint)
    * @returns {Promise<SessionsData>} Les données de sessions moyennes
-   * @throws {Error} Erreur si les données n'existent pas ou si l'API échoue
+   * @throws {DataServiceError} Erreur typée si les données n'existent pas ou si l'API échoue
    *
    * @typedef {Object} SessionsData
    * @property {number} userId - ID de l'utilisateur
@@ -252,9 +757,17 @@ export class DataService {
    * @example
    * const sessions = await DataService.getUserAverageSessions(18);
    * console.log(sessions.sessions[0].sessionLength); // 45
+   *
+   * @example
+   * // Semaine précédente, pour comparaison
+   * const previous = await DataService.getUserAverageSessions(18, { weeksAgo: 1 });
    */
-  static async getUserAverageSessions(userId = DataService.DEFAULT_USER_ID) {
-    return await DataService.fetchData(`/user/${userId}/average-sessions`);
+  static async getUserAverageSessions(
+    userId = DataService.DEFAULT_USER_ID,
+    { signal, weeksAgo = 0 } = {}
+  ) {
+    const query = weeksAgo > 0 ? `?weeksAgo=${weeksAgo}` : "";
+    return await DataService.fetchData(`/user/${userId}/average-sessions${query}`, { signal });
   }
 
   /**
@@ -263,8 +776,10 @@ export class DataService {
    * @static
    * @async
    * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
+   * @param {Object} [options] - Options de récupération
+   * @param {AbortSignal} [options.signal] - Signal d'annulation de la requête
    * @returns {Promise<PerformanceData>} Les données de performance
-   * @throws {Error} Erreur si les données n'existent pas ou si l'API échoue
+   * @throws {DataServiceError} Erreur typée si les données n'existent pas ou si l'API échoue
    *
    * @typedef {Object} PerformanceData
    * @property {number} userId - ID de l'utilisateur
@@ -280,8 +795,164 @@ export class DataService {
    * console.log(performance.kind[1]); // "cardio"
    * console.log(performance.data[0].value); // 150
    */
-  static async getUserPerformance(userId = DataService.DEFAULT_USER_ID) {
-    return await DataService.fetchData(`/user/${userId}/performance`);
+  static async getUserPerformance(userId = DataService.DEFAULT_USER_ID, { signal } = {}) {
+    return await DataService.fetchData(`/user/${userId}/performance`, { signal });
+  }
+
+  /**
+   * Récupère l'historique des scores quotidiens d'un utilisateur
+   *
+   * Lit l'endpoint `/user/:id/score-history` ; si la source ne le connaît pas
+   * (404), l'historique est celui des instantanés locaux, complété du score
+   * du jour (voir scoreSnapshots).
+   *
+   * @static
+   * @async
+   * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
+   * @param {Object} [options] - Options de récupération
+   * @param {AbortSignal} [options.signal] - Signal d'annulation de la requête
+   * @returns {Promise<ScoreHistoryData>} L'historique, du plus ancien au plus récent
+   * @throws {DataServiceError} Erreur typée si l'utilisateur n'existe pas ou si l'API échoue
+   *
+   * @typedef {Object} ScoreHistoryData
+   * @property {number} userId - ID de l'utilisateur
+   * @property {Array<{ day: string, score: number }>} history - Score (0-1) de chaque jour enregistré
+   * @property {"endpoint"|"snapshots"} source - Origine de l'historique
+   *
+   * @example
+   * const { history, source } = await DataService.getUserScoreHistory(18);
+   * console.log(history.at(-1)); // { day: "2020-07-07", score: 0.3 }
+   */
+  static async getUserScoreHistory(userId = DataService.DEFAULT_USER_ID, { signal } = {}) {
+    try {
+      const data = await DataService.fetchData(`/user/${userId}/score-history`, { signal });
+      return { ...data, source: "endpoint" };
+    } catch (error) {
+      if (!(error instanceof HttpError && error.status === 404)) {
+        throw error;
+      }
+    }
+
+    // Endpoint absent : l'utilisateur doit exister pour enregistrer son score du jour
+    const user = await DataService.getUserById(userId, { signal });
+
+    return {
+      userId: user.id ?? userId,
+      history: DataService.scoreSnapshots.record(userId, toIsoDate(new Date()), user.todayScore ?? 0),
+      source: "snapshots",
+    };
+  }
+
+  /**
+   * Récupère les objectifs d'un utilisateur
+   *
+   * Une source qui sait enregistrer les objectifs (API REST) fait foi ;
+   * sinon, les objectifs enregistrés localement sont prioritaires. Sans
+   * objectifs (source sans endpoint `/goals`, injoignable, ou utilisateur
+   * sans objectifs), les objectifs locaux ou par défaut de l'appareil sont
+   * retournés.
+   *
+   * @static
+   * @async
+   * @param {number} [userId=DataService.DEFAULT_USER_ID] - ID de l'utilisateur
+   * @param {Object} [options] - Options de récupération
+   * @param {AbortSignal} [options.signal] - Signal d'annulation de la requête
+   * @returns {Promise<GoalsData>} Les objectifs de l'utilisateur
+   * @throws {DataServiceError} Erreur typée si l'API échoue
+   *
+   * @typedef {UserGoals} GoalsData
+   * @property {number} userId - ID de l'utilisateur
+   * @property {"endpoint"|"local"|"default"} source - Origine des objectifs
+   *
+   * @example
+   * const goals = await DataService.getUserGoals(18);
+   * console.log(goals.calories); // 350
+   */
+  static async getUserGoals(userId = DataService.DEFAULT_USER_ID, { signal } = {}) {
+    const local = DataService.goalsStore.get(userId);
+
+    if (local && !isWritableAdapter(DataService.getAdapter())) {
+      return { userId, ...local, source: "local" };
+    }
+
+    try {
+      const data = await DataService.fetchData(`/user/${userId}/goals`, { signal });
+      return { ...data, source: "endpoint" };
+    } catch (error) {
+      if (!DataService._isGoalsEndpointUnavailable(error)) {
+        throw error;
+      }
+    }
+
+    return local
+      ? { userId, ...local, source: "local" }
+      : { userId, ...DataService.goalsStore.defaults(), source: "default" };
+  }
+
+  /**
+   * Indique si l'erreur de l'endpoint des objectifs autorise le repli local
+   * (endpoint absent ou source injoignable ; pas une annulation, un refus ni
+   * un utilisateur inexistant)
+   *
+   * @static
+   * @private
+   * @param {Error} error - Erreur de la requête
+   * @returns {boolean} true si les objectifs locaux peuvent être utilisés
+   */
+  static _isGoalsEndpointUnavailable(error) {
+    return (
+      (error instanceof HttpError && error.status === 404 && !(error instanceof UserNotFoundError)) ||
+      error instanceof NetworkError
+    );
+  }
+
+  /**
+   * Enregistre les objectifs d'un utilisateur
+   *
+   * Les objectifs sont envoyés à la source active (requête PUT à travers les
+   * intercepteurs) si elle sait les enregistrer, sinon conservés dans le
+   * localStorage, comme lorsque l'API n'a pas d'endpoint `/goals` (404) ou
+   * qu'elle est injoignable.
+   * Les graphiques abonnés sont ensuite rechargés (score, poids cible).
+   *
+   * @static
+   * @async
+   * @param {number} userId - ID de l'utilisateur
+   * @param {Partial<UserGoals>} changes - Objectifs à remplacer (validés, voir goals.js)
+   * @param {Object} [options] - Options d'enregistrement
+   * @param {AbortSignal} [options.signal] - Signal d'annulation de la requête
+   * @returns {Promise<GoalsData>} Les objectifs enregistrés
+   * @throws {DataServiceError} Erreur typée si l'API refuse ou ne reçoit pas les objectifs
+   *
+   * @example
+   * await DataService.saveUserGoals(18, { calories: 600, targetWeight: 65 });
+   */
+  static async saveUserGoals(userId, changes, { signal } = {}) {
+    const endpoint = `/user/${userId}/goals`;
+    const current = await DataService.getUserGoals(userId, { signal });
+    const goals = resolveGoals({ ...current, ...changes }, current);
+    let saved = null;
+
+    if (isWritableAdapter(DataService.getAdapter())) {
+      try {
+        const data = await DataService._loadFromSource(endpoint, {
+          signal,
+          method: "PUT",
+          body: { userId, ...goals },
+        });
+        DataService.cache.set(endpoint, data);
+        saved = { ...data, source: "endpoint" };
+      } catch (error) {
+        if (!DataService._isGoalsEndpointUnavailable(error)) {
+          throw error;
+        }
+      }
+    }
+
+    saved ??= { userId, ...DataService.goalsStore.set(userId, goals), source: "local" };
+    DataService._bumpRevision();
+
+    return saved;
   }
 }
 
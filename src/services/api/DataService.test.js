@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { DataService } from "./DataService.js";
+import { HttpError, NetworkError } from "./DataErrors.js";
+import { OfflineCache } from "./OfflineCache.js";
+import { createScoreSnapshotStore } from "../storage/scoreSnapshots.js";
+
+const RAW_DATA = {
+  "/user/18": {
+    id: 18,
+    userInfos: { firstName: "Cecilia", lastName: "Ratorez", age: 34 },
+    score: 0.3,
+    keyData: { calorieCount: 2500, proteinCount: 90, carbohydrateCount: 150, lipidCount: 120 },
+  },
+  "/user/18/activity": { userId: 18, sessions: [{ day: "2020-07-01", kilogram: 70, calories: 240 }] },
+};
+
+/**
+ * Magasin en mémoire au format IdbStore
+ * @returns {IdbStore} Le magasin
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+  return {
+    get: async (key) => records.get(key),
+    put: async (record) => {
+      records.set(record.key, record);
+    },
+    delete: async (key) => {
+      records.delete(key);
+    },
+    getAll: async () => [...records.values()],
+    clear: async () => records.clear(),
+  };
+};
+
+describe("DataService", () => {
+  const initialConfig = DataService.config;
+  const initialOffline = DataService.offline;
+  const initialSnapshots = DataService.scoreSnapshots;
+  let unreachable;
+
+  beforeEach(() => {
+    unreachable = new Set();
+    DataService.registerAdapter("test", {
+      fetch: async (endpoint) => {
+        if (unreachable.has(endpoint)) {
+          throw new NetworkError("Serveur injoignable", { endpoint });
+        }
+        if (!RAW_DATA[endpoint]) {
+          throw new HttpError("Endpoint inconnu", { endpoint, status: 404 });
+        }
+        return RAW_DATA[endpoint];
+      },
+    });
+    DataService.configure({ mode: "test", offline: { enabled: true } });
+    DataService.offline = new OfflineCache({ store: createMemoryStore() });
+    DataService.scoreSnapshots = createScoreSnapshotStore({ storage: null });
+    DataService.clear();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    DataService.adapters.delete("test");
+    DataService.configure(initialConfig);
+    DataService.offline = initialOffline;
+    DataService.scoreSnapshots = initialSnapshots;
+    DataService.clear();
+  });
+
+  describe("copie hors ligne", () => {
+    /**
+     * Affiche l'utilisateur 18 depuis sa copie hors ligne
+     * @returns {Promise<Object>} Les données servies
+     */
+    const serveUserOffline = async () => {
+      await DataService.fetchData("/user/18");
+      await vi.waitFor(async () => expect(await DataService.offline.load("test", "/user/18")).toBeDefined());
+
+      unreachable.add("/user/18");
+      return DataService.fetchData("/user/18", { force: true });
+    };
+
+    it("sert la dernière copie si la source est injoignable", async () => {
+      const user = await serveUserOffline();
+
+      expect(user.id).toBe(18);
+      expect(DataService.offline.status).toMatchObject({ offline: true, endpoints: ["/user/18"] });
+    });
+
+    it("ne recharge pas les endpoints hors ligne à chaque réponse fraîche", async () => {
+      await serveUserOffline();
+      const revision = DataService.getRevision();
+
+      await DataService.fetchData("/user/18/activity");
+
+      expect(DataService.getRevision()).toBe(revision);
+      expect(DataService.offline.status.endpoints).toEqual(["/user/18"]);
+    });
+
+    it("recharge une seule fois les endpoints hors ligne à la réconciliation", async () => {
+      await serveUserOffline();
+      const listener = vi.fn();
+      const unsubscribe = DataService.subscribe(listener);
+
+      expect(DataService.reconcile()).toBe(1);
+      expect(DataService.reconcile()).toBe(0);
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(DataService.offline.status.offline).toBe(false);
+    });
+  });
+
+  describe("getToday", () => {
+    it("renvoie la date configurée en mode mock, la date réelle sinon", () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date(2024, 2, 15, 9));
+
+      expect(DataService.getToday()).toBe("2024-03-15");
+      DataService.configure({ mode: "mock" });
+      expect(DataService.getToday()).toBe(DataService.config.mock.today);
+    });
+  });
+
+  describe("objectifs", () => {
+    it("reprend les objectifs par défaut si la source n'a pas d'endpoint /goals", async () => {
+      const goals = await DataService.getUserGoals(18);
+
+      expect(goals).toMatchObject({ userId: 18, source: "default" });
+    });
+  });
+
+  describe("historique des scores", () => {
+    it("enregistre le score du jour à la date réelle sans endpoint d'historique", async () => {
+      vi.useFakeTimers({ toFake: ["Date"] });
+      vi.setSystemTime(new Date(2024, 2, 15, 9));
+      DataService.scoreSnapshots.record(18, "2024-03-20", 0.5);
+
+      const { history, source } = await DataService.getUserScoreHistory(18);
+
+      expect(source).toBe("snapshots");
+      expect(history).toEqual([
+        { day: "2024-03-15", score: 0.3 },
+        { day: "2024-03-20", score: 0.5 },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Chaîne d'intercepteurs des requêtes du DataService
+ *
+ * Regroupe les préoccupations transverses (en-têtes d'authentification,
+ * journalisation, mesures de durée, réécriture des données) hors du corps
+ * du service. Chaque intercepteur peut agir avant la requête, après la
+ * réponse et en cas d'erreur, quelle que soit la source (API, mock...).
+ *
+ * Les intercepteurs s'emboîtent comme des couches : `onRequest` est appelé
+ * dans l'ordre d'enregistrement, `onResponse` et `onError` dans l'ordre
+ * inverse (le premier enregistré voit la requête en premier et la réponse
+ * en dernier).
+ *
+ * @module services/api/InterceptorChain
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const chain = new InterceptorChain();
+ *
+ * const eject = chain.add({
+ *   name: 'auth',
+ *   onRequest(request) {
+ *     request.headers.Authorization = `Bearer ${token}`;
+ *     return request;
+ *   }
+ * });
+ *
+ * eject(); // retire l'intercepteur
+ *
+ * @example
+ * // Réécriture des données brutes avant normalisation
+ * chain.add({
+ *   onResponse(response) {
+ *     if (response.request.endpoint.endsWith('/performance')) {
+ *       response.data.data = response.data.data.filter((item) => item.value > 0);
+ *     }
+ *     return response;
+ *   }
+ * });
+ *
+ * @example
+ * // Reprise sur erreur : une valeur retournée remplace la réponse
+ * chain.add({
+ *   onError(error, request) {
+ *     if (error instanceof NetworkError) return offlineCopy[request.endpoint];
+ *   }
+ * });
+ */
+import { AbortedError, toDataServiceError } from "./DataErrors.js";
+
+/**
+ * Requête transmise aux intercepteurs
+ * @typedef {Object} InterceptedRequest
+ * @property {string} endpoint - Endpoint transmis à l'adaptateur (réécrivable)
+ * @property {string} source - Nom de la source de données utilisée (réécrivable)
+ * @property {"GET"|"PUT"} method - "GET" pour une lecture (`fetch` de l'adaptateur), "PUT" pour un enregistrement (`write`)
+ * @property {Object} [body] - Données à enregistrer (requêtes PUT, réécrivables)
+ * @property {Object<string, string>} headers - En-têtes transmis à l'adaptateur (utilisés par l'API REST)
+ * @property {AbortSignal} [signal] - Signal d'annulation de la requête
+ * @property {DataConfig} config - Configuration active du DataService
+ * @property {number} startedAt - Timestamp (ms) de début de la requête
+ * @property {Object} meta - Espace libre partagé entre les étapes d'une même requête
+ *   (`meta.replayed` vaut true pour une requête rejouée)
+ * @property {Function} [replay] - `() => Promise<données brutes>`, rejoue la requête
+ *   (étapes onRequest et onResponse comprises) ; utilisable dans onError
+ */
+
+/**
+ * Réponse transmise aux intercepteurs
+ * @typedef {Object} InterceptedResponse
+ * @property {*} data - Données brutes de l'adaptateur, avant normalisation (réécrivables)
+ * @property {InterceptedRequest} request - Requête d'origine
+ * @property {number} duration - Durée de la requête (ms)
+ * @property {Array<{ from: string, to: string, error: Error }>} fallbacks - Replis d'un adaptateur
+ *   composite (FallbackAdapter) pendant la requête, vide sans repli
+ */
+
+/**
+ * Intercepteur de requêtes
+ * @typedef {Object} Interceptor
+ * @property {string} [name] - Nom lisible (débogage)
+ * @property {Function} [onRequest] - `(request) => request|void`, avant l'appel de l'adaptateur
+ * @property {Function} [onResponse] - `(response) => response|void`, après une réponse réussie
+ * @property {Function} [onError] - `(error, request) => data|void`, après un échec ;
+ *   retourner une valeur reprend l'erreur avec ces données, lever une erreur la remplace
+ */
+
+export class InterceptorChain {
+  constructor() {
+    /**
+     * Intercepteurs enregistrés, dans l'ordre
+     * @type {Interceptor[]}
+     * @private
+     */
+    this._interceptors = [];
+  }
+
+  /**
+   * Ajoute un intercepteur en fin de chaîne
+   *
+   * @param {Interceptor} interceptor - Intercepteur à ajouter
+   * @returns {Function} Fonction retirant l'intercepteur
+   * @throws {TypeError} Si l'intercepteur n'a aucune étape
+   */
+  add(interceptor) {
+    const { onRequest, onResponse, onError } = interceptor ?? {};
+
+    if (![onRequest, onResponse, onError].some((step) => typeof step === "function")) {
+      throw new TypeError("Un intercepteur doit définir onRequest, onResponse ou onError");
+    }
+
+    this._interceptors.push(interceptor);
+    return () => this.eject(interceptor);
+  }
+
+  /**
+   * Retire un intercepteur de la chaîne
+   *
+   * @param {Interceptor} interceptor - Intercepteur à retirer
+   * @returns {boolean} true si l'intercepteur était enregistré
+   */
+  eject(interceptor) {
+    const index = this._interceptors.indexOf(interceptor);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this._interceptors.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Retire tous les intercepteurs
+   */
+  clear() {
+    this._interceptors = [];
+  }
+
+  /**
+   * Nombre d'intercepteurs enregistrés
+   * @type {number}
+   */
+  get size() {
+    return this._interceptors.length;
+  }
+
+  /**
+   * Applique les étapes `onRequest`, dans l'ordre d'enregistrement
+   *
+   * @async
+   * @param {InterceptedRequest} request - Requête initiale
+   * @returns {Promise<InterceptedRequest>} Requête éventuellement modifiée
+   */
+  async runRequest(request) {
+    let current = request;
+
+    for (const interceptor of [...this._interceptors]) {
+      if (interceptor.onRequest) {
+        current = (await interceptor.onRequest(current)) ?? current;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Applique les étapes `onResponse`, dans l'ordre inverse d'enregistrement
+   *
+   * @async
+   * @param {InterceptedResponse} response - Réponse de l'adaptateur
+   * @returns {Promise<InterceptedResponse>} Réponse éventuellement modifiée
+   */
+  async runResponse(response) {
+    let current = response;
+
+    for (const interceptor of [...this._interceptors].reverse()) {
+      if (interceptor.onResponse) {
+        current = (await interceptor.onResponse(current)) ?? current;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Applique les étapes `onError`, dans l'ordre inverse d'enregistrement
+   *
+   * Les annulations (AbortedError) ne sont pas transmises aux intercepteurs.
+   *
+   * @async
+   * @param {*} error - Erreur rencontrée
+   * @param {InterceptedRequest} request - Requête concernée
+   * @returns {Promise<*>} Données de reprise fournies par un intercepteur
+   * @throws {DataServiceError} L'erreur (éventuellement remplacée) si aucun intercepteur ne la reprend
+   */
+  async runError(error, request) {
+    let current = toDataServiceError(error, { endpoint: request.endpoint });
+
+    if (current instanceof AbortedError) {
+      throw current;
+    }
+
+    for (const interceptor of [...this._interceptors].reverse()) {
+      if (!interceptor.onError) continue;
+
+      try {
+        const recovered = await interceptor.onError(current, request);
+        if (recovered !== undefined) {
+          return recovered;
+        }
+      } catch (replacement) {
+        current = toDataServiceError(replacement, { endpoint: request.endpoint });
+      }
+    }
+
+    throw current;
+  }
+}
+
+/**
+ * Export par défaut
+ */
+export default InterceptorChain;
@@ -0,0 +1,91 @@
+import { describe, expect, it, vi } from "vitest";
+import { InterceptorChain } from "./InterceptorChain.js";
+import { AbortedError, HttpError, NetworkError } from "./DataErrors.js";
+
+const REQUEST = { endpoint: "/user/18", headers: {}, meta: {} };
+
+describe("InterceptorChain", () => {
+  it("applique onRequest dans l'ordre d'enregistrement et onResponse dans l'ordre inverse", async () => {
+    const chain = new InterceptorChain();
+    const calls = [];
+    ["a", "b"].forEach((name) =>
+      chain.add({
+        onRequest: () => calls.push(`${name}:request`),
+        onResponse: () => calls.push(`${name}:response`),
+      })
+    );
+
+    await chain.runRequest({ ...REQUEST });
+    await chain.runResponse({ data: {}, request: REQUEST });
+
+    expect(calls).toEqual(["a:request", "b:request", "b:response", "a:response"]);
+  });
+
+  it("transmet la valeur retournée par une étape à la suivante", async () => {
+    const chain = new InterceptorChain();
+    chain.add({ onRequest: (request) => ({ ...request, endpoint: `${request.endpoint}/activity` }) });
+    chain.add({
+      onRequest: async (request) => {
+        request.headers.Authorization = "Bearer jeton";
+      },
+    });
+
+    const request = await chain.runRequest({ ...REQUEST, headers: {} });
+
+    expect(request.endpoint).toBe("/user/18/activity");
+    expect(request.headers).toEqual({ Authorization: "Bearer jeton" });
+  });
+
+  it("reprend une erreur avec les données du premier intercepteur qui en fournit", async () => {
+    const chain = new InterceptorChain();
+    const outer = vi.fn(() => ({ source: "outer" }));
+    chain.add({ onError: outer });
+    chain.add({ onError: () => ({ source: "inner" }) });
+
+    await expect(chain.runError(new TypeError("Failed to fetch"), REQUEST)).resolves.toEqual({ source: "inner" });
+    expect(outer).not.toHaveBeenCalled();
+  });
+
+  it("transmet l'erreur typée, éventuellement remplacée, sans reprise", async () => {
+    const chain = new InterceptorChain();
+    const seen = vi.fn();
+    chain.add({ onError: seen });
+    chain.add({
+      onError: () => {
+        throw new HttpError("Erreur HTTP: 503", { status: 503 });
+      },
+    });
+
+    const error = await chain.runError(new TypeError("Failed to fetch"), REQUEST).catch((failure) => failure);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(seen.mock.calls[0][0]).toBe(error);
+    expect(seen.mock.calls[0][1]).toBe(REQUEST);
+  });
+
+  it("convertit les erreurs inconnues et ne transmet pas les annulations", async () => {
+    const chain = new InterceptorChain();
+    const onError = vi.fn();
+    chain.add({ onError });
+
+    await expect(chain.runError(new TypeError("Failed to fetch"), REQUEST)).rejects.toBeInstanceOf(NetworkError);
+    expect(onError).toHaveBeenCalledTimes(1);
+
+    await expect(chain.runError(new AbortedError(), REQUEST)).rejects.toBeInstanceOf(AbortedError);
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  it("retire un intercepteur et refuse un intercepteur sans étape", async () => {
+    const chain = new InterceptorChain();
+    const onRequest = vi.fn();
+    const eject = chain.add({ onRequest });
+
+    expect(chain.size).toBe(1);
+    eject();
+    await chain.runRequest({ ...REQUEST });
+
+    expect(chain.size).toBe(0);
+    expect(onRequest).not.toHaveBeenCalled();
+    expect(() => chain.add({ name: "vide" })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Copie hors ligne des réponses du DataService
+ *
+ * Enregistre chaque réponse normalisée dans IndexedDB afin de pouvoir
+ * l'afficher lorsque la source est injoignable, et suit les endpoints
+ * actuellement servis depuis cette copie (indicateur « hors ligne »,
+ * réconciliation au retour de la connexion).
+ *
+ * @module services/api/OfflineCache
+ * @requires ../storage/idbStore.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * const offline = new OfflineCache({ onReconnect: () => DataService.reconcile() });
+ *
+ * await offline.save('api', '/user/18', normalizedUser);
+ * const record = await offline.load('api', '/user/18');
+ * offline.markServed('/user/18', record.savedAt);
+ *
+ * offline.status; // { offline: true, savedAt: 1729332000000, endpoints: ['/user/18'] }
+ */
+import { createIdbStore } from "../storage/idbStore.js";
+
+/**
+ * Réponse enregistrée hors ligne
+ * @typedef {Object} OfflineRecord
+ * @property {string} key - Clé `source:endpoint`
+ * @property {string} source - Source de données ayant produit la réponse
+ * @property {string} endpoint - Endpoint SportSee
+ * @property {Object} data - Données normalisées
+ * @property {number} savedAt - Timestamp (ms) de sauvegarde
+ */
+
+/**
+ * État hors ligne
+ * @typedef {Object} OfflineStatus
+ * @property {boolean} offline - true si au moins un endpoint est servi depuis la copie locale
+ * @property {number|null} savedAt - Date (ms) de la plus ancienne copie affichée
+ * @property {string[]} endpoints - Endpoints servis depuis la copie locale
+ */
+
+/**
+ * État sans donnée hors ligne
+ * @type {OfflineStatus}
+ * @private
+ */
+const ONLINE_STATUS = Object.freeze({ offline: false, savedAt: null, endpoints: [] });
+
+export class OfflineCache {
+  /**
+   * @param {Object} [options] - Options de la copie hors ligne
+   * @param {string} [options.dbName="sportsee-offline"] - Nom de la base IndexedDB
+   * @param {string} [options.storeName="snapshots"] - Nom de l'object store
+   * @param {IdbStore} [options.store] - Magasin à utiliser (tests), sinon IndexedDB
+   * @param {Function} [options.onReconnect] - Appelée à l'événement `online` du navigateur
+   */
+  constructor({
+    dbName = "sportsee-offline",
+    storeName = "snapshots",
+    store,
+    onReconnect,
+  } = {}) {
+    /**
+     * Magasin des réponses enregistrées
+     * @type {IdbStore}
+     */
+    this.store = store ?? createIdbStore({ dbName, storeName, keyPath: "key" });
+
+    /**
+     * Endpoints servis depuis la copie locale, avec la date de la copie
+     * @type {Map<string, number>}
+     * @private
+     */
+    this._served = new Map();
+
+    /**
+     * Abonnés aux changements d'état
+     * @type {Set<Function>}
+     * @private
+     */
+    this._listeners = new Set();
+
+    /**
+     * État courant (même référence tant qu'il ne change pas)
+     * @type {OfflineStatus}
+     * @private
+     */
+    this._status = ONLINE_STATUS;
+
+    if (onReconnect && typeof window !== "undefined") {
+      window.addEventListener("online", onReconnect);
+    }
+  }
+
+  /**
+   * Clé d'enregistrement d'une réponse
+   *
+   * @static
+   * @param {string} source - Source de données
+   * @param {string} endpoint - Endpoint
+   * @returns {string} Clé `source:endpoint`
+   */
+  static key(source, endpoint) {
+    return `${source}:${endpoint}`;
+  }
+
+  /**
+   * Enregistre une réponse normalisée
+   *
+   * @async
+   * @param {string} source - Source de données ayant produit la réponse
+   * @param {string} endpoint - Endpoint concerné
+   * @param {Object} data - Données normalisées
+   * @returns {Promise<void>}
+   */
+  async save(source, endpoint, data) {
+    await this.store.put({
+      key: OfflineCache.key(source, endpoint),
+      source,
+      endpoint,
+      data,
+      savedAt: Date.now(),
+    });
+  }
+
+  /**
+   * Lit la copie enregistrée d'une réponse
+   *
+   * @async
+   * @param {string} source - Source de données
+   * @param {string} endpoint - Endpoint recherché
+   * @returns {Promise<OfflineRecord|undefined>} La copie, undefined si absente ou stockage inaccessible
+   */
+  async load(source, endpoint) {
+    try {
+      return await this.store.get(OfflineCache.key(source, endpoint));
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Signale qu'un endpoint est affiché depuis sa copie locale
+   *
+   * @param {string} endpoint - Endpoint concerné
+   * @param {number} savedAt - Date (ms) de la copie
+   */
+  markServed(endpoint, savedAt) {
+    this._served.set(endpoint, savedAt);
+    this._update();
+  }
+
+  /**
+   * Signale qu'un endpoint a été rechargé depuis sa source
+   *
+   * @param {string} endpoint - Endpoint concerné
+   */
+  markFresh(endpoint) {
+    if (this._served.delete(endpoint)) {
+      this._update();
+    }
+  }
+
+  /**
+   * Retourne et oublie les endpoints servis depuis la copie locale
+   *
+   * @returns {string[]} Endpoints à recharger
+   */
+  takeServed() {
+    const endpoints = [...this._served.keys()];
+
+    if (endpoints.length > 0) {
+      this._served.clear();
+      this._update();
+    }
+
+    return endpoints;
+  }
+
+  /**
+   * Supprime toutes les copies enregistrées (ex: à la déconnexion)
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._served.clear();
+    this._update();
+
+    try {
+      await this.store.clear();
+    } catch {
+      // Stockage inaccessible : aucune copie à supprimer
+    }
+  }
+
+  /**
+   * État hors ligne courant
+   * @type {OfflineStatus}
+   */
+  get status() {
+    return this._status;
+  }
+
+  /**
+   * Abonne une fonction aux changements d'état
+   *
+   * @param {Function} listener - Appelée avec le nouvel OfflineStatus
+   * @returns {Function} Fonction de désabonnement
+   */
+  subscribe(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  }
+
+  /**
+   * Recalcule l'état et notifie les abonnés
+   *
+   * @private
+   */
+  _update() {
+    this._status =
+      this._served.size === 0
+        ? ONLINE_STATUS
+        : {
+            offline: true,
+            savedAt: Math.min(...this._served.values()),
+            endpoints: [...this._served.keys()],
+          };
+
+    this._listeners.forEach((listener) => listener(this._status));
+  }
+}
+
+/**
+ * Export par défaut
+ */
+export default OfflineCache;
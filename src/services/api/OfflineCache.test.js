@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { OfflineCache } from "./OfflineCache.js";
+
+/**
+ * Magasin en mémoire au format IdbStore
+ * @returns {IdbStore} Le magasin
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+  return {
+    get: async (key) => records.get(key),
+    put: async (record) => {
+      records.set(record.key, record);
+    },
+    delete: async (key) => {
+      records.delete(key);
+    },
+    getAll: async () => [...records.values()],
+    clear: async () => records.clear(),
+  };
+};
+
+describe("OfflineCache", () => {
+  let offline;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1000);
+    offline = new OfflineCache({ store: createMemoryStore() });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("copies", () => {
+    it("enregistre une réponse par source et par endpoint", async () => {
+      await offline.save("api", "/user/18", { id: 18 });
+
+      expect(await offline.load("api", "/user/18")).toEqual({
+        key: "api:/user/18",
+        source: "api",
+        endpoint: "/user/18",
+        data: { id: 18 },
+        savedAt: 1000,
+      });
+      expect(await offline.load("mock", "/user/18")).toBeUndefined();
+    });
+
+    it("ne lève pas d'erreur si le stockage est inaccessible", async () => {
+      offline = new OfflineCache({
+        store: { ...createMemoryStore(), get: () => Promise.reject(new Error("quota")) },
+      });
+
+      await expect(offline.load("api", "/user/18")).resolves.toBeUndefined();
+    });
+
+    it("supprime les copies et l'état hors ligne", async () => {
+      await offline.save("api", "/user/18", { id: 18 });
+      offline.markServed("/user/18", 1000);
+
+      await offline.clear();
+
+      expect(await offline.load("api", "/user/18")).toBeUndefined();
+      expect(offline.status.offline).toBe(false);
+    });
+  });
+
+  describe("état hors ligne", () => {
+    it("suit les endpoints servis et la date de la plus ancienne copie", () => {
+      expect(offline.status).toEqual({ offline: false, savedAt: null, endpoints: [] });
+
+      offline.markServed("/user/18", 500);
+      offline.markServed("/user/18/activity", 200);
+
+      expect(offline.status).toEqual({
+        offline: true,
+        savedAt: 200,
+        endpoints: ["/user/18", "/user/18/activity"],
+      });
+    });
+
+    it("retire un endpoint rechargé depuis sa source", () => {
+      offline.markServed("/user/18", 500);
+      offline.markServed("/user/18/activity", 200);
+
+      offline.markFresh("/user/18/activity");
+
+      expect(offline.status).toMatchObject({ savedAt: 500, endpoints: ["/user/18"] });
+    });
+
+    it("remet les endpoints servis à recharger une seule fois", () => {
+      offline.markServed("/user/18", 500);
+
+      expect(offline.takeServed()).toEqual(["/user/18"]);
+      expect(offline.takeServed()).toEqual([]);
+      expect(offline.status.offline).toBe(false);
+    });
+
+    it("notifie les abonnés des seuls changements d'état", () => {
+      const listener = vi.fn();
+      const unsubscribe = offline.subscribe(listener);
+
+      offline.markServed("/user/18", 500);
+      offline.markFresh("/user/12");
+      offline.markFresh("/user/18");
+      unsubscribe();
+      offline.markServed("/user/18", 500);
+
+      expect(listener.mock.calls.map(([status]) => status.offline)).toEqual([true, false]);
+    });
+
+    it("conserve la même référence d'état tant qu'il ne change pas", () => {
+      const status = offline.status;
+      offline.markFresh("/user/18");
+
+      expect(offline.status).toBe(status);
+    });
+  });
+});
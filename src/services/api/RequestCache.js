@@ -0,0 +1,311 @@
+/**
+ * Cache mémoire des réponses du DataService
+ *
+ * Conserve les données normalisées par clé (endpoint) avec une durée de vie
+ * configurable et regroupe les requêtes identiques simultanées en une seule
+ * promesse partagée.
+ *
+ * @module services/api/RequestCache
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { RequestCache } from './RequestCache.js';
+ *
+ * const cache = new RequestCache({ ttl: 60000 });
+ * const user = await cache.resolve('/user/18', () => fetchUser(18));
+ *
+ * // Invalidation d'un utilisateur et de toutes ses sous-ressources
+ * cache.invalidate('/user/18');
+ *
+ * // Invalidation par expression régulière
+ * cache.invalidate(/\/activity$/);
+ */
+import { AbortedError } from "./DataErrors.js";
+
+/**
+ * Entrée stockée dans le cache
+ * @typedef {Object} CacheEntry
+ * @property {*} value - Données mises en cache
+ * @property {number} expiresAt - Timestamp (ms) d'expiration de l'entrée
+ */
+
+/**
+ * Options de résolution d'une clé
+ * @typedef {Object} CacheResolveOptions
+ * @property {number} [ttl] - Durée de vie spécifique (ms), sinon celle du cache
+ * @property {boolean} [force=false] - Ignore l'entrée existante et relance le chargement
+ * @property {AbortSignal} [signal] - Annule l'attente de cet appelant uniquement
+ */
+
+/**
+ * Requête en cours partagée entre appelants
+ * @typedef {Object} PendingEntry
+ * @property {Promise<*>} promise - Promesse du chargement
+ * @property {AbortController} controller - Contrôleur transmis au chargeur
+ * @property {number} subscribers - Nombre d'appelants en attente
+ */
+
+export class RequestCache {
+  /**
+   * @param {Object} [options] - Options du cache
+   * @param {number} [options.ttl=300000] - Durée de vie par défaut des entrées (ms)
+   * @param {number} [options.maxEntries=100] - Nombre maximum d'entrées conservées
+   */
+  constructor({ ttl = 5 * 60 * 1000, maxEntries = 100 } = {}) {
+    /**
+     * Durée de vie par défaut des entrées (ms)
+     * @type {number}
+     */
+    this.ttl = ttl;
+
+    /**
+     * Nombre maximum d'entrées avant éviction des plus anciennes
+     * @type {number}
+     */
+    this.maxEntries = maxEntries;
+
+    /**
+     * Entrées résolues, dans l'ordre d'insertion
+     * @type {Map<string, CacheEntry>}
+     * @private
+     */
+    this._entries = new Map();
+
+    /**
+     * Requêtes en cours, partagées entre appelants
+     * @type {Map<string, PendingEntry>}
+     * @private
+     */
+    this._pending = new Map();
+  }
+
+  /**
+   * Lit une entrée valide du cache
+   *
+   * @param {string} key - Clé recherchée
+   * @returns {*} La valeur en cache, ou undefined si absente ou expirée
+   */
+  get(key) {
+    const entry = this._entries.get(key);
+
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this._entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Indique si une entrée valide existe pour la clé
+   *
+   * @param {string} key - Clé recherchée
+   * @returns {boolean} true si une valeur non expirée est disponible
+   */
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * Enregistre une valeur dans le cache
+   *
+   * @param {string} key - Clé de l'entrée
+   * @param {*} value - Valeur à conserver
+   * @param {number} [ttl=this.ttl] - Durée de vie de l'entrée (ms)
+   */
+  set(key, value, ttl = this.ttl) {
+    if (ttl <= 0) {
+      return;
+    }
+
+    // Réinsertion pour conserver l'ordre d'ancienneté
+    this._entries.delete(key);
+    this._entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (this._entries.size > this.maxEntries) {
+      const oldestKey = this._entries.keys().next().value;
+      this._entries.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Retourne la valeur en cache ou exécute le chargeur une seule fois
+   * pour tous les appelants simultanés de la même clé
+   *
+   * Le chargeur reçoit un AbortSignal qui n'est déclenché que lorsque tous
+   * les appelants en attente ont annulé leur propre signal.
+   *
+   * @async
+   * @param {string} key - Clé de la ressource
+   * @param {Function} loader - Fonction asynchrone `(signal) => valeur`
+   * @param {CacheResolveOptions} [options] - Options de résolution
+   * @returns {Promise<*>} La valeur en cache ou fraîchement chargée
+   * @throws {AbortedError} Si le signal de l'appelant est annulé avant la réponse
+   *
+   * @example
+   * const [a, b] = await Promise.all([
+   *   cache.resolve('/user/18', loadUser),
+   *   cache.resolve('/user/18', loadUser)
+   * ]); // loadUser n'est appelé qu'une fois
+   */
+  resolve(key, loader, { ttl = this.ttl, force = false, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new AbortedError(undefined, { endpoint: key }));
+    }
+
+    if (!force) {
+      const cached = this.get(key);
+      if (cached !== undefined) {
+        return Promise.resolve(cached);
+      }
+
+      const pending = this._pending.get(key);
+      if (pending) {
+        return this._subscribe(key, pending, signal);
+      }
+    }
+
+    const entry = {
+      controller: new AbortController(),
+      subscribers: 0,
+      promise: null,
+    };
+
+    entry.promise = Promise.resolve()
+      .then(() => loader(entry.controller.signal))
+      .then(
+        (value) => {
+          // N'écrit que si la requête n'a pas été invalidée entre-temps
+          if (this._pending.get(key) === entry) {
+            this._pending.delete(key);
+            this.set(key, value, ttl);
+          }
+          return value;
+        },
+        (error) => {
+          // Les erreurs ne sont jamais mises en cache
+          if (this._pending.get(key) === entry) {
+            this._pending.delete(key);
+          }
+          throw error;
+        }
+      );
+
+    this._pending.set(key, entry);
+    return this._subscribe(key, entry, signal);
+  }
+
+  /**
+   * Abonne un appelant à une requête en cours
+   *
+   * @private
+   * @param {string} key - Clé de la ressource
+   * @param {PendingEntry} entry - Requête partagée
+   * @param {AbortSignal} [signal] - Signal d'annulation de l'appelant
+   * @returns {Promise<*>} Promesse propre à l'appelant
+   */
+  _subscribe(key, entry, signal) {
+    entry.subscribers++;
+
+    // Sans signal, l'appelant attend jusqu'au bout et la requête ne sera jamais annulée
+    if (!signal) {
+      return entry.promise;
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        entry.subscribers--;
+
+        // Dernier appelant parti : la requête sous-jacente est annulée
+        if (entry.subscribers === 0) {
+          entry.controller.abort();
+          if (this._pending.get(key) === entry) {
+            this._pending.delete(key);
+          }
+        }
+
+        reject(new AbortedError(undefined, { endpoint: key }));
+      };
+
+      signal.addEventListener("abort", onAbort, { once: true });
+
+      entry.promise.then(
+        (value) => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(value);
+        },
+        (error) => {
+          signal.removeEventListener("abort", onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * Invalide les entrées (et requêtes en cours) correspondant au critère
+   *
+   * Une chaîne invalide l'endpoint exact ainsi que ses sous-ressources
+   * (`/user/18` invalide aussi `/user/18/activity`). Une expression régulière
+   * est testée sur chaque clé.
+   *
+   * @param {string|RegExp} matcher - Endpoint ou motif à invalider
+   * @returns {number} Nombre d'entrées supprimées
+   *
+   * @example
+   * cache.invalidate('/user/18/performance');
+   * cache.invalidate(/^\/user\/\d+\/activity$/);
+   */
+  invalidate(matcher) {
+    const matches =
+      matcher instanceof RegExp
+        ? (key) => {
+            matcher.lastIndex = 0;
+            return matcher.test(key);
+          }
+        : (key) => key === matcher || key.startsWith(`${matcher}/`);
+
+    let removed = 0;
+
+    for (const key of [...this._entries.keys()]) {
+      if (matches(key)) {
+        this._entries.delete(key);
+        removed++;
+      }
+    }
+
+    for (const key of [...this._pending.keys()]) {
+      if (matches(key)) {
+        this._pending.delete(key);
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Vide entièrement le cache et oublie les requêtes en cours
+   */
+  clear() {
+    this._entries.clear();
+    this._pending.clear();
+  }
+
+  /**
+   * Nombre d'entrées actuellement stockées (expirées incluses)
+   * @type {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+}
+
+/**
+ * Export par défaut
+ */
+export default RequestCache;
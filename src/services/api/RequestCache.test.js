@@ -0,0 +1,154 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { RequestCache } from "./RequestCache.js";
+import { AbortedError } from "./DataErrors.js";
+
+describe("RequestCache", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe("durée de vie", () => {
+    it("sert la valeur jusqu'à son expiration", () => {
+      const cache = new RequestCache({ ttl: 1000 });
+      cache.set("/user/18", { id: 18 });
+
+      vi.advanceTimersByTime(999);
+      expect(cache.get("/user/18")).toEqual({ id: 18 });
+
+      vi.advanceTimersByTime(1);
+      expect(cache.get("/user/18")).toBeUndefined();
+      expect(cache.has("/user/18")).toBe(false);
+    });
+
+    it("applique la durée de vie propre à une entrée", () => {
+      const cache = new RequestCache({ ttl: 1000 });
+      cache.set("/user/18", { id: 18 }, 5000);
+
+      vi.advanceTimersByTime(4000);
+      expect(cache.has("/user/18")).toBe(true);
+    });
+
+    it("ne conserve pas une valeur de durée de vie nulle", () => {
+      const cache = new RequestCache({ ttl: 0 });
+      cache.set("/user/18", { id: 18 });
+
+      expect(cache.size).toBe(0);
+    });
+
+    it("évince les entrées les plus anciennes au-delà de maxEntries", () => {
+      const cache = new RequestCache({ maxEntries: 2 });
+      cache.set("/user/12", 12);
+      cache.set("/user/18", 18);
+      cache.set("/user/12", 12);
+      cache.set("/user/20", 20);
+
+      expect(cache.has("/user/18")).toBe(false);
+      expect(cache.has("/user/12")).toBe(true);
+      expect(cache.has("/user/20")).toBe(true);
+    });
+  });
+
+  describe("resolve", () => {
+    it("n'appelle le chargeur qu'une fois pour des appels simultanés", async () => {
+      const cache = new RequestCache();
+      const loader = vi.fn(async () => ({ id: 18 }));
+
+      const [a, b] = await Promise.all([
+        cache.resolve("/user/18", loader),
+        cache.resolve("/user/18", loader),
+      ]);
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(a).toBe(b);
+    });
+
+    it("sert le cache, puis recharge après expiration ou avec force", async () => {
+      const cache = new RequestCache({ ttl: 1000 });
+      const loader = vi.fn(async () => ({ id: 18 }));
+
+      await cache.resolve("/user/18", loader);
+      await cache.resolve("/user/18", loader);
+      expect(loader).toHaveBeenCalledTimes(1);
+
+      await cache.resolve("/user/18", loader, { force: true });
+      expect(loader).toHaveBeenCalledTimes(2);
+
+      vi.advanceTimersByTime(1000);
+      await cache.resolve("/user/18", loader);
+      expect(loader).toHaveBeenCalledTimes(3);
+    });
+
+    it("ne met pas les erreurs en cache", async () => {
+      const cache = new RequestCache();
+      const loader = vi
+        .fn()
+        .mockRejectedValueOnce(new Error("échec"))
+        .mockResolvedValueOnce({ id: 18 });
+
+      await expect(cache.resolve("/user/18", loader)).rejects.toThrow("échec");
+      await expect(cache.resolve("/user/18", loader)).resolves.toEqual({ id: 18 });
+    });
+
+    it("n'annule le chargement que lorsque tous les appelants ont annulé", async () => {
+      const cache = new RequestCache();
+      let loaderSignal;
+      const loader = (signal) => {
+        loaderSignal = signal;
+        return new Promise(() => {});
+      };
+      const first = new AbortController();
+      const second = new AbortController();
+
+      const a = cache.resolve("/user/18", loader, { signal: first.signal });
+      const b = cache.resolve("/user/18", loader, { signal: second.signal });
+      await Promise.resolve();
+
+      first.abort();
+      await expect(a).rejects.toBeInstanceOf(AbortedError);
+      expect(loaderSignal.aborted).toBe(false);
+
+      second.abort();
+      await expect(b).rejects.toBeInstanceOf(AbortedError);
+      expect(loaderSignal.aborted).toBe(true);
+    });
+
+    it("n'écrit pas la réponse d'une requête invalidée entre-temps", async () => {
+      const cache = new RequestCache();
+      let respond;
+      const pending = cache.resolve("/user/18", () => new Promise((resolve) => (respond = resolve)));
+      await Promise.resolve();
+
+      cache.invalidate("/user/18");
+      respond({ id: 18 });
+
+      await expect(pending).resolves.toEqual({ id: 18 });
+      expect(cache.has("/user/18")).toBe(false);
+    });
+  });
+
+  describe("invalidate", () => {
+    it("invalide un endpoint et ses sous-ressources", () => {
+      const cache = new RequestCache();
+      cache.set("/user/18", 1);
+      cache.set("/user/18/activity", 2);
+      cache.set("/user/180", 3);
+
+      expect(cache.invalidate("/user/18")).toBe(2);
+      expect(cache.has("/user/180")).toBe(true);
+    });
+
+    it("invalide les clés correspondant à une expression régulière", () => {
+      const cache = new RequestCache();
+      cache.set("/user/12/activity", 1);
+      cache.set("/user/18/activity", 2);
+      cache.set("/user/18", 3);
+
+      expect(cache.invalidate(/\/activity$/)).toBe(2);
+      expect(cache.size).toBe(1);
+    });
+  });
+});
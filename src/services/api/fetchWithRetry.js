@@ -0,0 +1,266 @@
+/**
+ * Appel HTTP avec délai d'attente et nouvelles tentatives
+ *
+ * Enveloppe `fetch` pour borner la durée de chaque tentative et rejouer
+ * automatiquement les échecs transitoires (erreurs réseau, délais dépassés,
+ * statuts 5xx/429) selon une politique de backoff exponentiel avec jitter.
+ *
+ * @module services/api/fetchWithRetry
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { fetchWithRetry } from './fetchWithRetry.js';
+ *
+ * const response = await fetchWithRetry('http://localhost:3000/user/18', {
+ *   timeout: 5000,
+ *   retry: { maxAttempts: 4, baseDelay: 200 }
+ * });
+ * const { data } = await response.json();
+ */
+import {
+  AbortedError,
+  HttpError,
+  TimeoutError,
+  toDataServiceError,
+} from "./DataErrors.js";
+
+/**
+ * Politique de nouvelles tentatives
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts - Nombre total de tentatives (1 = aucune nouvelle tentative)
+ * @property {number} baseDelay - Délai avant la 2e tentative (ms)
+ * @property {number} factor - Multiplicateur appliqué au délai à chaque tentative
+ * @property {number} maxDelay - Délai maximum entre deux tentatives (ms)
+ * @property {number} jitter - Part aléatoire du délai, entre 0 (aucune) et 1 (délai entièrement aléatoire)
+ * @property {number[]} retryOn - Statuts HTTP considérés comme transitoires
+ * @property {boolean} retryOnNetworkError - Rejoue les erreurs réseau (serveur injoignable)
+ * @property {boolean} retryOnTimeout - Rejoue les tentatives ayant dépassé le délai d'attente
+ */
+
+/**
+ * Politique de nouvelles tentatives par défaut
+ * @type {RetryPolicy}
+ * @readonly
+ */
+export const DEFAULT_RETRY_POLICY = Object.freeze({
+  maxAttempts: 3,
+  baseDelay: 300,
+  factor: 2,
+  maxDelay: 3000,
+  jitter: 0.5,
+  retryOn: [408, 425, 429, 500, 502, 503, 504],
+  retryOnNetworkError: true,
+  retryOnTimeout: true,
+});
+
+/**
+ * Délai d'attente par défaut d'une tentative (ms)
+ * @type {number}
+ * @readonly
+ */
+export const DEFAULT_TIMEOUT = 8000;
+
+/**
+ * Calcule le délai d'attente avant une nouvelle tentative
+ *
+ * @function computeBackoffDelay
+ * @param {number} attempt - Numéro de la tentative qui vient d'échouer (1 pour la première)
+ * @param {RetryPolicy} policy - Politique de nouvelles tentatives
+ * @param {Function} [random=Math.random] - Générateur aléatoire (0 ≤ x < 1)
+ * @returns {number} Délai en millisecondes
+ *
+ * @example
+ * computeBackoffDelay(1, { ...DEFAULT_RETRY_POLICY, jitter: 0 }); // 300
+ * computeBackoffDelay(2, { ...DEFAULT_RETRY_POLICY, jitter: 0 }); // 600
+ */
+export const computeBackoffDelay = (attempt, policy, random = Math.random) => {
+  const exponential = policy.baseDelay * Math.pow(policy.factor, attempt - 1);
+  const capped = Math.min(exponential, policy.maxDelay);
+  const jitter = Math.min(Math.max(policy.jitter, 0), 1);
+
+  // Une part `jitter` du délai est tirée aléatoirement pour étaler les reprises
+  return Math.round(capped * (1 - jitter) + capped * jitter * random());
+};
+
+/**
+ * Lit l'en-tête Retry-After d'une réponse (en secondes ou date HTTP)
+ *
+ * @private
+ * @param {Response} response - Réponse HTTP
+ * @returns {number|null} Délai demandé par le serveur (ms), null si absent
+ */
+const parseRetryAfter = (response) => {
+  const header = response.headers?.get?.("Retry-After");
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Attend le délai indiqué, en s'interrompant si le signal est annulé
+ *
+ * @private
+ * @param {number} ms - Durée en millisecondes
+ * @param {AbortSignal} [signal] - Signal d'annulation de l'appelant
+ * @returns {Promise<void>}
+ * @throws {AbortedError} Si le signal est annulé pendant l'attente
+ */
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new AbortedError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortedError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Exécute une tentative unique avec délai d'attente
+ *
+ * Le signal de l'appelant et le délai d'attente sont combinés dans un
+ * contrôleur propre à la tentative pour distinguer annulation et timeout.
+ *
+ * @private
+ * @async
+ * @param {string} url - URL appelée
+ * @param {RequestInit} init - Options fetch
+ * @param {number} timeout - Délai d'attente (ms), 0 pour aucun
+ * @param {AbortSignal} [signal] - Signal d'annulation de l'appelant
+ * @returns {Promise<Response>} La réponse HTTP
+ * @throws {NetworkError|TimeoutError|AbortedError} Erreur réseau, délai dépassé ou annulation
+ */
+const attemptFetch = async (url, init, timeout, signal) => {
+  if (signal?.aborted) {
+    throw new AbortedError();
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = timeout
+    ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+    : null;
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (signal?.aborted) {
+      throw new AbortedError(undefined, { cause: error });
+    }
+    if (timedOut) {
+      throw new TimeoutError(`Délai d'attente dépassé (${timeout} ms)`, {
+        timeout,
+        cause: error,
+      });
+    }
+    throw toDataServiceError(error);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+};
+
+/**
+ * Appelle une URL avec délai d'attente par tentative et nouvelles tentatives
+ *
+ * Résout avec la première réponse `ok`. Rejette avec la dernière erreur
+ * rencontrée (HttpError, NetworkError ou TimeoutError), enrichie de
+ * `attempts` (nombre de tentatives effectuées).
+ *
+ * @function fetchWithRetry
+ * @async
+ * @param {string} url - URL à appeler
+ * @param {Object} [options] - Options de l'appel
+ * @param {number} [options.timeout=DEFAULT_TIMEOUT] - Délai d'attente par tentative (ms), 0 pour aucun
+ * @param {Partial<RetryPolicy>} [options.retry] - Surcharge de la politique par défaut
+ * @param {RequestInit} [options.init] - Options transmises à fetch
+ * @param {AbortSignal} [options.signal] - Annule la tentative en cours et les suivantes
+ * @returns {Promise<Response>} La réponse HTTP réussie
+ * @throws {DataServiceError} Dernière erreur rencontrée, avec `error.attempts`
+ *
+ * @example
+ * try {
+ *   await fetchWithRetry(url, { retry: { maxAttempts: 1 } });
+ * } catch (error) {
+ *   console.log(error instanceof HttpError, error.status, error.attempts); // true, 502, 1
+ * }
+ */
+export const fetchWithRetry = async (
+  url,
+  { timeout = DEFAULT_TIMEOUT, retry = {}, init = {}, signal } = {}
+) => {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+  const maxAttempts = Math.max(1, policy.maxAttempts);
+
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    let retryable;
+    let retryAfter = null;
+
+    try {
+      const response = await attemptFetch(url, init, timeout, signal);
+
+      if (response.ok) {
+        return response;
+      }
+
+      error = new HttpError(
+        `Erreur HTTP: ${response.status} - ${response.statusText}`,
+        { status: response.status, statusText: response.statusText }
+      );
+      retryable = policy.retryOn.includes(response.status);
+      retryAfter = parseRetryAfter(response);
+    } catch (fetchError) {
+      error = fetchError;
+      // Une annulation volontaire n'est jamais rejouée
+      retryable =
+        !(fetchError instanceof AbortedError) &&
+        (fetchError instanceof TimeoutError
+          ? policy.retryOnTimeout
+          : policy.retryOnNetworkError);
+    }
+
+    if (!retryable || attempt >= maxAttempts) {
+      error.attempts = attempt;
+      throw error;
+    }
+
+    const backoff = computeBackoffDelay(attempt, policy);
+    try {
+      await wait(
+        retryAfter !== null ? Math.min(retryAfter, policy.maxDelay) : backoff,
+        signal
+      );
+    } catch (abortError) {
+      abortError.attempts = attempt;
+      throw abortError;
+    }
+  }
+};
+
+/**
+ * Export par défaut
+ */
+export default fetchWithRetry;
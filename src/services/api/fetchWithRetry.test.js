@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  DEFAULT_RETRY_POLICY,
+  computeBackoffDelay,
+  fetchWithRetry,
+} from "./fetchWithRetry.js";
+import { AbortedError, HttpError, NetworkError } from "./DataErrors.js";
+
+/**
+ * Réponse HTTP minimale
+ * @param {number} status - Statut HTTP
+ * @param {Object<string, string>} [headers] - En-têtes
+ * @returns {Response} La réponse
+ */
+const respond = (status, headers = {}) => new Response(null, { status, headers });
+
+const NO_JITTER = { ...DEFAULT_RETRY_POLICY, jitter: 0 };
+
+describe("computeBackoffDelay", () => {
+  it("double le délai à chaque tentative", () => {
+    expect([1, 2, 3].map((attempt) => computeBackoffDelay(attempt, NO_JITTER))).toEqual([300, 600, 1200]);
+  });
+
+  it("plafonne le délai à maxDelay", () => {
+    expect(computeBackoffDelay(10, NO_JITTER)).toBe(NO_JITTER.maxDelay);
+  });
+
+  it("tire aléatoirement la part jitter du délai", () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, jitter: 0.5 };
+
+    expect(computeBackoffDelay(1, policy, () => 0)).toBe(150);
+    expect(computeBackoffDelay(1, policy, () => 0.999)).toBe(300);
+  });
+});
+
+describe("fetchWithRetry", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  it("rejoue un statut transitoire après le délai de backoff", async () => {
+    fetchMock.mockResolvedValueOnce(respond(503)).mockResolvedValueOnce(respond(200));
+
+    const pending = fetchWithRetry("/user/18", { retry: { jitter: 0 } });
+    await vi.advanceTimersByTimeAsync(299);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(pending).resolves.toHaveProperty("status", 200);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("attend le délai Retry-After demandé par le serveur, plafonné à maxDelay", async () => {
+    fetchMock
+      .mockResolvedValueOnce(respond(429, { "Retry-After": "2" }))
+      .mockResolvedValueOnce(respond(429, { "Retry-After": "60" }))
+      .mockResolvedValueOnce(respond(200));
+
+    const pending = fetchWithRetry("/user/18", { retry: { jitter: 0 } });
+
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(DEFAULT_RETRY_POLICY.maxDelay);
+    await expect(pending).resolves.toHaveProperty("status", 200);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it("ne rejoue pas un statut non transitoire", async () => {
+    fetchMock.mockResolvedValue(respond(404));
+
+    const error = await fetchWithRetry("/user/99").catch((failure) => failure);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(404);
+    expect(error.attempts).toBe(1);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejette avec la dernière erreur après maxAttempts tentatives", async () => {
+    fetchMock.mockRejectedValue(new TypeError("fetch failed"));
+
+    const pending = fetchWithRetry("/user/18", { retry: { maxAttempts: 2, jitter: 0 } }).catch(
+      (failure) => failure
+    );
+    await vi.advanceTimersByTimeAsync(300);
+    const error = await pending;
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.attempts).toBe(2);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("s'interrompt si le signal est annulé pendant l'attente", async () => {
+    fetchMock.mockResolvedValue(respond(503));
+    const controller = new AbortController();
+
+    const pending = fetchWithRetry("/user/18", { signal: controller.signal }).catch((failure) => failure);
+    await vi.advanceTimersByTimeAsync(0);
+    controller.abort();
+    const error = await pending;
+
+    expect(error).toBeInstanceOf(AbortedError);
+    expect(error.attempts).toBe(1);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
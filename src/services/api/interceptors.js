@@ -0,0 +1,95 @@
+/**
+ * Intercepteurs prêts à l'emploi pour le DataService
+ *
+ * @module services/api/interceptors
+ * @see module:services/api/InterceptorChain
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { DataService } from './DataService.js';
+ * import { createLoggingInterceptor, createTimingInterceptor } from './interceptors.js';
+ *
+ * DataService.addInterceptor(createLoggingInterceptor());
+ * DataService.addInterceptor(createTimingInterceptor((measure) => metrics.push(measure)));
+ */
+
+/**
+ * Mesure d'une requête
+ * @typedef {Object} RequestMeasure
+ * @property {string} endpoint - Endpoint appelé
+ * @property {string} source - Source de données utilisée
+ * @property {number} duration - Durée (ms)
+ * @property {boolean} ok - true si la requête a réussi
+ * @property {string} [code] - Code de l'erreur en cas d'échec
+ */
+
+/**
+ * Crée un intercepteur journalisant chaque requête et son issue, avec les
+ * replis d'un adaptateur composite (FallbackAdapter)
+ *
+ * @function createLoggingInterceptor
+ * @param {Object} [options] - Options de journalisation
+ * @param {Console} [options.logger=console] - Journal utilisé (debug, warn)
+ * @param {string} [options.prefix="[DataService]"] - Préfixe des messages
+ * @returns {Interceptor} L'intercepteur
+ *
+ * @example
+ * DataService.addInterceptor(createLoggingInterceptor({ prefix: '[SportSee]' }));
+ * // [SportSee] → mock /user/18
+ * // [SportSee] ← mock /user/18 (3 ms)
+ */
+export const createLoggingInterceptor = ({ logger = console, prefix = "[DataService]" } = {}) => ({
+  name: "logging",
+  onRequest(request) {
+    logger.debug(`${prefix} → ${request.source} ${request.endpoint}`);
+  },
+  onResponse(response) {
+    const { request, duration, fallbacks = [] } = response;
+    fallbacks.forEach(({ from, to, error }) => {
+      logger.warn(`${prefix} ↷ ${from} a échoué pour ${request.endpoint} (${error.message}), repli sur ${to}`);
+    });
+    logger.debug(`${prefix} ← ${request.source} ${request.endpoint} (${duration} ms)`);
+  },
+  onError(error, request) {
+    logger.warn(`${prefix} ✕ ${request.source} ${request.endpoint}: ${error.message}`);
+  },
+});
+
+/**
+ * Crée un intercepteur mesurant la durée de chaque requête
+ *
+ * @function createTimingInterceptor
+ * @param {Function} onMeasure - Appelée avec une RequestMeasure à la fin de chaque requête
+ * @returns {Interceptor} L'intercepteur
+ *
+ * @example
+ * const durations = [];
+ * DataService.addInterceptor(createTimingInterceptor(({ endpoint, duration }) => {
+ *   durations.push({ endpoint, duration });
+ * }));
+ */
+export const createTimingInterceptor = (onMeasure) => ({
+  name: "timing",
+  onResponse(response) {
+    const { request, duration } = response;
+    onMeasure({ endpoint: request.endpoint, source: request.source, duration, ok: true });
+  },
+  onError(error, request) {
+    onMeasure({
+      endpoint: request.endpoint,
+      source: request.source,
+      duration: Date.now() - request.startedAt,
+      ok: false,
+      code: error.code,
+    });
+  },
+});
+
+/**
+ * Export par défaut
+ */
+export default {
+  createLoggingInterceptor,
+  createTimingInterceptor,
+};
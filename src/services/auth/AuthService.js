@@ -0,0 +1,421 @@
+/**
+ * Service d'authentification SportSee
+ *
+ * Gère la session de l'utilisateur (connexion, renouvellement du jeton,
+ * déconnexion) et fournit l'intercepteur qui ajoute l'en-tête
+ * `Authorization: Bearer ...` à chaque requête du DataService puis
+ * renouvelle le jeton et rejoue la requête sur une réponse 401.
+ *
+ * L'authentification n'est active que si `config.auth.enabled` vaut true
+ * (variable VITE_AUTH_ENABLED) ; sinon la session est ignorée.
+ *
+ * Contrat attendu du backend (enveloppe `{ data }`) :
+ * - `POST /auth/login` `{ email, password }` → `{ accessToken, refreshToken, expiresIn, user: { id, role } }`
+ * - `POST /auth/refresh` `{ refreshToken }` → même réponse
+ * - `POST /auth/logout` (jeton bearer) → révoque la session
+ *
+ * @class AuthService
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * // Au démarrage de l'application
+ * AuthService.install();
+ *
+ * @example
+ * // Connexion puis redirection vers le tableau de bord
+ * const session = await AuthService.login({ email, password });
+ * navigate(`/user/${session.user.id}`);
+ *
+ * @example
+ * // Un coach peut consulter tous les tableaux de bord
+ * AuthService.canViewUser(12); // true pour un coach ou pour l'utilisateur 12
+ */
+import { DataService } from "../api/DataService.js";
+import { fetchWithRetry } from "../api/fetchWithRetry.js";
+import { clearServiceWorkerApiCache } from "../pwa/serviceWorker.js";
+import {
+  AuthenticationError,
+  HttpError,
+  ValidationError,
+  toDataServiceError,
+} from "../api/DataErrors.js";
+import { createTokenStore } from "./tokenStore.js";
+
+/**
+ * Marge (ms) avant expiration à partir de laquelle le jeton est renouvelé
+ * @type {number}
+ * @private
+ */
+const EXPIRY_MARGIN = 10 * 1000;
+
+export class AuthService {
+  /**
+   * Routes d'authentification du backend
+   * @type {{ login: string, refresh: string, logout: string }}
+   * @static
+   * @readonly
+   */
+  static ENDPOINTS = Object.freeze({
+    login: "/auth/login",
+    refresh: "/auth/refresh",
+    logout: "/auth/logout",
+  });
+
+  /**
+   * Rôle donnant accès aux tableaux de bord de tous les utilisateurs
+   * @type {string}
+   * @static
+   * @readonly
+   */
+  static COACH_ROLE = "coach";
+
+  /**
+   * Stockage de la session
+   * @type {ReturnType<typeof createTokenStore>}
+   * @static
+   * @see module:services/auth/tokenStore
+   */
+  static store = createTokenStore();
+
+  /**
+   * Renouvellement en cours, partagé entre les requêtes concurrentes
+   * @type {Promise<AuthSession>|null}
+   * @static
+   * @private
+   */
+  static _refreshing = null;
+
+  /**
+   * Intercepteur installé dans le DataService
+   * @type {Function|null}
+   * @static
+   * @private
+   */
+  static _eject = null;
+
+  /**
+   * Indique si l'authentification est exigée
+   * @type {boolean}
+   * @static
+   */
+  static get enabled() {
+    return Boolean(DataService.config.auth?.enabled);
+  }
+
+  /**
+   * Session courante
+   * @type {AuthSession|null}
+   * @static
+   */
+  static get session() {
+    return AuthService.store.get();
+  }
+
+  /**
+   * Indique si la session appartient à un coach
+   *
+   * @static
+   * @param {AuthSession|null} [session=AuthService.session] - Session à tester
+   * @returns {boolean} true pour un coach
+   */
+  static isCoach(session = AuthService.session) {
+    return session?.user?.role === AuthService.COACH_ROLE;
+  }
+
+  /**
+   * Tableau de bord d'accueil d'une session
+   *
+   * @static
+   * @param {AuthSession|null} [session=AuthService.session] - Session à tester
+   * @returns {number|null} ID de l'utilisateur de la session ; pour un coach sans
+   *   ID, l'utilisateur par défaut ; null si la session n'ouvre aucun tableau de bord
+   *
+   * @example
+   * AuthService.getHomeUserId({ user: { id: 12, role: "user" } });     // 12
+   * AuthService.getHomeUserId({ user: { id: null, role: "coach" } });  // DataService.DEFAULT_USER_ID
+   * AuthService.getHomeUserId({ user: { id: null, role: "user" } });   // null
+   */
+  static getHomeUserId(session = AuthService.session) {
+    const id = Number(session?.user?.id);
+    if (Number.isInteger(id) && id > 0) return id;
+    return AuthService.isCoach(session) ? DataService.DEFAULT_USER_ID : null;
+  }
+
+  /**
+   * Indique si la session permet de consulter le tableau de bord d'un utilisateur
+   *
+   * @static
+   * @param {number|string} userId - ID du tableau de bord demandé
+   * @param {AuthSession|null} [session=AuthService.session] - Session à tester
+   * @returns {boolean} true si l'authentification est désactivée, pour son propre
+   *   tableau de bord ou pour un coach
+   */
+  static canViewUser(userId, session = AuthService.session) {
+    if (!AuthService.enabled) return true;
+    if (!session) return false;
+    return AuthService.isCoach(session) || String(session.user.id) === String(userId);
+  }
+
+  /**
+   * Connecte l'utilisateur et enregistre sa session
+   *
+   * @static
+   * @async
+   * @param {Object} credentials - Identifiants
+   * @param {string} credentials.email - Adresse e-mail
+   * @param {string} credentials.password - Mot de passe
+   * @param {Object} [options] - Options de l'appel
+   * @param {AbortSignal} [options.signal] - Signal d'annulation
+   * @returns {Promise<AuthSession>} La nouvelle session
+   * @throws {AuthenticationError} Si les identifiants sont refusés
+   * @throws {DataServiceError} Si le serveur est injoignable ou répond mal
+   */
+  static async login({ email, password }, { signal } = {}) {
+    let data;
+
+    try {
+      data = await AuthService._post(AuthService.ENDPOINTS.login, { email, password }, { signal });
+    } catch (error) {
+      if (error instanceof HttpError && [400, 401, 403].includes(error.status)) {
+        throw new AuthenticationError("Identifiants invalides", {
+          endpoint: AuthService.ENDPOINTS.login,
+          cause: error,
+        });
+      }
+      throw error;
+    }
+
+    const session = AuthService._toSession(data);
+    AuthService.store.set(session);
+
+    // Les réponses en cache appartiennent à la session précédente
+    DataService.clear();
+    return session;
+  }
+
+  /**
+   * Renouvelle le jeton d'accès à partir du jeton de renouvellement
+   *
+   * Les appels simultanés partagent le même renouvellement. Une session
+   * refusée par le serveur est supprimée.
+   *
+   * @static
+   * @async
+   * @returns {Promise<AuthSession>} La session renouvelée
+   * @throws {AuthenticationError} Si la session ne peut plus être renouvelée
+   */
+  static refresh() {
+    if (AuthService._refreshing) {
+      return AuthService._refreshing;
+    }
+
+    const refreshToken = AuthService.session?.refreshToken;
+
+    if (!refreshToken) {
+      AuthService.store.clear();
+      return Promise.reject(new AuthenticationError("Session expirée, veuillez vous reconnecter"));
+    }
+
+    AuthService._refreshing = AuthService._post(AuthService.ENDPOINTS.refresh, { refreshToken })
+      .then(
+        (data) => {
+          const session = AuthService._toSession(data, AuthService.session);
+          AuthService.store.set(session);
+          return session;
+        },
+        (error) => {
+          // Serveur injoignable : la session est conservée pour un prochain essai
+          if (error instanceof HttpError && error.status < 500) {
+            AuthService.store.clear();
+            throw new AuthenticationError("Session expirée, veuillez vous reconnecter", {
+              endpoint: AuthService.ENDPOINTS.refresh,
+              cause: error,
+            });
+          }
+          throw error;
+        }
+      )
+      .finally(() => {
+        AuthService._refreshing = null;
+      });
+
+    return AuthService._refreshing;
+  }
+
+  /**
+   * Déconnecte l'utilisateur
+   *
+   * La session locale, le cache et les copies hors ligne (IndexedDB et
+   * service worker) sont supprimés ; la
+   * révocation côté serveur est tentée sans bloquer en cas d'échec.
+   *
+   * @static
+   * @async
+   * @returns {Promise<void>}
+   */
+  static async logout() {
+    const accessToken = AuthService.session?.accessToken;
+
+    AuthService.store.clear();
+    DataService.clear();
+
+    // Les copies hors ligne contiennent les données personnelles de l'utilisateur
+    await Promise.all([DataService.offline.clear(), clearServiceWorkerApiCache()]);
+
+    if (!accessToken) return;
+
+    try {
+      await AuthService._post(AuthService.ENDPOINTS.logout, {}, { token: accessToken });
+    } catch (error) {
+      console.warn("Révocation de la session impossible:", error.message);
+    }
+  }
+
+  /**
+   * Retourne un jeton d'accès valide, renouvelé s'il est sur le point d'expirer
+   *
+   * @static
+   * @async
+   * @returns {Promise<string|null>} Le jeton, null sans session
+   */
+  static async getAccessToken() {
+    const session = AuthService.session;
+
+    if (!session) return null;
+
+    if (session.expiresAt && session.refreshToken && session.expiresAt - EXPIRY_MARGIN <= Date.now()) {
+      return (await AuthService.refresh()).accessToken;
+    }
+
+    return session.accessToken;
+  }
+
+  /**
+   * Crée l'intercepteur d'authentification du DataService
+   *
+   * Ajoute le jeton bearer à chaque requête ; sur une AuthenticationError,
+   * renouvelle le jeton puis rejoue la requête une seule fois.
+   *
+   * @static
+   * @returns {Interceptor} L'intercepteur
+   */
+  static createInterceptor() {
+    return {
+      name: "auth",
+      async onRequest(request) {
+        if (!AuthService.enabled) return;
+
+        const token = await AuthService.getAccessToken();
+        if (token) {
+          request.headers.Authorization = `Bearer ${token}`;
+        }
+      },
+      async onError(error, request) {
+        if (!AuthService.enabled || !(error instanceof AuthenticationError) || request.meta.replayed) {
+          return undefined;
+        }
+
+        await AuthService.refresh();
+        return request.replay();
+      },
+    };
+  }
+
+  /**
+   * Installe l'intercepteur d'authentification dans le DataService (une seule fois)
+   *
+   * @static
+   * @returns {Function} Fonction retirant l'intercepteur
+   */
+  static install() {
+    if (!AuthService._eject) {
+      const eject = DataService.addInterceptor(AuthService.createInterceptor());
+      AuthService._eject = () => {
+        eject();
+        AuthService._eject = null;
+      };
+    }
+
+    return AuthService._eject;
+  }
+
+  /**
+   * Appelle une route d'authentification
+   *
+   * @static
+   * @async
+   * @private
+   * @param {string} path - Route (ex: "/auth/login")
+   * @param {Object} body - Corps JSON
+   * @param {Object} [options] - Options de l'appel
+   * @param {string} [options.token] - Jeton bearer à envoyer
+   * @param {AbortSignal} [options.signal] - Signal d'annulation
+   * @returns {Promise<Object>} Contenu de l'enveloppe `data`
+   */
+  static async _post(path, body, { token, signal } = {}) {
+    let response;
+
+    try {
+      response = await fetchWithRetry(`${DataService.API_BASE_URL}${path}`, {
+        timeout: DataService.config.timeout,
+        // Les identifiants ne sont jamais renvoyés automatiquement
+        retry: { maxAttempts: 1 },
+        init: {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          },
+          body: JSON.stringify(body),
+        },
+        signal,
+      });
+    } catch (error) {
+      throw toDataServiceError(error, { endpoint: path });
+    }
+
+    try {
+      return (await response.json())?.data;
+    } catch (error) {
+      throw new ValidationError("Réponse d'authentification illisible", {
+        endpoint: path,
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Construit une session à partir de la réponse du backend
+   *
+   * @static
+   * @private
+   * @param {Object} data - Réponse de connexion ou de renouvellement
+   * @param {AuthSession|null} [previous] - Session renouvelée (conserve l'utilisateur et le jeton de renouvellement)
+   * @returns {AuthSession} La session
+   * @throws {ValidationError} Si la réponse ne contient pas de jeton
+   */
+  static _toSession(data, previous = null) {
+    if (!data?.accessToken) {
+      throw new ValidationError("Réponse d'authentification sans jeton");
+    }
+
+    const user = data.user ?? previous?.user;
+
+    if (!user) {
+      throw new ValidationError("Réponse d'authentification sans utilisateur");
+    }
+
+    return {
+      accessToken: data.accessToken,
+      refreshToken: data.refreshToken ?? previous?.refreshToken,
+      expiresAt: data.expiresIn ? Date.now() + data.expiresIn * 1000 : undefined,
+      user: { id: user.id ?? null, role: user.role ?? "user" },
+    };
+  }
+}
+
+/**
+ * Export par défaut
+ */
+export default AuthService;
@@ -0,0 +1,121 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { AuthService } from "./AuthService.js";
+import { createTokenStore } from "./tokenStore.js";
+import { DataService } from "../api/DataService.js";
+import { AuthenticationError } from "../api/DataErrors.js";
+
+const USER = {
+  id: 12,
+  userInfos: { firstName: "Karl", lastName: "Dovineau", age: 31 },
+  todayScore: 0.12,
+  keyData: { calorieCount: 1930, proteinCount: 155, carbohydrateCount: 290, lipidCount: 50 },
+};
+
+const RAW_DATA = {
+  "/user/12": USER,
+  "/user/12/activity": { userId: 12, sessions: [{ day: "2020-07-01", kilogram: 80, calories: 240 }] },
+};
+
+/**
+ * Réponse JSON du backend d'authentification
+ * @param {number} status - Statut HTTP
+ * @param {Object} [data] - Contenu de l'enveloppe `data`
+ * @returns {Response} La réponse
+ */
+const respond = (status, data) => new Response(JSON.stringify({ data }), { status });
+
+describe("AuthService", () => {
+  const initialConfig = DataService.config;
+  let adapter;
+  let fetchMock;
+  let eject;
+
+  beforeEach(() => {
+    // Source qui n'accepte que le jeton renouvelé
+    adapter = {
+      fetch: vi.fn(async (endpoint, { headers }) => {
+        if (headers.Authorization !== "Bearer renouvelé") {
+          throw new AuthenticationError("Jeton expiré", { endpoint });
+        }
+        return RAW_DATA[endpoint];
+      }),
+    };
+    DataService.registerAdapter("test-auth", adapter);
+    DataService.configure({ mode: "test-auth", auth: { enabled: true } });
+    DataService.clear();
+
+    AuthService.store = createTokenStore({ storage: null });
+    AuthService.store.set({ accessToken: "expiré", refreshToken: "refresh", user: { id: 12, role: "user" } });
+    eject = AuthService.install();
+
+    fetchMock = vi.fn(async () => respond(200, { accessToken: "renouvelé", expiresIn: 3600 }));
+    vi.stubGlobal("fetch", fetchMock);
+  });
+
+  afterEach(() => {
+    eject();
+    vi.unstubAllGlobals();
+    DataService.adapters.delete("test-auth");
+    DataService.configure(initialConfig);
+    DataService.clear();
+  });
+
+  it("renouvelle le jeton sur une réponse 401 puis rejoue la requête", async () => {
+    const user = await DataService.fetchData("/user/12");
+
+    expect(user.id).toBe(12);
+    expect(adapter.fetch).toHaveBeenCalledTimes(2);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0]).toBe(`${DataService.API_BASE_URL}/auth/refresh`);
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ refreshToken: "refresh" });
+    expect(AuthService.session).toMatchObject({
+      accessToken: "renouvelé",
+      refreshToken: "refresh",
+      user: { id: 12, role: "user" },
+    });
+  });
+
+  it("ne rejoue la requête qu'une fois", async () => {
+    adapter.fetch.mockRejectedValue(new AuthenticationError("Jeton refusé"));
+
+    await expect(DataService.fetchData("/user/12")).rejects.toBeInstanceOf(AuthenticationError);
+    expect(adapter.fetch).toHaveBeenCalledTimes(2);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("partage un seul renouvellement entre les requêtes simultanées", async () => {
+    await Promise.all([DataService.fetchData("/user/12"), DataService.fetchData("/user/12/activity")]);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("supprime la session si le renouvellement est refusé", async () => {
+    fetchMock.mockResolvedValue(respond(401));
+
+    await expect(DataService.fetchData("/user/12")).rejects.toBeInstanceOf(AuthenticationError);
+    expect(AuthService.session).toBeNull();
+  });
+
+  it("ajoute le jeton à chaque requête", async () => {
+    AuthService.store.set({ accessToken: "renouvelé", user: { id: 12, role: "user" } });
+
+    await DataService.fetchData("/user/12");
+
+    expect(adapter.fetch).toHaveBeenCalledTimes(1);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("limite l'accès aux tableaux de bord de l'utilisateur, sauf pour un coach", () => {
+    expect(AuthService.canViewUser(12)).toBe(true);
+    expect(AuthService.canViewUser(18)).toBe(false);
+    expect(AuthService.canViewUser(18, { accessToken: "jeton", user: { id: null, role: "coach" } })).toBe(true);
+    expect(AuthService.canViewUser(12, null)).toBe(false);
+  });
+
+  it("ouvre le tableau de bord de la session, ou l'utilisateur par défaut pour un coach sans ID", () => {
+    expect(AuthService.getHomeUserId()).toBe(12);
+    expect(AuthService.getHomeUserId({ user: { id: null, role: "coach" } })).toBe(DataService.DEFAULT_USER_ID);
+    expect(AuthService.getHomeUserId({ user: { id: null, role: "user" } })).toBeNull();
+    expect(AuthService.getHomeUserId(null)).toBeNull();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Stockage de la session d'authentification
+ *
+ * Conserve les jetons et l'utilisateur connecté dans le localStorage (clé
+ * `sportsee:session`) et notifie les abonnés à chaque changement, y compris
+ * depuis un autre onglet.
+ *
+ * @module services/auth/tokenStore
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { createTokenStore } from './tokenStore.js';
+ *
+ * const store = createTokenStore();
+ * store.set({ accessToken: 'abc', refreshToken: 'def', expiresAt: Date.now() + 60000, user: { id: 18, role: 'user' } });
+ * store.get().user.id; // 18
+ *
+ * @example
+ * // Stockage mémoire (tests, navigation privée)
+ * const memory = createTokenStore({ storage: null });
+ */
+
+/**
+ * Session d'authentification
+ * @typedef {Object} AuthSession
+ * @property {string} accessToken - Jeton envoyé dans l'en-tête Authorization
+ * @property {string} [refreshToken] - Jeton de renouvellement de l'accès
+ * @property {number} [expiresAt] - Timestamp (ms) d'expiration du jeton d'accès
+ * @property {Object} user - Utilisateur connecté
+ * @property {number|null} user.id - ID de l'utilisateur SportSee (null pour un coach sans tableau de bord)
+ * @property {string} user.role - Rôle ("user" ou "coach")
+ */
+
+/**
+ * Clé localStorage de la session
+ * @type {string}
+ * @readonly
+ */
+export const SESSION_STORAGE_KEY = "sportsee:session";
+
+/**
+ * Lit et valide une session sérialisée
+ *
+ * @private
+ * @param {string|null} raw - Valeur stockée
+ * @returns {AuthSession|null} La session, null si absente ou invalide
+ */
+const parseSession = (raw) => {
+  try {
+    const session = JSON.parse(raw);
+    return session?.accessToken && session.user ? session : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Crée un stockage de session
+ *
+ * @function createTokenStore
+ * @param {Object} [options] - Options du stockage
+ * @param {Storage|null} [options.storage=window.localStorage] - Stockage persistant, null pour la mémoire seule
+ * @param {string} [options.key=SESSION_STORAGE_KEY] - Clé de stockage
+ * @returns {{ get: Function, set: Function, clear: Function, subscribe: Function }} Le stockage
+ */
+export const createTokenStore = ({
+  storage = typeof window !== "undefined" ? window.localStorage : null,
+  key = SESSION_STORAGE_KEY,
+} = {}) => {
+  const listeners = new Set();
+  let session;
+
+  try {
+    session = parseSession(storage?.getItem(key) ?? null);
+  } catch {
+    session = null;
+  }
+
+  const notify = () => listeners.forEach((listener) => listener(session));
+
+  // Synchronisation entre onglets
+  if (storage && typeof window !== "undefined") {
+    window.addEventListener("storage", (event) => {
+      if (event.key === key) {
+        session = parseSession(event.newValue);
+        notify();
+      }
+    });
+  }
+
+  return {
+    /**
+     * Session courante
+     * @returns {AuthSession|null}
+     */
+    get() {
+      return session;
+    },
+
+    /**
+     * Enregistre une nouvelle session
+     * @param {AuthSession} next - Session à conserver
+     */
+    set(next) {
+      session = next;
+      try {
+        storage?.setItem(key, JSON.stringify(next));
+      } catch {
+        // Stockage indisponible : la session reste en mémoire
+      }
+      notify();
+    },
+
+    /**
+     * Supprime la session
+     */
+    clear() {
+      session = null;
+      try {
+        storage?.removeItem(key);
+      } catch {
+        // Stockage indisponible : rien à supprimer
+      }
+      notify();
+    },
+
+    /**
+     * Abonne une fonction aux changements de session
+     * @param {Function} listener - Appelée avec la nouvelle session (ou null)
+     * @returns {Function} Fonction de désabonnement
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+/**
+ * Export par défaut
+ */
+export default createTokenStore;
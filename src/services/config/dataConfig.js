@@ -0,0 +1,304 @@
+/**
+ * Configuration de la source de données SportSee
+ *
+ * Point unique de résolution du mode (mock ou API), de l'URL de l'API,
+ * des délais et de l'utilisateur par défaut. Les valeurs sont lues, par
+ * ordre de priorité décroissante, depuis :
+ * 1. le paramètre d'URL `?source=mock|api|fixture|indexeddb|api-mock`
+ * 2. le localStorage (`sportsee:source`)
+ * 3. les variables d'environnement Vite (`import.meta.env`)
+ * 4. les valeurs par défaut
+ *
+ * @module services/config/dataConfig
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { resolveDataConfig } from './dataConfig.js';
+ *
+ * const config = resolveDataConfig();
+ * console.log(config.mode); // "mock"
+ *
+ * @example
+ * // Fichier .env.local
+ * // VITE_DATA_SOURCE=api
+ * // VITE_API_BASE_URL=http://localhost:3000
+ * // VITE_API_TIMEOUT=5000
+ *
+ * @description
+ * Variables d'environnement reconnues :
+ * - VITE_DATA_SOURCE : nom de la source ("mock", "api", "fixture", "indexeddb", "api-mock"...)
+ * - VITE_USE_REAL_API : "true" pour forcer l'API (ancienne variable, toujours supportée)
+ * - VITE_API_BASE_URL : URL de base de l'API SportSee
+ * - VITE_API_TIMEOUT : délai d'attente d'une tentative (ms)
+ * - VITE_API_MAX_ATTEMPTS : nombre maximum de tentatives par requête
+ * - VITE_CACHE_TTL : durée de vie du cache des réponses (ms)
+ * - VITE_DEFAULT_USER_ID : utilisateur affiché par défaut
+ * - VITE_MOCK_SYNTHETIC : "false" pour désactiver les utilisateurs synthétiques du mode mock
+ * - VITE_MOCK_SEED : graine du générateur d'utilisateurs synthétiques
+ * - VITE_MOCK_DAYS : nombre de jours d'activité des utilisateurs synthétiques
+ * - VITE_MOCK_TODAY : date du jour (AAAA-MM-JJ) du mode mock, par défaut le lendemain
+ *   du dernier jour des données mockées
+ * - VITE_MOCK_FAULTS : pannes injectées dans le mode mock (scénarios ou JSON, voir faultInjection.js),
+ *   surchargeables par `?faults=` et le localStorage (`sportsee:faults`)
+ * - VITE_AUTH_ENABLED : "true" pour exiger une connexion (jetons bearer, voir AuthService)
+ * - VITE_OFFLINE_ENABLED : "false" pour ne pas conserver de copie hors ligne des réponses
+ * - VITE_VALIDATION_MODE : "strict" pour rejeter les réponses non conformes au schéma,
+ *   "lenient" (défaut) pour les réparer (voir DataNormalizer.validate)
+ */
+import { DEFAULT_RETRY_POLICY, DEFAULT_TIMEOUT } from "../api/fetchWithRetry.js";
+import { DEFAULT_SYNTHETIC_OPTIONS } from "../data/syntheticData.js";
+import { FAULTS_STORAGE_KEY, parseFaults } from "../data/faultInjection.js";
+import { isValidIsoDate } from "../utils/calendarDate.js";
+
+/**
+ * Sources de données intégrées (d'autres peuvent être enregistrées via DataService.registerAdapter)
+ * @type {string[]}
+ * @readonly
+ */
+export const DATA_SOURCES = ["mock", "api", "fixture", "indexeddb", "api-mock"];
+
+/**
+ * Format accepté pour un nom de source de données
+ * @type {RegExp}
+ * @readonly
+ */
+const SOURCE_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Clé localStorage de la source de données choisie
+ * @type {string}
+ * @readonly
+ */
+export const SOURCE_STORAGE_KEY = "sportsee:source";
+
+/**
+ * Configuration de la source de données
+ * @typedef {Object} DataConfig
+ * @property {string} mode - Nom de la source des données (adaptateur du DataService)
+ * @property {string} apiBaseUrl - URL de base de l'API SportSee
+ * @property {number} timeout - Délai d'attente d'une tentative (ms)
+ * @property {RetryPolicy} retry - Politique de nouvelles tentatives des appels API
+ * @property {number} cacheTtl - Durée de vie des réponses en cache (ms)
+ * @property {number} defaultUserId - Utilisateur affiché par défaut
+ * @property {MockConfig} mock - Options du mode mock
+ * @property {AuthConfig} auth - Options d'authentification
+ * @property {Object} offline - Options hors ligne
+ * @property {boolean} offline.enabled - Copie les réponses dans IndexedDB et les sert si la source est injoignable
+ * @property {Object} validation - Validation des données brutes
+ * @property {"strict"|"lenient"} validation.mode - Rejette ("strict") ou répare ("lenient") les réponses non conformes
+ * @property {"query"|"storage"|"env"|"default"} modeOrigin - Origine de la valeur de `mode`
+ */
+
+/**
+ * Options d'authentification
+ * @typedef {Object} AuthConfig
+ * @property {boolean} enabled - Exige une session et envoie le jeton bearer à chaque appel
+ */
+
+/**
+ * Options du mode mock
+ * @typedef {Object} MockConfig
+ * @property {boolean} synthetic - Génère un utilisateur synthétique pour les IDs sans données mockées
+ * @property {string} seed - Graine du générateur d'utilisateurs synthétiques
+ * @property {number} days - Nombre de jours d'activité générés
+ * @property {string} today - Date du jour des données mockées (AAAA-MM-JJ)
+ * @property {FaultConfig|null} faults - Pannes injectées dans les réponses mockées
+ */
+
+/**
+ * Configuration par défaut
+ * @type {DataConfig}
+ * @readonly
+ */
+export const DEFAULT_DATA_CONFIG = Object.freeze({
+  mode: "mock",
+  apiBaseUrl: "http://localhost:3000",
+  timeout: DEFAULT_TIMEOUT,
+  retry: DEFAULT_RETRY_POLICY,
+  cacheTtl: 5 * 60 * 1000,
+  defaultUserId: 18,
+  modeOrigin: "default",
+  mock: Object.freeze({
+    synthetic: true,
+    seed: DEFAULT_SYNTHETIC_OPTIONS.seed,
+    days: DEFAULT_SYNTHETIC_OPTIONS.days,
+    // Lendemain du dernier jour d'activité de mockData.js
+    today: "2020-07-08",
+    faults: null,
+  }),
+  auth: Object.freeze({
+    enabled: false,
+  }),
+  offline: Object.freeze({
+    enabled: true,
+  }),
+  validation: Object.freeze({
+    mode: "lenient",
+  }),
+});
+
+/**
+ * Valide un nom de source de données
+ *
+ * @private
+ * @param {*} value - Valeur à tester
+ * @returns {string|null} La source normalisée ou null si invalide
+ */
+const parseSource = (value) => {
+  const source = String(value ?? "").trim().toLowerCase();
+  return SOURCE_NAME_PATTERN.test(source) ? source : null;
+};
+
+/**
+ * Convertit une valeur en entier positif
+ *
+ * @private
+ * @param {*} value - Valeur à convertir
+ * @param {number} fallback - Valeur par défaut
+ * @returns {number} L'entier ou la valeur par défaut
+ */
+const parsePositiveInt = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * Lit le localStorage sans échouer (navigation privée, SSR, tests)
+ *
+ * @private
+ * @param {Storage|null} storage - Stockage à lire
+ * @param {string} key - Clé à lire
+ * @returns {string|null} La valeur stockée
+ */
+const readStorage = (storage, key) => {
+  try {
+    return storage?.getItem(key) ?? null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Environnement par défaut : variables Vite si disponibles
+ *
+ * @private
+ * @returns {Object} Variables d'environnement
+ */
+const getDefaultEnv = () => import.meta.env ?? {};
+
+/**
+ * Résout la configuration complète de la source de données
+ *
+ * Les dépendances (env, URL, stockage) sont injectables pour les tests.
+ *
+ * @function resolveDataConfig
+ * @param {Object} [sources] - Sources de configuration
+ * @param {Object} [sources.env=import.meta.env] - Variables d'environnement
+ * @param {string} [sources.search=window.location.search] - Chaîne de requête de l'URL
+ * @param {Storage|null} [sources.storage=window.localStorage] - Stockage persistant
+ * @returns {DataConfig} La configuration résolue
+ *
+ * @example
+ * resolveDataConfig({ env: { VITE_DATA_SOURCE: 'api' }, search: '?source=mock', storage: null });
+ * // { mode: 'mock', modeOrigin: 'query', ... }
+ */
+export const resolveDataConfig = ({
+  env = getDefaultEnv(),
+  search = typeof window !== "undefined" ? window.location.search : "",
+  storage = typeof window !== "undefined" ? window.localStorage : null,
+} = {}) => {
+  const query = new URLSearchParams(search);
+  const querySource = parseSource(query.get("source"));
+  const storedSource = parseSource(readStorage(storage, SOURCE_STORAGE_KEY));
+  const envSource =
+    parseSource(env.VITE_DATA_SOURCE) ??
+    (env.VITE_USE_REAL_API === "true" ? "api" : null);
+
+  let mode = DEFAULT_DATA_CONFIG.mode;
+  let modeOrigin = "default";
+
+  if (querySource) {
+    mode = querySource;
+    modeOrigin = "query";
+  } else if (storedSource) {
+    mode = storedSource;
+    modeOrigin = "storage";
+  } else if (envSource) {
+    mode = envSource;
+    modeOrigin = "env";
+  }
+
+  return {
+    mode,
+    modeOrigin,
+    apiBaseUrl: (env.VITE_API_BASE_URL || DEFAULT_DATA_CONFIG.apiBaseUrl).replace(/\/+$/, ""),
+    timeout: parsePositiveInt(env.VITE_API_TIMEOUT, DEFAULT_DATA_CONFIG.timeout),
+    retry: {
+      ...DEFAULT_RETRY_POLICY,
+      maxAttempts: Math.max(
+        1,
+        parsePositiveInt(env.VITE_API_MAX_ATTEMPTS, DEFAULT_RETRY_POLICY.maxAttempts)
+      ),
+    },
+    cacheTtl: parsePositiveInt(env.VITE_CACHE_TTL, DEFAULT_DATA_CONFIG.cacheTtl),
+    defaultUserId:
+      parsePositiveInt(env.VITE_DEFAULT_USER_ID, 0) || DEFAULT_DATA_CONFIG.defaultUserId,
+    mock: {
+      synthetic: env.VITE_MOCK_SYNTHETIC !== "false",
+      seed: env.VITE_MOCK_SEED || DEFAULT_DATA_CONFIG.mock.seed,
+      days: parsePositiveInt(env.VITE_MOCK_DAYS, 0) || DEFAULT_DATA_CONFIG.mock.days,
+      today: isValidIsoDate(env.VITE_MOCK_TODAY) ? env.VITE_MOCK_TODAY : DEFAULT_DATA_CONFIG.mock.today,
+      faults:
+        parseFaults(query.get("faults")) ??
+        parseFaults(readStorage(storage, FAULTS_STORAGE_KEY)) ??
+        parseFaults(env.VITE_MOCK_FAULTS),
+    },
+    auth: {
+      enabled: env.VITE_AUTH_ENABLED === "true",
+    },
+    offline: {
+      enabled: env.VITE_OFFLINE_ENABLED !== "false",
+    },
+    validation: {
+      mode: env.VITE_VALIDATION_MODE === "strict" ? "strict" : DEFAULT_DATA_CONFIG.validation.mode,
+    },
+  };
+};
+
+/**
+ * Mémorise la source de données choisie dans le localStorage
+ *
+ * @function storeDataSource
+ * @param {string|null} source - Source à mémoriser (ex: "api"), null pour l'oublier
+ * @param {Storage|null} [storage=window.localStorage] - Stockage persistant
+ * @returns {boolean} true si l'opération a réussi
+ *
+ * @example
+ * storeDataSource('api'); // les prochains chargements utiliseront l'API
+ * storeDataSource(null);  // retour à la configuration de l'environnement
+ */
+export const storeDataSource = (
+  source,
+  storage = typeof window !== "undefined" ? window.localStorage : null
+) => {
+  try {
+    if (source === null) {
+      storage?.removeItem(SOURCE_STORAGE_KEY);
+      return Boolean(storage);
+    }
+
+    const parsed = parseSource(source);
+    if (!parsed || !storage) return false;
+
+    storage.setItem(SOURCE_STORAGE_KEY, parsed);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Export par défaut
+ */
+export default resolveDataConfig;
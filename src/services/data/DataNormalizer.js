@@ -3,8 +3,17 @@
  * 
  * Gère les inconsistances de schéma entre utilisateurs pour assurer
  * une interface cohérente dans l'application.
+ *
+ * Les données brutes sont d'abord validées selon le schéma de leur
+ * endpoint (voir dataSchemas.js) : en mode « strict » une réponse invalide
+ * est rejetée, en mode « lenient » elle est réparée. Le rapport de
+ * validation reste associé aux données normalisées (`getValidationReport`).
  * 
  * @module DataNormalizer
+ * @requires ./dataSchemas.js
+ * @requires ./goals.js
+ * @requires ../utils/calendarDate.js
+ * @requires ../utils/endpoints.js
  * @author SportSee Team
  * @since 1.0.0
  * 
@@ -13,6 +22,30 @@
  * 
  * const normalizedUser = DataNormalizer.normalizeUser(rawUserData);
  * const normalizedPerf = DataNormalizer.normalizePerformance(rawPerfData);
+ *
+ * @example
+ * // Validation seule
+ * const report = DataNormalizer.validate('activity', rawActivity, { mode: 'strict' });
+ * report.errors; // [{ path: 'sessions[2].kilogram', code: 'missing', ... }]
+ */
+import { DATA_SCHEMAS, NORMALIZED_SCHEMAS, validateSchema } from "./dataSchemas.js";
+import { ValidationError } from "../api/DataErrors.js";
+import { getEndpointType, getUserIdFromEndpoint } from "../utils/endpoints.js";
+import { addDays, formatOrdinalDay, getWeekday, parseIsoDate } from "../utils/calendarDate.js";
+import { DEFAULT_LOCALE, getMessage } from "../i18n/i18n.js";
+import { performanceKinds } from "./performanceKinds.js";
+import { resolveGoals } from "./goals.js";
+
+/**
+ * Rapport de validation des données brutes d'un endpoint
+ * @typedef {Object} ValidationReport
+ * @property {string} type - Type de données ("user", "activity", "average-sessions", "performance", "score-history", "goals")
+ * @property {"strict"|"lenient"} mode - Mode de validation appliqué
+ * @property {boolean} valid - true si les données reçues respectent le schéma
+ * @property {boolean} accepted - true si les données sont utilisables (valides, ou toutes réparées en mode lenient)
+ * @property {SchemaIssue[]} errors - Champs manquants ou invalides, avec leur chemin
+ * @property {SchemaRepair[]} repairs - Réparations appliquées (mode lenient)
+ * @property {*} data - Données validées (réparées en mode lenient)
  */
 
 /**
@@ -23,36 +56,109 @@
 export class DataNormalizer {
   
   /**
-   * Mapping des catégories de performance (clés numériques vers noms lisibles)
+   * Mapping des catégories de performance (clés numériques vers noms lisibles),
+   * lu dans le registre des catégories ; utilisé lorsque la réponse ne fournit
+   * pas son dictionnaire `kind`
    * @type {Object<number, string>}
    * @static
    * @readonly
    */
-  static PERFORMANCE_KIND_MAP = {
-    1: 'cardio',
-    2: 'energy',
-    3: 'endurance', 
-    4: 'strength',
-    5: 'speed',
-    6: 'intensity'
-  };
+  static get PERFORMANCE_KIND_MAP() {
+    return performanceKinds.getIdMap();
+  }
 
   /**
    * Mapping des jours de la semaine pour les sessions moyennes
    * @type {string[]}
    * @static
    * @readonly
-   * @description Index 0-6 correspond aux jours 1-7 de l'API
+   * @description Index 0-6 correspond aux jours 1-7 de l'API. Noms du catalogue de
+   * référence (français) : l'interface les traduit avec `calendar.weekdaysNarrow`
+   */
+  static DAY_NAMES = getMessage(DEFAULT_LOCALE, 'calendar.weekdaysNarrow');
+
+  /**
+   * Noms complets des jours de la semaine (catalogue de référence, avec majuscule)
+   * @type {string[]}
+   * @static
+   * @readonly
    */
-  static DAY_NAMES = ['L', 'M', 'M', 'J', 'V', 'S', 'D'];
+  static DAY_NAMES_FULL = getMessage(DEFAULT_LOCALE, 'calendar.weekdays').map(
+    (name) => name.charAt(0).toUpperCase() + name.slice(1)
+  );
 
   /**
-   * Noms complets des jours de la semaine
+   * Modes de validation des données brutes
    * @type {string[]}
    * @static
    * @readonly
+   * @description "lenient" répare et consigne, "strict" rejette toute réponse invalide
+   */
+  static VALIDATION_MODES = ['lenient', 'strict'];
+
+  /**
+   * Rapports de validation, indexés par données normalisées
+   * @type {WeakMap<Object, ValidationReport>}
+   * @static
+   * @private
+   */
+  static _reports = new WeakMap();
+
+  /**
+   * Valide des données brutes selon le schéma de leur type
+   *
+   * @param {string} type - Type de données ("user", "activity", "average-sessions" ou "sessions",
+   *   "performance", "score-history", "goals")
+   * @param {*} rawData - Données brutes
+   * @param {Object} [options] - Options de validation
+   * @param {"strict"|"lenient"} [options.mode="lenient"] - Mode de validation
+   * @param {number} [options.userId] - ID de l'endpoint, pour réparer un identifiant absent
+   * @returns {ValidationReport} Le rapport de validation
+   * @throws {TypeError} Si aucun schéma n'existe pour ce type
+   *
+   * @example
+   * const report = DataNormalizer.validate('user', { id: 12, todayScore: '0.12' });
+   * report.valid;    // false
+   * report.accepted; // true (réparé)
+   * report.repairs;  // [{ path: 'userInfos', action: 'default', ... }, { path: 'todayScore', action: 'coerce', from: '0.12', to: 0.12 }, ...]
+   */
+  static validate(type, rawData, { mode = 'lenient', userId } = {}) {
+    const schemaType = type === 'sessions' ? 'average-sessions' : type;
+    const schema = DATA_SCHEMAS[schemaType];
+
+    if (!schema) {
+      throw new TypeError(`Aucun schéma pour le type de données "${type}"`);
+    }
+
+    const lenient = mode !== 'strict';
+    const { value, errors, repairs, repaired } = validateSchema(schema, rawData, {
+      repair: lenient,
+      context: { userId },
+    });
+
+    return {
+      type: schemaType,
+      mode: lenient ? 'lenient' : 'strict',
+      valid: errors.length === 0,
+      accepted: errors.length === 0 || (lenient && repaired),
+      errors,
+      repairs,
+      data: value
+    };
+  }
+
+  /**
+   * Retourne le rapport de validation de données normalisées
+   *
+   * @param {Object} data - Données retournées par normalizeByEndpoint
+   * @returns {ValidationReport|null} Le rapport, null si les données n'ont pas été validées
+   * (ex: copie hors ligne)
    */
-  static DAY_NAMES_FULL = ['Lundi', 'Mardi', 'Mercredi', 'Jeudi', 'Vendredi', 'Samedi', 'Dimanche'];
+  static getValidationReport(data) {
+    return data !== null && typeof data === 'object'
+      ? DataNormalizer._reports.get(data) ?? null
+      : null;
+  }
 
   /**
    * Normalise les données utilisateur
@@ -96,7 +202,9 @@ export class DataNormalizer {
 
   /**
    * Normalise les données de performance
-   * Résout le mapping kind numérique vers noms des catégories
+   * Résout le mapping kind numérique vers noms des catégories : dictionnaire
+   * `kind` de la réponse d'abord (nouvelles catégories comprises), puis registre
+   * des catégories (voir performanceKinds.js)
    * 
    * @param {Object} rawData - Données brutes de performance
    * @returns {Object|null} Données de performance normalisées
@@ -105,6 +213,11 @@ export class DataNormalizer {
    * const rawPerf = { userId: 12, kind: { 1: 'cardio' }, data: [{ value: 80, kind: 1 }] };
    * const normalized = DataNormalizer.normalizePerformance(rawPerf);
    * console.log(normalized.data[0].kindName); // 'cardio'
+   *
+   * @example
+   * // Catégorie ajoutée côté API
+   * const perf = { kind: { 7: 'flexibility' }, data: [{ value: 90, kind: 7 }] };
+   * DataNormalizer.normalizePerformance(perf).data[0].kindName; // 'flexibility'
    */
   static normalizePerformance(rawData) {
     if (!rawData) {
@@ -128,7 +241,7 @@ export class DataNormalizer {
       data: rawData.data.map(item => ({
         value: item?.value ?? 0,
         kind: item?.kind ?? 0,
-        kindName: DataNormalizer.PERFORMANCE_KIND_MAP[item?.kind] ?? 'unknown'
+        kindName: performanceKinds.getName(item?.kind, rawData.kind) ?? 'unknown'
       }))
     };
   }
@@ -176,7 +289,8 @@ export class DataNormalizer {
 
   /**
    * Normalise les données d'activité
-   * Extrait le jour depuis les dates string et ajoute des fallbacks
+   * Extrait le jour du mois et le jour de la semaine des dates AAAA-MM-JJ
+   * (lues comme dates calendaires, voir calendarDate.js) et ajoute des fallbacks
    * 
    * @param {Object} rawData - Données brutes d'activité
    * @returns {Object|null} Données d'activité normalisées
@@ -184,8 +298,9 @@ export class DataNormalizer {
    * @example
    * const rawActivity = { userId: 12, sessions: [{ day: "2020-07-01", kilogram: 80 }] };
    * const normalized = DataNormalizer.normalizeActivity(rawActivity);
-   * console.log(normalized.sessions[0].dayFormatted); // 1
+   * console.log(normalized.sessions[0].dayFormatted); // 1 (quel que soit le fuseau horaire)
    * console.log(normalized.sessions[0].dayName); // "1er"
+   * console.log(normalized.sessions[0].weekday); // 3 (mercredi)
    */
   static normalizeActivity(rawData) {
     if (!rawData) {
@@ -203,26 +318,20 @@ export class DataNormalizer {
 
     return {
       userId: rawData.userId ?? 0,
-      // ✅ Extraction du jour depuis les dates string
+      // ✅ Extraction du jour depuis les dates string, sans décalage de fuseau horaire
       sessions: rawData.sessions.map(session => {
         const dayString = session?.day ?? '';
-        let dayFormatted = 0;
-        let dayName = '?';
-
-        try {
-          if (dayString) {
-            const date = new Date(dayString);
-            dayFormatted = date.getDate();
-            dayName = `${dayFormatted}${dayFormatted === 1 ? 'er' : ''}`;
-          }
-        } catch {
+        const date = parseIsoDate(dayString);
+
+        if (dayString && !date) {
           console.warn(`DataNormalizer.normalizeActivity: Date invalide "${dayString}"`);
         }
 
         return {
           day: dayString,
-          dayFormatted,
-          dayName,
+          dayFormatted: date?.day ?? 0,
+          dayName: date ? formatOrdinalDay(date.day) : '?',
+          weekday: getWeekday(dayString) ?? 0,
           kilogram: session?.kilogram ?? 0,
           calories: session?.calories ?? 0
         };
@@ -230,75 +339,216 @@ export class DataNormalizer {
     };
   }
 
+  /**
+   * Normalise l'historique des scores quotidiens
+   * Trie les jours par date ; un jour présent plusieurs fois garde son dernier score
+   *
+   * @param {Object} rawData - Données brutes de l'historique (`{ userId, history: [{ day, score }] }`)
+   * @returns {Object|null} Historique normalisé, du plus ancien au plus récent
+   *
+   * @example
+   * const normalized = DataNormalizer.normalizeScoreHistory({
+   *   userId: 12,
+   *   history: [{ day: "2020-07-02", score: 0.8 }, { day: "2020-07-01", score: 1 }]
+   * });
+   * normalized.history.map((entry) => entry.day); // ["2020-07-01", "2020-07-02"]
+   */
+  static normalizeScoreHistory(rawData) {
+    if (!rawData) {
+      console.warn('DataNormalizer.normalizeScoreHistory: Données manquantes');
+      return null;
+    }
+
+    const scores = new Map(
+      (Array.isArray(rawData.history) ? rawData.history : [])
+        .filter((entry) => parseIsoDate(entry?.day))
+        .map((entry) => [entry.day, entry.score ?? 0])
+    );
+
+    return {
+      userId: rawData.userId ?? 0,
+      history: [...scores]
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([day, score]) => ({ day, score }))
+    };
+  }
+
+  /**
+   * Normalise les objectifs de l'utilisateur
+   * Un objectif absent ou hors bornes reprend sa valeur par défaut
+   *
+   * @param {Object} rawData - Objectifs bruts (`{ userId, calories, sessionMinutes, weeklySessions, targetWeight }`)
+   * @returns {Object|null} Objectifs complets avec `userId`
+   *
+   * @example
+   * DataNormalizer.normalizeGoals({ userId: 12, calories: 400 });
+   * // { userId: 12, calories: 400, sessionMinutes: 30, weeklySessions: 4, targetWeight: null }
+   */
+  static normalizeGoals(rawData) {
+    if (!rawData) {
+      console.warn('DataNormalizer.normalizeGoals: Données manquantes');
+      return null;
+    }
+
+    return {
+      userId: rawData.userId ?? 0,
+      ...resolveGoals(rawData)
+    };
+  }
+
+  /**
+   * Sélectionne une période des données d'activité normalisées
+   *
+   * Sans `from`, la période couvre les `days` derniers jours jusqu'à `to` ;
+   * sans `to`, elle se termine au dernier jour enregistré (l'historique d'un
+   * utilisateur qui ne s'entraîne plus reste affiché). Les sessions sans date
+   * valide sont écartées.
+   *
+   * @param {Object} activity - Données retournées par normalizeActivity
+   * @param {Object} [range] - Période (bornes incluses)
+   * @param {string} [range.from] - Premier jour (AAAA-MM-JJ)
+   * @param {string} [range.to] - Dernier jour (AAAA-MM-JJ)
+   * @param {number} [range.days] - Nombre de jours, si `from` est absent
+   * @returns {Object} Copie des données avec les sessions de la période, triées
+   *   par date, et `range: { from, to }` ; le rapport de validation est conservé
+   *
+   * @example
+   * const week = DataNormalizer.selectActivityRange(activity, { days: 3 });
+   * week.range;                              // { from: "2020-07-05", to: "2020-07-07" }
+   * week.sessions.map((session) => session.day); // ["2020-07-05", "2020-07-06", "2020-07-07"]
+   */
+  static selectActivityRange(activity, { from, to, days } = {}) {
+    const sessions = (activity?.sessions ?? [])
+      .filter((session) => parseIsoDate(session.day))
+      .sort((a, b) => a.day.localeCompare(b.day));
+
+    const end = to ?? sessions.at(-1)?.day ?? null;
+    const start = from ?? (days > 0 && end ? addDays(end, 1 - days) : sessions[0]?.day ?? null);
+
+    // Dates AAAA-MM-JJ : l'ordre alphabétique est l'ordre chronologique
+    const selected = {
+      ...activity,
+      sessions: sessions.filter(({ day }) => (!start || day >= start) && (!end || day <= end)),
+      range: { from: start, to: end }
+    };
+
+    const report = DataNormalizer._reports.get(activity);
+    if (report) {
+      DataNormalizer._reports.set(selected, report);
+    }
+
+    return selected;
+  }
+
   /**
    * Applique la normalisation appropriée selon le type d'endpoint
+   *
+   * Les données brutes sont validées au préalable selon le schéma de
+   * l'endpoint ; le rapport est associé aux données normalisées.
    * 
    * @param {string} endpoint - L'endpoint API appelé
    * @param {Object} rawData - Données brutes de l'API
+   * @param {Object} [options] - Options de normalisation
+   * @param {"strict"|"lenient"} [options.mode="lenient"] - Mode de validation
    * @returns {Object|null} Données normalisées selon le type
+   * @throws {ValidationError} Si les données sont invalides (mode strict) ou
+   *   irréparables (mode lenient), avec le rapport dans `error.report`
    * 
    * @example
    * const normalized = DataNormalizer.normalizeByEndpoint('/user/12/performance', rawPerfData);
+   * DataNormalizer.getValidationReport(normalized).repairs; // []
+   *
+   * @example
+   * // Rejet d'une réponse incomplète
+   * DataNormalizer.normalizeByEndpoint('/user/12', { id: 12 }, { mode: 'strict' });
+   * // ValidationError: Données invalides pour /user/12 (3 champs) — error.report.errors
    */
-  static normalizeByEndpoint(endpoint, rawData) {
+  static normalizeByEndpoint(endpoint, rawData, { mode = 'lenient' } = {}) {
     if (!endpoint || !rawData) {
       console.warn('DataNormalizer.normalizeByEndpoint: Paramètres manquants', { endpoint, hasData: !!rawData });
       return rawData;
     }
 
-    try {
-      // Détection du type d'endpoint et application de la normalisation appropriée
-      if (endpoint.includes('/performance')) {
-        return DataNormalizer.normalizePerformance(rawData);
-      }
-      
-      if (endpoint.includes('/average-sessions')) {
-        return DataNormalizer.normalizeSessions(rawData);
-      }
-      
-      if (endpoint.includes('/activity')) {
-        return DataNormalizer.normalizeActivity(rawData);
-      }
-      
-      if (endpoint.match(/\/user\/\d+$/)) {
-        return DataNormalizer.normalizeUser(rawData);
-      }
+    const type = getEndpointType(endpoint);
 
-      // Pas de normalisation spécifique nécessaire
+    // Pas de schéma ni de normalisation spécifique pour cet endpoint
+    if (!DATA_SCHEMAS[type]) {
       return rawData;
-      
+    }
+
+    const report = DataNormalizer.validate(type, rawData, {
+      mode,
+      userId: Number.parseInt(getUserIdFromEndpoint(endpoint), 10) || undefined
+    });
+
+    if (!report.accepted) {
+      const count = report.errors.length;
+      throw new ValidationError(
+        `Données invalides pour ${endpoint} (${count} champ${count > 1 ? 's' : ''})`,
+        { endpoint, report }
+      );
+    }
+
+    if (report.repairs.length > 0) {
+      console.warn(`DataNormalizer: ${report.repairs.length} réparation(s) pour ${endpoint}`, report.repairs);
+    }
+
+    let normalizedData;
+
+    try {
+      // Application de la normalisation appropriée au type d'endpoint
+      switch (type) {
+        case 'performance':
+          normalizedData = DataNormalizer.normalizePerformance(report.data);
+          break;
+        case 'average-sessions':
+          normalizedData = DataNormalizer.normalizeSessions(report.data);
+          break;
+        case 'activity':
+          normalizedData = DataNormalizer.normalizeActivity(report.data);
+          break;
+        case 'score-history':
+          normalizedData = DataNormalizer.normalizeScoreHistory(report.data);
+          break;
+        case 'goals':
+          normalizedData = DataNormalizer.normalizeGoals(report.data);
+          break;
+        default:
+          normalizedData = DataNormalizer.normalizeUser(report.data);
+      }
     } catch (error) {
       console.error('DataNormalizer.normalizeByEndpoint: Erreur de normalisation', error);
       return rawData; // Retourne les données originales en cas d'erreur
     }
+
+    if (normalizedData) {
+      DataNormalizer._reports.set(normalizedData, report);
+    }
+
+    return normalizedData;
   }
 
   /**
    * Valide la structure des données normalisées
+   *
+   * Les données sont comparées au schéma de leur forme normalisée
+   * (NORMALIZED_SCHEMAS), pas à celui de la réponse brute de l'API.
    * 
-   * @param {string} type - Type de données ('user', 'performance', 'sessions', 'activity')
-   * @param {Object} data - Données à valider
+   * @param {string} type - Type de données ('user', 'performance', 'sessions' ou 'average-sessions',
+   *   'activity', 'score-history', 'goals')
+   * @param {Object} data - Données retournées par normalizeByEndpoint
    * @returns {boolean} true si valide, false sinon
+   *
+   * @example
+   * DataNormalizer.validateNormalizedData('user', DataNormalizer.normalizeUser(rawUser)); // true
+   * DataNormalizer.validateNormalizedData('user', rawUser); // false (champ score absent)
    */
   static validateNormalizedData(type, data) {
-    if (!data) return false;
-
-    switch (type) {
-      case 'user':
-        return !!(data.id && data.userInfos && typeof data.score === 'number');
-      
-      case 'performance':
-        return !!(data.userId && data.data && Array.isArray(data.data));
-      
-      case 'sessions':
-        return !!(data.userId && data.sessions && Array.isArray(data.sessions));
-      
-      case 'activity':
-        return !!(data.userId && data.sessions && Array.isArray(data.sessions));
-      
-      default:
-        return false;
-    }
+    const schema = NORMALIZED_SCHEMAS[type === 'sessions' ? 'average-sessions' : type];
+
+    if (!schema || !data) return false;
+
+    return validateSchema(schema, data).errors.length === 0;
   }
 }
 
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import { DataNormalizer } from "./DataNormalizer.js";
+import { mockData } from "./mockData.js";
+import { getEndpointType } from "../utils/endpoints.js";
+
+const ACTIVITY = {
+  userId: 12,
+  sessions: [
+    { day: "2020-07-03", kilogram: 79, calories: 280 },
+    { day: "2020-07-01", kilogram: 80, calories: 240 },
+    { day: "invalide", kilogram: 80, calories: 100 },
+    { day: "2020-07-02", kilogram: 80, calories: 220 },
+    { day: "2020-07-05", kilogram: 78, calories: 300 },
+  ],
+};
+
+/**
+ * Jours des sessions d'une période
+ * @param {Object} activity - Activité sélectionnée
+ * @returns {string[]} Les jours
+ */
+const days = (activity) => activity.sessions.map(({ day }) => day);
+
+describe("DataNormalizer.selectActivityRange", () => {
+  it("sélectionne les derniers jours jusqu'au dernier jour enregistré", () => {
+    const selected = DataNormalizer.selectActivityRange(ACTIVITY, { days: 3 });
+
+    expect(selected.range).toEqual({ from: "2020-07-03", to: "2020-07-05" });
+    expect(days(selected)).toEqual(["2020-07-03", "2020-07-05"]);
+    expect(selected.userId).toBe(12);
+  });
+
+  it("sélectionne une période aux bornes incluses", () => {
+    const selected = DataNormalizer.selectActivityRange(ACTIVITY, { from: "2020-07-02", to: "2020-07-03" });
+
+    expect(days(selected)).toEqual(["2020-07-02", "2020-07-03"]);
+  });
+
+  it("compte les jours à partir de la date de fin demandée", () => {
+    const selected = DataNormalizer.selectActivityRange(ACTIVITY, { to: "2020-07-02", days: 7 });
+
+    expect(selected.range).toEqual({ from: "2020-06-26", to: "2020-07-02" });
+    expect(days(selected)).toEqual(["2020-07-01", "2020-07-02"]);
+  });
+
+  it("couvre toutes les sessions datées sans période, triées par date", () => {
+    const selected = DataNormalizer.selectActivityRange(ACTIVITY);
+
+    expect(selected.range).toEqual({ from: "2020-07-01", to: "2020-07-05" });
+    expect(days(selected)).toEqual(["2020-07-01", "2020-07-02", "2020-07-03", "2020-07-05"]);
+    expect(days(ACTIVITY)[0]).toBe("2020-07-03");
+  });
+
+  it("renvoie une période vide sans activité", () => {
+    expect(DataNormalizer.selectActivityRange(null, { days: 7 })).toEqual({
+      sessions: [],
+      range: { from: null, to: null },
+    });
+  });
+});
+
+describe("DataNormalizer.validateNormalizedData", () => {
+  it("accepte les données normalisées de chaque endpoint", () => {
+    const endpoints = Object.keys(mockData).filter((endpoint) => endpoint.startsWith("/user/12"));
+
+    endpoints.forEach((endpoint) => {
+      const normalized = DataNormalizer.normalizeByEndpoint(endpoint, mockData[endpoint](), { mode: "strict" });
+
+      expect(DataNormalizer.validateNormalizedData(getEndpointType(endpoint), normalized), endpoint).toBe(true);
+    });
+    expect(DataNormalizer.validateNormalizedData("goals", DataNormalizer.normalizeGoals({ userId: 12 }))).toBe(true);
+  });
+
+  it("refuse les données brutes, qui n'ont pas la forme normalisée", () => {
+    expect(DataNormalizer.validateNormalizedData("user", mockData["/user/12"]())).toBe(false);
+    expect(DataNormalizer.validateNormalizedData("sessions", mockData["/user/12/average-sessions"]())).toBe(false);
+    expect(DataNormalizer.validateNormalizedData("inconnu", { userId: 12 })).toBe(false);
+    expect(DataNormalizer.validateNormalizedData("user", null)).toBe(false);
+  });
+});
@@ -0,0 +1,585 @@
+/**
+ * Schémas des réponses SportSee et validation détaillée
+ *
+ * Chaque endpoint a un schéma déclaratif décrivant les champs attendus
+ * (type, bornes, format, valeur de réparation). `validateSchema` parcourt
+ * les données brutes et produit un rapport listant chaque champ manquant
+ * ou invalide avec son chemin. En mode « lenient », les champs réparables
+ * sont corrigés (valeur par défaut, conversion, bornage, suppression de
+ * l'élément) et chaque réparation est consignée ; en mode « strict », les
+ * données ne sont pas modifiées.
+ *
+ * `NORMALIZED_SCHEMAS` décrit de la même façon les données mises en forme
+ * par le DataNormalizer (noms des jours, score unifié, objectifs complets).
+ *
+ * @module services/data/dataSchemas
+ * @requires ../utils/calendarDate.js
+ * @requires ./goals.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { DATA_SCHEMAS, validateSchema } from './dataSchemas.js';
+ *
+ * const { value, errors, repairs } = validateSchema(
+ *   DATA_SCHEMAS.user,
+ *   { id: 12, userInfos: { firstName: 'Karl' }, todayScore: '0.12' },
+ *   { repair: true }
+ * );
+ * // errors  : [{ path: 'userInfos.lastName', code: 'missing', ... }, { path: 'todayScore', code: 'type', ... }, ...]
+ * // repairs : [{ path: 'userInfos.lastName', action: 'default', from: undefined, to: '' }, { path: 'todayScore', action: 'coerce', from: '0.12', to: 0.12 }, ...]
+ */
+import { isValidIsoDate } from "../utils/calendarDate.js";
+import { GOAL_FIELDS } from "./goals.js";
+
+/**
+ * Description d'un champ
+ * @typedef {Object} FieldSchema
+ * @property {"number"|"integer"|"string"|"date"|"object"|"record"|"array"} type - Type attendu
+ * @property {boolean} [optional=false] - Champ facultatif
+ * @property {string[]} [aliases] - Noms alternatifs acceptés (variantes connues de l'API)
+ * @property {number} [min] - Valeur minimale (nombres)
+ * @property {number} [max] - Valeur maximale (nombres)
+ * @property {*|Function} [repair] - Valeur de réparation, ou `(context) => valeur` ;
+ *   sans valeur, un élément de tableau invalide est supprimé
+ * @property {Object<string, FieldSchema>} [fields] - Champs d'un objet
+ * @property {FieldSchema} [items] - Schéma des éléments d'un tableau
+ * @property {FieldSchema} [values] - Schéma des valeurs d'un dictionnaire (record)
+ */
+
+/**
+ * Champ invalide
+ * @typedef {Object} SchemaIssue
+ * @property {string} path - Chemin du champ (ex: "sessions[2].kilogram")
+ * @property {"missing"|"type"|"range"|"format"} code - Nature du problème
+ * @property {string} message - Message lisible
+ * @property {string} expected - Valeur attendue
+ * @property {*} received - Valeur reçue
+ */
+
+/**
+ * Réparation appliquée en mode lenient
+ * @typedef {Object} SchemaRepair
+ * @property {string} path - Chemin du champ réparé
+ * @property {"default"|"coerce"|"clamp"|"remove"} action - Réparation appliquée
+ * @property {*} from - Valeur reçue
+ * @property {*} to - Valeur retenue (undefined pour un élément supprimé)
+ */
+
+/**
+ * ID utilisateur de l'endpoint, pour réparer un identifiant absent
+ * @private
+ * @param {Object} context - Contexte de validation
+ * @returns {number|undefined} L'ID de l'endpoint
+ */
+const userIdFromContext = ({ userId }) => userId;
+
+/**
+ * Quantité positive réparée à 0
+ * @type {FieldSchema}
+ * @private
+ */
+const POSITIVE_COUNT = { type: "number", min: 0, repair: 0 };
+
+/**
+ * Schémas des données brutes par type d'endpoint (voir getEndpointType)
+ * @type {Object<string, FieldSchema>}
+ * @readonly
+ */
+export const DATA_SCHEMAS = Object.freeze({
+  user: {
+    type: "object",
+    fields: {
+      id: { type: "integer", min: 1, repair: userIdFromContext },
+      userInfos: {
+        type: "object",
+        repair: {},
+        fields: {
+          firstName: { type: "string", repair: "" },
+          lastName: { type: "string", repair: "" },
+          age: { type: "integer", min: 0, max: 130, repair: 0 },
+        },
+      },
+      // L'API renvoie `todayScore` ou `score` selon les utilisateurs
+      todayScore: { type: "number", min: 0, max: 1, aliases: ["score"], repair: 0 },
+      keyData: {
+        type: "object",
+        repair: {},
+        fields: {
+          calorieCount: POSITIVE_COUNT,
+          proteinCount: POSITIVE_COUNT,
+          carbohydrateCount: POSITIVE_COUNT,
+          lipidCount: POSITIVE_COUNT,
+        },
+      },
+    },
+  },
+
+  activity: {
+    type: "object",
+    fields: {
+      userId: { type: "integer", min: 1, repair: userIdFromContext },
+      sessions: {
+        type: "array",
+        repair: [],
+        // Une séance sans date ou sans poids est retirée
+        items: {
+          type: "object",
+          fields: {
+            day: { type: "date" },
+            kilogram: { type: "number", min: 0 },
+            calories: POSITIVE_COUNT,
+          },
+        },
+      },
+    },
+  },
+
+  "average-sessions": {
+    type: "object",
+    fields: {
+      userId: { type: "integer", min: 1, repair: userIdFromContext },
+      sessions: {
+        type: "array",
+        repair: [],
+        items: {
+          type: "object",
+          fields: {
+            day: { type: "integer", min: 1, max: 7 },
+            sessionLength: POSITIVE_COUNT,
+          },
+        },
+      },
+    },
+  },
+
+  performance: {
+    type: "object",
+    fields: {
+      userId: { type: "integer", min: 1, repair: userIdFromContext },
+      kind: { type: "record", repair: {}, values: { type: "string" } },
+      data: {
+        type: "array",
+        repair: [],
+        items: {
+          type: "object",
+          fields: {
+            value: POSITIVE_COUNT,
+            kind: { type: "integer", min: 1 },
+          },
+        },
+      },
+    },
+  },
+
+  "score-history": {
+    type: "object",
+    fields: {
+      userId: { type: "integer", min: 1, repair: userIdFromContext },
+      history: {
+        type: "array",
+        repair: [],
+        // Un jour sans date est retiré ; un score hors bornes est ramené entre 0 et 1
+        items: {
+          type: "object",
+          fields: {
+            day: { type: "date" },
+            score: { type: "number", min: 0, max: 1, repair: 0 },
+          },
+        },
+      },
+    },
+  },
+
+  // Objectifs facultatifs : un objectif absent reprend sa valeur par défaut (voir goals.js)
+  goals: {
+    type: "object",
+    fields: {
+      userId: { type: "integer", min: 1, repair: userIdFromContext },
+      ...Object.fromEntries(
+        Object.entries(GOAL_FIELDS).map(([name, { min, max, integer }]) => [
+          name,
+          { type: integer ? "integer" : "number", min, max, optional: true },
+        ])
+      ),
+    },
+  },
+});
+
+/**
+ * Entier positif non nul (identifiants, catégories)
+ * @type {FieldSchema}
+ * @private
+ */
+const POSITIVE_ID = { type: "integer", min: 1 };
+
+/**
+ * Quantité positive, sans réparation
+ * @type {FieldSchema}
+ * @private
+ */
+const QUANTITY = { type: "number", min: 0 };
+
+/**
+ * Score quotidien (0-1)
+ * @type {FieldSchema}
+ * @private
+ */
+const SCORE = { type: "number", min: 0, max: 1 };
+
+/**
+ * Schémas des données normalisées par type d'endpoint (sortie du DataNormalizer)
+ * @type {Object<string, FieldSchema>}
+ * @readonly
+ */
+export const NORMALIZED_SCHEMAS = Object.freeze({
+  user: {
+    type: "object",
+    fields: {
+      id: POSITIVE_ID,
+      userInfos: {
+        type: "object",
+        fields: {
+          firstName: { type: "string" },
+          lastName: { type: "string" },
+          age: { type: "integer", min: 0, max: 130 },
+        },
+      },
+      todayScore: SCORE,
+      score: SCORE,
+      keyData: {
+        type: "object",
+        fields: {
+          calorieCount: QUANTITY,
+          proteinCount: QUANTITY,
+          carbohydrateCount: QUANTITY,
+          lipidCount: QUANTITY,
+        },
+      },
+    },
+  },
+
+  activity: {
+    type: "object",
+    fields: {
+      userId: POSITIVE_ID,
+      sessions: {
+        type: "array",
+        items: {
+          type: "object",
+          fields: {
+            day: { type: "date" },
+            dayFormatted: { type: "integer", min: 1, max: 31 },
+            dayName: { type: "string" },
+            weekday: { type: "integer", min: 1, max: 7 },
+            kilogram: QUANTITY,
+            calories: QUANTITY,
+          },
+        },
+      },
+    },
+  },
+
+  "average-sessions": {
+    type: "object",
+    fields: {
+      userId: POSITIVE_ID,
+      sessions: {
+        type: "array",
+        items: {
+          type: "object",
+          fields: {
+            day: { type: "integer", min: 1, max: 7 },
+            dayName: { type: "string" },
+            dayNameFull: { type: "string" },
+            sessionLength: { type: "number", min: 1 },
+            sessionLengthRaw: QUANTITY,
+          },
+        },
+      },
+    },
+  },
+
+  performance: {
+    type: "object",
+    fields: {
+      userId: POSITIVE_ID,
+      kind: { type: "record", values: { type: "string" } },
+      data: {
+        type: "array",
+        items: {
+          type: "object",
+          fields: {
+            value: QUANTITY,
+            kind: POSITIVE_ID,
+            kindName: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+
+  "score-history": {
+    type: "object",
+    fields: {
+      userId: POSITIVE_ID,
+      history: {
+        type: "array",
+        items: { type: "object", fields: { day: { type: "date" }, score: SCORE } },
+      },
+    },
+  },
+
+  // Objectifs complétés par leur valeur par défaut : seuls les objectifs facultatifs peuvent être null
+  goals: {
+    type: "object",
+    fields: {
+      userId: POSITIVE_ID,
+      ...Object.fromEntries(
+        Object.entries(GOAL_FIELDS).map(([name, { min, max, integer, optional }]) => [
+          name,
+          { type: integer ? "integer" : "number", min, max, optional: Boolean(optional) },
+        ])
+      ),
+    },
+  },
+});
+
+/**
+ * Libellé du type attendu d'un champ
+ *
+ * @private
+ * @param {FieldSchema} schema - Schéma du champ
+ * @returns {string} Ex: "number [0, 1]", "date YYYY-MM-DD"
+ */
+const describe = ({ type, min, max }) => {
+  if (type === "date") return "date YYYY-MM-DD";
+  if (min === undefined && max === undefined) return type;
+  return `${type} [${min ?? "-∞"}, ${max ?? "+∞"}]`;
+};
+
+/**
+ * Concatène un chemin et une clé
+ *
+ * @private
+ * @param {string} path - Chemin parent
+ * @param {string|number} key - Clé ou index
+ * @returns {string} Le chemin complet
+ */
+const joinPath = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+/**
+ * Indique si une valeur correspond au type primitif attendu
+ *
+ * @private
+ * @param {string} type - Type attendu
+ * @param {*} value - Valeur à tester
+ * @returns {boolean} true si le type correspond
+ */
+const matchesType = (type, value) => {
+  switch (type) {
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "string":
+    case "date":
+      return typeof value === "string";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+    case "record":
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Convertit une chaîne numérique (ex: "80") en nombre
+ *
+ * @private
+ * @param {string} type - Type attendu ("number" ou "integer")
+ * @param {*} value - Valeur reçue
+ * @returns {number|undefined} Le nombre, undefined si la conversion est impossible
+ */
+const coerceNumber = (type, value) => {
+  if (typeof value !== "string" || value.trim() === "") return undefined;
+  const number = Number(value);
+  return matchesType(type, number) ? number : undefined;
+};
+
+/**
+ * Valide des données selon un schéma
+ *
+ * @function validateSchema
+ * @param {FieldSchema} schema - Schéma racine
+ * @param {*} data - Données brutes
+ * @param {Object} [options] - Options de validation
+ * @param {boolean} [options.repair=false] - Répare les champs invalides (mode lenient)
+ * @param {Object} [options.context={}] - Contexte des réparations (ex: `{ userId }`)
+ * @returns {{ value: *, errors: SchemaIssue[], repairs: SchemaRepair[], repaired: boolean }}
+ *   Les données (réparées si demandé), les champs invalides, les réparations
+ *   appliquées et `repaired` (true si toutes les erreurs ont été réparées)
+ */
+export const validateSchema = (schema, data, { repair = false, context = {} } = {}) => {
+  const errors = [];
+  const repairs = [];
+  let unrepaired = 0;
+
+  const report = (path, code, fieldSchema, received, message) => {
+    errors.push({ path: path || "(racine)", code, message, expected: describe(fieldSchema), received });
+  };
+
+  const fix = (path, action, from, to) => {
+    repairs.push({ path: path || "(racine)", action, from, to });
+    return to;
+  };
+
+  // Marque un élément irréparable, retiré du tableau qui le contient
+  const REMOVE = Symbol("remove");
+
+  const fallback = (fieldSchema) => {
+    const value =
+      typeof fieldSchema.repair === "function" ? fieldSchema.repair(context) : fieldSchema.repair;
+    if (value === undefined) return REMOVE;
+    if (Array.isArray(value)) return [...value];
+    return typeof value === "object" && value !== null ? { ...value } : value;
+  };
+
+  const visit = (fieldSchema, value, path) => {
+    if (value === undefined || value === null) {
+      if (fieldSchema.optional) return value;
+      report(path, "missing", fieldSchema, value, `Champ ${path || "racine"} manquant`);
+      return repairOrRemove(fieldSchema, value, path);
+    }
+
+    if (!matchesType(fieldSchema.type, value)) {
+      const coerced =
+        fieldSchema.type === "number" || fieldSchema.type === "integer"
+          ? coerceNumber(fieldSchema.type, value)
+          : undefined;
+
+      report(path, "type", fieldSchema, value, `${path || "Racine"} : ${describe(fieldSchema)} attendu`);
+
+      if (coerced === undefined) {
+        return repairOrRemove(fieldSchema, value, path);
+      }
+      if (!repair) {
+        unrepaired++;
+        return value;
+      }
+      value = fix(path, "coerce", value, coerced);
+    }
+
+    switch (fieldSchema.type) {
+      case "number":
+      case "integer":
+        return checkRange(fieldSchema, value, path);
+      case "date":
+        if (!isValidIsoDate(value)) {
+          report(path, "format", fieldSchema, value, `${path} : date YYYY-MM-DD attendue`);
+          return repairOrRemove(fieldSchema, value, path);
+        }
+        return value;
+      case "object":
+        return visitObject(fieldSchema, value, path);
+      case "record":
+        return visitRecord(fieldSchema, value, path);
+      case "array":
+        return visitArray(fieldSchema, value, path);
+      default:
+        return value;
+    }
+  };
+
+  const repairOrRemove = (fieldSchema, value, path) => {
+    if (!repair) {
+      unrepaired++;
+      return value;
+    }
+
+    const replacement = fallback(fieldSchema);
+    if (replacement === REMOVE) {
+      return REMOVE;
+    }
+
+    fix(path, "default", value, replacement);
+    // Les champs d'un objet recréé reçoivent à leur tour leur valeur par défaut
+    return fieldSchema.type === "object" ? visitObject(fieldSchema, replacement, path) : replacement;
+  };
+
+  const checkRange = (fieldSchema, value, path) => {
+    const { min = -Infinity, max = Infinity } = fieldSchema;
+    if (value >= min && value <= max) return value;
+
+    report(path, "range", fieldSchema, value, `${path} : ${describe(fieldSchema)} attendu`);
+    if (!repair) {
+      unrepaired++;
+      return value;
+    }
+    return fix(path, "clamp", value, Math.min(max, Math.max(min, value)));
+  };
+
+  const visitObject = (fieldSchema, value, path) => {
+    const result = repair ? { ...value } : value;
+
+    for (const [key, child] of Object.entries(fieldSchema.fields ?? {})) {
+      const alias = value[key] === undefined ? child.aliases?.find((name) => value[name] !== undefined) : undefined;
+      const childValue = visit(child, alias ? value[alias] : value[key], joinPath(path, key));
+
+      if (childValue === REMOVE) {
+        return REMOVE;
+      }
+      if (repair && childValue !== undefined) {
+        result[key] = childValue;
+      }
+    }
+
+    return result;
+  };
+
+  const visitRecord = (fieldSchema, value, path) => {
+    const result = repair ? {} : value;
+
+    for (const [key, child] of Object.entries(value)) {
+      const childValue = visit(fieldSchema.values, child, joinPath(path, key));
+      if (childValue === REMOVE) {
+        fix(joinPath(path, key), "remove", child, undefined);
+      } else if (repair) {
+        result[key] = childValue;
+      }
+    }
+
+    return result;
+  };
+
+  const visitArray = (fieldSchema, value, path) => {
+    const result = [];
+
+    value.forEach((item, index) => {
+      const itemValue = visit(fieldSchema.items, item, joinPath(path, index));
+      if (itemValue === REMOVE) {
+        fix(joinPath(path, index), "remove", item, undefined);
+      } else {
+        result.push(itemValue);
+      }
+    });
+
+    return repair ? result : value;
+  };
+
+  let value = visit(schema, data, "");
+  if (value === REMOVE) {
+    unrepaired++;
+    value = data;
+  }
+
+  return { value, errors, repairs, repaired: unrepaired === 0 };
+};
+
+/**
+ * Export par défaut
+ */
+export default validateSchema;
@@ -0,0 +1,119 @@
+import { describe, expect, it } from "vitest";
+import { DATA_SCHEMAS, validateSchema } from "./dataSchemas.js";
+
+const VALID_USER = {
+  id: 12,
+  userInfos: { firstName: "Karl", lastName: "Dovineau", age: 31 },
+  todayScore: 0.12,
+  keyData: { calorieCount: 1930, proteinCount: 155, carbohydrateCount: 290, lipidCount: 50 },
+};
+
+describe("validateSchema", () => {
+  it("accepte des données conformes sans erreur ni réparation", () => {
+    const result = validateSchema(DATA_SCHEMAS.user, VALID_USER, { repair: true });
+
+    expect(result.errors).toEqual([]);
+    expect(result.repairs).toEqual([]);
+    expect(result.repaired).toBe(true);
+    expect(result.value).toEqual(VALID_USER);
+  });
+
+  it("accepte les noms alternatifs d'un champ", () => {
+    const { todayScore: _todayScore, ...user } = VALID_USER;
+
+    const { errors, value } = validateSchema(DATA_SCHEMAS.user, { ...user, score: 0.3 }, { repair: true });
+
+    expect(errors).toEqual([]);
+    expect(value.todayScore).toBe(0.3);
+  });
+
+  it("liste chaque champ invalide avec son chemin sans modifier les données en mode strict", () => {
+    const data = { ...VALID_USER, userInfos: { firstName: "Karl", age: 31 }, todayScore: "0.12" };
+
+    const { value, errors, repairs, repaired } = validateSchema(DATA_SCHEMAS.user, data);
+
+    expect(errors.map(({ path, code }) => ({ path, code }))).toEqual([
+      { path: "userInfos.lastName", code: "missing" },
+      { path: "todayScore", code: "type" },
+    ]);
+    expect(errors[1]).toMatchObject({ expected: "number [0, 1]", received: "0.12" });
+    expect(repairs).toEqual([]);
+    expect(repaired).toBe(false);
+    expect(value).toBe(data);
+  });
+
+  it("répare les champs en mode lenient et consigne chaque réparation", () => {
+    const data = { userInfos: { firstName: "Karl" }, todayScore: "0.12", keyData: { calorieCount: -5 } };
+
+    const { value, repairs, repaired } = validateSchema(DATA_SCHEMAS.user, data, {
+      repair: true,
+      context: { userId: 12 },
+    });
+
+    expect(repaired).toBe(true);
+    expect(value).toMatchObject({
+      id: 12,
+      userInfos: { firstName: "Karl", lastName: "", age: 0 },
+      todayScore: 0.12,
+      keyData: { calorieCount: 0, proteinCount: 0 },
+    });
+    expect(repairs).toContainEqual({ path: "id", action: "default", from: undefined, to: 12 });
+    expect(repairs).toContainEqual({ path: "todayScore", action: "coerce", from: "0.12", to: 0.12 });
+    expect(repairs).toContainEqual({ path: "keyData.calorieCount", action: "clamp", from: -5, to: 0 });
+    expect(data.userInfos).toEqual({ firstName: "Karl" });
+  });
+
+  it("retire un élément de tableau irréparable", () => {
+    const data = {
+      userId: 12,
+      sessions: [
+        { day: "2020-07-01", kilogram: 80, calories: 240 },
+        { day: "2020-02-30", kilogram: 80, calories: 220 },
+        { day: "2020-07-03", calories: 280 },
+      ],
+    };
+
+    const { value, errors, repairs, repaired } = validateSchema(DATA_SCHEMAS.activity, data, { repair: true });
+
+    expect(value.sessions).toEqual([{ day: "2020-07-01", kilogram: 80, calories: 240 }]);
+    expect(errors.map(({ path, code }) => ({ path, code }))).toEqual([
+      { path: "sessions[1].day", code: "format" },
+      { path: "sessions[2].kilogram", code: "missing" },
+    ]);
+    expect(repairs.filter(({ action }) => action === "remove").map(({ path }) => path)).toEqual([
+      "sessions[1]",
+      "sessions[2]",
+    ]);
+    expect(repaired).toBe(true);
+  });
+
+  it("ramène un score hors bornes entre 0 et 1", () => {
+    const { value } = validateSchema(
+      DATA_SCHEMAS["score-history"],
+      { userId: 12, history: [{ day: "2020-07-01", score: 1.4 }] },
+      { repair: true }
+    );
+
+    expect(value.history).toEqual([{ day: "2020-07-01", score: 1 }]);
+  });
+
+  it("laisse absents les objectifs facultatifs", () => {
+    const { errors } = validateSchema(DATA_SCHEMAS.goals, { userId: 12, calories: 400 });
+
+    expect(errors).toEqual([]);
+  });
+
+  it("signale un objectif hors bornes", () => {
+    const { errors } = validateSchema(DATA_SCHEMAS.goals, { userId: 12, weeklySessions: 9 });
+
+    expect(errors).toMatchObject([{ path: "weeklySessions", code: "range", received: 9 }]);
+  });
+
+  it("ne répare pas une racine invalide", () => {
+    const { value, errors, repaired } = validateSchema(DATA_SCHEMAS.user, "introuvable", { repair: true });
+
+    expect(errors).toMatchObject([{ path: "(racine)", code: "type" }]);
+    expect(repaired).toBe(false);
+    expect(value).toBe("introuvable");
+  });
+});
@@ -0,0 +1,375 @@
+/**
+ * Injection de pannes pour la source de données mockée
+ *
+ * Permet de reproduire à la demande chaque état de l'interface (chargement
+ * long, erreur serveur, utilisateur introuvable, serveur injoignable,
+ * données partielles ou corrompues) sans backend : latence, probabilité
+ * d'échec, statut HTTP forcé et altération des données sont réglables
+ * globalement ou par type d'endpoint.
+ *
+ * @module services/data/faultInjection
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * // Via l'URL : activité lente, performance en panne
+ * // http://localhost:5173/user/18?faults=activity:slow,performance:down
+ *
+ * @example
+ * // Via la configuration, avec des règles détaillées
+ * DataService.configure({
+ *   mock: {
+ *     ...DataService.config.mock,
+ *     faults: { latency: 300, endpoints: { performance: { errorRate: 1, errorStatus: 503 } } }
+ *   }
+ * });
+ *
+ * @example
+ * // Forcer un statut : échec systématique avec le statut voulu
+ * parseFaults('{"errorRate": 1, "errorStatus": 404}');
+ */
+import {
+  AbortedError,
+  HttpError,
+  NetworkError,
+  createNotFoundError,
+} from "../api/DataErrors.js";
+import { getEndpointType } from "../utils/endpoints.js";
+
+/**
+ * Règle d'injection de pannes
+ * @typedef {Object} FaultRule
+ * @property {number} [latency=0] - Latence ajoutée à la réponse (ms)
+ * @property {number} [jitter=0] - Variation aléatoire maximale de la latence (ms)
+ * @property {number} [errorRate=0] - Probabilité (0-1) d'échec de la requête
+ * @property {number} [errorStatus=500] - Statut HTTP simulé en cas d'échec (0 = serveur injoignable)
+ * @property {number} [malformedRate=0] - Probabilité (0-1) d'altérer les données
+ * @property {string[]} [malformedKinds] - Types d'altération tirés au sort (voir CORRUPTION_KINDS)
+ */
+
+/**
+ * Configuration d'injection de pannes
+ * @typedef {FaultRule} FaultConfig
+ * @property {Object<string, FaultRule>} [endpoints] - Règles par type d'endpoint
+ *   ("user", "activity", "average-sessions", "performance", "score-history", "goals"), fusionnées avec la règle globale
+ */
+
+/**
+ * Types d'altération des données
+ * - partial : tableaux tronqués de moitié
+ * - missing-fields : champs principaux supprimés
+ * - wrong-types : valeurs numériques transformées en chaînes
+ * - empty : réponse vide (null)
+ * @type {string[]}
+ * @readonly
+ */
+export const CORRUPTION_KINDS = ["partial", "missing-fields", "wrong-types", "empty"];
+
+/**
+ * Règle par défaut : aucune panne
+ * @type {FaultRule}
+ * @readonly
+ */
+export const DEFAULT_FAULT_RULE = Object.freeze({
+  latency: 0,
+  jitter: 0,
+  errorRate: 0,
+  errorStatus: 500,
+  malformedRate: 0,
+  malformedKinds: CORRUPTION_KINDS,
+});
+
+/**
+ * Scénarios prêts à l'emploi, utilisables dans `?faults=` et le localStorage
+ * @type {Object<string, FaultRule>}
+ * @readonly
+ */
+export const FAULT_PRESETS = Object.freeze({
+  slow: { latency: 2500, jitter: 1000 },
+  flaky: { latency: 300, jitter: 700, errorRate: 0.5, errorStatus: 503 },
+  down: { errorRate: 1, errorStatus: 503 },
+  "not-found": { errorRate: 1, errorStatus: 404 },
+  offline: { errorRate: 1, errorStatus: 0 },
+  partial: { malformedRate: 1, malformedKinds: ["partial"] },
+  corrupted: { malformedRate: 1, malformedKinds: ["missing-fields", "wrong-types"] },
+  empty: { malformedRate: 1, malformedKinds: ["empty"] },
+});
+
+/**
+ * Clé localStorage des pannes injectées
+ * @type {string}
+ * @readonly
+ */
+export const FAULTS_STORAGE_KEY = "sportsee:faults";
+
+/**
+ * Champs principaux supprimés par l'altération "missing-fields"
+ * @type {string[]}
+ * @private
+ */
+const MAIN_FIELDS = ["userInfos", "keyData", "sessions", "data", "kind"];
+
+/**
+ * Altère des données selon le type d'altération
+ *
+ * @function corruptPayload
+ * @param {Object} data - Données brutes correctes
+ * @param {string} kind - Type d'altération (voir CORRUPTION_KINDS)
+ * @returns {Object|null} Copie altérée des données
+ *
+ * @example
+ * corruptPayload({ userId: 12, sessions: [a, b, c, d] }, 'partial');
+ * // { userId: 12, sessions: [a, b] }
+ */
+export const corruptPayload = (data, kind) => {
+  if (data === null || data === undefined) {
+    return data;
+  }
+
+  const copy = JSON.parse(JSON.stringify(data));
+
+  switch (kind) {
+    case "partial":
+      Object.keys(copy).forEach((key) => {
+        if (Array.isArray(copy[key])) {
+          copy[key] = copy[key].slice(0, Math.floor(copy[key].length / 2));
+        }
+      });
+      return copy;
+
+    case "missing-fields":
+      MAIN_FIELDS.forEach((key) => {
+        delete copy[key];
+      });
+      return copy;
+
+    case "wrong-types":
+      return JSON.parse(JSON.stringify(copy), (key, value) =>
+        typeof value === "number" && key !== "" ? String(value) : value
+      );
+
+    case "empty":
+      return null;
+
+    default:
+      return copy;
+  }
+};
+
+/**
+ * Calcule la règle effective d'un endpoint
+ *
+ * @function resolveFaultRule
+ * @param {string} endpoint - Endpoint demandé
+ * @param {FaultConfig} [faults] - Configuration d'injection
+ * @returns {FaultRule} Règle globale surchargée par celle du type d'endpoint
+ */
+export const resolveFaultRule = (endpoint, faults = {}) => {
+  const { endpoints = {}, ...globalRule } = faults ?? {};
+  return {
+    ...DEFAULT_FAULT_RULE,
+    ...globalRule,
+    ...(endpoints[getEndpointType(endpoint)] ?? {}),
+  };
+};
+
+/**
+ * Indique si une configuration d'injection produit un effet
+ *
+ * @function hasFaults
+ * @param {FaultConfig} [faults] - Configuration d'injection
+ * @returns {boolean} true si au moins une règle est active
+ */
+export const hasFaults = (faults) => {
+  if (!faults) return false;
+  const { endpoints = {}, ...globalRule } = faults;
+  return [globalRule, ...Object.values(endpoints)].some(
+    (rule) => rule.latency > 0 || rule.jitter > 0 || rule.errorRate > 0 || rule.malformedRate > 0
+  );
+};
+
+/**
+ * Attend le délai indiqué, en s'interrompant si le signal est annulé
+ *
+ * @private
+ * @param {number} ms - Durée en millisecondes
+ * @param {AbortSignal} [signal] - Signal d'annulation
+ * @param {string} endpoint - Endpoint concerné (contexte de l'erreur)
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal, endpoint) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new AbortedError(undefined, { endpoint }));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortedError(undefined, { endpoint }));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Construit l'erreur correspondant à un statut simulé
+ *
+ * @private
+ * @param {number} status - Statut HTTP simulé (0 = serveur injoignable)
+ * @param {string} endpoint - Endpoint concerné
+ * @returns {DataServiceError} Erreur typée
+ */
+const createFaultError = (status, endpoint) => {
+  if (!status) {
+    return new NetworkError("Serveur injoignable (panne simulée)", { endpoint });
+  }
+  if (status === 404) {
+    return createNotFoundError(endpoint);
+  }
+  return new HttpError(`Erreur HTTP: ${status} - panne simulée`, {
+    status,
+    statusText: "Simulated",
+    endpoint,
+  });
+};
+
+/**
+ * Applique les pannes configurées à une réponse mockée
+ *
+ * Ordre : latence, puis échec éventuel, puis altération des données.
+ *
+ * @function applyFaults
+ * @async
+ * @param {string} endpoint - Endpoint demandé
+ * @param {Function} load - Fonction retournant les données correctes
+ * @param {FaultConfig} [faults] - Configuration d'injection
+ * @param {Object} [options] - Options d'exécution
+ * @param {AbortSignal} [options.signal] - Annule l'attente simulée
+ * @param {Function} [options.random=Math.random] - Générateur aléatoire (0 ≤ x < 1)
+ * @returns {Promise<Object|null>} Données, éventuellement altérées
+ * @throws {HttpError|NetworkError|AbortedError} Panne simulée ou annulation
+ *
+ * @example
+ * await applyFaults('/user/18', () => user, { errorRate: 1, errorStatus: 503 });
+ * // HttpError (status 503)
+ */
+export const applyFaults = async (
+  endpoint,
+  load,
+  faults,
+  { signal, random = Math.random } = {}
+) => {
+  if (!hasFaults(faults)) {
+    return load();
+  }
+
+  const rule = resolveFaultRule(endpoint, faults);
+
+  const delay = rule.latency + Math.round(rule.jitter * random());
+  if (delay > 0) {
+    await wait(delay, signal, endpoint);
+  }
+
+  if (random() < rule.errorRate) {
+    throw createFaultError(rule.errorStatus, endpoint);
+  }
+
+  const data = load();
+
+  if (random() < rule.malformedRate && rule.malformedKinds.length > 0) {
+    const kind = rule.malformedKinds[Math.floor(random() * rule.malformedKinds.length)];
+    return corruptPayload(data, kind);
+  }
+
+  return data;
+};
+
+/**
+ * Lit une configuration d'injection depuis une chaîne
+ *
+ * Accepte du JSON (`{"latency": 500}`) ou une liste de scénarios de
+ * FAULT_PRESETS, globaux ou préfixés par un type d'endpoint
+ * (`slow`, `activity:down,performance:corrupted`).
+ *
+ * @function parseFaults
+ * @param {string|null|undefined} value - Chaîne à interpréter
+ * @returns {FaultConfig|null} La configuration, null si vide ou invalide
+ *
+ * @example
+ * parseFaults('slow,performance:down');
+ * // { latency: 2500, jitter: 1000, endpoints: { performance: { errorRate: 1, errorStatus: 503 } } }
+ */
+export const parseFaults = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text || text === "none") return null;
+
+  if (text.startsWith("{")) {
+    try {
+      const parsed = JSON.parse(text);
+      return parsed && typeof parsed === "object" ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+
+  const faults = { endpoints: {} };
+  let known = false;
+
+  text.split(",").forEach((part) => {
+    const [first, second] = part.trim().split(":");
+    const [target, presetName] = second === undefined ? [null, first] : [first, second];
+    const preset = FAULT_PRESETS[presetName];
+
+    if (!preset) return;
+    known = true;
+
+    if (target) {
+      faults.endpoints[target] = { ...faults.endpoints[target], ...preset };
+    } else {
+      Object.assign(faults, preset);
+    }
+  });
+
+  return known ? faults : null;
+};
+
+/**
+ * Mémorise les pannes injectées dans le localStorage
+ *
+ * @function storeFaults
+ * @param {string|null} value - Scénarios ou JSON (voir parseFaults), null pour les retirer
+ * @param {Storage|null} [storage=window.localStorage] - Stockage persistant
+ * @returns {boolean} true si l'opération a réussi
+ *
+ * @example
+ * storeFaults('flaky'); // pannes actives aux prochains chargements
+ * storeFaults(null);    // retour à la normale
+ */
+export const storeFaults = (
+  value,
+  storage = typeof window !== "undefined" ? window.localStorage : null
+) => {
+  try {
+    if (value === null) {
+      storage?.removeItem(FAULTS_STORAGE_KEY);
+      return Boolean(storage);
+    }
+
+    if (!parseFaults(value) || !storage) return false;
+
+    storage.setItem(FAULTS_STORAGE_KEY, value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Export par défaut
+ */
+export default applyFaults;
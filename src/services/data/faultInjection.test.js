@@ -0,0 +1,196 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  FAULT_PRESETS,
+  FAULTS_STORAGE_KEY,
+  applyFaults,
+  corruptPayload,
+  hasFaults,
+  parseFaults,
+  resolveFaultRule,
+  storeFaults,
+} from "./faultInjection.js";
+import { AbortedError, HttpError, NetworkError, UserNotFoundError } from "../api/DataErrors.js";
+
+const ACTIVITY = {
+  userId: 12,
+  sessions: [
+    { day: "2020-07-01", kilogram: 80, calories: 240 },
+    { day: "2020-07-02", kilogram: 80, calories: 220 },
+    { day: "2020-07-03", kilogram: 81, calories: 280 },
+    { day: "2020-07-04", kilogram: 81, calories: 290 },
+  ],
+};
+
+/**
+ * Générateur aléatoire renvoyant les valeurs données, puis 0
+ * @param {...number} values - Valeurs successives
+ * @returns {Function} Générateur
+ */
+const sequence = (...values) => () => values.shift() ?? 0;
+
+describe("parseFaults", () => {
+  it("lit des scénarios globaux et par type d'endpoint", () => {
+    expect(parseFaults("slow,performance:down")).toEqual({
+      ...FAULT_PRESETS.slow,
+      endpoints: { performance: FAULT_PRESETS.down },
+    });
+  });
+
+  it("lit une configuration JSON", () => {
+    expect(parseFaults('{"errorRate": 1, "errorStatus": 404}')).toEqual({ errorRate: 1, errorStatus: 404 });
+  });
+
+  it("renvoie null pour une valeur vide, désactivée ou inconnue", () => {
+    expect(parseFaults("")).toBeNull();
+    expect(parseFaults(null)).toBeNull();
+    expect(parseFaults("none")).toBeNull();
+    expect(parseFaults("inconnu")).toBeNull();
+    expect(parseFaults("{invalide")).toBeNull();
+  });
+});
+
+describe("règles", () => {
+  it("surcharge la règle globale par celle du type d'endpoint", () => {
+    const faults = { latency: 100, endpoints: { activity: { errorRate: 1 } } };
+
+    expect(resolveFaultRule("/user/18/activity", faults)).toMatchObject({ latency: 100, errorRate: 1 });
+    expect(resolveFaultRule("/user/18", faults)).toMatchObject({ latency: 100, errorRate: 0 });
+  });
+
+  it("n'active l'injection qu'avec au moins une règle effective", () => {
+    expect(hasFaults(null)).toBe(false);
+    expect(hasFaults({ errorStatus: 404 })).toBe(false);
+    expect(hasFaults({ endpoints: { performance: { errorRate: 1 } } })).toBe(true);
+  });
+});
+
+describe("corruptPayload", () => {
+  it("tronque les tableaux de moitié", () => {
+    expect(corruptPayload(ACTIVITY, "partial").sessions).toEqual(ACTIVITY.sessions.slice(0, 2));
+  });
+
+  it("supprime les champs principaux ou change les nombres en chaînes", () => {
+    expect(corruptPayload(ACTIVITY, "missing-fields")).toEqual({ userId: 12 });
+    expect(corruptPayload(ACTIVITY, "wrong-types").sessions[0]).toEqual({
+      day: "2020-07-01",
+      kilogram: "80",
+      calories: "240",
+    });
+    expect(corruptPayload(ACTIVITY, "empty")).toBeNull();
+  });
+
+  it("ne modifie pas les données d'origine", () => {
+    corruptPayload(ACTIVITY, "partial");
+
+    expect(ACTIVITY.sessions).toHaveLength(4);
+  });
+});
+
+describe("applyFaults", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("renvoie les données telles quelles sans panne", async () => {
+    const load = vi.fn(() => ACTIVITY);
+
+    await expect(applyFaults("/user/12/activity", load, null)).resolves.toBe(ACTIVITY);
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+
+  it("simule le statut configuré", async () => {
+    const load = vi.fn(() => ACTIVITY);
+
+    const error = await applyFaults("/user/12/activity", load, FAULT_PRESETS.down).catch((failure) => failure);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.status).toBe(503);
+    expect(load).not.toHaveBeenCalled();
+  });
+
+  it("simule un serveur injoignable et un utilisateur introuvable", async () => {
+    await expect(applyFaults("/user/12", () => ACTIVITY, FAULT_PRESETS.offline)).rejects.toBeInstanceOf(
+      NetworkError
+    );
+    await expect(applyFaults("/user/99", () => ACTIVITY, FAULT_PRESETS["not-found"])).rejects.toBeInstanceOf(
+      UserNotFoundError
+    );
+  });
+
+  it("ne signale un utilisateur introuvable que sur la racine de l'utilisateur", async () => {
+    const error = await applyFaults("/user/12/activity", () => ACTIVITY, FAULT_PRESETS["not-found"]).catch(
+      (failure) => failure
+    );
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).not.toBeInstanceOf(UserNotFoundError);
+    expect(error.status).toBe(404);
+  });
+
+  it("échoue selon la probabilité configurée", async () => {
+    const faults = { errorRate: 0.5 };
+
+    await expect(applyFaults("/user/12", () => ACTIVITY, faults, { random: sequence(0, 0.4) })).rejects.toBeInstanceOf(
+      HttpError
+    );
+    await expect(applyFaults("/user/12", () => ACTIVITY, faults, { random: sequence(0, 0.6) })).resolves.toBe(
+      ACTIVITY
+    );
+  });
+
+  it("altère les données avec un type tiré au sort", async () => {
+    const faults = { malformedRate: 1, malformedKinds: ["partial", "empty"] };
+
+    const data = await applyFaults("/user/12/activity", () => ACTIVITY, faults, {
+      random: sequence(0, 0.5, 0.2),
+    });
+
+    expect(data.sessions).toHaveLength(2);
+  });
+
+  it("ajoute la latence configurée, interrompue par l'annulation", async () => {
+    vi.useFakeTimers();
+    const controller = new AbortController();
+    const slow = applyFaults("/user/12", () => ACTIVITY, { latency: 1000 });
+    const aborted = applyFaults("/user/12", () => ACTIVITY, { latency: 1000 }, { signal: controller.signal });
+    const abortedResult = aborted.catch((failure) => failure);
+
+    await vi.advanceTimersByTimeAsync(999);
+    controller.abort();
+    expect(await abortedResult).toBeInstanceOf(AbortedError);
+
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(slow).resolves.toBe(ACTIVITY);
+  });
+});
+
+describe("storeFaults", () => {
+  /**
+   * Stockage en mémoire
+   * @returns {Storage} Le stockage
+   */
+  const createStorage = () => {
+    const items = new Map();
+    return {
+      getItem: (key) => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value),
+      removeItem: (key) => items.delete(key),
+    };
+  };
+
+  it("mémorise des pannes valides et les retire", () => {
+    const storage = createStorage();
+
+    expect(storeFaults("flaky", storage)).toBe(true);
+    expect(storage.getItem(FAULTS_STORAGE_KEY)).toBe("flaky");
+    expect(storeFaults(null, storage)).toBe(true);
+    expect(storage.getItem(FAULTS_STORAGE_KEY)).toBeNull();
+  });
+
+  it("refuse des pannes invalides", () => {
+    const storage = createStorage();
+
+    expect(storeFaults("inconnu", storage)).toBe(false);
+    expect(storage.getItem(FAULTS_STORAGE_KEY)).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Modèle des objectifs de l'utilisateur
+ *
+ * Quatre objectifs modifiables par l'utilisateur : calories brûlées par
+ * jour (kcal), durée d'une session (minutes), nombre de jours de session
+ * par semaine et poids cible (kg, facultatif). Les trois premiers forment
+ * le score quotidien (voir ScoreTransformer.computeGoalProgress) ; le poids
+ * cible alimente la projection du graphique d'activité.
+ *
+ * Chaque objectif est validé séparément : une valeur absente ou hors
+ * bornes est remplacée par celle des objectifs de repli.
+ *
+ * @module services/data/goals
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { DEFAULT_GOALS, resolveGoals } from './goals.js';
+ *
+ * resolveGoals({ calories: 600, weeklySessions: 12 });
+ * // { calories: 600, sessionMinutes: 30, weeklySessions: 4, targetWeight: null }
+ */
+
+/**
+ * Objectifs de l'utilisateur
+ * @typedef {Object} UserGoals
+ * @property {number} calories - Calories brûlées par jour (kcal)
+ * @property {number} sessionMinutes - Durée d'une session (minutes)
+ * @property {number} weeklySessions - Jours de session par semaine (1 à 7)
+ * @property {number|null} targetWeight - Poids cible en kg, null si aucun
+ */
+
+/**
+ * Bornes et pas de saisie de chaque objectif
+ * @type {Object<string, { min: number, max: number, step: number, integer?: boolean, optional?: boolean }>}
+ * @readonly
+ */
+export const GOAL_FIELDS = Object.freeze({
+  calories: Object.freeze({ min: 50, max: 5000, step: 10 }),
+  sessionMinutes: Object.freeze({ min: 5, max: 300, step: 5, integer: true }),
+  weeklySessions: Object.freeze({ min: 1, max: 7, step: 1, integer: true }),
+  targetWeight: Object.freeze({ min: 20, max: 300, step: 0.1, optional: true }),
+});
+
+/**
+ * Objectifs comptant dans le score quotidien, dans l'ordre d'affichage
+ * @type {string[]}
+ * @readonly
+ */
+export const SCORED_GOALS = Object.freeze(["calories", "sessionMinutes", "weeklySessions"]);
+
+/**
+ * Objectifs par défaut
+ * @type {UserGoals}
+ * @readonly
+ */
+export const DEFAULT_GOALS = Object.freeze({
+  calories: 350,
+  sessionMinutes: 30,
+  weeklySessions: 4,
+  targetWeight: null,
+});
+
+/**
+ * Valide la valeur d'un objectif
+ *
+ * @function isValidGoal
+ * @param {string} name - Nom de l'objectif
+ * @param {*} value - Valeur à valider
+ * @returns {boolean} true si la valeur respecte les bornes (null accepté pour un objectif facultatif)
+ *
+ * @example
+ * isValidGoal('weeklySessions', 8); // false
+ * isValidGoal('targetWeight', null); // true
+ */
+export const isValidGoal = (name, value) => {
+  const field = GOAL_FIELDS[name];
+  if (!field) return false;
+  if (value === null) return Boolean(field.optional);
+
+  return (
+    Number.isFinite(value) &&
+    value >= field.min &&
+    value <= field.max &&
+    (!field.integer || Number.isInteger(value))
+  );
+};
+
+/**
+ * Complète et valide des objectifs, objectif par objectif
+ *
+ * @function resolveGoals
+ * @param {Object|null} value - Objectifs à valider (éventuellement partiels)
+ * @param {UserGoals} [fallback=DEFAULT_GOALS] - Objectifs de repli
+ * @returns {UserGoals} Objectifs complets
+ *
+ * @example
+ * resolveGoals({ targetWeight: null }, { ...DEFAULT_GOALS, targetWeight: 75 }).targetWeight; // null
+ * resolveGoals({}, { ...DEFAULT_GOALS, targetWeight: 75 }).targetWeight; // 75
+ */
+export const resolveGoals = (value, fallback = DEFAULT_GOALS) =>
+  Object.fromEntries(
+    Object.keys(GOAL_FIELDS).map((name) => [
+      name,
+      isValidGoal(name, value?.[name]) ? value[name] : fallback[name] ?? DEFAULT_GOALS[name],
+    ])
+  );
+
+/**
+ * Export par défaut
+ */
+export default DEFAULT_GOALS;
@@ -17,10 +17,55 @@ export {
   mockUserData,
   mockActivityData,
   mockSessionsData,
+  mockPreviousSessionsData,
   mockPerformanceData,
+  mockScoreHistoryData,
   mockUserDataUser18,
   mockActivityDataUser18,
   mockSessionsDataUser18,
+  mockPreviousSessionsDataUser18,
   mockPerformanceDataUser18,
+  mockScoreHistoryDataUser18,
   createMockService,
 } from "./mockData.js";
+
+// Export du générateur d'utilisateurs synthétiques
+export {
+  generateUserData,
+  generateEndpointData,
+  createSeededRandom,
+  hashSeed,
+  DEFAULT_SYNTHETIC_OPTIONS,
+} from "./syntheticData.js";
+
+// Export de l'injection de pannes du mode mock
+export {
+  applyFaults,
+  corruptPayload,
+  parseFaults,
+  storeFaults,
+  resolveFaultRule,
+  FAULT_PRESETS,
+  CORRUPTION_KINDS,
+  FAULTS_STORAGE_KEY,
+} from "./faultInjection.js";
+
+// Export des schémas de validation des réponses
+export { DATA_SCHEMAS, NORMALIZED_SCHEMAS, validateSchema } from "./dataSchemas.js";
+
+// Export du modèle des objectifs
+export {
+  DEFAULT_GOALS,
+  GOAL_FIELDS,
+  SCORED_GOALS,
+  isValidGoal,
+  resolveGoals,
+} from "./goals.js";
+
+// Export du registre des catégories de performance
+export {
+  performanceKinds,
+  createPerformanceKindRegistry,
+  BUILTIN_PERFORMANCE_KINDS,
+  DEFAULT_PERFORMANCE_KIND,
+} from "./performanceKinds.js";
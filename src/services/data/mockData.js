@@ -18,6 +18,27 @@
  * const mockService = createMockService();
  * const userData = await mockService.getUserById();
  */
+import { resolveDataConfig } from "../config/dataConfig.js";
+import { applyFaults } from "./faultInjection.js";
+import { addDays } from "../utils/calendarDate.js";
+
+/**
+ * Historique de scores quotidiens au format de l'API
+ * @private
+ * @param {number} userId - ID de l'utilisateur
+ * @param {string} lastDay - Dernier jour de l'historique (AAAA-MM-JJ)
+ * @param {number[]} scores - Scores (0-1) du plus ancien au plus récent
+ * @returns {Object} Réponse `{ data: { userId, history: [{ day, score }] } }`
+ */
+const dailyScores = (userId, lastDay, scores) => ({
+  data: {
+    userId,
+    history: scores.map((score, index) => ({
+      day: addDays(lastDay, index - scores.length + 1),
+      score,
+    })),
+  },
+});
 
 /**
  * Données d'activité simulées pour l'utilisateur par défaut (12)
@@ -73,6 +94,26 @@ export const mockSessionsData = {
   },
 };
 
+/**
+ * Sessions moyennes de la semaine précédente pour l'utilisateur par défaut (12)
+ * @type {Object}
+ * @see mockSessionsData Structure identique (endpoint `?weeksAgo=1`)
+ */
+export const mockPreviousSessionsData = {
+  data: {
+    userId: 12,
+    sessions: [
+      { day: 1, sessionLength: 25 },
+      { day: 2, sessionLength: 30 },
+      { day: 3, sessionLength: 40 },
+      { day: 4, sessionLength: 0 },
+      { day: 5, sessionLength: 35 },
+      { day: 6, sessionLength: 0 },
+      { day: 7, sessionLength: 45 },
+    ],
+  },
+};
+
 /**
  * Données de performance simulées pour l'utilisateur par défaut (12)
  * @type {Object}
@@ -147,11 +188,31 @@ export const mockUserData = {
   },
 };
 
+/**
+ * Historique des scores quotidiens de l'utilisateur par défaut (12), sur 35 jours
+ * jusqu'au dernier jour d'activité (le dernier score est `todayScore`)
+ * @type {Object}
+ * @property {Object} data - Conteneur des données
+ * @property {number} data.userId - ID de l'utilisateur
+ * @property {Array<{ day: string, score: number }>} data.history - Score de chaque jour
+ *
+ * @example
+ * console.log(mockScoreHistoryData.data.history.at(-1)); // { day: "2020-07-07", score: 0.12 }
+ */
+export const mockScoreHistoryData = dailyScores(12, "2020-07-07", [
+  0.45, 0.6, 1, 1, 0.8, 0.35, 1, 1, 1, 0.7,
+  0.5, 0.9, 1, 0.4, 0.3, 1, 1, 1, 1, 0.85,
+  0.6, 0.2, 0.75, 1, 0.95, 0.5, 1, 0.65, 0.4, 1,
+  1, 0.9, 1, 1, 0.12,
+]);
+
 /**
  * Crée un service mock avec des méthodes asynchrones simulées
  *
  * @function createMockService
+ * @param {FaultConfig} [faults={ latency: 500 }] - Pannes injectées dans les réponses
  * @returns {Object} Service mock avec méthodes async pour tous les endpoints
+ * @see module:services/data/faultInjection
  *
  * @example
  * // Utilisation en mode développement
@@ -162,16 +223,18 @@ export const mockUserData = {
  * @example
  * // Remplacement temporaire de l'API
  * const apiService = import.meta.env.DEV ? createMockService() : realApiService;
+ *
+ * @example
+ * // Performance en panne pour tester l'état d'erreur du radar
+ * const failing = createMockService({ endpoints: { performance: { errorRate: 1 } } });
  */
-export const createMockService = () => ({
+export const createMockService = (faults = { latency: 500 }) => ({
   /**
    * Récupère les données utilisateur mockées
    * @returns {Promise<Object>} Données utilisateur simulées
    */
   async getUserById() {
-    return new Promise((resolve) => {
-      setTimeout(() => resolve(mockUserData), 500);
-    });
+    return applyFaults("/user/12", () => mockUserData, faults);
   },
 
   /**
@@ -179,9 +242,7 @@ export const createMockService = () => ({
    * @returns {Promise<Object>} Données d'activité simulées
    */
   async getUserActivity() {
-    return new Promise((resolve) => {
-      setTimeout(() => resolve(mockActivityData), 500);
-    });
+    return applyFaults("/user/12/activity", () => mockActivityData, faults);
   },
 
   /**
@@ -189,9 +250,7 @@ export const createMockService = () => ({
    * @returns {Promise<Object>} Données de sessions simulées
    */
   async getUserAverageSessions() {
-    return new Promise((resolve) => {
-      setTimeout(() => resolve(mockSessionsData), 500);
-    });
+    return applyFaults("/user/12/average-sessions", () => mockSessionsData, faults);
   },
 
   /**
@@ -199,9 +258,7 @@ export const createMockService = () => ({
    * @returns {Promise<Object>} Données de performance simulées
    */
   async getUserPerformance() {
-    return new Promise((resolve) => {
-      setTimeout(() => resolve(mockPerformanceData), 500);
-    });
+    return applyFaults("/user/12/performance", () => mockPerformanceData, faults);
   },
 });
 
@@ -246,6 +303,26 @@ export const mockSessionsDataUser18 = {
   },
 };
 
+/**
+ * Sessions moyennes de la semaine précédente pour l'utilisateur 18 (Cecilia)
+ * @type {Object}
+ * @see mockSessionsData Structure identique (endpoint `?weeksAgo=1`)
+ */
+export const mockPreviousSessionsDataUser18 = {
+  data: {
+    userId: 18,
+    sessions: [
+      { day: 1, sessionLength: 40 },
+      { day: 2, sessionLength: 45 },
+      { day: 3, sessionLength: 50 },
+      { day: 4, sessionLength: 30 },
+      { day: 5, sessionLength: 0 },
+      { day: 6, sessionLength: 35 },
+      { day: 7, sessionLength: 60 },
+    ],
+  },
+};
+
 /**
  * Données de performance simulées pour l'utilisateur 18 (Cecilia)
  * @type {Object}
@@ -296,6 +373,18 @@ export const mockUserDataUser18 = {
   },
 };
 
+/**
+ * Historique des scores quotidiens de l'utilisateur 18 (Cecilia), sur 35 jours
+ * @type {Object}
+ * @see mockScoreHistoryData Structure identique mais valeurs spécifiques à l'utilisateur 18
+ */
+export const mockScoreHistoryDataUser18 = dailyScores(18, "2020-07-07", [
+  0.3, 0.5, 0.4, 1, 0.6, 0.7, 0.55, 1, 1, 0.8,
+  0.45, 1, 1, 1, 1, 1, 0.9, 0.6, 0.35, 0.7,
+  1, 0.8, 0.5, 0.65, 1, 1, 0.4, 0.75, 1, 1,
+  1, 0.6, 1, 1, 0.3,
+]);
+
 /**
  * Centralisation des données mockées pour compatibilité avec UserModel
  *
@@ -306,24 +395,33 @@ export const mockUserDataUser18 = {
  * // Récupération des données pour un endpoint
  * const userData = mockData["/user/18"]();
  * const activity = mockData["/user/18/activity"]();
+ *
+ * @example
+ * // Semaine précédente des sessions moyennes (les autres semaines sont synthétiques)
+ * const previous = mockData["/user/18/average-sessions?weeksAgo=1"]();
  */
 const mockData = {
   "/user/12": () => mockUserData.data,
   "/user/12/activity": () => mockActivityData.data,
   "/user/12/average-sessions": () => mockSessionsData.data,
+  "/user/12/average-sessions?weeksAgo=1": () => mockPreviousSessionsData.data,
   "/user/12/performance": () => mockPerformanceData.data,
+  "/user/12/score-history": () => mockScoreHistoryData.data,
   // Données spécifiques pour l'utilisateur 18
   "/user/18": () => mockUserDataUser18.data,
   "/user/18/activity": () => mockActivityDataUser18.data,
   "/user/18/average-sessions": () => mockSessionsDataUser18.data,
+  "/user/18/average-sessions?weeksAgo=1": () => mockPreviousSessionsDataUser18.data,
   "/user/18/performance": () => mockPerformanceDataUser18.data,
+  "/user/18/score-history": () => mockScoreHistoryDataUser18.data,
 };
 
 /**
  * Détermine si l'application doit utiliser les données mockées
  *
  * @function isDevelopmentMode
- * @returns {boolean} true si en mode développement sans API réelle activée
+ * @returns {boolean} true si en mode développement avec la source "mock" résolue
+ * @see module:services/config/dataConfig
  *
  * @example
  * // Utilisation pour le choix du service
@@ -336,7 +434,7 @@ const mockData = {
  * }
  */
 export const isDevelopmentMode = () => {
-  return import.meta.env.DEV && !import.meta.env.VITE_USE_REAL_API;
+  return Boolean(import.meta.env?.DEV) && resolveDataConfig().mode === "mock";
 };
 
 /**
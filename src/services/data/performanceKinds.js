@@ -0,0 +1,237 @@
+/**
+ * Registre des catégories de performance
+ *
+ * Source unique des catégories du radar : l'API fournit pour chaque
+ * utilisateur son dictionnaire `kind` (`{ 1: "cardio", 7: "flexibility" }`),
+ * le registre y ajoute les métadonnées locales de chaque catégorie (ordre
+ * d'affichage, couleur, valeur maximale, libellés). Une catégorie inconnue
+ * du registre reste affichée, avec les métadonnées par défaut et un libellé
+ * dérivé de son nom.
+ *
+ * Libellés, par ordre de priorité : `labels[locale]` des métadonnées, clé
+ * `charts.performance.kinds.<nom>` des catalogues i18n, nom de la catégorie.
+ *
+ * @module services/data/performanceKinds
+ * @requires ../i18n/i18n.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { performanceKinds } from './performanceKinds.js';
+ *
+ * performanceKinds.register('flexibility', {
+ *   order: 7,
+ *   color: '#00BABC',
+ *   labels: { fr: 'Souplesse', en: 'Flexibility' },
+ * });
+ *
+ * performanceKinds.resolve({ 1: 'cardio', 7: 'flexibility' }).map((kind) => kind.name);
+ * // ["flexibility", "cardio"] (ordre d'affichage)
+ */
+import { getMessage } from "../i18n/i18n.js";
+
+/**
+ * Métadonnées locales d'une catégorie de performance
+ * @typedef {Object} PerformanceKindMeta
+ * @property {number} [id] - Identifiant numérique de l'API, utilisé si la réponse n'a pas de dictionnaire `kind`
+ * @property {number} order - Position sur le radar (croissante, dans le sens des aiguilles d'une montre)
+ * @property {string} color - Couleur du libellé sur le radar
+ * @property {number} max - Valeur maximale de la catégorie (échelle "absolute" du radar)
+ * @property {number[]} [reference] - Déciles (0 %, 10 %... 100 %) des valeurs d'une population
+ *   de référence (échelle "percentile" du radar ; répartition uniforme entre 0 et `max` à défaut)
+ * @property {Object<string, string>} [labels] - Libellés par langue (prioritaires sur les catalogues)
+ */
+
+/**
+ * Catégorie résolue pour un utilisateur
+ * @typedef {PerformanceKindMeta} PerformanceKind
+ * @property {number} id - Identifiant numérique de l'API
+ * @property {string} name - Nom de la catégorie ("cardio", "flexibility"...)
+ * @property {boolean} known - true si la catégorie a des métadonnées dans le registre
+ */
+
+/**
+ * Métadonnées appliquées aux catégories inconnues du registre
+ * @type {PerformanceKindMeta}
+ * @readonly
+ */
+export const DEFAULT_PERFORMANCE_KIND = Object.freeze({
+  order: 1000,
+  color: "#FFFFFF",
+  max: 250,
+});
+
+/**
+ * Catégories de l'API SportSee
+ *
+ * Les déciles `reference` sont des valeurs provisoires, choisies pour la
+ * démonstration et non mesurées : aucune statistique des utilisateurs
+ * SportSee n'est disponible. L'échelle "percentile" n'a de sens qu'une fois
+ * remplacés par la répartition réelle avec
+ * `performanceKinds.register(name, { reference })`.
+ * @type {Object<string, PerformanceKindMeta>}
+ * @readonly
+ */
+export const BUILTIN_PERFORMANCE_KINDS = Object.freeze({
+  intensity: Object.freeze({
+    id: 6, order: 1, color: "#FFFFFF", max: 250,
+    reference: Object.freeze([20, 60, 80, 95, 110, 125, 140, 155, 170, 195, 250]),
+  }),
+  speed: Object.freeze({
+    id: 5, order: 2, color: "#FFFFFF", max: 250,
+    reference: Object.freeze([25, 70, 95, 115, 130, 145, 160, 175, 195, 220, 250]),
+  }),
+  strength: Object.freeze({
+    id: 4, order: 3, color: "#FFFFFF", max: 250,
+    reference: Object.freeze([10, 40, 55, 70, 85, 100, 115, 130, 150, 180, 250]),
+  }),
+  endurance: Object.freeze({
+    id: 3, order: 4, color: "#FFFFFF", max: 250,
+    reference: Object.freeze([15, 55, 75, 90, 105, 120, 135, 150, 170, 195, 250]),
+  }),
+  energy: Object.freeze({
+    id: 2, order: 5, color: "#FFFFFF", max: 250,
+    reference: Object.freeze([20, 65, 85, 100, 115, 130, 145, 160, 180, 205, 250]),
+  }),
+  cardio: Object.freeze({
+    id: 1, order: 6, color: "#FFFFFF", max: 250,
+    reference: Object.freeze([20, 60, 80, 95, 110, 125, 140, 155, 175, 200, 250]),
+  }),
+});
+
+/**
+ * Libellé dérivé d'un nom de catégorie ("upper-body" → "Upper body")
+ *
+ * @private
+ * @param {string} name - Nom de la catégorie
+ * @returns {string} Libellé lisible
+ */
+const humanize = (name) => {
+  const words = String(name).replace(/[-_]+/g, " ").trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Crée un registre de catégories de performance
+ *
+ * @function createPerformanceKindRegistry
+ * @param {Object<string, PerformanceKindMeta>} [initial=BUILTIN_PERFORMANCE_KINDS] - Catégories initiales
+ * @returns {{ register: Function, get: Function, has: Function, names: Function, getIdMap: Function,
+ *   getName: Function, getLabel: Function, resolve: Function }} Le registre
+ */
+export const createPerformanceKindRegistry = (initial = BUILTIN_PERFORMANCE_KINDS) => {
+  const kinds = new Map();
+
+  const registry = {
+    /**
+     * Ajoute ou complète les métadonnées d'une catégorie
+     * @param {string} name - Nom de la catégorie (tel que fourni par l'API)
+     * @param {Partial<PerformanceKindMeta>} [meta] - Métadonnées locales
+     * @returns {PerformanceKindMeta} Métadonnées enregistrées
+     */
+    register(name, meta = {}) {
+      const entry = { ...DEFAULT_PERFORMANCE_KIND, ...kinds.get(name), ...meta };
+      kinds.set(name, entry);
+      return entry;
+    },
+
+    /**
+     * Métadonnées d'une catégorie (par défaut si elle est inconnue)
+     * @param {string} name - Nom de la catégorie
+     * @returns {PerformanceKindMeta}
+     */
+    get(name) {
+      return kinds.get(name) ?? DEFAULT_PERFORMANCE_KIND;
+    },
+
+    /**
+     * Indique si une catégorie a des métadonnées locales
+     * @param {string} name - Nom de la catégorie
+     * @returns {boolean}
+     */
+    has(name) {
+      return kinds.has(name);
+    },
+
+    /**
+     * Noms des catégories enregistrées, dans l'ordre d'affichage
+     * @returns {string[]}
+     */
+    names() {
+      return [...kinds.keys()].sort((a, b) => kinds.get(a).order - kinds.get(b).order);
+    },
+
+    /**
+     * Dictionnaire identifiant → nom des catégories enregistrées avec un `id`
+     * (repli lorsque l'API ne fournit pas son dictionnaire `kind`)
+     * @returns {Object<number, string>}
+     */
+    getIdMap() {
+      return Object.fromEntries(
+        [...kinds]
+          .filter(([, meta]) => meta.id !== undefined)
+          .map(([name, meta]) => [meta.id, name])
+      );
+    },
+
+    /**
+     * Nom d'une catégorie à partir de son identifiant
+     * @param {number} id - Identifiant de l'API
+     * @param {Object<number, string>} [apiKinds] - Dictionnaire `kind` de la réponse
+     * @returns {string|null} Nom fourni par l'API, sinon celui du registre, null si inconnu
+     */
+    getName(id, apiKinds) {
+      return apiKinds?.[id] ?? registry.getIdMap()[id] ?? null;
+    },
+
+    /**
+     * Libellé d'une catégorie dans une langue
+     * @param {string} name - Nom de la catégorie
+     * @param {string} [locale] - Langue
+     * @returns {string} Ex: "Énergie" (fr), "Energy" (en), "Flexibility" (catégorie sans libellé)
+     */
+    getLabel(name, locale) {
+      const meta = kinds.get(name);
+      return (
+        meta?.labels?.[locale] ??
+        getMessage(locale, `charts.performance.kinds.${name}`) ??
+        humanize(name)
+      );
+    },
+
+    /**
+     * Catégories d'un utilisateur, dans l'ordre d'affichage
+     *
+     * Réunit les catégories du dictionnaire de l'API et celles présentes dans
+     * les valeurs ; une catégorie sans métadonnées se place après les autres,
+     * par identifiant croissant.
+     *
+     * @param {Object<number, string>} [apiKinds] - Dictionnaire `kind` de la réponse
+     * @param {number[]} [ids] - Identifiants présents dans les valeurs
+     * @returns {PerformanceKind[]} Catégories résolues (sans les identifiants sans nom)
+     */
+    resolve(apiKinds = {}, ids = []) {
+      const allIds = [...new Set([...Object.keys(apiKinds ?? {}), ...ids].map(Number))];
+
+      return allIds
+        .map((id) => ({ id, name: registry.getName(id, apiKinds) }))
+        .filter(({ name }) => name)
+        .map(({ id, name }) => ({ ...registry.get(name), id, name, known: kinds.has(name) }))
+        .sort((a, b) => a.order - b.order || a.id - b.id);
+    },
+  };
+
+  Object.entries(initial).forEach(([name, meta]) => registry.register(name, meta));
+  return registry;
+};
+
+/**
+ * Registre des catégories de l'application
+ * @type {ReturnType<typeof createPerformanceKindRegistry>}
+ */
+export const performanceKinds = createPerformanceKindRegistry();
+
+/**
+ * Export par défaut
+ */
+export default performanceKinds;
@@ -0,0 +1,270 @@
+/**
+ * Générateur déterministe d'utilisateurs synthétiques SportSee
+ *
+ * Produit, pour n'importe quel ID utilisateur numérique, des données brutes
+ * plausibles au format de l'API (profil, activité quotidienne, sessions
+ * moyennes de la semaine, six types de performance, historique du score). Le même couple
+ * (ID, graine) donne toujours les mêmes données, ce qui permet des démos et
+ * des tests visuels reproductibles avec des IDs arbitraires.
+ *
+ * @module services/data/syntheticData
+ * @requires ../utils/calendarDate.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { generateUserData } from './syntheticData.js';
+ *
+ * const { user, activity } = generateUserData(1234, { seed: 'demo', days: 30 });
+ * console.log(user.id, activity.sessions.length); // 1234 30
+ *
+ * @example
+ * // Données brutes d'un endpoint (comme la propriété `data` de l'API)
+ * generateEndpointData('/user/1234/performance');
+ * // { userId: 1234, kind: { 1: 'cardio', ... }, data: [{ value: 142, kind: 1 }, ...] }
+ */
+import { addDays } from "../utils/calendarDate.js";
+
+/**
+ * Options du générateur
+ * @typedef {Object} SyntheticOptions
+ * @property {string|number} [seed="sportsee"] - Graine combinée à l'ID utilisateur
+ * @property {number} [days=7] - Nombre de jours d'activité générés (minimum 7)
+ * @property {string} [startDate="2020-07-01"] - Premier jour d'activité (AAAA-MM-JJ)
+ * @property {number} [weeksAgo=0] - Semaine des sessions moyennes (0 : semaine en cours,
+ *   1 : semaine précédente...)
+ */
+
+/**
+ * Options par défaut du générateur
+ * @type {SyntheticOptions}
+ * @readonly
+ */
+export const DEFAULT_SYNTHETIC_OPTIONS = Object.freeze({
+  seed: "sportsee",
+  days: 7,
+  startDate: "2020-07-01",
+  weeksAgo: 0,
+});
+
+/**
+ * Types de performance au format de l'API SportSee
+ * @type {Object<number, string>}
+ * @readonly
+ */
+export const SYNTHETIC_PERFORMANCE_KINDS = Object.freeze({
+  1: "cardio",
+  2: "energy",
+  3: "endurance",
+  4: "strength",
+  5: "speed",
+  6: "intensity",
+});
+
+/**
+ * Prénoms tirés au sort
+ * @type {string[]}
+ * @private
+ */
+const FIRST_NAMES = [
+  "Inès", "Hugo", "Chloé", "Lucas", "Manon", "Nathan", "Camille", "Théo",
+  "Sarah", "Louis", "Jade", "Adam", "Emma", "Noah", "Lina", "Jules",
+];
+
+/**
+ * Noms de famille tirés au sort
+ * @type {string[]}
+ * @private
+ */
+const LAST_NAMES = [
+  "Bernard", "Dubois", "Moreau", "Laurent", "Simon", "Michel", "Lefebvre",
+  "Leroy", "Roux", "David", "Bertrand", "Morel", "Fournier", "Girard",
+];
+
+/**
+ * Calcule une empreinte 32 bits d'une chaîne (FNV-1a)
+ *
+ * @function hashSeed
+ * @param {...(string|number)} parts - Éléments composant la graine
+ * @returns {number} Empreinte entière non signée
+ *
+ * @example
+ * hashSeed('sportsee', 42) === hashSeed('sportsee', 42); // true
+ */
+export const hashSeed = (...parts) => {
+  let hash = 0x811c9dc5;
+  for (const char of parts.join(":")) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Crée un générateur pseudo-aléatoire déterministe (mulberry32)
+ *
+ * @function createSeededRandom
+ * @param {number} seed - Graine entière
+ * @returns {Function} Générateur `() => nombre` dans [0, 1)
+ *
+ * @example
+ * const random = createSeededRandom(42);
+ * random(); // toujours la même suite pour la graine 42
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Tire un entier entre deux bornes incluses
+ *
+ * @private
+ * @param {Function} random - Générateur pseudo-aléatoire
+ * @param {number} min - Borne inférieure
+ * @param {number} max - Borne supérieure
+ * @returns {number} Entier tiré
+ */
+const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * Génère l'ensemble des données brutes d'un utilisateur
+ *
+ * Chaque jeu de données utilise son propre flux pseudo-aléatoire : changer
+ * le nombre de jours d'activité ne modifie ni le profil ni les performances.
+ *
+ * @function generateUserData
+ * @param {number} userId - ID de l'utilisateur
+ * @param {SyntheticOptions} [options] - Options du générateur
+ * @returns {{ user: Object, activity: Object, sessions: Object, performance: Object, scoreHistory: Object }}
+ *   Données brutes des cinq endpoints
+ */
+export const generateUserData = (userId, options = {}) => {
+  const { seed, days, startDate, weeksAgo } = { ...DEFAULT_SYNTHETIC_OPTIONS, ...options };
+  const streamFor = (name) => createSeededRandom(hashSeed(seed, userId, name));
+
+  // Profil et nutrition
+  const profile = streamFor("user");
+  const user = {
+    id: userId,
+    userInfos: {
+      firstName: FIRST_NAMES[randomInt(profile, 0, FIRST_NAMES.length - 1)],
+      lastName: LAST_NAMES[randomInt(profile, 0, LAST_NAMES.length - 1)],
+      age: randomInt(profile, 18, 65),
+    },
+    todayScore: randomInt(profile, 5, 95) / 100,
+    keyData: {
+      calorieCount: randomInt(profile, 1500, 3200),
+      proteinCount: randomInt(profile, 60, 200),
+      carbohydrateCount: randomInt(profile, 150, 350),
+      lipidCount: randomInt(profile, 30, 120),
+    },
+  };
+
+  // Activité : poids en marche aléatoire autour d'une valeur initiale
+  const activityRandom = streamFor("activity");
+  let kilogram = randomInt(activityRandom, 50, 100);
+  const activity = {
+    userId,
+    sessions: Array.from({ length: Math.max(7, Math.floor(days)) }, (_, index) => {
+      kilogram = Math.min(150, Math.max(40, kilogram + randomInt(activityRandom, -1, 1)));
+      return {
+        day: addDays(startDate, index),
+        kilogram,
+        calories: randomInt(activityRandom, 150, 500),
+      };
+    }),
+  };
+
+  // Sessions moyennes : un ou deux jours de repos par semaine, un flux par semaine
+  const sessionsRandom = streamFor(weeksAgo > 0 ? `average-sessions:${weeksAgo}` : "average-sessions");
+  const sessions = {
+    userId,
+    sessions: Array.from({ length: 7 }, (_, index) => ({
+      day: index + 1,
+      sessionLength: sessionsRandom() < 0.2 ? 0 : randomInt(sessionsRandom, 15, 90),
+    })),
+  };
+
+  // Performance : les six types de l'API
+  const performanceRandom = streamFor("performance");
+  const performance = {
+    userId,
+    kind: { ...SYNTHETIC_PERFORMANCE_KINDS },
+    data: Object.keys(SYNTHETIC_PERFORMANCE_KINDS).map((kind) => ({
+      value: randomInt(performanceRandom, 50, 250),
+      kind: Number(kind),
+    })),
+  };
+
+  // Historique du score : au moins 30 jours jusqu'au dernier jour d'activité,
+  // objectif atteint un jour sur trois environ, le dernier jour est le score du jour
+  const historyRandom = streamFor("score-history");
+  const historyDays = Math.max(30, activity.sessions.length);
+  const lastDay = activity.sessions.at(-1).day;
+  const scoreHistory = {
+    userId,
+    history: Array.from({ length: historyDays }, (_, index) => ({
+      day: addDays(lastDay, index - historyDays + 1),
+      score:
+        index === historyDays - 1
+          ? user.todayScore
+          : historyRandom() < 0.35 ? 1 : randomInt(historyRandom, 10, 95) / 100,
+    })),
+  };
+
+  return { user, activity, sessions, performance, scoreHistory };
+};
+
+/**
+ * Génère les données brutes d'un endpoint SportSee
+ *
+ * @function generateEndpointData
+ * @param {string} endpoint - Endpoint demandé (ex: "/user/1234/activity") ; le paramètre
+ *   `weeksAgo` choisit la semaine des sessions moyennes ("/user/1234/average-sessions?weeksAgo=1")
+ * @param {SyntheticOptions} [options] - Options du générateur
+ * @returns {Object|null} Données brutes, null si l'endpoint n'est pas reconnu
+ *
+ * @example
+ * generateEndpointData('/user/7/average-sessions', { seed: 1 }).sessions.length; // 7
+ * generateEndpointData('/user/abc'); // null
+ */
+export const generateEndpointData = (endpoint, options = {}) => {
+  const match = endpoint?.match(
+    /^\/user\/(\d+)(?:\/(activity|average-sessions|performance|score-history))?\/?(?:\?(.*))?$/
+  );
+
+  if (!match) {
+    return null;
+  }
+
+  const weeksAgo = Number.parseInt(new URLSearchParams(match[3]).get("weeksAgo"), 10);
+  const data = generateUserData(Number(match[1]), {
+    ...options,
+    ...(weeksAgo > 0 && { weeksAgo }),
+  });
+
+  switch (match[2]) {
+    case "activity":
+      return data.activity;
+    case "average-sessions":
+      return data.sessions;
+    case "performance":
+      return data.performance;
+    case "score-history":
+      return data.scoreHistory;
+    default:
+      return data.user;
+  }
+};
+
+/**
+ * Export par défaut
+ */
+export default generateUserData;
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import {
+  createSeededRandom,
+  generateEndpointData,
+  generateUserData,
+  hashSeed,
+} from "./syntheticData.js";
+
+describe("createSeededRandom", () => {
+  it("produit toujours la même suite pour la même graine", () => {
+    const first = createSeededRandom(42);
+    const second = createSeededRandom(42);
+    const values = Array.from({ length: 5 }, () => first());
+
+    expect(Array.from({ length: 5 }, () => second())).toEqual(values);
+    expect(values.every((value) => value >= 0 && value < 1)).toBe(true);
+    expect(createSeededRandom(43)()).not.toBe(values[0]);
+  });
+
+  it("combine les éléments de la graine en une empreinte stable", () => {
+    expect(hashSeed("sportsee", 42)).toBe(hashSeed("sportsee", 42));
+    expect(hashSeed("sportsee", 42)).not.toBe(hashSeed("sportsee", 24));
+  });
+});
+
+describe("generateUserData", () => {
+  it("génère les mêmes données pour le même ID et la même graine", () => {
+    expect(generateUserData(1234, { seed: "demo" })).toEqual(generateUserData(1234, { seed: "demo" }));
+  });
+
+  it("génère des données différentes pour un autre ID ou une autre graine", () => {
+    const reference = generateUserData(1234);
+
+    expect(generateUserData(1235).performance).not.toEqual(reference.performance);
+    expect(generateUserData(1234, { seed: "autre" }).performance).not.toEqual(reference.performance);
+  });
+
+  it("ne modifie pas le profil quand le nombre de jours change", () => {
+    const week = generateUserData(1234);
+    const month = generateUserData(1234, { days: 30 });
+
+    expect(month.user).toEqual(week.user);
+    expect(month.performance).toEqual(week.performance);
+    expect(month.activity.sessions.slice(0, 7)).toEqual(week.activity.sessions);
+  });
+
+  it("génère au moins une semaine de jours consécutifs au format de l'API", () => {
+    const { user, activity, sessions, performance } = generateUserData(1234, {
+      days: 3,
+      startDate: "2020-06-29",
+    });
+
+    expect(user.id).toBe(1234);
+    expect(user.todayScore).toBeGreaterThanOrEqual(0.05);
+    expect(user.todayScore).toBeLessThanOrEqual(0.95);
+    expect(activity.sessions.map(({ day }) => day)).toEqual([
+      "2020-06-29",
+      "2020-06-30",
+      "2020-07-01",
+      "2020-07-02",
+      "2020-07-03",
+      "2020-07-04",
+      "2020-07-05",
+    ]);
+    expect(sessions.sessions.map(({ day }) => day)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(performance.data.map(({ kind }) => kind)).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+});
+
+describe("generateEndpointData", () => {
+  it("renvoie les données de l'endpoint demandé", () => {
+    const data = generateUserData(7, { seed: 1 });
+
+    expect(generateEndpointData("/user/7", { seed: 1 })).toEqual(data.user);
+    expect(generateEndpointData("/user/7/activity", { seed: 1 })).toEqual(data.activity);
+    expect(generateEndpointData("/user/7/average-sessions", { seed: 1 })).toEqual(data.sessions);
+    expect(generateEndpointData("/user/7/performance", { seed: 1 })).toEqual(data.performance);
+  });
+
+  it("renvoie null pour un endpoint non reconnu", () => {
+    expect(generateEndpointData("/user/abc")).toBeNull();
+    expect(generateEndpointData("/user/7/unknown")).toBeNull();
+    expect(generateEndpointData(undefined)).toBeNull();
+  });
+});
@@ -8,7 +8,10 @@
  * @requires react
  * @requires ../api/DataService.js
  * @requires ../transformers/ChartTransformers.js
+ * @requires ../transformers/UnitConverter.js
+ * @requires ../utils/units.js
  * @requires ./useApiData.js
+ * @requires ./usePreferences.js
  * @author SportSee Team
  * @since 1.0.0
  *
@@ -33,7 +36,9 @@
  * 
  * @description
  * Architecture des hooks de graphiques :
- * - Chaque hook utilise useChartData (wrapper de useApiData)
+ * - Chaque hook utilise useChartData (wrapper de useApiData) ; les graphiques
+ *   dépendant des préférences (unités, langue) formatent les données chargées
+ *   dans un useMemo, pour les reformater sans nouvel appel
  * - Récupération via DataService (mode API ou Mock)
  * - Transformation via ChartTransformers pour formatage spécifique
  * - Gestion automatique du loading, error et data
@@ -42,43 +47,121 @@
  * 1. Hook appelé avec userId
  * 2. DataService récupère les données brutes (API ou Mock)
  * 3. DataNormalizer normalise les données (correction des inconsistances)
- * 4. ChartTransformer formate pour le graphique spécifique
- * 5. Hook retourne {data, loading, error}
+ * 4. UnitConverter convertit les valeurs dans les unités de l'utilisateur (activité)
+ * 5. ChartTransformer formate pour le graphique spécifique
+ * 6. Hook retourne {data, loading, error}
  */
-import { useChartData } from "./useApiData.js";
+import { useMemo } from "react";
+import { useApiData, useChartData } from "./useApiData.js";
+import { useI18n, useRadarScale, useUnits } from "./usePreferences.js";
 import { DataService } from "../api/DataService.js";
+import { AbortedError } from "../api/DataErrors.js";
 import { ChartTransformers } from "../transformers/ChartTransformers.js";
+import { UnitConverter } from "../transformers/UnitConverter.js";
+import { convertValue } from "../utils/units.js";
+
+/**
+ * Récupère la semaine de référence des sessions moyennes (rien sans comparaison)
+ * @private
+ * @param {number} userId - ID de l'utilisateur
+ * @param {{ weeksAgo: number, signal: AbortSignal }} options - Semaine et signal d'annulation
+ * @returns {Promise<Object|null>} Données brutes de la semaine, null si `weeksAgo` vaut 0
+ */
+const fetchReferenceWeek = async (userId, { weeksAgo, signal }) =>
+  weeksAgo > 0 ? DataService.getUserAverageSessions(userId, { weeksAgo, signal }) : null;
+
+/**
+ * Récupère les données du score calculé par rapport aux objectifs
+ * (l'activité et les sessions indisponibles valent null : le score s'en passe)
+ * @private
+ * @param {number} userId - ID de l'utilisateur
+ * @param {{ signal: AbortSignal }} options - Signal d'annulation
+ * @returns {Promise<{ user: Object, goals: Object, activity: Object|null, sessions: Object|null }>}
+ */
+const fetchGoalInputs = async (userId, { signal }) => {
+  const optional = (promise) =>
+    promise.catch((error) => {
+      if (error instanceof AbortedError) throw error;
+      return null;
+    });
+
+  const [user, goals, activity, sessions] = await Promise.all([
+    DataService.getUserById(userId, { signal }),
+    DataService.getUserGoals(userId, { signal }),
+    optional(DataService.getUserActivity(userId, { signal })),
+    optional(DataService.getUserAverageSessions(userId, { signal }))
+  ]);
+
+  return { user, goals, activity, sessions };
+};
+
+/**
+ * Récupère l'historique des scores, complété des scores calculés par rapport
+ * aux objectifs pour les jours d'activité (l'endpoint d'historique fait foi
+ * pour les jours qu'il connaît)
+ * @private
+ * @param {number} userId - ID de l'utilisateur
+ * @param {{ signal: AbortSignal }} options - Signal d'annulation
+ * @returns {Promise<Object>} Historique (DataService.getUserScoreHistory)
+ */
+const fetchScoreHistory = async (userId, { signal }) => {
+  const [history, inputs] = await Promise.all([
+    DataService.getUserScoreHistory(userId, { signal }),
+    fetchGoalInputs(userId, { signal })
+  ]);
+
+  // Les derniers fusionnés l'emportent : scores calculés, puis historique
+  // (de l'endpoint, sinon les instantanés sont remplacés par les scores calculés)
+  const computed = ChartTransformers.Score.scoreDays(inputs);
+  const merged =
+    history.source === "endpoint" ? [...computed, ...history.history] : [...history.history, ...computed];
+  const scores = new Map(merged.map(({ day, score }) => [day, score]));
+
+  return {
+    ...history,
+    history: [...scores]
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([day, score]) => ({ day, score }))
+  };
+};
 
 /**
  * Type de retour pour les hooks de graphiques
  * @typedef {Object} ChartHookState
  * @property {*} data - Données formatées pour le graphique (null si pas chargées)
  * @property {boolean} loading - Indicateur de chargement
- * @property {string|null} error - Message d'erreur éventuel
+ * @property {DataServiceError|null} error - Erreur typée éventuelle
  */
 
 /**
  * Hook spécialisé pour le graphique d'activité quotidienne
  *
  * Formate les données d'activité pour un graphique en barres combiné
- * affichant le poids et les calories brûlées par jour.
+ * affichant le poids et les calories brûlées par jour (par semaine pour une
+ * longue période), dans les unités choisies par l'utilisateur et avec les
+ * dates dans sa langue, avec la moyenne mobile et la tendance du poids et
+ * la projection du poids cible des objectifs. Un changement d'unités ou de
+ * langue reformate les données déjà chargées ; un changement de
+ * période interroge le DataService, qui découpe l'historique déjà en cache.
  *
  * @function useActivityChart
  * @param {number} userId - ID de l'utilisateur
+ * @param {Object} [period] - Période : `{ days }` (derniers jours enregistrés) ou
+ *   `{ from, to }` (AAAA-MM-JJ) ; tout l'historique si absente
  * @returns {ChartHookState} État avec données formatées pour graphique d'activité
  *
  * @example
  * function ActivityChart({ userId }) {
- *   const { data, loading, error } = useActivityChart(userId);
+ *   const { data, loading, error } = useActivityChart(userId, ActivityTransformer.PERIODS.week);
  *
  *   if (loading) return <div>Chargement du graphique...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *   if (!data?.sessions) return <div>Aucune donnée d'activité</div>;
  *
  *   return (
  *     <ComposedChart data={data.sessions}>
- *       <Bar dataKey="kilogram" fill="#282D30" />
- *       <Bar dataKey="calories" fill="#E60000" />
+ *       <Bar dataKey="weight" fill="#282D30" />
+ *       <Bar dataKey="energy" fill="#E60000" />
  *     </ComposedChart>
  *   );
  * }
@@ -86,35 +169,59 @@ import { ChartTransformers } from "../transformers/ChartTransformers.js";
  * @example
  * // Structure des données retournées
  * // data.sessions = [
- * //   { day: 1, kilogram: 70, calories: 300, displayDay: "1" },
- * //   { day: 2, kilogram: 69, calories: 350, displayDay: "2" },
+ * //   { day: "2020-07-01", kilogram: 70, weight: 154.3, calories: 300, energy: 1255, displayDay: "1 juil." },
+ * //   { day: "2020-07-02", kilogram: 69, weight: 152.1, calories: 350, energy: 1464, displayDay: "2 juil." },
  * //   ...
  * // ]
+ * // data.units = { weight: "lb", energy: "kj" }
+ * // data.granularity = "day"
+ * // data.range = { from: "2020-07-01", to: "2020-07-07" }
+ * // data.trend = { perDay: -0.21, perWeek: -1.5 }
+ * // data.goal = { weight: 150, status: "projected", date: "2020-08-12", days: 36 } (poids cible des objectifs)
  */
-export const useActivityChart = (userId) => {
-  return useChartData(
-    DataService.getUserActivity,
-    ChartTransformers.Activity.format,
-    userId
+export const useActivityChart = (userId, period) => {
+  const { units } = useUnits();
+  const { locale } = useI18n();
+  const state = useApiData(DataService.getUserActivity, null, userId, period);
+  // Objectifs indisponibles : pas de projection, le graphique reste affiché
+  const targetWeight = useApiData(DataService.getUserGoals, null, userId).data?.targetWeight ?? null;
+
+  const data = useMemo(
+    () =>
+      state.data
+        ? ChartTransformers.Activity.format(UnitConverter.activity(state.data, units), {
+            locale,
+            // Poids cible stocké en kg, comparé aux poids dans l'unité d'affichage
+            targetWeight: convertValue(targetWeight, units.weight)
+          })
+        : null,
+    [state.data, units, locale, targetWeight]
   );
+
+  return { ...state, data };
 };
 
 /**
  * Hook spécialisé pour le graphique des sessions moyennes
  *
  * Formate les données de sessions avec ajout de points fantômes
- * pour améliorer le rendu visuel du graphique en ligne.
+ * pour améliorer le rendu visuel du graphique en ligne. Avec une semaine
+ * de référence, chaque jour reçoit aussi la durée de cette semaine et
+ * l'écart avec elle ; une semaine de référence indisponible n'empêche pas
+ * l'affichage de la semaine en cours (voir `reference.error`).
  *
  * @function useSessionsChart
  * @param {number} userId - ID de l'utilisateur
- * @returns {ChartHookState} État avec données formatées incluant points fantômes
+ * @param {number} [weeksAgo=0] - Semaine de référence (1 : semaine précédente), 0 sans comparaison
+ * @returns {ChartHookState & { reference: { loading: boolean, error: DataServiceError|null } }}
+ *   État avec données formatées incluant points fantômes, et état de la semaine de référence
  *
  * @example
  * function SessionsChart({ userId }) {
  *   const { data, loading, error } = useSessionsChart(userId);
  *
  *   if (loading) return <div>Chargement des sessions...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *
  *   const dayNames = ['L', 'M', 'M', 'J', 'V', 'S', 'D'];
  *
@@ -142,20 +249,39 @@ export const useActivityChart = (userId) => {
  * //   { day: 7, sessionLength: 70, isReal: true },                    // Dimanche
  * //   { day: 8, sessionLength: 70, isReal: false, isGhost: true }     // Point fantôme fin
  * // ]
+ *
+ * @example
+ * // Comparaison avec la semaine précédente
+ * const { data } = useSessionsChart(18, 1);
+ * // data.sessions[1] = { day: 1, sessionLength: 45, referenceLength: 40, delta: 5, deltaPercent: 13, ... }
  */
-export const useSessionsChart = (userId) => {
-  return useChartData(
-    DataService.getUserAverageSessions,
-    ChartTransformers.Sessions.addGhostPoints,
-    userId
+export const useSessionsChart = (userId, weeksAgo = 0) => {
+  const state = useChartData(DataService.getUserAverageSessions, null, userId);
+  const reference = useApiData(fetchReferenceWeek, null, userId, { weeksAgo });
+  const referenceData = weeksAgo > 0 ? reference.data : null;
+
+  const data = useMemo(
+    () => (state.data ? ChartTransformers.Sessions.compareWeeks(state.data, referenceData) : null),
+    [state.data, referenceData]
   );
+
+  return {
+    ...state,
+    data,
+    reference: {
+      loading: weeksAgo > 0 && reference.loading,
+      error: weeksAgo > 0 ? reference.error : null
+    }
+  };
 };
 
 /**
  * Hook spécialisé pour le graphique radar de performance
  *
  * Transforme et réordonne les données de performance pour un affichage
- * optimisé dans un graphique radar avec traductions françaises.
+ * optimisé dans un graphique radar, avec les libellés dans la langue de
+ * l'utilisateur et les valeurs sur l'échelle choisie (reformatés sans nouvel
+ * appel lorsque l'une ou l'autre change).
  *
  * @function usePerformanceChart
  * @param {number} userId - ID de l'utilisateur
@@ -166,7 +292,7 @@ export const useSessionsChart = (userId) => {
  *   const { data, loading, error } = usePerformanceChart(userId);
  *
  *   if (loading) return <div>Chargement performance...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *
  *   return (
  *     <RadarChart data={data}>
@@ -175,8 +301,9 @@ export const useSessionsChart = (userId) => {
  *         dataKey="subject"
  *         tick={{ fontSize: 12, fill: '#FFFFFF' }}
  *       />
+ *       <PolarRadiusAxis domain={[0, 100]} tick={false} />
  *       <Radar
- *         dataKey="value"
+ *         dataKey="score"
  *         stroke="#FF0101"
  *         fill="#FF0101"
  *         fillOpacity={0.7}
@@ -186,40 +313,47 @@ export const useSessionsChart = (userId) => {
  * }
  *
  * @example
- * // Structure des données retournées (ordre spécifique pour le radar)
+ * // Structure des données retournées (ordre du registre performanceKinds)
  * // data = [
- * //   { subject: "Intensité", value: 160, fullMark: 250 },
- * //   { subject: "Vitesse", value: 250, fullMark: 250 },
- * //   { subject: "Force", value: 90, fullMark: 250 },
- * //   { subject: "Endurance", value: 200, fullMark: 250 },
- * //   { subject: "Énergie", value: 180, fullMark: 250 },
- * //   { subject: "Cardio", value: 150, fullMark: 250 }
+ * //   { kind: "intensity", subject: "Intensité", value: 160, score: 64, fullMark: 100, max: 250, color: "#FFFFFF", order: 1 },
+ * //   { kind: "speed", subject: "Vitesse", value: 250, score: 100, fullMark: 100, max: 250, color: "#FFFFFF", order: 2 },
+ * //   ...
+ * //   { kind: "cardio", subject: "Cardio", value: 150, score: 60, fullMark: 100, max: 250, color: "#FFFFFF", order: 6 }
  * // ]
  */
 export const usePerformanceChart = (userId) => {
-  return useChartData(
-    DataService.getUserPerformance,
-    ChartTransformers.Performance.formatForRadar,
-    userId
+  const { locale } = useI18n();
+  const { radarScale } = useRadarScale();
+  const state = useApiData(DataService.getUserPerformance, null, userId);
+
+  const data = useMemo(
+    () =>
+      state.data
+        ? ChartTransformers.Performance.formatForRadar(state.data, { locale, scale: radarScale })
+        : null,
+    [state.data, locale, radarScale]
   );
+
+  return { ...state, data };
 };
 
 /**
  * Hook spécialisé pour le graphique de score du jour
  *
- * Calcule et formate le pourcentage de réalisation de l'objectif quotidien
- * à partir du score utilisateur (todayScore ou score).
+ * Calcule le pourcentage de réalisation des objectifs de l'utilisateur au
+ * dernier jour enregistré (voir ScoreTransformer.computeGoalProgress) ; sans
+ * activité, le pourcentage est celui du score utilisateur (todayScore ou score).
  *
  * @function useScoreChart
  * @param {number} userId - ID de l'utilisateur
- * @returns {ChartHookState} État avec pourcentage calculé pour graphique circulaire
+ * @returns {ChartHookState} État avec pourcentage, objectifs et progression de chaque objectif
  *
  * @example
  * function ScoreChart({ userId }) {
  *   const { data, loading, error } = useScoreChart(userId);
  *
  *   if (loading) return <div>Chargement score...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *
  *   const scoreData = [
  *     { name: 'completed', value: data.percentage, fill: '#FF0000' },
@@ -246,12 +380,43 @@ export const usePerformanceChart = (userId) => {
  *
  * @example
  * // Structure des données retournées
- * // data = { percentage: 30 }  // Si todayScore = 0.3
+ * // data = {
+ * //   percentage: 92,
+ * //   goals: { userId: 12, calories: 350, sessionMinutes: 30, weeklySessions: 4, targetWeight: null, source: "default" },
+ * //   progress: { day: "2020-07-07", score: 0.92, reached: 2, total: 3, parts: [...] }
+ * // }
  */
 export const useScoreChart = (userId) => {
   return useChartData(
-    DataService.getUserById,
-    ChartTransformers.Score.calculatePercentage,
+    fetchGoalInputs,
+    ChartTransformers.Score.formatGoalScore,
+    userId
+  );
+};
+
+/**
+ * Hook spécialisé pour l'historique du score
+ *
+ * Charge l'historique des scores quotidiens (endpoint d'historique ou
+ * instantanés locaux), complété des scores des jours d'activité calculés par
+ * rapport aux objectifs (l'endpoint fait foi pour les jours qu'il connaît,
+ * les instantanés sont remplacés), et prépare la courbe des 30 derniers jours et les séries de
+ * jours où tous les objectifs sont atteints.
+ *
+ * @function useScoreHistory
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {ChartHookState} État avec courbe et séries (null sans historique)
+ *
+ * @example
+ * const { data } = useScoreHistory(18);
+ * // data.points = [{ day: "2020-06-08", percentage: 50, reached: false }, ..., { day: "2020-07-07", percentage: 30, reached: false }]
+ * // data.streaks = { current: 2, best: 5 }
+ * // data.source = "endpoint" (ou "snapshots")
+ */
+export const useScoreHistory = (userId) => {
+  return useChartData(
+    fetchScoreHistory,
+    ChartTransformers.Score.formatHistory,
     userId
   );
 };
@@ -274,10 +439,12 @@ export const useScoreChart = (userId) => {
  * @property {boolean} loading - true si au moins un graphique est en cours de chargement
  * @property {boolean} hasError - true si au moins un graphique a une erreur
  * @property {Object} errors - Détail des erreurs par graphique
- * @property {string|null} errors.activity - Erreur du graphique d'activité
- * @property {string|null} errors.sessions - Erreur du graphique de sessions
- * @property {string|null} errors.performance - Erreur du graphique de performance
- * @property {string|null} errors.score - Erreur du graphique de score
+ * @property {DataServiceError|null} errors.activity - Erreur du graphique d'activité
+ * @property {DataServiceError|null} errors.sessions - Erreur du graphique de sessions
+ * @property {DataServiceError|null} errors.performance - Erreur du graphique de performance
+ * @property {DataServiceError|null} errors.score - Erreur du graphique de score
+ * @property {Object} validation - Rapports de validation par graphique (mêmes clés que `errors`)
+ * @property {boolean} repaired - true si au moins une réponse a été réparée (mode lenient)
  *
  * @example
  * function Dashboard({ userId }) {
@@ -351,5 +518,14 @@ export const useAllCharts = (userId) => {
       performance: performance.error,
       score: score.error,
     },
+    validation: {
+      activity: activity.validation,
+      sessions: sessions.validation,
+      performance: performance.validation,
+      score: score.validation,
+    },
+    repaired: [activity, sessions, performance, score].some(
+      (chart) => chart.validation?.repairs.length > 0
+    ),
   };
 };
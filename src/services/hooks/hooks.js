@@ -24,7 +24,7 @@
  *   const { data: user, loading, error } = useUser(userId);
  *
  *   if (loading) return <div>Chargement...</div>;
- *   if (error) return <div>Erreur: {error}</div>;
+ *   if (error) return <div>Erreur: {error.message}</div>;
  *
  *   return <h1>Bonjour {user.userInfos.firstName}!</h1>;
  * }
@@ -41,15 +41,19 @@
  * - chartHooks.js : Hooks spécialisés pour graphiques avec transformation
  * - useApiData.js : Hook générique réutilisable pour récupération + transformation
  */
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { DataService } from "../api/DataService.js";
+import { useDataRevision } from "./useOfflineStatus.js";
+import { AbortedError, toDataServiceError } from "../api/DataErrors.js";
 
 /**
  * Type de retour standard des hooks de données
  * @typedef {Object} DataHookResult
  * @property {*} data - Les données récupérées (null si pas encore chargées ou en cas d'erreur)
  * @property {boolean} loading - Indicateur de chargement en cours
- * @property {string|null} error - Message d'erreur éventuel
+ * @property {DataServiceError|null} error - Erreur typée éventuelle
+ * @property {boolean} aborted - true si la dernière requête a été annulée (ce n'est pas une erreur)
+ * @property {ValidationReport|null} validation - Rapport de validation du schéma (voir DataNormalizer.validate)
  */
 
 /**
@@ -57,9 +61,9 @@ import { DataService } from "../api/DataService.js";
  *
  * @private
  * @function useData
- * @param {Function} fetchFunction - Fonction asynchrone pour récupérer les données
+ * @param {Function} fetchFunction - Fonction asynchrone `(userId, { signal })` pour récupérer les données
  * @param {number} userId - ID de l'utilisateur pour lequel récupérer les données
- * @returns {DataHookResult} Objet contenant data, loading et error
+ * @returns {DataHookResult} Objet contenant data, loading, error, aborted et validation
  *
  * @example
  * // Utilisation interne uniquement
@@ -69,31 +73,52 @@ const useData = (fetchFunction, userId) => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [aborted, setAborted] = useState(false);
+  const [validation, setValidation] = useState(null);
+
+  // Rechargement en arrière-plan lorsque le DataService change de révision
+  const revision = useDataRevision();
+  const loadedUserIdRef = useRef(null);
 
   useEffect(() => {
     if (!userId) {
       return;
     }
 
-    let isCancelled = false;
+    // Annule la requête HTTP en cours au démontage ou au changement d'utilisateur
+    const controller = new AbortController();
+    const { signal } = controller;
 
     const loadData = async () => {
       try {
-        setLoading(true);
+        // Les données déjà affichées pour cet utilisateur restent visibles
+        setLoading(loadedUserIdRef.current !== userId);
         setError(null);
+        setAborted(false);
 
-        const result = await fetchFunction(userId);
+        const result = await fetchFunction(userId, { signal });
 
-        if (!isCancelled) {
+        if (!signal.aborted) {
+          loadedUserIdRef.current = userId;
           setData(result);
+          setValidation(DataService.getValidationReport(result));
         }
       } catch (err) {
-        if (!isCancelled) {
-          setError(err.message);
+        if (signal.aborted) {
+          return;
+        }
+
+        // Annulation venue d'ailleurs : les données précédentes sont conservées
+        if (err instanceof AbortedError) {
+          setAborted(true);
+        } else {
+          loadedUserIdRef.current = null;
+          setError(toDataServiceError(err));
           setData(null);
+          setValidation(err?.report ?? null);
         }
       } finally {
-        if (!isCancelled) {
+        if (!signal.aborted) {
           setLoading(false);
         }
       }
@@ -102,11 +127,11 @@ const useData = (fetchFunction, userId) => {
     loadData();
 
     return () => {
-      isCancelled = true;
+      controller.abort();
     };
-  }, [userId, fetchFunction]);
+  }, [userId, fetchFunction, revision]);
 
-  return { data, loading, error };
+  return { data, loading, error, aborted, validation };
 };
 
 /**
@@ -26,5 +26,29 @@ export {
   useSessionsChart,
   usePerformanceChart,
   useScoreChart,
+  useScoreHistory,
   useAllCharts,
 } from "./chartHooks.js";
+
+// Export du hook des objectifs de l'utilisateur
+export { useGoals } from "./useGoals.js";
+
+// Export du hook des bilans personnalisés
+export { useInsights } from "./useInsights.js";
+
+// Export du hook de session d'authentification
+export { useAuth } from "./useAuth.js";
+
+// Export des hooks de l'état hors ligne
+export { useOfflineStatus, useDataRevision } from "./useOfflineStatus.js";
+
+// Export du hook de mise à jour de l'application installée
+export { useServiceWorkerUpdate } from "./useServiceWorkerUpdate.js";
+
+// Export des hooks des préférences d'affichage (langue, unités, radar)
+export {
+  usePreferences,
+  useUnits,
+  useRadarScale,
+  useI18n,
+} from "./usePreferences.js";
@@ -6,6 +6,7 @@
  * 
  * @module services/hooks/useApiData
  * @requires react
+ * @requires ../api/DataService.js
  * @author SportSee Team
  * @since 1.0.0
  * 
@@ -41,25 +42,41 @@
  */
 
 import { useState, useEffect, useRef } from "react";
+import { useDataRevision } from "./useOfflineStatus.js";
+import { DataService } from "../api/DataService.js";
+import {
+  AbortedError,
+  ValidationError,
+  toDataServiceError,
+} from "../api/DataErrors.js";
 
 /**
  * Type de retour pour le hook de données API
  * @typedef {Object} ApiDataHookResult
  * @property {*} data - Les données transformées (null si pas encore chargées)
  * @property {boolean} loading - Indicateur de chargement en cours
- * @property {string|null} error - Message d'erreur éventuel
+ * @property {DataServiceError|null} error - Erreur typée éventuelle (UserNotFoundError, HttpError, NetworkError...)
+ * @property {boolean} aborted - true si la dernière requête a été annulée (ce n'est pas une erreur)
+ * @property {ValidationReport|null} validation - Rapport de validation du schéma : champs invalides et
+ *   réparations (mode lenient), ou motif du rejet (mode strict) ; null pour une copie hors ligne
  */
 
 /**
  * Hook générique pour la récupération et transformation de données API
  * 
  * Gère automatiquement l'état de chargement, les erreurs et l'annulation
- * des requêtes en cours si le composant est démonté.
+ * des requêtes en cours si le composant est démonté ou si l'utilisateur change.
+ * La fonction de récupération reçoit `(userId, { ...params, signal })` ; un
+ * changement de paramètres (comparés par valeur) relance la récupération.
+ *
+ * Les données sont rechargées à chaque révision du DataService (retour de
+ * la connexion) ; les données affichées restent visibles pendant ce rechargement.
  * 
  * @function useApiData
- * @param {Function} fetchFunction - Fonction asynchrone pour récupérer les données
+ * @param {Function} fetchFunction - Fonction asynchrone `(userId, { signal })` pour récupérer les données
  * @param {Function|null} [transformer=null] - Fonction de transformation des données (optionnelle)
  * @param {number} userId - ID de l'utilisateur pour lequel récupérer les données
+ * @param {Object} [params] - Paramètres supplémentaires de la récupération (sérialisables en JSON)
  * @returns {ApiDataHookResult} État avec données, loading et error
  * 
  * @example
@@ -77,12 +94,18 @@ import { useState, useEffect, useRef } from "react";
  *   ActivityTransformer.format,
  *   userId
  * );
+ *
+ * @example
+ * // Paramètres de récupération (ici la période d'activité)
+ * const { data } = useApiData(DataService.getUserActivity, null, userId, { days: 30 });
  */
-export const useApiData = (fetchFunction, transformer = null, userId) => {
+export const useApiData = (fetchFunction, transformer = null, userId, params) => {
   const [state, setState] = useState({
     data: null,
     loading: true,
-    error: null
+    error: null,
+    aborted: false,
+    validation: null
   });
 
   // Utilisation de useRef pour conserver les références stables
@@ -93,13 +116,25 @@ export const useApiData = (fetchFunction, transformer = null, userId) => {
   fetchFunctionRef.current = fetchFunction;
   transformerRef.current = transformer;
 
+  // Paramètres comparés par valeur : un nouvel objet identique ne relance rien
+  const paramsRef = useRef(params);
+  paramsRef.current = params;
+  const paramsKey = JSON.stringify(params ?? null);
+
+  // Rechargement en arrière-plan lorsque le DataService change de révision
+  const revision = useDataRevision();
+  const loadedUserIdRef = useRef(null);
+
   useEffect(() => {
     // Validation des paramètres
     if (!userId || !fetchFunctionRef.current) {
       setState(prev => ({
         ...prev,
         loading: false,
-        error: userId ? 'Fonction de récupération manquante' : 'ID utilisateur manquant'
+        aborted: false,
+        error: new ValidationError(
+          userId ? 'Fonction de récupération manquante' : 'ID utilisateur manquant'
+        )
       }));
       return;
     }
@@ -109,15 +144,16 @@ export const useApiData = (fetchFunction, transformer = null, userId) => {
 
     const loadData = async () => {
       try {
-        // Démarrer le chargement
+        // Démarrer le chargement (sans masquer les données du même utilisateur)
         setState(prev => ({ 
           ...prev, 
-          loading: true, 
-          error: null 
+          loading: loadedUserIdRef.current !== userId, 
+          error: null,
+          aborted: false
         }));
 
-        // Récupérer les données
-        const rawData = await fetchFunctionRef.current(userId);
+        // Récupérer les données (le signal annule la requête HTTP sous-jacente)
+        const rawData = await fetchFunctionRef.current(userId, { ...paramsRef.current, signal });
 
         // Abort la requete si le composant est démonté
         if (signal.aborted) return;
@@ -135,32 +171,51 @@ export const useApiData = (fetchFunction, transformer = null, userId) => {
         }
 
         // Mettre à jour l'état avec succès
+        loadedUserIdRef.current = userId;
         setState({
           data: transformedData,
           loading: false,
-          error: null
+          error: null,
+          aborted: false,
+          // Rapport des données normalisées, avant transformation
+          validation: DataService.getValidationReport(rawData)
         });
 
       } catch (error) {
-        // Gestion d'erreur seulement si le composant est toujours monté
-        if (!signal.aborted) {
-          console.error('Erreur de récupération des données:', error);
-          setState({
-            data: null,
+        // Le composant est démonté ou l'utilisateur a changé : rien à mettre à jour
+        if (signal.aborted) return;
+
+        // Annulation venue d'ailleurs : conserver les données, sans erreur
+        if (error instanceof AbortedError) {
+          setState(prev => ({
+            ...prev,
             loading: false,
-            error: error.message || 'Erreur de récupération des données'
-          });
+            error: null,
+            aborted: true
+          }));
+          return;
         }
+
+        console.error('Erreur de récupération des données:', error);
+        loadedUserIdRef.current = null;
+        setState({
+          data: null,
+          loading: false,
+          // Erreur conservée intacte pour permettre un rendu par type d'erreur
+          error: toDataServiceError(error),
+          aborted: false,
+          validation: error?.report ?? null
+        });
       }
     };
 
     loadData();
 
-    // Fonction de nettoyage pour annuler la requête
+    // Fonction de nettoyage pour annuler la requête (démontage ou changement d'utilisateur)
     return () => {
       controller.abort();
     };
-  }, [userId]); // Seulement userId comme dépendance
+  }, [userId, revision, paramsKey]); // userId, révision des données et paramètres (par valeur)
 
   return state;
 };
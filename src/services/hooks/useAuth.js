@@ -0,0 +1,60 @@
+/**
+ * Hook React de la session d'authentification
+ *
+ * Expose la session courante (mise à jour à chaque connexion, renouvellement
+ * ou déconnexion, y compris depuis un autre onglet) et les actions associées.
+ *
+ * @module services/hooks/useAuth
+ * @requires react
+ * @requires ../auth/AuthService.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function LogoutButton() {
+ *   const { session, logout } = useAuth();
+ *   if (!session) return null;
+ *   return <button onClick={logout}>Déconnexion</button>;
+ * }
+ */
+import { useSyncExternalStore } from "react";
+import { AuthService } from "../auth/AuthService.js";
+
+/**
+ * État d'authentification
+ * @typedef {Object} AuthState
+ * @property {AuthSession|null} session - Session courante
+ * @property {Object|null} user - Utilisateur connecté ({ id, role })
+ * @property {boolean} enabled - true si l'authentification est exigée
+ * @property {boolean} isCoach - true si l'utilisateur connecté est coach
+ * @property {Function} login - `({ email, password }) => Promise<AuthSession>`
+ * @property {Function} logout - `() => Promise<void>`
+ */
+
+/**
+ * Hook de la session d'authentification
+ *
+ * @function useAuth
+ * @returns {AuthState} Session et actions
+ */
+export const useAuth = () => {
+  const session = useSyncExternalStore(
+    AuthService.store.subscribe,
+    AuthService.store.get,
+    AuthService.store.get
+  );
+
+  return {
+    session,
+    user: session?.user ?? null,
+    enabled: AuthService.enabled,
+    isCoach: AuthService.isCoach(session),
+    login: AuthService.login,
+    logout: AuthService.logout,
+  };
+};
+
+/**
+ * Export par défaut
+ */
+export default useAuth;
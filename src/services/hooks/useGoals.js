@@ -0,0 +1,74 @@
+/**
+ * Hook React des objectifs de l'utilisateur
+ *
+ * Charge les objectifs (API ou stockage local, voir DataService.getUserGoals)
+ * et les enregistre ; après un enregistrement, les graphiques qui en
+ * dépendent (score, poids cible) sont rechargés par le DataService.
+ *
+ * @module services/hooks/useGoals
+ * @requires react
+ * @requires ../api/DataService.js
+ * @requires ./useApiData.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function CaloriesGoal({ userId }) {
+ *   const { goals, saveGoals, saving } = useGoals(userId);
+ *   if (!goals) return null;
+ *   return (
+ *     <button disabled={saving} onClick={() => saveGoals({ calories: goals.calories + 50 })}>
+ *       {goals.calories} kcal
+ *     </button>
+ *   );
+ * }
+ */
+import { useState } from "react";
+import { DataService } from "../api/DataService.js";
+import { useApiData } from "./useApiData.js";
+import { toDataServiceError } from "../api/DataErrors.js";
+
+/**
+ * État des objectifs
+ * @typedef {Object} GoalsState
+ * @property {GoalsData|null} goals - Objectifs chargés (null pendant le chargement ou en cas d'erreur)
+ * @property {boolean} loading - Chargement en cours
+ * @property {DataServiceError|null} error - Erreur du chargement
+ * @property {boolean} saving - Enregistrement en cours
+ * @property {DataServiceError|null} saveError - Erreur du dernier enregistrement
+ * @property {Function} saveGoals - `(changes) => Promise<GoalsData|null>`, null si l'enregistrement échoue
+ */
+
+/**
+ * Hook des objectifs d'un utilisateur
+ *
+ * @function useGoals
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {GoalsState} Objectifs et enregistrement
+ */
+export const useGoals = (userId) => {
+  const { data, loading, error } = useApiData(DataService.getUserGoals, null, userId);
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const saveGoals = async (changes) => {
+    setSaving(true);
+    setSaveError(null);
+
+    try {
+      return await DataService.saveUserGoals(userId, changes);
+    } catch (failure) {
+      setSaveError(toDataServiceError(failure));
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return { goals: data, loading, error, saving, saveError, saveGoals };
+};
+
+/**
+ * Export par défaut
+ */
+export default useGoals;
@@ -0,0 +1,94 @@
+/**
+ * Hook React des bilans personnalisés
+ *
+ * Charge les données analysées par le moteur de bilans (utilisateur,
+ * objectifs, activité du dernier mois, sessions moyennes, performance) et
+ * produit les bilans dans la langue et les unités de l'utilisateur, à la
+ * date du jour des données (DataService.getToday). Un changement de langue
+ * ou d'unités les reformule sans nouvel appel ; un enregistrement des
+ * objectifs les recalcule (révision du DataService).
+ *
+ * @module services/hooks/useInsights
+ * @requires react
+ * @requires ../api/DataService.js
+ * @requires ../insights/insightsEngine.js
+ * @requires ./useApiData.js
+ * @requires ./usePreferences.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function WelcomeSubtitle({ userId }) {
+ *   const { data: insights } = useInsights(userId);
+ *   return insights?.[0] ? <p>{insights[0].message}</p> : null;
+ * }
+ */
+import { useMemo } from "react";
+import { DataService } from "../api/DataService.js";
+import { AbortedError } from "../api/DataErrors.js";
+import { ActivityTransformer } from "../transformers/ChartTransformers.js";
+import { generateInsights } from "../insights/insightsEngine.js";
+import { useApiData } from "./useApiData.js";
+import { useI18n, useUnits } from "./usePreferences.js";
+
+/**
+ * Récupère les données des bilans (chaque source indisponible vaut null :
+ * seuls les bilans qui en dépendent sont retirés)
+ * @private
+ * @param {number} userId - ID de l'utilisateur
+ * @param {{ signal: AbortSignal }} options - Signal d'annulation
+ * @returns {Promise<{ user: Object|null, goals: Object|null, activity: Object|null, sessions: Object|null, performance: Object|null }>}
+ */
+const fetchInsightInputs = async (userId, { signal }) => {
+  const optional = (promise) =>
+    promise.catch((error) => {
+      if (error instanceof AbortedError) throw error;
+      return null;
+    });
+
+  const [user, goals, activity, sessions, performance] = await Promise.all([
+    optional(DataService.getUserById(userId, { signal })),
+    optional(DataService.getUserGoals(userId, { signal })),
+    optional(DataService.getUserActivity(userId, { ...ActivityTransformer.PERIODS.month, signal })),
+    optional(DataService.getUserAverageSessions(userId, { signal })),
+    optional(DataService.getUserPerformance(userId, { signal }))
+  ]);
+
+  return { user, goals, activity, sessions, performance };
+};
+
+/**
+ * Hook des bilans d'un utilisateur
+ *
+ * @function useInsights
+ * @param {number} userId - ID de l'utilisateur
+ * @returns {ChartHookState} État avec les bilans classés (Insight[], le plus important en premier)
+ *
+ * @example
+ * const { data } = useInsights(12);
+ * // data = [
+ * //   { id: "goals", tone: "neutral", priority: 80, message: "Vous avez atteint 2 objectifs sur 3 hier, continuez !" },
+ * //   { id: "weightTrend", tone: "neutral", priority: 50, message: "Votre poids baisse de 4,2kg par semaine" },
+ * //   ...
+ * // ]
+ */
+export const useInsights = (userId) => {
+  const { units } = useUnits();
+  const { locale } = useI18n();
+  const state = useApiData(fetchInsightInputs, null, userId);
+
+  const data = useMemo(
+    () =>
+      state.data
+        ? generateInsights(state.data, { locale, units, today: DataService.getToday() })
+        : null,
+    [state.data, locale, units]
+  );
+
+  return { ...state, data };
+};
+
+/**
+ * Export par défaut
+ */
+export default useInsights;
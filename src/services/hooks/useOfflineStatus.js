@@ -0,0 +1,60 @@
+/**
+ * Hooks React de l'état hors ligne du DataService
+ *
+ * @module services/hooks/useOfflineStatus
+ * @requires react
+ * @requires ../api/DataService.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function OfflineNotice() {
+ *   const { offline, savedAt } = useOfflineStatus();
+ *   if (!offline) return null;
+ *   return <p>Données hors ligne du {new Date(savedAt).toLocaleString('fr-FR')}</p>;
+ * }
+ */
+import { useSyncExternalStore } from "react";
+import { DataService } from "../api/DataService.js";
+
+/**
+ * Abonnement à la copie hors ligne du DataService
+ *
+ * @private
+ * @param {Function} listener - Fonction de rappel React
+ * @returns {Function} Fonction de désabonnement
+ */
+const subscribeOffline = (listener) => DataService.offline.subscribe(listener);
+
+/**
+ * Lecture de l'état hors ligne courant
+ *
+ * @private
+ * @returns {OfflineStatus} L'état hors ligne
+ */
+const getOfflineStatus = () => DataService.offline.status;
+
+/**
+ * Hook de l'état hors ligne : indique si des données affichées proviennent
+ * de la copie locale, et de quand elles datent
+ *
+ * @function useOfflineStatus
+ * @returns {OfflineStatus} `{ offline, savedAt, endpoints }`
+ */
+export const useOfflineStatus = () =>
+  useSyncExternalStore(subscribeOffline, getOfflineStatus, getOfflineStatus);
+
+/**
+ * Hook de la révision des données : change lorsque les données affichées
+ * doivent être rechargées (ex: retour de la connexion)
+ *
+ * @function useDataRevision
+ * @returns {number} Révision courante, à placer dans les dépendances d'un effet de chargement
+ */
+export const useDataRevision = () =>
+  useSyncExternalStore(DataService.subscribe, DataService.getRevision, DataService.getRevision);
+
+/**
+ * Export par défaut
+ */
+export default useOfflineStatus;
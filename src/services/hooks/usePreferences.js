@@ -0,0 +1,116 @@
+/**
+ * Hooks React des préférences d'affichage (langue, unités, échelle du radar)
+ *
+ * @module services/hooks/usePreferences
+ * @requires react
+ * @requires ../preferences/preferencesStore.js
+ * @requires ../i18n/i18n.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function UnitsToggle() {
+ *   const { units, setUnits } = useUnits();
+ *   return (
+ *     <button onClick={() => setUnits({ weight: units.weight === 'kg' ? 'lb' : 'kg' })}>
+ *       {units.weight}
+ *     </button>
+ *   );
+ * }
+ *
+ * @example
+ * function Greeting({ firstName }) {
+ *   const { t } = useI18n();
+ *   return <h2>{t('dashboard.greeting')} {firstName}</h2>;
+ * }
+ */
+import { useSyncExternalStore } from "react";
+import { userPreferences } from "../preferences/preferencesStore.js";
+import {
+  createTranslator,
+  formatDateTime,
+  formatNumber,
+  getIntlLocale,
+} from "../i18n/i18n.js";
+
+/**
+ * Hook des préférences : se met à jour à chaque changement (y compris dans un autre onglet)
+ *
+ * @function usePreferences
+ * @returns {{ preferences: UserPreferences, setPreferences: Function, resetPreferences: Function }}
+ *   `setPreferences(changes)` remplace une ou plusieurs préférences
+ */
+export const usePreferences = () => {
+  const preferences = useSyncExternalStore(
+    userPreferences.subscribe,
+    userPreferences.get,
+    userPreferences.get
+  );
+
+  return {
+    preferences,
+    setPreferences: userPreferences.set,
+    resetPreferences: userPreferences.reset,
+  };
+};
+
+/**
+ * Hook des unités d'affichage
+ *
+ * @function useUnits
+ * @returns {{ units: UnitPreferences, setUnits: Function }} `setUnits(changes)` accepte un
+ *   nom de système ("metric", "imperial") ou les unités à remplacer (ex: `{ energy: 'kj' }`)
+ */
+export const useUnits = () => {
+  const { preferences, setPreferences } = usePreferences();
+
+  const setUnits = (changes) =>
+    setPreferences({
+      units: typeof changes === "string" ? changes : { ...preferences.units, ...changes },
+    });
+
+  return { units: preferences.units, setUnits };
+};
+
+/**
+ * Hook de l'échelle du radar de performance
+ *
+ * @function useRadarScale
+ * @returns {{ radarScale: string, setRadarScale: Function }} `setRadarScale(scale)` accepte
+ *   "absolute", "normalized" ou "percentile" (voir radarScale.js)
+ */
+export const useRadarScale = () => {
+  const { preferences, setPreferences } = usePreferences();
+
+  return {
+    radarScale: preferences.radarScale,
+    setRadarScale: (radarScale) => setPreferences({ radarScale }),
+  };
+};
+
+/**
+ * Hook de la langue de l'interface
+ *
+ * @function useI18n
+ * @returns {{ locale: string, intlLocale: string, t: Function, setLocale: Function,
+ *   formatNumber: Function, formatDateTime: Function }} `t(key, params)` traduit une clé des
+ *   catalogues ; `formatNumber(value, options)` et `formatDateTime(timestamp)` formatent dans la langue
+ */
+export const useI18n = () => {
+  const { preferences, setPreferences } = usePreferences();
+  const { locale } = preferences;
+
+  return {
+    locale,
+    intlLocale: getIntlLocale(locale),
+    t: createTranslator(locale),
+    setLocale: (next) => setPreferences({ locale: next }),
+    formatNumber: (value, options) => formatNumber(value, locale, options),
+    formatDateTime: (value) => formatDateTime(value, locale),
+  };
+};
+
+/**
+ * Export par défaut
+ */
+export default usePreferences;
@@ -0,0 +1,44 @@
+/**
+ * Hook React des mises à jour de l'application installée
+ *
+ * @module services/hooks/useServiceWorkerUpdate
+ * @requires react
+ * @requires ../pwa/serviceWorker.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * function UpdateNotice() {
+ *   const { updateAvailable, update } = useServiceWorkerUpdate();
+ *   if (!updateAvailable) return null;
+ *   return <button onClick={update}>Mettre à jour</button>;
+ * }
+ */
+import { useSyncExternalStore } from "react";
+import {
+  applyServiceWorkerUpdate,
+  isServiceWorkerUpdateAvailable,
+  subscribeServiceWorkerUpdate,
+} from "../pwa/serviceWorker.js";
+
+/**
+ * Hook de mise à jour : indique si un nouveau build attend d'être activé
+ *
+ * @function useServiceWorkerUpdate
+ * @returns {{ updateAvailable: boolean, update: Function }} `update()` active la
+ *   nouvelle version et recharge la page
+ */
+export const useServiceWorkerUpdate = () => {
+  const updateAvailable = useSyncExternalStore(
+    subscribeServiceWorkerUpdate,
+    isServiceWorkerUpdateAvailable,
+    isServiceWorkerUpdateAvailable
+  );
+
+  return { updateAvailable, update: applyServiceWorkerUpdate };
+};
+
+/**
+ * Export par défaut
+ */
+export default useServiceWorkerUpdate;
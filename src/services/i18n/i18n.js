@@ -0,0 +1,265 @@
+/**
+ * Internationalisation SportSee : catalogues de messages et formatage localisé
+ *
+ * Les textes de l'interface sont lus dans les catalogues (`messages/fr.js`,
+ * `messages/en.js`) par leur clé ; une clé absente du catalogue de la langue
+ * est lue dans le catalogue français, puis rendue telle quelle. Les nombres
+ * et les dates sont formatés avec la locale Intl de la langue (`fr-FR`,
+ * `en-US`) plutôt qu'avec celle du navigateur.
+ *
+ * La langue initiale est détectée, par ordre de priorité, depuis :
+ * 1. les langues du navigateur (`navigator.languages`)
+ * 2. la variable d'environnement `VITE_LOCALE`
+ * 3. le français
+ *
+ * Le choix de l'utilisateur (sélecteur de l'en-tête) est ensuite conservé
+ * dans les préférences (voir preferencesStore.js).
+ *
+ * @module services/i18n/i18n
+ * @requires ./messages/fr.js
+ * @requires ./messages/en.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { createTranslator, formatNumber } from './i18n.js';
+ *
+ * const t = createTranslator('en');
+ * t('dashboard.greeting');                          // "Hello"
+ * t('charts.activity.weight', { unit: 'lb' });      // "Weight (lb)"
+ * formatNumber(1930, 'fr');                         // "1 930"
+ */
+import { fr } from "./messages/fr.js";
+import { en } from "./messages/en.js";
+
+/**
+ * Catalogues de messages par langue
+ * @type {Object<string, Object>}
+ * @readonly
+ */
+export const CATALOGS = Object.freeze({ fr, en });
+
+/**
+ * Langues disponibles
+ * @type {string[]}
+ * @readonly
+ */
+export const SUPPORTED_LOCALES = Object.freeze(Object.keys(CATALOGS));
+
+/**
+ * Langue par défaut (catalogue de référence)
+ * @type {string}
+ * @readonly
+ */
+export const DEFAULT_LOCALE = "fr";
+
+/**
+ * Locale Intl utilisée pour chaque langue (séparateurs, noms des mois...)
+ * @type {Object<string, string>}
+ * @readonly
+ */
+export const INTL_LOCALES = Object.freeze({ fr: "fr-FR", en: "en-US" });
+
+/**
+ * Valide une langue ("en", "en-GB", "FR"...)
+ *
+ * @function parseLocale
+ * @param {*} value - Valeur à tester
+ * @returns {string|null} La langue disponible correspondante, null sinon
+ *
+ * @example
+ * parseLocale('en-GB'); // "en"
+ * parseLocale('de');    // null
+ */
+export const parseLocale = (value) => {
+  const language = String(value ?? "").trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+/**
+ * Langues préférées du navigateur (tableau vide hors navigateur)
+ * @private
+ * @returns {string[]} Langues par ordre de préférence
+ */
+const getNavigatorLanguages = () =>
+  typeof navigator !== "undefined" ? navigator.languages ?? [navigator.language] : [];
+
+/**
+ * Variables d'environnement Vite (objet vide hors Vite)
+ * @private
+ * @returns {Object} Variables d'environnement
+ */
+const getDefaultEnv = () => import.meta.env ?? {};
+
+/**
+ * Détecte la langue de l'utilisateur
+ *
+ * @function detectLocale
+ * @param {Object} [sources] - Sources de détection (injectables pour les tests)
+ * @param {string[]} [sources.languages=navigator.languages] - Langues du navigateur
+ * @param {Object} [sources.env=import.meta.env] - Variables d'environnement
+ * @returns {string} Première langue disponible parmi celles du navigateur, sinon
+ *   `VITE_LOCALE`, sinon le français
+ *
+ * @example
+ * detectLocale({ languages: ['de-DE', 'en-GB'], env: {} }); // "en"
+ */
+export const detectLocale = ({
+  languages = getNavigatorLanguages(),
+  env = getDefaultEnv(),
+} = {}) =>
+  languages.map(parseLocale).find(Boolean) ?? parseLocale(env.VITE_LOCALE) ?? DEFAULT_LOCALE;
+
+/**
+ * Locale Intl d'une langue
+ *
+ * @function getIntlLocale
+ * @param {string} locale - Langue ("fr", "en")
+ * @returns {string} Ex: "fr-FR"
+ */
+export const getIntlLocale = (locale) => INTL_LOCALES[locale] ?? INTL_LOCALES[DEFAULT_LOCALE];
+
+/**
+ * Lit une clé pointée ("charts.activity.title") dans un catalogue
+ *
+ * @private
+ * @param {Object} catalog - Catalogue de messages
+ * @param {string} key - Clé du message
+ * @returns {*} Le message, undefined si la clé est absente
+ */
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+
+/**
+ * Message brut d'une clé (chaîne, tableau, formes plurielles ou sous-catalogue)
+ *
+ * @function getMessage
+ * @param {string} locale - Langue
+ * @param {string} key - Clé du message
+ * @returns {*} Le message, lu dans le catalogue français s'il manque dans celui de la langue
+ */
+export const getMessage = (locale, key) =>
+  lookup(CATALOGS[locale] ?? {}, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+
+/**
+ * Remplace les paramètres `{nom}` d'un message
+ *
+ * @function interpolate
+ * @param {string} message - Message
+ * @param {Object} [params] - Valeurs des paramètres
+ * @returns {string} Le message complété (paramètres inconnus laissés tels quels)
+ */
+export const interpolate = (message, params = {}) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+
+/**
+ * Traduit une clé
+ *
+ * @function translate
+ * @param {string} locale - Langue
+ * @param {string} key - Clé du message
+ * @param {Object} [params] - Paramètres `{nom}` ; `count` choisit la forme plurielle
+ * @returns {string|Array} Le message traduit (les tableaux sont renvoyés tels quels),
+ *   la clé si elle n'existe dans aucun catalogue
+ *
+ * @example
+ * translate('fr', 'dashboard.errors.notFoundMessage', { userId: 7 });
+ * // "Aucun utilisateur ne correspond à l'identifiant 7."
+ */
+export const translate = (locale, key, params) => {
+  let message = getMessage(locale, key);
+
+  // Formes plurielles : { one: "...", other: "..." }
+  if (message && typeof message === "object" && !Array.isArray(message) && "other" in message) {
+    const rule =
+      typeof params?.count === "number"
+        ? new Intl.PluralRules(getIntlLocale(locale)).select(params.count)
+        : "other";
+    message = message[rule] ?? message.other;
+  }
+
+  if (typeof message === "string") {
+    return interpolate(message, params);
+  }
+  return message ?? key;
+};
+
+/**
+ * Fonctions de traduction déjà créées, par langue
+ * @type {Map<string, Function>}
+ * @private
+ */
+const translators = new Map();
+
+/**
+ * Fonction de traduction d'une langue (même référence pour une même langue)
+ *
+ * @function createTranslator
+ * @param {string} locale - Langue
+ * @returns {Function} `t(key, params)`, avec `t.locale`
+ */
+export const createTranslator = (locale) => {
+  const language = parseLocale(locale) ?? DEFAULT_LOCALE;
+
+  if (!translators.has(language)) {
+    const t = (key, params) => translate(language, key, params);
+    t.locale = language;
+    translators.set(language, t);
+  }
+  return translators.get(language);
+};
+
+/**
+ * Formate un nombre avec les séparateurs de la langue
+ *
+ * @function formatNumber
+ * @param {number} value - Nombre
+ * @param {string} locale - Langue
+ * @param {Intl.NumberFormatOptions} [options] - Options Intl
+ * @returns {string} Ex: "1 930" (fr), "1,930" (en)
+ */
+export const formatNumber = (value, locale, options) =>
+  value.toLocaleString(getIntlLocale(locale), options);
+
+/**
+ * Formate un instant (date et heure) dans la langue
+ *
+ * @function formatDateTime
+ * @param {number|Date} value - Timestamp (ms) ou date
+ * @param {string} locale - Langue
+ * @returns {string} Ex: "19/10/2026 à 14:32" (fr), "10/19/2026 at 02:32 PM" (en)
+ */
+export const formatDateTime = (value, locale) => {
+  const date = new Date(value);
+  const intlLocale = getIntlLocale(locale);
+
+  return translate(locale, "calendar.at", {
+    date: date.toLocaleDateString(intlLocale),
+    time: date.toLocaleTimeString(intlLocale, { hour: "2-digit", minute: "2-digit" }),
+  });
+};
+
+/**
+ * Tient l'attribut `lang` du document à jour avec la langue choisie
+ *
+ * @function bindDocumentLanguage
+ * @param {{ get: Function, subscribe: Function }} preferences - Stockage des préférences
+ * @param {Document} [doc=document] - Document à mettre à jour
+ * @returns {Function} Fonction de désabonnement
+ */
+export const bindDocumentLanguage = (
+  preferences,
+  doc = typeof document !== "undefined" ? document : null
+) => {
+  const apply = ({ locale }) => {
+    if (doc) doc.documentElement.lang = locale;
+  };
+
+  apply(preferences.get());
+  return preferences.subscribe(apply);
+};
+
+/**
+ * Export par défaut
+ */
+export default translate;
@@ -0,0 +1,231 @@
+/**
+ * Catalogue des messages en anglais
+ *
+ * Mêmes clés que le catalogue français (voir messages/fr.js).
+ *
+ * @module services/i18n/messages/en
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+
+/**
+ * Messages en anglais
+ * @type {Object}
+ * @readonly
+ */
+export const en = {
+  language: {
+    name: "English",
+    label: "Language",
+  },
+  calendar: {
+    weekdays: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"],
+    weekdaysNarrow: ["M", "T", "W", "T", "F", "S", "S"],
+    ordinal: { one: "{day}st", two: "{day}nd", few: "{day}rd", other: "{day}th" },
+    at: "{date} at {time}",
+  },
+  header: {
+    logoAlt: "SportSee logo",
+    nav: {
+      home: "Home",
+      profile: "Profile",
+      settings: "Settings",
+      community: "Community",
+    },
+    logout: "Log out",
+  },
+  sidebar: {
+    meditation: "Meditation",
+    swimming: "Swimming",
+    dumbbell: "Weight training",
+    biking: "Cycling",
+    copyright: "Copyright, SportSee 2020",
+  },
+  units: {
+    systemLabel: "Unit system",
+    energyLabel: "Energy unit",
+    systems: {
+      metric: "Metric (kg, g)",
+      imperial: "Imperial (lb, oz)",
+    },
+    names: {
+      kg: "Kilograms",
+      lb: "Pounds",
+      kcal: "Kilocalories",
+      kj: "Kilojoules",
+      g: "Grams",
+      oz: "Ounces",
+    },
+  },
+  dashboard: {
+    loading: "Loading...",
+    mode: "Mode: {mode}",
+    greeting: "Hello",
+    defaultName: "User",
+    errors: {
+      title: "Loading error",
+      message: "Unable to retrieve the user data: {message}",
+      notFoundTitle: "User not found",
+      notFoundMessage: "No user matches the ID {userId}.",
+      unavailableTitle: "Server unavailable",
+      unavailableMessage: "The SportSee server is not responding, please try again in a few moments.",
+    },
+    stats: {
+      calories: "Calories",
+      protein: "Protein",
+      carbohydrates: "Carbs",
+      lipids: "Fat",
+    },
+  },
+  charts: {
+    loading: "Loading...",
+    error: "Error: {message}",
+    empty: "No data",
+    activity: {
+      title: "Daily activity",
+      weight: "Weight ({unit})",
+      calories: "Calories burned ({unit})",
+      weeklyTitle: "Weekly activity",
+      weekOf: "Week of {date}",
+      period: {
+        label: "Period",
+        week: "Last 7 days",
+        month: "Last 30 days",
+        custom: "Custom",
+        from: "From",
+        to: "To",
+      },
+      average: "Moving average",
+      trend: "Trend: {value} per week",
+      goal: {
+        label: "Target weight ({unit})",
+        reached: "Target weight reached",
+        projected: "Target weight expected on {date}",
+        unreachable: "Target weight out of reach at the current pace",
+      },
+    },
+    sessions: {
+      title: "Average session duration",
+      duration: "{minutes} min",
+      reference: {
+        label: "Comparison week",
+        none: "No comparison",
+        previous: "Previous week",
+        weeksAgo: "{count} weeks ago",
+        value: "{week}: {minutes} min",
+        deltaPercent: "{minutes} min ({percent}%)",
+        unavailable: "Week unavailable",
+      },
+    },
+    performance: {
+      name: "Performance",
+      kinds: {
+        cardio: "Cardio",
+        energy: "Energy",
+        endurance: "Endurance",
+        strength: "Strength",
+        speed: "Speed",
+        intensity: "Intensity",
+      },
+      scale: {
+        label: "Radar scale",
+        modes: {
+          absolute: "Absolute",
+          normalized: "Relative",
+          percentile: "Percentile",
+        },
+        values: {
+          absolute: "{value} / {max}",
+          normalized: "{score}% of your best category",
+          percentile: "Better than {score}% of users",
+        },
+      },
+    },
+    score: {
+      title: "Score",
+      ofYour: "of your",
+      goal: "goals",
+      reached: { one: "{count} of {total} hit", other: "{count} of {total} hit" },
+      goals: {
+        edit: "Goals",
+        title: "My goals",
+        calories: "Calories burned per day ({unit})",
+        sessionMinutes: "Session length (min)",
+        weeklySessions: "Sessions per week",
+        targetWeight: "Target weight ({unit})",
+        optional: "Optional",
+        done: "Done: {value}",
+        invalid: "Between {min} and {max}",
+        save: "Save",
+        saving: "Saving...",
+        cancel: "Cancel",
+        saveError: "Could not save: {message}",
+        source: {
+          endpoint: "Saved to your account",
+          local: "Saved on this device",
+          default: "Default goals",
+        },
+      },
+      history: {
+        label: "Score over the last {days} days",
+        day: "{date}: {percentage}%",
+        current: { one: "Streak: {count} day", other: "Streak: {count} days" },
+        best: { one: "Best: {count} day", other: "Best: {count} days" },
+      },
+    },
+  },
+  insights: {
+    title: "Your insights",
+    show: {
+      one: "Show insight",
+      other: "Show {count} insights",
+    },
+    hide: "Hide insights",
+    goals: {
+      all: "Congratulations! You hit all your goals {when} 👏",
+      some: {
+        one: "You hit {count} of your {total} goals {when}, keep going!",
+        other: "You hit {count} of your {total} goals {when}, keep going!",
+      },
+      none: "No goal hit {when}: let's get back to it today 💪",
+      today: "today",
+      yesterday: "yesterday",
+      on: "on {date}",
+    },
+    score: "Your score today is {percentage}%",
+    weight: {
+      reached: "You are at your target weight of {weight} 🎯",
+      projected: "At your current pace ({rate} per week), you will reach your target weight of {weight} around {date}",
+      away: "Your weight is moving away from your target of {weight} ({rate} per week)",
+      down: "Your weight is going down by {rate} per week",
+      up: "Your weight is going up by {rate} per week",
+      stable: "Your weight is stable",
+    },
+    bestDay: "{weekday} is your best day: {minutes} min sessions on average",
+    weakestAxis: "Area to work on: {axis}, at {percentage}% of the maximum",
+  },
+  offline: {
+    message: "Offline data from {date}",
+    retry: "Retry",
+  },
+  update: {
+    message: "A new version of SportSee is available.",
+    apply: "Update",
+    later: "Later",
+  },
+  login: {
+    title: "Sign in",
+    email: "Email address",
+    password: "Password",
+    submit: "Sign in",
+    submitting: "Signing in...",
+    invalidCredentials: "Incorrect email address or password.",
+    failed: "Unable to sign in: {message}",
+    noDashboard: "This account has no dashboard: sign in with another account.",
+  },
+};
+
+/**
+ * Export par défaut
+ */
+export default en;
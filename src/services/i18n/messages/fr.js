@@ -0,0 +1,236 @@
+/**
+ * Catalogue des messages en français (langue de référence)
+ *
+ * Toute clé ajoutée ici doit l'être aussi dans les autres catalogues ; une
+ * clé absente d'un catalogue est lue dans celui-ci. Les paramètres s'écrivent
+ * `{nom}` ; un message dépendant d'un nombre est un objet de formes plurielles
+ * (`one`, `other`...) choisies selon `{count}`.
+ *
+ * @module services/i18n/messages/fr
+ * @author SportSee Team
+ * @since 1.1.0
+ */
+
+/**
+ * Messages en français
+ * @type {Object}
+ * @readonly
+ */
+export const fr = {
+  language: {
+    name: "Français",
+    label: "Langue",
+  },
+  calendar: {
+    // Index 0 = lundi, comme l'API
+    weekdays: ["lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi", "dimanche"],
+    weekdaysNarrow: ["L", "M", "M", "J", "V", "S", "D"],
+    // Formes ordinales du jour du mois (Intl.PluralRules, type "ordinal")
+    ordinal: { one: "{day}er", other: "{day}" },
+    at: "{date} à {time}",
+  },
+  header: {
+    logoAlt: "Logo SportSee",
+    nav: {
+      home: "Accueil",
+      profile: "Profil",
+      settings: "Réglage",
+      community: "Communauté",
+    },
+    logout: "Déconnexion",
+  },
+  sidebar: {
+    meditation: "Méditation",
+    swimming: "Natation",
+    dumbbell: "Musculation",
+    biking: "Cyclisme",
+    copyright: "Copyright, SportSee 2020",
+  },
+  units: {
+    systemLabel: "Système d'unités",
+    energyLabel: "Unité d'énergie",
+    systems: {
+      metric: "Métrique (kg, g)",
+      imperial: "Impérial (lb, oz)",
+    },
+    names: {
+      kg: "Kilogrammes",
+      lb: "Livres",
+      kcal: "Kilocalories",
+      kj: "Kilojoules",
+      g: "Grammes",
+      oz: "Onces",
+    },
+  },
+  dashboard: {
+    loading: "Chargement...",
+    mode: "Mode: {mode}",
+    greeting: "Bonjour",
+    defaultName: "Utilisateur",
+    errors: {
+      title: "Erreur de chargement",
+      message: "Impossible de récupérer les données utilisateur: {message}",
+      notFoundTitle: "Utilisateur introuvable",
+      notFoundMessage: "Aucun utilisateur ne correspond à l'identifiant {userId}.",
+      unavailableTitle: "Serveur indisponible",
+      unavailableMessage: "Le serveur SportSee ne répond pas, veuillez réessayer dans quelques instants.",
+    },
+    stats: {
+      calories: "Calories",
+      protein: "Protéines",
+      carbohydrates: "Glucides",
+      lipids: "Lipides",
+    },
+  },
+  charts: {
+    loading: "Chargement...",
+    error: "Erreur: {message}",
+    empty: "Aucune donnée",
+    activity: {
+      title: "Activité quotidienne",
+      weight: "Poids ({unit})",
+      calories: "Calories brûlées ({unit})",
+      weeklyTitle: "Activité hebdomadaire",
+      weekOf: "Semaine du {date}",
+      period: {
+        label: "Période",
+        week: "7 derniers jours",
+        month: "30 derniers jours",
+        custom: "Personnalisée",
+        from: "Du",
+        to: "Au",
+      },
+      average: "Moyenne mobile",
+      trend: "Tendance : {value} par semaine",
+      goal: {
+        label: "Poids cible ({unit})",
+        reached: "Poids cible atteint",
+        projected: "Poids cible estimé le {date}",
+        unreachable: "Poids cible hors d'atteinte au rythme actuel",
+      },
+    },
+    sessions: {
+      title: "Durée moyenne des sessions",
+      duration: "{minutes} min",
+      reference: {
+        label: "Semaine de comparaison",
+        none: "Sans comparaison",
+        previous: "Semaine précédente",
+        weeksAgo: "Il y a {count} semaines",
+        value: "{week} : {minutes} min",
+        deltaPercent: "{minutes} min ({percent} %)",
+        unavailable: "Semaine indisponible",
+      },
+    },
+    performance: {
+      name: "Performance",
+      kinds: {
+        cardio: "Cardio",
+        energy: "Énergie",
+        endurance: "Endurance",
+        strength: "Force",
+        speed: "Vitesse",
+        intensity: "Intensité",
+      },
+      scale: {
+        label: "Échelle du radar",
+        modes: {
+          absolute: "Absolue",
+          normalized: "Relative",
+          percentile: "Centile",
+        },
+        values: {
+          absolute: "{value} / {max}",
+          normalized: "{score} % de votre meilleure catégorie",
+          percentile: "Meilleur que {score} % des utilisateurs",
+        },
+      },
+    },
+    score: {
+      title: "Score",
+      ofYour: "de vos",
+      goal: "objectifs",
+      reached: { one: "{count} sur {total} atteint", other: "{count} sur {total} atteints" },
+      goals: {
+        edit: "Objectifs",
+        title: "Mes objectifs",
+        calories: "Calories brûlées par jour ({unit})",
+        sessionMinutes: "Durée d'une session (min)",
+        weeklySessions: "Sessions par semaine",
+        targetWeight: "Poids cible ({unit})",
+        optional: "Facultatif",
+        done: "Réalisé : {value}",
+        invalid: "Entre {min} et {max}",
+        save: "Enregistrer",
+        saving: "Enregistrement...",
+        cancel: "Annuler",
+        saveError: "Échec de l'enregistrement : {message}",
+        source: {
+          endpoint: "Enregistrés sur votre compte",
+          local: "Enregistrés sur cet appareil",
+          default: "Objectifs par défaut",
+        },
+      },
+      history: {
+        label: "Score des {days} derniers jours",
+        day: "{date} : {percentage} %",
+        current: { one: "Série : {count} jour", other: "Série : {count} jours" },
+        best: { one: "Record : {count} jour", other: "Record : {count} jours" },
+      },
+    },
+  },
+  insights: {
+    title: "Vos bilans",
+    show: {
+      one: "Voir le bilan",
+      other: "Voir les {count} bilans",
+    },
+    hide: "Masquer les bilans",
+    goals: {
+      all: "Félicitations ! Vous avez atteint tous vos objectifs {when} 👏",
+      some: {
+        one: "Vous avez atteint {count} objectif sur {total} {when}, continuez !",
+        other: "Vous avez atteint {count} objectifs sur {total} {when}, continuez !",
+      },
+      none: "Aucun objectif atteint {when} : on s'y remet aujourd'hui 💪",
+      today: "aujourd'hui",
+      yesterday: "hier",
+      on: "le {date}",
+    },
+    score: "Votre score du jour est de {percentage} %",
+    weight: {
+      reached: "Vous êtes à votre poids cible de {weight} 🎯",
+      projected: "Au rythme actuel ({rate} par semaine), vous atteindrez votre poids cible de {weight} vers le {date}",
+      away: "Votre poids s'éloigne de votre poids cible de {weight} ({rate} par semaine)",
+      down: "Votre poids baisse de {rate} par semaine",
+      up: "Votre poids augmente de {rate} par semaine",
+      stable: "Votre poids est stable",
+    },
+    bestDay: "Le {weekday} est votre meilleur jour : {minutes} min de session en moyenne",
+    weakestAxis: "Point à travailler : {axis}, à {percentage} % du maximum",
+  },
+  offline: {
+    message: "Données hors ligne du {date}",
+    retry: "Réessayer",
+  },
+  update: {
+    message: "Une nouvelle version de SportSee est disponible.",
+    apply: "Mettre à jour",
+    later: "Plus tard",
+  },
+  login: {
+    title: "Connexion",
+    email: "Adresse e-mail",
+    password: "Mot de passe",
+    submit: "Se connecter",
+    submitting: "Connexion...",
+    invalidCredentials: "Adresse e-mail ou mot de passe incorrect.",
+    failed: "Connexion impossible: {message}",
+    noDashboard: "Ce compte n'est associé à aucun tableau de bord : connectez-vous avec un autre compte.",
+  },
+};
+
+/**
+ * Export par défaut
+ */
+export default fr;
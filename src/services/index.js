@@ -1,11 +1,47 @@
 // Services API - import direct
 export { DataService } from "./api/DataService.js";
+export { RequestCache } from "./api/RequestCache.js";
+export { InterceptorChain } from "./api/InterceptorChain.js";
+export { OfflineCache } from "./api/OfflineCache.js";
+export * from "./api/interceptors.js";
+export * from "./api/DataErrors.js";
+
+// Adaptateurs de source de données - via index
+export * from "./adapters/index.js";
+
+// Authentification - import direct
+export { AuthService } from "./auth/AuthService.js";
+export * from "./auth/tokenStore.js";
+
+// Application installable (service worker) - import direct
+export * from "./pwa/serviceWorker.js";
+
+// Configuration de la source de données - import direct
+export * from "./config/dataConfig.js";
 
 // Services de données - via index (multiple exports)
 export * from "./data/index.js";
 
+// Préférences d'affichage et internationalisation - import direct
+export * from "./preferences/preferencesStore.js";
+export * from "./i18n/i18n.js";
+
+// Instantanés locaux du score quotidien et objectifs locaux - import direct
+export * from "./storage/scoreSnapshots.js";
+export * from "./storage/goalsStore.js";
+
+// Endpoints, dates calendaires, unités de mesure et échelles du radar - import direct
+export * from "./utils/endpoints.js";
+export * from "./utils/calendarDate.js";
+export * from "./utils/units.js";
+export * from "./utils/radarScale.js";
+
+// Moteur des bilans personnalisés - import direct
+export * from "./insights/insightsEngine.js";
+
 // Transformateurs - import direct
 export * from "./transformers/ChartTransformers.js";
+export { UnitConverter } from "./transformers/UnitConverter.js";
 
 // Hooks - via index (multiple fichiers)
 export * from "./hooks/index.js";
@@ -0,0 +1,290 @@
+/**
+ * Moteur des bilans personnalisés du tableau de bord
+ *
+ * Analyse les données normalisées de l'utilisateur (activité, sessions
+ * moyennes, performance, objectifs et score) et produit une liste de bilans
+ * traduits, classés du plus important au moins important. Le premier sert
+ * de sous-titre au message de bienvenue, la liste complète est affichée
+ * dans le panneau des bilans.
+ *
+ * Chaque règle de INSIGHT_RULES analyse les données dont elle a besoin et
+ * renvoie au plus un bilan, ou null si ces données sont absentes : une
+ * source indisponible retire seulement les bilans qui en dépendent.
+ *
+ * @module services/insights/insightsEngine
+ * @requires ../transformers/ChartTransformers.js
+ * @requires ../i18n/i18n.js
+ * @requires ../utils/calendarDate.js
+ * @requires ../utils/units.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { generateInsights } from './insightsEngine.js';
+ *
+ * const insights = generateInsights(
+ *   { user, activity, sessions, performance, goals },
+ *   { locale: 'fr', units: { weight: 'kg', energy: 'kcal', mass: 'g' }, today: '2020-07-08' }
+ * );
+ * insights[0];
+ * // { id: "goals", tone: "neutral", priority: 80,
+ * //   message: "Vous avez atteint 2 objectifs sur 3 hier, continuez !" }
+ */
+import {
+  ActivityTransformer,
+  PerformanceTransformer,
+  ScoreTransformer
+} from "../transformers/ChartTransformers.js";
+import { DEFAULT_LOCALE, getIntlLocale, translate } from "../i18n/i18n.js";
+import { addDays, daysBetween, formatCalendarDate, toIsoDate } from "../utils/calendarDate.js";
+import { DEFAULT_UNITS, convertValue, formatQuantity } from "../utils/units.js";
+
+/**
+ * Bilan affiché à l'utilisateur
+ * @typedef {Object} Insight
+ * @property {string} id - Règle à l'origine du bilan ("goals", "weightTrend"...)
+ * @property {"positive"|"neutral"|"warning"} tone - Ton du message
+ * @property {number} priority - Importance (la plus élevée en premier)
+ * @property {string} message - Message traduit
+ */
+
+/**
+ * Contexte d'analyse
+ * @typedef {Object} InsightContext
+ * @property {string} locale - Langue des messages
+ * @property {UnitPreferences} units - Unités d'affichage
+ * @property {string} today - Date du jour (AAAA-MM-JJ)
+ */
+
+/**
+ * En dessous de cette variation hebdomadaire (kg), le poids est jugé stable
+ * @type {number}
+ * @readonly
+ */
+export const STABLE_WEIGHT_PER_WEEK = 0.1;
+
+/**
+ * Au-delà de ce nombre de jours, le bilan des objectifs est jugé ancien :
+ * il perd STALE_PENALTY points d'importance et passe après les tendances
+ * @type {number}
+ * @readonly
+ */
+export const RECENT_DAYS = 2;
+
+/**
+ * Importance retirée à un bilan des objectifs ancien
+ * @type {number}
+ * @readonly
+ */
+export const STALE_PENALTY = 40;
+
+/**
+ * Jour du bilan des objectifs : "hier", "aujourd'hui" ou la date
+ * @private
+ * @param {string} day - Jour (AAAA-MM-JJ)
+ * @param {InsightContext} context - Contexte d'analyse
+ * @returns {string} Le jour traduit
+ */
+const describeDay = (day, { locale, today }) => {
+  if (day === today) return translate(locale, "insights.goals.today");
+  if (day === addDays(today, -1)) return translate(locale, "insights.goals.yesterday");
+  return translate(locale, "insights.goals.on", {
+    date: formatCalendarDate(day, { weekday: false, locale })
+  });
+};
+
+/**
+ * Poids en kg formaté dans l'unité d'affichage
+ * @private
+ * @param {number} kilograms - Poids (kg)
+ * @param {InsightContext} context - Contexte d'analyse
+ * @returns {string} Ex: "0,5kg", "1,1lb"
+ */
+const formatWeight = (kilograms, { units, locale }) =>
+  formatQuantity(convertValue(kilograms, units.weight), units.weight, {
+    locale: getIntlLocale(locale)
+  });
+
+/**
+ * Règles d'analyse, dans l'ordre d'affichage à importance égale
+ *
+ * `analyse(inputs, context)` renvoie `{ tone, priority, key, params }`
+ * (message `key` traduit avec `params`) ou null.
+ *
+ * @type {Array<{ id: string, analyse: Function }>}
+ * @readonly
+ */
+export const INSIGHT_RULES = Object.freeze([
+  {
+    // Objectifs du dernier jour enregistré ; sans activité, score du jour de l'API
+    id: "goals",
+    analyse: ({ user, activity, sessions, goals }, context) => {
+      const progress = activity?.sessions?.length
+        ? ScoreTransformer.computeGoalProgress({ activity, sessions, goals })
+        : null;
+
+      if (!progress) {
+        if (!user) return null;
+        const { percentage } = ScoreTransformer.calculatePercentage(user);
+        return { tone: "neutral", priority: 60, key: "insights.score", params: { percentage } };
+      }
+
+      const when = describeDay(progress.day, context);
+      const penalty = daysBetween(progress.day, context.today) > RECENT_DAYS ? STALE_PENALTY : 0;
+
+      if (progress.reached === progress.total) {
+        return { tone: "positive", priority: 100 - penalty, key: "insights.goals.all", params: { when } };
+      }
+      if (progress.reached === 0) {
+        return { tone: "warning", priority: 70 - penalty, key: "insights.goals.none", params: { when } };
+      }
+      return {
+        tone: "neutral",
+        priority: 80 - penalty,
+        key: "insights.goals.some",
+        params: { count: progress.reached, total: progress.total, when }
+      };
+    }
+  },
+  {
+    // Tendance du poids sur la période, comparée au poids cible s'il y en a un
+    id: "weightTrend",
+    analyse: ({ activity, goals }, context) => {
+      const sessions = (activity?.sessions ?? []).map((session) => ({
+        day: session.day,
+        weight: session.kilogram
+      }));
+      const trend = ActivityTransformer.linearTrend(sessions);
+      if (!trend) return null;
+
+      const perWeek = trend.slope * 7;
+      const rate = formatWeight(Math.abs(perWeek), context);
+      const target = goals?.targetWeight ?? null;
+
+      if (target !== null) {
+        const weight = formatWeight(target, context);
+        const goal = ActivityTransformer.projectWeightGoal(trend, target, sessions.at(-1).day);
+
+        if (goal.status === "reached") {
+          return { tone: "positive", priority: 85, key: "insights.weight.reached", params: { weight } };
+        }
+        if (goal.status === "projected") {
+          return {
+            tone: "positive",
+            priority: 75,
+            key: "insights.weight.projected",
+            params: {
+              weight,
+              rate,
+              date: formatCalendarDate(goal.date, { weekday: false, locale: context.locale })
+            }
+          };
+        }
+        if (Math.abs(perWeek) >= STABLE_WEIGHT_PER_WEEK) {
+          return { tone: "warning", priority: 65, key: "insights.weight.away", params: { weight, rate } };
+        }
+      }
+
+      if (Math.abs(perWeek) < STABLE_WEIGHT_PER_WEEK) {
+        return { tone: "neutral", priority: 40, key: "insights.weight.stable", params: {} };
+      }
+      return {
+        tone: "neutral",
+        priority: 50,
+        key: perWeek < 0 ? "insights.weight.down" : "insights.weight.up",
+        params: { rate }
+      };
+    }
+  },
+  {
+    // Jour de la semaine aux sessions les plus longues
+    id: "bestDay",
+    analyse: ({ sessions }, { locale }) => {
+      const days = (sessions?.sessions ?? []).filter((session) => session.sessionLengthRaw > 0);
+      if (days.length < 2) return null;
+
+      const best = days.reduce((top, session) =>
+        session.sessionLengthRaw > top.sessionLengthRaw ? session : top
+      );
+
+      return {
+        tone: "positive",
+        priority: 30,
+        key: "insights.bestDay",
+        params: {
+          weekday: translate(locale, "calendar.weekdays")[best.day - 1],
+          minutes: best.sessionLengthRaw
+        }
+      };
+    }
+  },
+  {
+    // Catégorie de performance la plus faible, rapportée au maximum de sa catégorie
+    id: "weakestAxis",
+    analyse: ({ performance }, { locale }) => {
+      const axes = PerformanceTransformer.formatForRadar(performance, { locale, scale: "absolute" });
+      if (axes.length < 2) return null;
+
+      const weakest = axes.reduce((low, axis) => (axis.score < low.score ? axis : low));
+
+      return {
+        tone: "neutral",
+        priority: 45,
+        key: "insights.weakestAxis",
+        params: { axis: weakest.subject, percentage: weakest.score }
+      };
+    }
+  }
+]);
+
+/**
+ * Produit les bilans de l'utilisateur, du plus important au moins important
+ *
+ * @function generateInsights
+ * @param {Object} inputs - Données normalisées (chacune null si indisponible)
+ * @param {Object|null} [inputs.user] - Utilisateur (DataService.getUserById)
+ * @param {Object|null} [inputs.activity] - Activité (DataService.getUserActivity)
+ * @param {Object|null} [inputs.sessions] - Sessions moyennes (DataService.getUserAverageSessions)
+ * @param {Object|null} [inputs.performance] - Performance (DataService.getUserPerformance)
+ * @param {UserGoals|null} [inputs.goals] - Objectifs (DataService.getUserGoals)
+ * @param {Object} [options] - Options d'analyse
+ * @param {string} [options.locale="fr"] - Langue des messages
+ * @param {UnitPreferences} [options.units=DEFAULT_UNITS] - Unités d'affichage
+ * @param {string} [options.today] - Date du jour (AAAA-MM-JJ), par défaut aujourd'hui
+ * @param {Array} [options.rules=INSIGHT_RULES] - Règles d'analyse
+ * @returns {Insight[]} Bilans classés (liste vide sans données)
+ *
+ * @example
+ * generateInsights({ performance }, { locale: 'en' });
+ * // [{ id: "weakestAxis", tone: "neutral", priority: 45,
+ * //    message: "Area to work on: Strength, at 20% of the maximum" }]
+ */
+export const generateInsights = (
+  inputs,
+  {
+    locale = DEFAULT_LOCALE,
+    units = DEFAULT_UNITS,
+    today = toIsoDate(new Date()),
+    rules = INSIGHT_RULES
+  } = {}
+) => {
+  const context = { locale, units, today };
+
+  return rules
+    .map(({ id, analyse }) => {
+      const insight = analyse(inputs ?? {}, context);
+      return insight && {
+        id,
+        tone: insight.tone,
+        priority: insight.priority,
+        message: translate(locale, insight.key, insight.params)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.priority - a.priority);
+};
+
+/**
+ * Export par défaut
+ */
+export default generateInsights;
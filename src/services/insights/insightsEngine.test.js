@@ -0,0 +1,189 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { INSIGHT_RULES, STALE_PENALTY, generateInsights } from "./insightsEngine.js";
+
+/**
+ * Activité du 1er au 7 juillet 2020 (mardi)
+ * @param {Object} [options] - Options
+ * @param {number} [options.slope=-0.1] - Variation du poids par jour (kg)
+ * @param {number} [options.calories=400] - Calories brûlées chaque jour
+ * @returns {Object} Activité normalisée
+ */
+const makeActivity = ({ slope = -0.1, calories = 400 } = {}) => ({
+  sessions: Array.from({ length: 7 }, (_, index) => ({
+    day: `2020-07-0${index + 1}`,
+    kilogram: 80 + slope * index,
+    calories,
+  })),
+});
+
+const SESSIONS = {
+  sessions: [
+    { day: 1, sessionLengthRaw: 30 },
+    { day: 2, sessionLengthRaw: 20 },
+    { day: 3, sessionLengthRaw: 45 },
+  ],
+};
+
+const PERFORMANCE = {
+  kind: { 1: "cardio", 2: "energy", 3: "endurance", 4: "strength", 5: "speed", 6: "intensity" },
+  data: [1, 2, 3, 4, 5, 6].map((kind) => ({ kind, value: kind * 30 })),
+};
+
+const GOALS = { calories: 350, sessionMinutes: 30, weeklySessions: 3, targetWeight: null };
+
+// Lendemain du dernier jour d'activité
+const TODAY = "2020-07-08";
+
+/**
+ * Bilan d'une règle
+ * @param {Insight[]} insights - Bilans
+ * @param {string} id - Règle
+ * @returns {Insight|undefined} Le bilan de la règle
+ */
+const find = (insights, id) => insights.find((insight) => insight.id === id);
+
+describe("generateInsights", () => {
+  it("classe les bilans du plus important au moins important", () => {
+    const insights = generateInsights(
+      { activity: makeActivity(), sessions: SESSIONS, performance: PERFORMANCE, goals: GOALS },
+      { today: TODAY }
+    );
+
+    expect(insights.map(({ id }) => id)).toEqual(["goals", "weightTrend", "weakestAxis", "bestDay"]);
+    expect(insights.map(({ priority }) => priority)).toEqual([80, 50, 45, 30]);
+  });
+
+  it("ne produit aucun bilan sans données", () => {
+    expect(generateInsights(null)).toEqual([]);
+    expect(generateInsights({ activity: null, sessions: null, performance: null, goals: null })).toEqual([]);
+  });
+
+  it("n'applique que les règles demandées", () => {
+    const rules = INSIGHT_RULES.filter(({ id }) => id === "bestDay");
+
+    expect(generateInsights({ sessions: SESSIONS }, { rules }).map(({ id }) => id)).toEqual(["bestDay"]);
+  });
+
+  describe("objectifs", () => {
+    it("rapporte les objectifs atteints la veille du jour de référence", () => {
+      const insights = generateInsights(
+        { activity: makeActivity(), sessions: SESSIONS, goals: GOALS },
+        { today: TODAY }
+      );
+
+      expect(find(insights, "goals")).toEqual({
+        id: "goals",
+        tone: "neutral",
+        priority: 80,
+        message: "Vous avez atteint 2 objectifs sur 3 hier, continuez !",
+      });
+    });
+
+    it("félicite quand tous les objectifs sont atteints et alerte quand aucun ne l'est", () => {
+      const all = generateInsights({ activity: makeActivity(), goals: GOALS }, { today: "2020-07-07" });
+      const none = generateInsights({ activity: makeActivity({ calories: 100 }), goals: GOALS }, { today: TODAY });
+
+      expect(find(all, "goals")).toMatchObject({
+        tone: "positive",
+        priority: 100,
+        message: "Félicitations ! Vous avez atteint tous vos objectifs aujourd'hui 👏",
+      });
+      expect(find(none, "goals")).toMatchObject({ tone: "warning", priority: 70 });
+    });
+
+    it("fait passer après les tendances un bilan des objectifs ancien", () => {
+      const insights = generateInsights(
+        { activity: makeActivity(), sessions: SESSIONS, goals: GOALS },
+        { locale: "en", today: "2020-07-20" }
+      );
+
+      expect(find(insights, "goals")).toMatchObject({
+        priority: 80 - STALE_PENALTY,
+        message: "You hit 2 of your 3 goals on July 7th, 2020, keep going!",
+      });
+      expect(insights[0].id).toBe("weightTrend");
+    });
+
+    describe("à la date réelle", () => {
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      it("fait passer après les tendances des données anciennes sans date du jour", () => {
+        vi.useFakeTimers({ toFake: ["Date"] });
+        vi.setSystemTime(new Date(2020, 6, 20));
+
+        const insights = generateInsights({ activity: makeActivity(), sessions: SESSIONS, goals: GOALS });
+
+        expect(find(insights, "goals").priority).toBe(80 - STALE_PENALTY);
+        expect(insights[0].id).toBe("weightTrend");
+      });
+    });
+
+    it("reprend le score du jour de l'API sans activité", () => {
+      const insights = generateInsights({ user: { todayScore: 0.12 }, activity: null, goals: GOALS });
+
+      expect(find(insights, "goals")).toMatchObject({
+        tone: "neutral",
+        priority: 60,
+        message: "Votre score du jour est de 12 %",
+      });
+    });
+  });
+
+  describe("tendance du poids", () => {
+    it("donne la variation hebdomadaire dans l'unité d'affichage", () => {
+      const down = generateInsights({ activity: makeActivity() });
+      const up = generateInsights(
+        { activity: makeActivity({ slope: 0.1 }) },
+        { locale: "en", units: { weight: "lb", energy: "kcal", mass: "g" } }
+      );
+
+      expect(find(down, "weightTrend").message).toBe("Votre poids baisse de 0,7kg par semaine");
+      expect(find(up, "weightTrend").message).toBe("Your weight is going up by 1.5lb per week");
+    });
+
+    it("juge stable une variation inférieure au seuil", () => {
+      const insights = generateInsights({ activity: makeActivity({ slope: 0.01 }) });
+
+      expect(find(insights, "weightTrend")).toMatchObject({ tone: "neutral", priority: 40 });
+    });
+
+    it("projette la date du poids cible ou signale qu'il est atteint", () => {
+      const activity = makeActivity();
+      const projected = generateInsights({ activity, goals: { ...GOALS, targetWeight: 78 } });
+      const reached = generateInsights({ activity, goals: { ...GOALS, targetWeight: 79.4 } });
+
+      expect(find(projected, "weightTrend")).toMatchObject({
+        tone: "positive",
+        priority: 75,
+        message:
+          "Au rythme actuel (0,7kg par semaine), vous atteindrez votre poids cible de 78kg vers le 22 juillet 2020",
+      });
+      expect(find(reached, "weightTrend")).toMatchObject({ tone: "positive", priority: 85 });
+    });
+
+    it("alerte quand le poids s'éloigne du poids cible", () => {
+      const insights = generateInsights({ activity: makeActivity(), goals: { ...GOALS, targetWeight: 85 } });
+
+      expect(find(insights, "weightTrend")).toMatchObject({ tone: "warning", priority: 65 });
+    });
+  });
+
+  describe("sessions et performance", () => {
+    it("désigne le jour aux sessions les plus longues", () => {
+      const insights = generateInsights({ sessions: SESSIONS });
+
+      expect(find(insights, "bestDay").message).toBe(
+        "Le mercredi est votre meilleur jour : 45 min de session en moyenne"
+      );
+      expect(generateInsights({ sessions: { sessions: [{ day: 1, sessionLengthRaw: 30 }] } })).toEqual([]);
+    });
+
+    it("désigne la catégorie de performance la plus faible", () => {
+      const insights = generateInsights({ performance: PERFORMANCE }, { locale: "en" });
+
+      expect(find(insights, "weakestAxis").message).toBe("Area to work on: Cardio, at 12% of the maximum");
+    });
+  });
+});
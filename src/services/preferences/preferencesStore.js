@@ -0,0 +1,212 @@
+/**
+ * Préférences d'affichage de l'utilisateur
+ *
+ * Conserve les préférences (langue, unités de mesure, échelle du radar...) dans le localStorage (clé
+ * `sportsee:preferences`) et notifie les abonnés à chaque changement, y
+ * compris depuis un autre onglet. Chaque préférence est validée par son
+ * résolveur : une valeur stockée invalide reprend la valeur par défaut.
+ *
+ * Valeurs par défaut :
+ * - langue : détectée depuis le navigateur, sinon VITE_LOCALE (voir i18n.js)
+ * - VITE_UNITS : système d'unités ("metric" ou "imperial")
+ * - échelle du radar de performance : "absolute" (voir radarScale.js)
+ *
+ * Le poids cible fait désormais partie des objectifs (voir goalsStore.js).
+ *
+ * @module services/preferences/preferencesStore
+ * @requires ../i18n/i18n.js
+ * @requires ../utils/units.js
+ * @requires ../utils/radarScale.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { userPreferences } from './preferencesStore.js';
+ *
+ * userPreferences.set({ units: { weight: 'lb', energy: 'kj', mass: 'oz' } });
+ * userPreferences.get().units.weight; // "lb"
+ *
+ * @example
+ * // Stockage mémoire (tests, navigation privée)
+ * const memory = createPreferencesStore({ storage: null });
+ */
+import { detectLocale, parseLocale } from "../i18n/i18n.js";
+import { resolveUnits } from "../utils/units.js";
+import { DEFAULT_RADAR_SCALE, parseRadarScale } from "../utils/radarScale.js";
+
+/**
+ * Préférences de l'utilisateur
+ * @typedef {Object} UserPreferences
+ * @property {string} locale - Langue de l'interface ("fr", "en")
+ * @property {UnitPreferences} units - Unités d'affichage
+ * @property {string} radarScale - Échelle du radar de performance ("absolute", "normalized", "percentile")
+ */
+
+/**
+ * Clé localStorage des préférences
+ * @type {string}
+ * @readonly
+ */
+export const PREFERENCES_STORAGE_KEY = "sportsee:preferences";
+
+/**
+ * Validation de chaque préférence : `(valeur stockée, valeur par défaut) => valeur`
+ * @type {Object<string, Function>}
+ * @readonly
+ */
+export const PREFERENCE_RESOLVERS = Object.freeze({
+  locale: (value, fallback) => parseLocale(value) ?? fallback,
+  units: (value, fallback) => resolveUnits(value ?? fallback, fallback),
+  radarScale: (value, fallback) => parseRadarScale(value) ?? fallback,
+});
+
+/**
+ * Variables d'environnement Vite (objet vide hors Vite)
+ * @private
+ * @returns {Object} Variables d'environnement
+ */
+const getDefaultEnv = () => import.meta.env ?? {};
+
+/**
+ * Préférences par défaut
+ *
+ * @function resolveDefaultPreferences
+ * @param {Object} [env=import.meta.env] - Variables d'environnement
+ * @param {string[]} [languages] - Langues du navigateur (détection de la langue)
+ * @returns {UserPreferences} Préférences par défaut
+ *
+ * @example
+ * resolveDefaultPreferences({ VITE_UNITS: 'imperial' }).units; // { weight: "lb", energy: "kcal", mass: "oz" }
+ */
+export const resolveDefaultPreferences = (env = getDefaultEnv(), languages) => ({
+  locale: detectLocale({ env, languages }),
+  units: resolveUnits(env.VITE_UNITS),
+  radarScale: DEFAULT_RADAR_SCALE,
+});
+
+/**
+ * Valide des préférences, préférence par préférence
+ *
+ * @private
+ * @param {Object|null} value - Préférences à valider
+ * @param {UserPreferences} defaults - Valeurs par défaut
+ * @returns {UserPreferences} Préférences complètes
+ */
+const resolvePreferences = (value, defaults) =>
+  Object.fromEntries(
+    Object.entries(PREFERENCE_RESOLVERS).map(([name, resolve]) => [
+      name,
+      resolve(value?.[name], defaults[name]),
+    ])
+  );
+
+/**
+ * Lit des préférences sérialisées
+ *
+ * @private
+ * @param {string|null} raw - Valeur stockée
+ * @returns {Object|null} Les préférences stockées, null si absentes ou illisibles
+ */
+const parseStored = (raw) => {
+  try {
+    const value = JSON.parse(raw);
+    return value && typeof value === "object" ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Crée un stockage de préférences
+ *
+ * @function createPreferencesStore
+ * @param {Object} [options] - Options du stockage
+ * @param {Storage|null} [options.storage=window.localStorage] - Stockage persistant, null pour la mémoire seule
+ * @param {string} [options.key=PREFERENCES_STORAGE_KEY] - Clé de stockage
+ * @param {UserPreferences} [options.defaults] - Valeurs par défaut (variables d'environnement)
+ * @returns {{ get: Function, set: Function, reset: Function, subscribe: Function }} Le stockage
+ */
+export const createPreferencesStore = ({
+  storage = typeof window !== "undefined" ? window.localStorage : null,
+  key = PREFERENCES_STORAGE_KEY,
+  defaults = resolveDefaultPreferences(),
+} = {}) => {
+  const listeners = new Set();
+  let preferences;
+
+  try {
+    preferences = resolvePreferences(parseStored(storage?.getItem(key) ?? null), defaults);
+  } catch {
+    preferences = resolvePreferences(null, defaults);
+  }
+
+  const notify = () => listeners.forEach((listener) => listener(preferences));
+
+  // Synchronisation entre onglets
+  if (storage && typeof window !== "undefined") {
+    window.addEventListener("storage", (event) => {
+      if (event.key === key) {
+        preferences = resolvePreferences(parseStored(event.newValue), defaults);
+        notify();
+      }
+    });
+  }
+
+  return {
+    /**
+     * Préférences courantes (même référence tant qu'elles ne changent pas)
+     * @returns {UserPreferences}
+     */
+    get() {
+      return preferences;
+    },
+
+    /**
+     * Modifie une ou plusieurs préférences
+     * @param {Partial<UserPreferences>} changes - Préférences à remplacer
+     */
+    set(changes) {
+      preferences = resolvePreferences({ ...preferences, ...changes }, defaults);
+      try {
+        storage?.setItem(key, JSON.stringify(preferences));
+      } catch {
+        // Stockage indisponible : les préférences restent en mémoire
+      }
+      notify();
+    },
+
+    /**
+     * Revient aux préférences par défaut
+     */
+    reset() {
+      preferences = resolvePreferences(null, defaults);
+      try {
+        storage?.removeItem(key);
+      } catch {
+        // Stockage indisponible : rien à supprimer
+      }
+      notify();
+    },
+
+    /**
+     * Abonne une fonction aux changements de préférences
+     * @param {Function} listener - Appelée avec les nouvelles préférences
+     * @returns {Function} Fonction de désabonnement
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+/**
+ * Préférences de l'application
+ * @type {ReturnType<typeof createPreferencesStore>}
+ */
+export const userPreferences = createPreferencesStore();
+
+/**
+ * Export par défaut
+ */
+export default userPreferences;
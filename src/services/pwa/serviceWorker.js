@@ -0,0 +1,182 @@
+/**
+ * Enregistrement du service worker et suivi des mises à jour
+ *
+ * Le service worker (généré au build par pwa/pwaPlugin.js) n'est enregistré
+ * qu'en production. Lorsqu'un nouveau build est déployé, la nouvelle
+ * version attend l'accord de l'utilisateur : `applyServiceWorkerUpdate()`
+ * l'active puis recharge la page.
+ *
+ * @module services/pwa/serviceWorker
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * // main.jsx
+ * registerServiceWorker();
+ *
+ * @example
+ * // Invite de mise à jour
+ * subscribeServiceWorkerUpdate(() => {
+ *   if (isServiceWorkerUpdateAvailable()) applyServiceWorkerUpdate();
+ * });
+ */
+
+/**
+ * En-tête ajouté par le service worker aux réponses API servies depuis son cache
+ * (valeur : timestamp en ms de la copie)
+ * @type {string}
+ * @readonly
+ */
+export const SW_CACHED_AT_HEADER = "X-SportSee-Cached-At";
+
+/**
+ * Nom du cache des réponses API du service worker
+ * @type {string}
+ * @readonly
+ */
+export const SW_API_CACHE = "sportsee-api";
+
+/**
+ * Version en attente d'activation
+ * @type {ServiceWorker|null}
+ * @private
+ */
+let waitingWorker = null;
+
+/**
+ * Abonnés aux changements de disponibilité d'une mise à jour
+ * @type {Set<Function>}
+ * @private
+ */
+const listeners = new Set();
+
+/**
+ * Mémorise la version en attente et notifie les abonnés
+ *
+ * @private
+ * @param {ServiceWorker|null} worker - Version en attente
+ */
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  listeners.forEach((listener) => listener(worker !== null));
+};
+
+/**
+ * Suit l'installation d'une nouvelle version
+ *
+ * @private
+ * @param {ServiceWorkerRegistration} registration - Enregistrement du service worker
+ * @param {ServiceWorkerContainer} container - Conteneur des service workers
+ */
+const watchInstallation = (registration, container) => {
+  const worker = registration.installing;
+
+  worker?.addEventListener("statechange", () => {
+    // Sans contrôleur, il s'agit de la première installation : rien à proposer
+    if (worker.state === "installed" && container.controller) {
+      setWaitingWorker(registration.waiting ?? worker);
+    }
+  });
+};
+
+/**
+ * Enregistre le service worker de l'application
+ *
+ * @function registerServiceWorker
+ * @async
+ * @param {Object} [options] - Options d'enregistrement
+ * @param {string} [options.url] - URL du service worker (`sw.js` à la racine de l'application)
+ * @param {ServiceWorkerContainer} [options.container=navigator.serviceWorker] - Conteneur des service workers
+ * @param {boolean} [options.enabled=import.meta.env.PROD] - Enregistre le service worker (production uniquement)
+ * @returns {Promise<ServiceWorkerRegistration|null>} L'enregistrement, null si non disponible
+ */
+export const registerServiceWorker = async ({
+  url = `${import.meta.env.BASE_URL}sw.js`,
+  container = typeof navigator !== "undefined" ? navigator.serviceWorker : undefined,
+  enabled = import.meta.env.PROD,
+} = {}) => {
+  if (!enabled || !container) {
+    return null;
+  }
+
+  try {
+    const registration = await container.register(url);
+
+    if (registration.waiting && container.controller) {
+      setWaitingWorker(registration.waiting);
+    }
+    registration.addEventListener("updatefound", () =>
+      watchInstallation(registration, container)
+    );
+
+    // La nouvelle version a pris le contrôle : la page doit utiliser ses fichiers
+    let reloading = false;
+    container.addEventListener("controllerchange", () => {
+      if (!reloading && waitingWorker) {
+        reloading = true;
+        window.location.reload();
+      }
+    });
+
+    return registration;
+  } catch (error) {
+    console.warn("Service worker non enregistré:", error);
+    return null;
+  }
+};
+
+/**
+ * Indique si une nouvelle version attend d'être activée
+ *
+ * @function isServiceWorkerUpdateAvailable
+ * @returns {boolean} true si une mise à jour est disponible
+ */
+export const isServiceWorkerUpdateAvailable = () => waitingWorker !== null;
+
+/**
+ * Abonne une fonction à la disponibilité d'une mise à jour
+ *
+ * @function subscribeServiceWorkerUpdate
+ * @param {Function} listener - Appelée avec true lorsqu'une mise à jour est disponible
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribeServiceWorkerUpdate = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Active la version en attente ; la page est rechargée dès qu'elle prend le contrôle
+ *
+ * @function applyServiceWorkerUpdate
+ * @returns {boolean} false si aucune mise à jour n'est disponible
+ */
+export const applyServiceWorkerUpdate = () => {
+  if (!waitingWorker) {
+    return false;
+  }
+
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+  return true;
+};
+
+/**
+ * Supprime les réponses API conservées par le service worker (déconnexion)
+ *
+ * @function clearServiceWorkerApiCache
+ * @async
+ * @param {CacheStorage} [cacheStorage=globalThis.caches] - Stockage des caches
+ * @returns {Promise<boolean>} true si un cache a été supprimé
+ */
+export const clearServiceWorkerApiCache = async (cacheStorage = globalThis.caches) => {
+  try {
+    return (await cacheStorage?.delete(SW_API_CACHE)) ?? false;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Export par défaut
+ */
+export default registerServiceWorker;
@@ -0,0 +1,167 @@
+/**
+ * Objectifs enregistrés localement
+ *
+ * Lorsque la source de données ne sait pas enregistrer les objectifs
+ * (données mockées, fixtures, API sans endpoint `/goals`), le DataService
+ * les conserve dans le localStorage (clé `sportsee:goals`), par utilisateur.
+ *
+ * Les objectifs par défaut de l'appareil reprennent le poids cible de
+ * l'ancienne préférence `targetWeight` : il est déplacé ici à la création
+ * du stockage, puis retiré des préférences.
+ *
+ * @module services/storage/goalsStore
+ * @requires ../data/goals.js
+ * @requires ../preferences/preferencesStore.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { goalsStore } from './goalsStore.js';
+ *
+ * goalsStore.set(18, { calories: 600 });
+ * goalsStore.get(18); // { calories: 600, sessionMinutes: 30, weeklySessions: 4, targetWeight: null }
+ * goalsStore.get(12); // null (aucun objectif enregistré)
+ *
+ * @example
+ * // Stockage mémoire (tests, navigation privée)
+ * const memory = createGoalsStore({ storage: null });
+ */
+import { DEFAULT_GOALS, isValidGoal, resolveGoals } from "../data/goals.js";
+import { PREFERENCES_STORAGE_KEY } from "../preferences/preferencesStore.js";
+
+/**
+ * Clé localStorage des objectifs
+ * @type {string}
+ * @readonly
+ */
+export const GOALS_STORAGE_KEY = "sportsee:goals";
+
+/**
+ * Lit une valeur JSON sérialisée
+ *
+ * @private
+ * @param {string|null} raw - Valeur stockée
+ * @returns {Object|null} L'objet stocké, null s'il est absent ou illisible
+ */
+const parseStored = (raw) => {
+  try {
+    const value = JSON.parse(raw);
+    return value && typeof value === "object" ? value : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Crée un stockage d'objectifs
+ *
+ * @function createGoalsStore
+ * @param {Object} [options] - Options du stockage
+ * @param {Storage|null} [options.storage=window.localStorage] - Stockage persistant, null pour la mémoire seule
+ * @param {string} [options.key=GOALS_STORAGE_KEY] - Clé de stockage
+ * @param {string} [options.legacyKey=PREFERENCES_STORAGE_KEY] - Clé des préférences contenant l'ancien poids cible
+ * @returns {{ get: Function, set: Function, clear: Function, defaults: Function }} Le stockage
+ */
+export const createGoalsStore = ({
+  storage = typeof window !== "undefined" ? window.localStorage : null,
+  key = GOALS_STORAGE_KEY,
+  legacyKey = PREFERENCES_STORAGE_KEY,
+} = {}) => {
+  // Copie mémoire, seule source si le stockage est absent ou inaccessible
+  let memory = { defaults: {}, users: {} };
+
+  const load = () => {
+    try {
+      const stored = storage ? parseStored(storage.getItem(key)) : memory;
+      return { defaults: stored?.defaults ?? {}, users: stored?.users ?? {} };
+    } catch {
+      return memory;
+    }
+  };
+
+  const save = (goals) => {
+    memory = goals;
+    try {
+      storage?.setItem(key, JSON.stringify(goals));
+    } catch {
+      // Quota dépassé ou stockage refusé : objectifs conservés en mémoire
+    }
+  };
+
+  // Migration de l'ancienne préférence de poids cible
+  try {
+    const preferences = parseStored(storage?.getItem(legacyKey) ?? null);
+
+    if (preferences && "targetWeight" in preferences) {
+      const { targetWeight, ...others } = preferences;
+      if (isValidGoal("targetWeight", targetWeight)) {
+        const goals = load();
+        save({ ...goals, defaults: { ...goals.defaults, targetWeight } });
+      }
+      storage.setItem(legacyKey, JSON.stringify(others));
+    }
+  } catch {
+    // Stockage indisponible : rien à migrer
+  }
+
+  const store = {
+    /**
+     * Objectifs par défaut de l'appareil (utilisateurs sans objectifs enregistrés)
+     * @returns {UserGoals}
+     */
+    defaults() {
+      return resolveGoals(load().defaults, DEFAULT_GOALS);
+    },
+
+    /**
+     * Objectifs enregistrés d'un utilisateur
+     * @param {number} userId - ID de l'utilisateur
+     * @returns {UserGoals|null} Les objectifs, null si aucun n'est enregistré
+     */
+    get(userId) {
+      const goals = load().users[userId];
+      return goals ? resolveGoals(goals, store.defaults()) : null;
+    },
+
+    /**
+     * Enregistre les objectifs d'un utilisateur (les objectifs absents sont conservés)
+     * @param {number} userId - ID de l'utilisateur
+     * @param {Partial<UserGoals>} changes - Objectifs à remplacer
+     * @returns {UserGoals} Objectifs enregistrés
+     */
+    set(userId, changes) {
+      const goals = load();
+      const next = resolveGoals({ ...store.get(userId), ...changes }, store.defaults());
+
+      save({ ...goals, users: { ...goals.users, [userId]: next } });
+      return next;
+    },
+
+    /**
+     * Efface les objectifs d'un utilisateur, ou de tous les utilisateurs
+     * @param {number} [userId] - ID de l'utilisateur
+     */
+    clear(userId) {
+      const goals = load();
+      if (userId === undefined) {
+        save({ ...goals, users: {} });
+        return;
+      }
+      const { [userId]: _removed, ...others } = goals.users;
+      save({ ...goals, users: others });
+    },
+  };
+
+  return store;
+};
+
+/**
+ * Objectifs locaux de l'application
+ * @type {ReturnType<typeof createGoalsStore>}
+ */
+export const goalsStore = createGoalsStore();
+
+/**
+ * Export par défaut
+ */
+export default goalsStore;
@@ -0,0 +1,109 @@
+/**
+ * Accès minimal à IndexedDB sous forme de magasin clé/valeur
+ *
+ * Enveloppe l'API événementielle d'IndexedDB dans des promesses pour un
+ * unique object store. Utilisé par l'adaptateur IndexedDB du DataService.
+ *
+ * @module services/storage/idbStore
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { createIdbStore } from './idbStore.js';
+ *
+ * const store = createIdbStore({ dbName: 'sportsee', storeName: 'responses' });
+ * await store.put({ endpoint: '/user/18', data: {...}, savedAt: Date.now() });
+ * const record = await store.get('/user/18');
+ */
+
+/**
+ * Magasin clé/valeur adossé à un object store IndexedDB
+ * @typedef {Object} IdbStore
+ * @property {Function} get - `(key) => Promise<Object|undefined>`
+ * @property {Function} put - `(record) => Promise<void>`
+ * @property {Function} delete - `(key) => Promise<void>`
+ * @property {Function} getAll - `() => Promise<Object[]>`
+ * @property {Function} clear - `() => Promise<void>`
+ */
+
+/**
+ * Indique si IndexedDB est disponible dans l'environnement courant
+ *
+ * @function isIndexedDbAvailable
+ * @returns {boolean} true si `indexedDB` est utilisable
+ */
+export const isIndexedDbAvailable = () =>
+  typeof indexedDB !== "undefined" && indexedDB !== null;
+
+/**
+ * Convertit une IDBRequest en promesse
+ *
+ * @private
+ * @param {IDBRequest} request - Requête IndexedDB
+ * @returns {Promise<*>} Résultat de la requête
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Crée un magasin clé/valeur IndexedDB (base ouverte à la première utilisation)
+ *
+ * @function createIdbStore
+ * @param {Object} options - Options du magasin
+ * @param {string} options.dbName - Nom de la base
+ * @param {string} options.storeName - Nom de l'object store
+ * @param {string} [options.keyPath="endpoint"] - Propriété servant de clé
+ * @param {number} [options.version=1] - Version du schéma
+ * @returns {IdbStore} Le magasin
+ */
+export const createIdbStore = ({
+  dbName,
+  storeName,
+  keyPath = "endpoint",
+  version = 1,
+}) => {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!isIndexedDbAvailable()) {
+      return Promise.reject(new Error("IndexedDB indisponible"));
+    }
+
+    if (!dbPromise) {
+      const request = indexedDB.open(dbName, version);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName, { keyPath });
+        }
+      };
+      dbPromise = promisify(request).catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+
+    return dbPromise;
+  };
+
+  const run = async (mode, operation) => {
+    const db = await open();
+    const transaction = db.transaction(storeName, mode);
+    return promisify(operation(transaction.objectStore(storeName)));
+  };
+
+  return {
+    get: (key) => run("readonly", (store) => store.get(key)),
+    put: (record) => run("readwrite", (store) => store.put(record)).then(() => undefined),
+    delete: (key) => run("readwrite", (store) => store.delete(key)).then(() => undefined),
+    getAll: () => run("readonly", (store) => store.getAll()),
+    clear: () => run("readwrite", (store) => store.clear()).then(() => undefined),
+  };
+};
+
+/**
+ * Export par défaut
+ */
+export default createIdbStore;
@@ -0,0 +1,144 @@
+/**
+ * Instantanés locaux du score quotidien
+ *
+ * Lorsque la source de données n'a pas d'historique des scores, le
+ * DataService enregistre le score du jour à chaque lecture dans le
+ * localStorage (clé `sportsee:score-history`) : l'historique se construit
+ * au fil des visites, un score par utilisateur et par jour (le dernier lu).
+ * Seuls les `maxDays` derniers jours enregistrés sont conservés.
+ *
+ * @module services/storage/scoreSnapshots
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { scoreSnapshots } from './scoreSnapshots.js';
+ *
+ * scoreSnapshots.record(18, '2020-07-07', 0.3);
+ * scoreSnapshots.read(18); // [{ day: "2020-07-07", score: 0.3 }]
+ *
+ * @example
+ * // Stockage mémoire (tests, navigation privée)
+ * const memory = createScoreSnapshotStore({ storage: null });
+ */
+
+/**
+ * Clé localStorage des instantanés
+ * @type {string}
+ * @readonly
+ */
+export const SCORE_SNAPSHOTS_STORAGE_KEY = "sportsee:score-history";
+
+/**
+ * Nombre de jours conservés par utilisateur
+ * @type {number}
+ * @readonly
+ */
+export const MAX_SNAPSHOT_DAYS = 90;
+
+/**
+ * Lit des instantanés sérialisés
+ *
+ * @private
+ * @param {string|null} raw - Valeur stockée
+ * @returns {Object<string, Object<string, number>>} Scores par utilisateur puis par jour
+ */
+const parseSnapshots = (raw) => {
+  try {
+    const value = JSON.parse(raw);
+    return value && typeof value === "object" ? value : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Crée un stockage d'instantanés du score
+ *
+ * @function createScoreSnapshotStore
+ * @param {Object} [options] - Options du stockage
+ * @param {Storage|null} [options.storage=window.localStorage] - Stockage persistant, null pour la mémoire seule
+ * @param {string} [options.key=SCORE_SNAPSHOTS_STORAGE_KEY] - Clé de stockage
+ * @param {number} [options.maxDays=MAX_SNAPSHOT_DAYS] - Nombre de jours conservés par utilisateur
+ * @returns {{ record: Function, read: Function, clear: Function }} Le stockage
+ */
+export const createScoreSnapshotStore = ({
+  storage = typeof window !== "undefined" ? window.localStorage : null,
+  key = SCORE_SNAPSHOTS_STORAGE_KEY,
+  maxDays = MAX_SNAPSHOT_DAYS,
+} = {}) => {
+  // Copie mémoire, seule source si le stockage est absent ou inaccessible
+  let memory = {};
+
+  const load = () => {
+    try {
+      return storage ? parseSnapshots(storage.getItem(key)) : memory;
+    } catch {
+      return memory;
+    }
+  };
+
+  const save = (snapshots) => {
+    memory = snapshots;
+    try {
+      storage?.setItem(key, JSON.stringify(snapshots));
+    } catch {
+      // Quota dépassé ou stockage refusé : instantanés conservés en mémoire
+    }
+  };
+
+  const store = {
+    /**
+     * Enregistre le score d'un jour (remplace celui déjà enregistré ce jour-là)
+     * @param {number} userId - ID de l'utilisateur
+     * @param {string} day - Jour (AAAA-MM-JJ)
+     * @param {number} score - Score de 0 à 1
+     * @returns {Array<{ day: string, score: number }>} Instantanés de l'utilisateur
+     */
+    record(userId, day, score) {
+      const snapshots = load();
+      const days = { ...snapshots[userId], [day]: score };
+      const kept = Object.keys(days).sort().slice(-maxDays);
+
+      save({ ...snapshots, [userId]: Object.fromEntries(kept.map((date) => [date, days[date]])) });
+      return store.read(userId);
+    },
+
+    /**
+     * Instantanés d'un utilisateur, du plus ancien au plus récent
+     * @param {number} userId - ID de l'utilisateur
+     * @returns {Array<{ day: string, score: number }>}
+     */
+    read(userId) {
+      return Object.entries(load()[userId] ?? {})
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([day, score]) => ({ day, score }));
+    },
+
+    /**
+     * Efface les instantanés d'un utilisateur, ou de tous les utilisateurs
+     * @param {number} [userId] - ID de l'utilisateur
+     */
+    clear(userId) {
+      if (userId === undefined) {
+        save({});
+        return;
+      }
+      const { [userId]: _removed, ...others } = load();
+      save(others);
+    },
+  };
+
+  return store;
+};
+
+/**
+ * Instantanés du score de l'application
+ * @type {ReturnType<typeof createScoreSnapshotStore>}
+ */
+export const scoreSnapshots = createScoreSnapshotStore();
+
+/**
+ * Export par défaut
+ */
+export default scoreSnapshots;
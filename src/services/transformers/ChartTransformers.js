@@ -5,6 +5,11 @@
  * pour chaque type de graphique, séparée de la logique React.
  * 
  * @module ChartTransformers
+ * @requires ../utils/calendarDate.js
+ * @requires ../i18n/i18n.js
+ * @requires ../data/performanceKinds.js
+ * @requires ../utils/radarScale.js
+ * @requires ../data/goals.js
  * @author SportSee Team
  * @since 1.0.0
  * 
@@ -14,17 +19,224 @@
  * const formattedActivity = ActivityTransformer.format(rawActivityData);
  * const sessionsWithGhosts = SessionsTransformer.addGhostPoints(rawSessionsData);
  */
+import {
+  addDays,
+  daysBetween,
+  formatCalendarDate,
+  formatShortDate,
+  getWeekday,
+  getWeekStart,
+  parseIsoDate
+} from "../utils/calendarDate.js";
+import { DEFAULT_LOCALE, translate } from "../i18n/i18n.js";
+import { performanceKinds } from "../data/performanceKinds.js";
+import { DEFAULT_RADAR_SCALE, RADAR_SCALE_MAX, scaleRadarValue } from "../utils/radarScale.js";
+import { SCORED_GOALS } from "../data/goals.js";
 
 /**
  * Transformateur pour les données d'activité quotidienne
- * Formate les données pour un graphique en barres combiné
+ * Formate les données pour un graphique en barres combiné, par jour ou par
+ * semaine selon la durée de la période
  */
 export const ActivityTransformer = {
+  /**
+   * Unités des données non converties (celles de l'API)
+   * @type {{ weight: string, energy: string }}
+   * @readonly
+   */
+  DEFAULT_UNITS: { weight: "kg", energy: "kcal" },
+
+  /**
+   * Périodes prédéfinies du sélecteur (options de DataService.getUserActivity) ;
+   * la période personnalisée fournit ses bornes `from` et `to`
+   * @type {Object<string, { days: number }>}
+   * @readonly
+   */
+  PERIODS: { week: { days: 7 }, month: { days: 30 } },
+
+  /**
+   * Au-delà de ce nombre de jours, les sessions sont regroupées par semaine
+   * @type {number}
+   * @readonly
+   */
+  WEEKLY_THRESHOLD_DAYS: 31,
+
+  /**
+   * Nombre de barres de la moyenne mobile du poids, par granularité
+   * @type {{ day: number, week: number }}
+   * @readonly
+   */
+  MOVING_AVERAGE_WINDOWS: { day: 7, week: 4 },
+
+  /**
+   * Au-delà de ce nombre de jours, le poids cible est jugé hors d'atteinte
+   * au rythme actuel
+   * @type {number}
+   * @readonly
+   */
+  MAX_PROJECTION_DAYS: 365,
+
+  /**
+   * Moyenne mobile (sur les valeurs précédentes, fenêtre incomplète au début)
+   *
+   * @param {number[]} values - Valeurs dans l'ordre chronologique
+   * @param {number} window - Nombre de valeurs moyennées
+   * @returns {number[]} Moyennes arrondies au dixième
+   *
+   * @example
+   * ActivityTransformer.movingAverage([80, 82, 78, 79], 3); // [80, 81, 80, 79.7]
+   */
+  movingAverage(values, window) {
+    return values.map((value, index) => {
+      const slice = values.slice(Math.max(0, index + 1 - window), index + 1);
+      return Math.round((slice.reduce((sum, item) => sum + item, 0) / slice.length) * 10) / 10;
+    });
+  },
+
+  /**
+   * Tendance linéaire du poids (moindres carrés sur les dates réelles)
+   *
+   * @param {Array<{ day: string, weight: number }>} sessions - Sessions datées
+   * @returns {{ slope: number, intercept: number, origin: string, at: Function }|null}
+   *   Pente par jour, ordonnée à l'origine (le jour `origin`) et `at(day)` qui
+   *   évalue la tendance à une date ; null avec moins de deux dates distinctes
+   *
+   * @example
+   * const trend = ActivityTransformer.linearTrend([
+   *   { day: "2020-07-01", weight: 80 },
+   *   { day: "2020-07-11", weight: 79 }
+   * ]);
+   * trend.slope;             // -0.1 (par jour)
+   * trend.at("2020-07-21");  // 78
+   */
+  linearTrend(sessions) {
+    const dated = sessions.filter(
+      (session) => parseIsoDate(session.day) && Number.isFinite(session.weight)
+    );
+    if (dated.length < 2) return null;
+
+    const origin = dated[0].day;
+    const points = dated.map((session) => ({
+      x: daysBetween(origin, session.day),
+      y: session.weight
+    }));
+    const meanX = points.reduce((sum, { x }) => sum + x, 0) / points.length;
+    const meanY = points.reduce((sum, { y }) => sum + y, 0) / points.length;
+    const variance = points.reduce((sum, { x }) => sum + (x - meanX) ** 2, 0);
+    if (variance === 0) return null;
+
+    const slope =
+      points.reduce((sum, { x, y }) => sum + (x - meanX) * (y - meanY), 0) / variance;
+    const intercept = meanY - slope * meanX;
+
+    return {
+      slope,
+      intercept,
+      origin,
+      at: (day) => intercept + slope * daysBetween(origin, day)
+    };
+  },
+
+  /**
+   * Estime la date à laquelle le poids cible sera atteint au rythme actuel
+   *
+   * @param {Object|null} trend - Tendance (linearTrend)
+   * @param {number} target - Poids cible (unité des sessions)
+   * @param {string} lastDay - Dernier jour de la période (AAAA-MM-JJ)
+   * @returns {{ weight: number, status: "reached"|"projected"|"unreachable", date: string|null, days: number|null }}
+   *   "reached" si la tendance est au poids cible (à 0,1 près), "projected" avec
+   *   la date estimée, "unreachable" si la tendance s'en éloigne ou l'atteint
+   *   au-delà de MAX_PROJECTION_DAYS jours
+   */
+  projectWeightGoal(trend, target, lastDay) {
+    const goal = { weight: target, status: "unreachable", date: null, days: null };
+    if (!trend || !parseIsoDate(lastDay)) return goal;
+
+    const gap = target - trend.at(lastDay);
+    if (Math.abs(gap) <= 0.1) {
+      return { ...goal, status: "reached", date: lastDay, days: 0 };
+    }
+
+    const days = Math.ceil(gap / trend.slope);
+    if (!Number.isFinite(days) || days <= 0 || days > ActivityTransformer.MAX_PROJECTION_DAYS) {
+      return goal;
+    }
+
+    return { ...goal, status: "projected", date: addDays(lastDay, days), days };
+  },
+
+  /**
+   * Regroupe des sessions par semaine (du lundi au dimanche)
+   *
+   * Chaque semaine reçoit la moyenne de ses sessions : poids moyen et
+   * dépense énergétique moyenne par jour d'activité.
+   *
+   * @param {Array} sessions - Sessions triées par date (`day` AAAA-MM-JJ)
+   * @returns {Array} Une entrée par semaine : `day` (lundi), `weekEnd` (dimanche),
+   *   `count` (nombre de sessions) et les moyennes `kilogram`, `calories`, `weight`, `energy`
+   *
+   * @example
+   * ActivityTransformer.aggregateWeekly([
+   *   { day: "2020-07-01", kilogram: 80, calories: 240 },
+   *   { day: "2020-07-02", kilogram: 81, calories: 260 }
+   * ]);
+   * // [{ day: "2020-06-29", weekEnd: "2020-07-05", count: 2, kilogram: 80.5, calories: 250, ... }]
+   */
+  aggregateWeekly(sessions) {
+    const weeks = new Map();
+
+    sessions.forEach((session) => {
+      const weekStart = getWeekStart(session.day);
+      if (!weekStart) return;
+      if (!weeks.has(weekStart)) weeks.set(weekStart, []);
+      weeks.get(weekStart).push(session);
+    });
+
+    const average = (items, key, decimals) => {
+      const factor = 10 ** decimals;
+      const total = items.reduce((sum, item) => sum + (item[key] ?? 0), 0);
+      return Math.round((total / items.length) * factor) / factor;
+    };
+
+    return [...weeks].map(([weekStart, items]) => ({
+      day: weekStart,
+      weekEnd: addDays(weekStart, 6),
+      count: items.length,
+      kilogram: average(items, "kilogram", 1),
+      calories: average(items, "calories", 0),
+      weight: average(items, "weight", 1),
+      energy: average(items, "energy", 0)
+    }));
+  },
+
+  /**
+   * Granularité adaptée à une période
+   *
+   * @param {{ from: string, to: string }} [range] - Période affichée
+   * @returns {"day"|"week"} "week" au-delà de WEEKLY_THRESHOLD_DAYS jours
+   */
+  getGranularity(range) {
+    const length = daysBetween(range?.from, range?.to);
+    return length !== null && length + 1 > ActivityTransformer.WEEKLY_THRESHOLD_DAYS
+      ? "week"
+      : "day";
+  },
+
   /**
    * Formate les données d'activité pour le graphique
    * 
-   * @param {Object} rawData - Données brutes d'activité
-   * @returns {Object} Données formatées pour le graphique
+   * Les valeurs converties par UnitConverter (`weight`, `energy`, `units`)
+   * sont reprises ; à défaut, les valeurs de l'API (kg, kCal) sont utilisées.
+   * Les sessions gardent leur date (`day`) ; l'axe X affiche `displayDay`.
+   *
+   * @param {Object} rawData - Données brutes d'activité (avec `range` si une période a été demandée)
+   * @param {Object} [options] - Options de formatage
+   * @param {string} [options.locale="fr"] - Langue des libellés de date (`displayDay`, `dateLabel`)
+   * @param {"day"|"week"} [options.granularity] - Regroupement (par défaut selon la durée de `range`)
+   * @param {number|null} [options.targetWeight] - Poids cible, dans l'unité d'affichage du poids
+   * @returns {Object} Données formatées pour le graphique : barres avec moyenne mobile
+   *   (`weightAverage`) et tendance (`weightTrend`) du poids, pente de la tendance
+   *   (`trend.perWeek`, par semaine) et projection du poids cible (`goal`, voir projectWeightGoal)
    * 
    * @example
    * const rawData = {
@@ -37,35 +249,97 @@ export const ActivityTransformer = {
    * const formatted = ActivityTransformer.format(rawData);
    * // {
    * //   sessions: [
-   * //     { day: 1, kilogram: 80, calories: 240, displayDay: "1" },
-   * //     { day: 2, kilogram: 79, calories: 220, displayDay: "2" }
-   * //   ]
+   * //     { day: "2020-07-01", weight: 80, energy: 240, weightAverage: 80, weightTrend: 80, displayDay: "1 juil.", dateLabel: "mercredi 1er juillet 2020", ... },
+   * //     { day: "2020-07-02", weight: 79, energy: 220, weightAverage: 79.5, weightTrend: 79, displayDay: "2 juil.", dateLabel: "jeudi 2 juillet 2020", ... }
+   * //   ],
+   * //   units: { weight: "kg", energy: "kcal" },
+   * //   granularity: "day",
+   * //   range: null,
+   * //   trend: { perDay: -1, perWeek: -7 },
+   * //   goal: null
    * // }
+   *
+   * ActivityTransformer.format(rawData, { targetWeight: 75 }).goal;
+   * // { weight: 75, status: "projected", date: "2020-07-06", days: 4 }
    */
-  format(rawData) {
-    if (!rawData?.sessions) {
-      return { sessions: [] };
+  format(rawData, { locale = DEFAULT_LOCALE, granularity, targetWeight = null } = {}) {
+    const units = { ...ActivityTransformer.DEFAULT_UNITS, ...rawData?.units };
+    const range = rawData?.range ?? null;
+    const grouping = granularity ?? ActivityTransformer.getGranularity(range);
+
+    if (!rawData?.sessions?.length) {
+      return { sessions: [], units, granularity: grouping, range, trend: null, goal: null };
     }
 
+    const sessions = rawData.sessions.map((session) => ({
+      day: session.day,
+      kilogram: session.kilogram || 0,
+      calories: session.calories || 0,
+      // Valeurs dans les unités d'affichage
+      weight: session.weight ?? (session.kilogram || 0),
+      energy: session.energy ?? (session.calories || 0)
+    }));
+
+    const bars =
+      grouping === "week"
+        ? ActivityTransformer.aggregateWeekly(sessions).map((week) => ({
+            ...week,
+            displayDay: formatShortDate(week.day, { locale }),
+            dateLabel: translate(locale, "charts.activity.weekOf", {
+              date: formatCalendarDate(week.day, { weekday: false, locale })
+            })
+          }))
+        : sessions.map((session, index) => ({
+            ...session,
+            displayDay: formatShortDate(session.day, { locale }) || `${index + 1}`,
+            // Jour du mois lu comme date calendaire (données brutes non normalisées acceptées)
+            dayFormatted: rawData.sessions[index].dayFormatted ?? parseIsoDate(session.day)?.day ?? 0,
+            weekday: rawData.sessions[index].weekday ?? getWeekday(session.day) ?? 0,
+            dateLabel: formatCalendarDate(session.day, { locale })
+          }));
+
+    // Tendance calculée sur les sessions quotidiennes, évaluée au milieu de chaque semaine
+    const trend = ActivityTransformer.linearTrend(sessions);
+    const averages = ActivityTransformer.movingAverage(
+      bars.map((bar) => bar.weight),
+      ActivityTransformer.MOVING_AVERAGE_WINDOWS[grouping]
+    );
+    const roundWeight = (value) => Math.round(value * 10) / 10;
+
     return {
-      sessions: rawData.sessions.map((session, index) => ({
-        day: index + 1,
-        kilogram: session.kilogram || 0,
-        calories: session.calories || 0,
-        displayDay: `${index + 1}`,
-        // Conserver les données originales si nécessaire
-        originalDay: session.day,
-        dayFormatted: session.dayFormatted
-      }))
+      units,
+      granularity: grouping,
+      range,
+      sessions: bars.map((bar, index) => ({
+        ...bar,
+        weightAverage: averages[index],
+        weightTrend: trend
+          ? roundWeight(trend.at(grouping === "week" ? addDays(bar.day, 3) : bar.day))
+          : null
+      })),
+      trend: trend && { perDay: trend.slope, perWeek: Math.round(trend.slope * 70) / 10 },
+      goal:
+        targetWeight > 0
+          ? ActivityTransformer.projectWeightGoal(trend, targetWeight, sessions.at(-1).day)
+          : null
     };
   }
 };
 
 /**
  * Transformateur pour les données de sessions moyennes
- * Gère l'ajout de points fantômes pour améliorer le rendu visuel
+ * Gère l'ajout de points fantômes pour améliorer le rendu visuel et la
+ * comparaison avec une semaine de référence
  */
 export const SessionsTransformer = {
+  /**
+   * Nombre de semaines passées proposées comme semaine de référence
+   * (1 : semaine précédente)
+   * @type {number}
+   * @readonly
+   */
+  REFERENCE_WEEKS: 4,
+
   /**
    * Ajoute des points fantômes au début et à la fin des sessions
    * 
@@ -130,47 +404,90 @@ export const SessionsTransformer = {
     return {
       sessions: [ghostStart, ...realSessions, ghostEnd]
     };
+  },
+
+  /**
+   * Ajoute à chaque jour la durée de la semaine de référence et l'écart avec celle-ci
+   *
+   * Les points fantômes reprennent les extrémités de la semaine de référence,
+   * pour que sa courbe soit tracée comme la courbe principale. L'écart en
+   * pourcentage vaut null lorsque la semaine de référence n'a pas de session ce jour-là.
+   *
+   * @param {Object} rawData - Données brutes de sessions de la semaine affichée
+   * @param {Object|null} referenceData - Données brutes de la semaine de référence
+   * @returns {Object} Données avec points fantômes ; avec une semaine de référence,
+   *   chaque jour a `referenceLength`, `delta` (minutes) et `deltaPercent` (entier)
+   *
+   * @example
+   * const compared = SessionsTransformer.compareWeeks(
+   *   { sessions: [{ day: 1, sessionLength: 45 }] },
+   *   { sessions: [{ day: 1, sessionLength: 30 }] }
+   * );
+   * // compared.sessions[1] = { day: 1, sessionLength: 45, referenceLength: 30, delta: 15, deltaPercent: 50, ... }
+   */
+  compareWeeks(rawData, referenceData) {
+    const formatted = SessionsTransformer.addGhostPoints(rawData);
+    const reference = SessionsTransformer.addGhostPoints(referenceData);
+
+    if (formatted.sessions.length === 0 || reference.sessions.length === 0) {
+      return formatted;
+    }
+
+    const referenceLengths = new Map(
+      reference.sessions.map((session) => [session.dayIndex, session.sessionLength])
+    );
+
+    return {
+      sessions: formatted.sessions.map((session) => {
+        const referenceLength = referenceLengths.get(session.dayIndex) ?? null;
+
+        if (!session.isReal || referenceLength === null) {
+          return { ...session, referenceLength };
+        }
+
+        const delta = session.sessionLength - referenceLength;
+        return {
+          ...session,
+          referenceLength,
+          delta,
+          deltaPercent: referenceLength > 0 ? Math.round((delta / referenceLength) * 100) : null
+        };
+      })
+    };
   }
 };
 
 /**
  * Transformateur pour les données de performance radar
- * Transforme et réordonne les données avec traductions françaises
+ * Affiche les catégories de l'utilisateur dans l'ordre, avec les libellés,
+ * couleurs et maximums du registre des catégories (performanceKinds.js)
  */
 export const PerformanceTransformer = {
   /**
-   * Mapping des traductions anglais vers français
-   * @type {Object<string, string>}
-   * @readonly
+   * Libellé traduit d'une catégorie de performance
+   *
+   * @param {string} kindName - Nom de la catégorie ("cardio", "energy"...)
+   * @param {string} [locale="fr"] - Langue
+   * @returns {string} Ex: "Énergie" (fr), "Energy" (en)
    */
-  TRANSLATIONS: {
-    cardio: "Cardio",
-    energy: "Énergie", 
-    endurance: "Endurance",
-    strength: "Force",
-    speed: "Vitesse",
-    intensity: "Intensité"
+  getLabel(kindName, locale = DEFAULT_LOCALE) {
+    return performanceKinds.getLabel(kindName, locale);
   },
 
-  /**
-   * Ordre d'affichage spécifique pour le radar
-   * @type {string[]}
-   * @readonly
-   */
-  RADAR_ORDER: [
-    "Intensité",
-    "Vitesse", 
-    "Force",
-    "Endurance",
-    "Énergie",
-    "Cardio"
-  ],
-
   /**
    * Transforme les données de performance pour le radar
+   *
+   * `value` reste la valeur de l'API ; `score` est la valeur ramenée sur
+   * l'échelle commune de 0 à 100 (`fullMark`) selon l'échelle choisie
+   * (voir radarScale.js), c'est elle que trace le radar.
    * 
    * @param {Object} rawData - Données brutes de performance
-   * @returns {Array} Données ordonnées pour le graphique radar
+   * @param {Object} [options] - Options de formatage
+   * @param {string} [options.locale="fr"] - Langue des libellés
+   * @param {string} [options.scale="absolute"] - Échelle ("absolute", "normalized", "percentile")
+   * @param {Object} [options.registry=performanceKinds] - Registre des catégories
+   * @returns {Array} Données ordonnées pour le graphique radar : une entrée par catégorie
+   *   du dictionnaire `kind` ou des valeurs (0 si la catégorie n'a pas de valeur)
    * 
    * @example
    * const rawData = {
@@ -183,40 +500,266 @@ export const PerformanceTransformer = {
    * 
    * const transformed = PerformanceTransformer.formatForRadar(rawData);
    * // [
-   * //   { subject: "Cardio", value: 80, fullMark: 250 },
-   * //   { subject: "Énergie", value: 120, fullMark: 250 }
+   * //   { kind: "energy", subject: "Énergie", value: 120, score: 48, fullMark: 100, max: 250, color: "#FFFFFF", order: 5 },
+   * //   { kind: "cardio", subject: "Cardio", value: 80, score: 32, fullMark: 100, max: 250, color: "#FFFFFF", order: 6 }
    * // ]
+   *
+   * PerformanceTransformer.formatForRadar(rawData, { scale: "normalized" }).map((d) => d.score);
+   * // [100, 67] (part de la meilleure catégorie, Énergie)
    */
-  formatForRadar(rawData) {
+  formatForRadar(
+    rawData,
+    { locale = DEFAULT_LOCALE, scale = DEFAULT_RADAR_SCALE, registry = performanceKinds } = {}
+  ) {
     if (!rawData?.data || !Array.isArray(rawData.data)) {
       return [];
     }
 
-    // Utiliser kindName du DataNormalizer si disponible, sinon fallback sur kind mapping
-    return PerformanceTransformer.RADAR_ORDER.map((frenchName) => {
-      const item = rawData.data.find((d) => {
-        // Priorité au kindName normalisé
-        if (d.kindName) {
-          return PerformanceTransformer.TRANSLATIONS[d.kindName] === frenchName;
-        }
-        // Fallback sur l'ancien système
-        return rawData.kind && PerformanceTransformer.TRANSLATIONS[rawData.kind[d.kind]] === frenchName;
-      });
+    const kinds = registry.resolve(
+      rawData.kind,
+      rawData.data.map((d) => d?.kind).filter(Number.isInteger)
+    );
 
-      return {
-        subject: frenchName,
-        value: item ? item.value : 0,
-        fullMark: 250
-      };
+    const entries = kinds.map((kind) => {
+      // Priorité au kindName normalisé, sinon identifiant numérique
+      const item = rawData.data.find((d) =>
+        d.kindName && d.kindName !== "unknown" ? d.kindName === kind.name : d.kind === kind.id
+      );
+      return { kind, value: item ? item.value : 0 };
     });
+    const best = Math.max(0, ...entries.map(({ value }) => value));
+
+    return entries.map(({ kind: { name, color, max, order, reference }, value }) => ({
+      kind: name,
+      subject: registry.getLabel(name, locale),
+      value,
+      score: scaleRadarValue(value, scale, { max, best, reference }),
+      fullMark: RADAR_SCALE_MAX,
+      max,
+      color,
+      order
+    }));
   }
 };
 
 /**
  * Transformateur pour les données de score quotidien
- * Calcule le pourcentage à partir du score utilisateur
+ * Calcule le pourcentage à partir du score utilisateur, et la courbe et les
+ * séries de jours de son historique
  */
 export const ScoreTransformer = {
+  /**
+   * Score à partir duquel l'objectif du jour est atteint (série de jours)
+   * @type {number}
+   * @readonly
+   */
+  GOAL_SCORE: 1,
+
+  /**
+   * Nombre de jours de la courbe d'historique
+   * @type {number}
+   * @readonly
+   */
+  HISTORY_DAYS: 30,
+
+  /**
+   * Progression des objectifs d'un jour enregistré
+   *
+   * Chaque objectif du score est comparé à la réalisation du jour :
+   * calories brûlées ce jour-là, durée moyenne des sessions de ce jour de
+   * la semaine, et nombre de jours de session de la semaine moyenne. Le
+   * score est la moyenne des taux de réalisation, chacun plafonné à 1 ; un
+   * objectif sans donnée (sessions indisponibles) n'est pas compté.
+   *
+   * @param {Object} inputs - Données normalisées
+   * @param {Object} inputs.activity - Activité (DataService.getUserActivity)
+   * @param {Object|null} [inputs.sessions] - Sessions moyennes (DataService.getUserAverageSessions)
+   * @param {UserGoals} inputs.goals - Objectifs (DataService.getUserGoals)
+   * @param {string} [day] - Jour (AAAA-MM-JJ), par défaut le dernier jour enregistré
+   * @returns {{ day: string, score: number, parts: Array, reached: number, total: number }|null}
+   *   Score (0-1) et détail de chaque objectif (`name`, `value`, `goal`, `ratio`, `reached`) ;
+   *   null sans activité ou sans objectifs
+   *
+   * @example
+   * const progress = ScoreTransformer.computeGoalProgress({ activity, sessions, goals });
+   * // { day: "2020-07-07", score: 0.92, reached: 2, total: 3, parts: [
+   * //   { name: "calories", value: 390, goal: 350, ratio: 1.11, reached: true },
+   * //   { name: "sessionMinutes", value: 23, goal: 30, ratio: 0.77, reached: false }, ...] }
+   */
+  computeGoalProgress({ activity, sessions, goals }, day = activity?.sessions?.at(-1)?.day) {
+    if (!goals || !day) {
+      return null;
+    }
+
+    const weekday = getWeekday(day);
+    const weekSessions = sessions?.sessions ?? [];
+    const values = {
+      calories: activity.sessions.find((session) => session.day === day)?.calories ?? 0,
+      sessionMinutes: sessions
+        ? weekSessions.find((session) => session.day === weekday)?.sessionLengthRaw ?? 0
+        : null,
+      weeklySessions: sessions
+        ? weekSessions.filter((session) => session.sessionLengthRaw > 0).length
+        : null
+    };
+
+    const parts = SCORED_GOALS
+      .filter((name) => values[name] !== null)
+      .map((name) => {
+        const ratio = values[name] / goals[name];
+        return { name, value: values[name], goal: goals[name], ratio, reached: ratio >= 1 };
+      });
+
+    return {
+      day,
+      score: parts.reduce((sum, part) => sum + Math.min(part.ratio, 1), 0) / parts.length,
+      parts,
+      reached: parts.filter((part) => part.reached).length,
+      total: parts.length
+    };
+  },
+
+  /**
+   * Score de chaque jour enregistré, calculé par rapport aux objectifs
+   *
+   * Chaque jour n'est évalué que sur ses propres données : les sessions
+   * moyennes décrivent la semaine du dernier jour enregistré et ne comptent
+   * que pour les jours de cette semaine ; les jours précédents sont évalués
+   * sur leurs seules calories.
+   *
+   * @param {Object} inputs - Données normalisées (voir computeGoalProgress)
+   * @returns {Array<{ day: string, score: number }>} Scores, du plus ancien au plus récent
+   *
+   * @example
+   * ScoreTransformer.scoreDays({ activity, sessions, goals }).at(-1); // { day: "2020-07-07", score: 0.92 }
+   */
+  scoreDays({ activity, sessions, goals }) {
+    const lastDay = activity?.sessions?.at(-1)?.day;
+    const lastWeek = parseIsoDate(lastDay) ? getWeekStart(lastDay) : null;
+
+    return (activity?.sessions ?? [])
+      .filter((session) => parseIsoDate(session.day))
+      .map((session) => {
+        const ownSessions = getWeekStart(session.day) === lastWeek ? sessions : null;
+        return {
+          day: session.day,
+          score: ScoreTransformer.computeGoalProgress(
+            { activity, sessions: ownSessions, goals },
+            session.day
+          ).score
+        };
+      })
+      .sort((a, b) => a.day.localeCompare(b.day));
+  },
+
+  /**
+   * Prépare l'anneau du score du jour
+   *
+   * Le score est calculé par rapport aux objectifs de l'utilisateur ; sans
+   * activité, c'est le score du jour fourni par l'API (`todayScore`).
+   *
+   * @param {Object} inputs - Données normalisées
+   * @param {Object} inputs.user - Utilisateur (DataService.getUserById)
+   * @param {Object|null} inputs.activity - Activité, null si indisponible
+   * @param {Object|null} inputs.sessions - Sessions moyennes, null si indisponibles
+   * @param {UserGoals} inputs.goals - Objectifs
+   * @returns {{ percentage: number, goals: UserGoals, progress: Object|null }} Pourcentage (0-100),
+   *   objectifs et progression (computeGoalProgress, null pour le score de l'API)
+   *
+   * @example
+   * ScoreTransformer.formatGoalScore({ user, activity, sessions, goals }).percentage; // 92
+   */
+  formatGoalScore({ user, activity, sessions, goals }) {
+    const progress = activity
+      ? ScoreTransformer.computeGoalProgress({ activity, sessions, goals })
+      : null;
+
+    return {
+      percentage: progress
+        ? Math.round(progress.score * 100)
+        : ScoreTransformer.calculatePercentage(user).percentage,
+      goals,
+      progress
+    };
+  },
+
+  /**
+   * Séries de jours consécutifs où l'objectif est atteint
+   *
+   * La série en cours se termine au dernier jour enregistré ; si l'objectif
+   * n'y est pas (encore) atteint, elle se termine la veille. Un jour absent
+   * de l'historique interrompt la série.
+   *
+   * @param {Array<{ day: string, score: number }>} history - Scores, du plus ancien au plus récent
+   * @param {number} [goal=ScoreTransformer.GOAL_SCORE] - Score de l'objectif
+   * @returns {{ current: number, best: number }} Longueur (en jours) de la série en cours et de la meilleure
+   *
+   * @example
+   * ScoreTransformer.getStreaks([
+   *   { day: "2020-07-01", score: 1 },
+   *   { day: "2020-07-02", score: 1 },
+   *   { day: "2020-07-03", score: 0.4 }
+   * ]); // { current: 2, best: 2 }
+   */
+  getStreaks(history, goal = ScoreTransformer.GOAL_SCORE) {
+    // Longueur de la série terminée à chaque jour
+    const runs = history.map(() => 0);
+
+    history.forEach(({ day, score }, index) => {
+      const previous = history[index - 1];
+      const consecutive = previous && daysBetween(previous.day, day) === 1;
+      runs[index] = score >= goal ? (consecutive ? runs[index - 1] : 0) + 1 : 0;
+    });
+
+    const last = history.length - 1;
+    const endsYesterday =
+      last > 0 && runs[last] === 0 && daysBetween(history[last - 1].day, history[last].day) === 1;
+
+    return {
+      current: endsYesterday ? runs[last - 1] : runs[last] ?? 0,
+      best: Math.max(0, ...runs)
+    };
+  },
+
+  /**
+   * Prépare la courbe et les séries de l'historique des scores
+   *
+   * @param {Object} rawData - Historique (DataService.getUserScoreHistory)
+   * @param {Object} [options] - Options de formatage
+   * @param {number} [options.days=ScoreTransformer.HISTORY_DAYS] - Nombre de jours de la courbe
+   * @param {number} [options.goal=ScoreTransformer.GOAL_SCORE] - Score de l'objectif
+   * @returns {{ points: Array, streaks: { current: number, best: number }, source: string }|null}
+   *   Un point par jour jusqu'au dernier jour enregistré (`percentage` null pour un jour
+   *   sans score), séries calculées sur tout l'historique ; null sans historique
+   *
+   * @example
+   * const formatted = ScoreTransformer.formatHistory(history, { days: 7 });
+   * formatted.points.at(-1); // { day: "2020-07-07", percentage: 12, reached: false }
+   * formatted.streaks;       // { current: 4, best: 4 }
+   */
+  formatHistory(rawData, { days = ScoreTransformer.HISTORY_DAYS, goal = ScoreTransformer.GOAL_SCORE } = {}) {
+    const history = rawData?.history ?? [];
+
+    if (history.length === 0) {
+      return null;
+    }
+
+    const scores = new Map(history.map(({ day, score }) => [day, score]));
+    const lastDay = history.at(-1).day;
+
+    return {
+      points: Array.from({ length: days }, (_, index) => {
+        const day = addDays(lastDay, index - days + 1);
+        const score = scores.get(day);
+        return score === undefined
+          ? { day, percentage: null, reached: false }
+          : { day, percentage: Math.round(score * 100), reached: score >= goal };
+      }),
+      streaks: ScoreTransformer.getStreaks(history, goal),
+      source: rawData.source
+    };
+  },
+
   /**
    * Calcule le pourcentage de score depuis les données utilisateur
    * 
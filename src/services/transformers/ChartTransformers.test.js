@@ -0,0 +1,272 @@
+import { describe, expect, it } from "vitest";
+import { ActivityTransformer, ScoreTransformer, SessionsTransformer } from "./ChartTransformers.js";
+
+describe("ActivityTransformer", () => {
+  describe("aggregateWeekly", () => {
+    it("regroupe les sessions par semaine du lundi au dimanche", () => {
+      const weeks = ActivityTransformer.aggregateWeekly([
+        { day: "2020-07-01", kilogram: 80, calories: 240, weight: 80, energy: 240 },
+        { day: "2020-07-02", kilogram: 81, calories: 260, weight: 81, energy: 260 },
+        { day: "2020-07-06", kilogram: 79, calories: 300, weight: 79, energy: 300 },
+      ]);
+
+      expect(weeks).toEqual([
+        { day: "2020-06-29", weekEnd: "2020-07-05", count: 2, kilogram: 80.5, calories: 250, weight: 80.5, energy: 250 },
+        { day: "2020-07-06", weekEnd: "2020-07-12", count: 1, kilogram: 79, calories: 300, weight: 79, energy: 300 },
+      ]);
+    });
+
+    it("écarte les sessions sans date valide", () => {
+      expect(ActivityTransformer.aggregateWeekly([{ day: "invalide", kilogram: 80, calories: 240 }])).toEqual([]);
+    });
+  });
+
+  describe("getGranularity", () => {
+    it("regroupe par semaine au-delà de WEEKLY_THRESHOLD_DAYS jours", () => {
+      expect(ActivityTransformer.getGranularity({ from: "2020-07-01", to: "2020-07-31" })).toBe("day");
+      expect(ActivityTransformer.getGranularity({ from: "2020-07-01", to: "2020-08-01" })).toBe("week");
+    });
+
+    it("affiche les jours sans période valide", () => {
+      expect(ActivityTransformer.getGranularity(null)).toBe("day");
+      expect(ActivityTransformer.getGranularity({ from: "2020-07-01" })).toBe("day");
+    });
+  });
+
+  describe("movingAverage", () => {
+    it("moyenne les valeurs précédentes, avec une fenêtre incomplète au début", () => {
+      expect(ActivityTransformer.movingAverage([80, 82, 78, 79], 3)).toEqual([80, 81, 80, 79.7]);
+    });
+
+    it("renvoie les valeurs telles quelles avec une fenêtre de 1", () => {
+      expect(ActivityTransformer.movingAverage([80, 82], 1)).toEqual([80, 82]);
+      expect(ActivityTransformer.movingAverage([], 7)).toEqual([]);
+    });
+  });
+
+  describe("linearTrend", () => {
+    it("calcule la pente par jour sur les dates réelles", () => {
+      const trend = ActivityTransformer.linearTrend([
+        { day: "2020-07-01", weight: 80 },
+        { day: "2020-07-02", weight: 79.9 },
+        { day: "2020-07-11", weight: 79 },
+      ]);
+
+      expect(trend.slope).toBeCloseTo(-0.1);
+      expect(trend.origin).toBe("2020-07-01");
+      expect(trend.at("2020-07-21")).toBeCloseTo(78);
+    });
+
+    it("ignore les sessions sans date ou sans poids", () => {
+      const trend = ActivityTransformer.linearTrend([
+        { day: "2020-07-01", weight: 80 },
+        { day: "invalide", weight: 60 },
+        { day: "2020-07-05", weight: null },
+        { day: "2020-07-11", weight: 79 },
+      ]);
+
+      expect(trend.slope).toBeCloseTo(-0.1);
+    });
+
+    it("renvoie null avec moins de deux dates distinctes", () => {
+      expect(ActivityTransformer.linearTrend([{ day: "2020-07-01", weight: 80 }])).toBeNull();
+      expect(
+        ActivityTransformer.linearTrend([
+          { day: "2020-07-01", weight: 80 },
+          { day: "2020-07-01", weight: 81 },
+        ])
+      ).toBeNull();
+    });
+  });
+
+  describe("projectWeightGoal", () => {
+    const trend = ActivityTransformer.linearTrend([
+      { day: "2020-07-01", weight: 80 },
+      { day: "2020-07-11", weight: 79 },
+    ]);
+
+    it("estime la date à laquelle le poids cible sera atteint", () => {
+      expect(ActivityTransformer.projectWeightGoal(trend, 78, "2020-07-11")).toEqual({
+        weight: 78,
+        status: "projected",
+        date: "2020-07-21",
+        days: 10,
+      });
+    });
+
+    it("considère atteint un poids cible à 0,1 près de la tendance", () => {
+      expect(ActivityTransformer.projectWeightGoal(trend, 79.05, "2020-07-11")).toMatchObject({
+        status: "reached",
+        date: "2020-07-11",
+        days: 0,
+      });
+    });
+
+    it("juge hors d'atteinte un poids cible dont la tendance s'éloigne ou trop lointain", () => {
+      expect(ActivityTransformer.projectWeightGoal(trend, 85, "2020-07-11")).toMatchObject({
+        status: "unreachable",
+        date: null,
+      });
+      expect(ActivityTransformer.projectWeightGoal(trend, 40, "2020-07-11").status).toBe("unreachable");
+      expect(ActivityTransformer.projectWeightGoal(null, 78, "2020-07-11").status).toBe("unreachable");
+    });
+  });
+});
+
+describe("SessionsTransformer", () => {
+  describe("compareWeeks", () => {
+    const week = {
+      sessions: [
+        { day: 1, sessionLength: 45 },
+        { day: 2, sessionLength: 20 },
+        { day: 3, sessionLength: 30 },
+      ],
+    };
+
+    it("ajoute la durée de référence et l'écart de chaque jour", () => {
+      const reference = {
+        sessions: [
+          { day: 1, sessionLength: 30 },
+          { day: 2, sessionLength: 0 },
+        ],
+      };
+
+      const [, monday, tuesday, wednesday] = SessionsTransformer.compareWeeks(week, reference).sessions;
+
+      expect(monday).toMatchObject({ referenceLength: 30, delta: 15, deltaPercent: 50 });
+      expect(tuesday).toMatchObject({ referenceLength: 0, delta: 20, deltaPercent: null });
+      expect(wednesday).toMatchObject({ referenceLength: null });
+      expect(wednesday).not.toHaveProperty("delta");
+    });
+
+    it("prolonge la semaine de référence par ses points fantômes", () => {
+      const reference = { sessions: [{ day: 1, sessionLength: 30 }, { day: 7, sessionLength: 60 }] };
+
+      const { sessions } = SessionsTransformer.compareWeeks(week, reference);
+
+      expect(sessions[0]).toMatchObject({ isGhost: true, sessionLength: 45, referenceLength: 30 });
+      expect(sessions.at(-1)).toMatchObject({ isGhost: true, sessionLength: 30, referenceLength: 60 });
+      expect(sessions.at(-1)).not.toHaveProperty("delta");
+    });
+
+    it("ne compare rien sans semaine de référence", () => {
+      const { sessions } = SessionsTransformer.compareWeeks(week, null);
+
+      expect(sessions).toEqual(SessionsTransformer.addGhostPoints(week).sessions);
+      expect(sessions[1]).not.toHaveProperty("referenceLength");
+    });
+  });
+});
+
+describe("ScoreTransformer", () => {
+  /**
+   * Historique de scores sur des jours consécutifs à partir du 1er juillet 2020
+   * @param {number[]} scores - Scores (0-1)
+   * @returns {Array<{ day: string, score: number }>} L'historique
+   */
+  const history = (scores) =>
+    scores.map((score, index) => ({ day: `2020-07-${String(index + 1).padStart(2, "0")}`, score }));
+
+  describe("scores des objectifs", () => {
+    const goals = { calories: 350, sessionMinutes: 30, weeklySessions: 3 };
+    const activity = {
+      sessions: [
+        { day: "2020-06-26", kilogram: 80, calories: 175 },
+        { day: "2020-06-30", kilogram: 80, calories: 400 },
+        { day: "2020-07-01", kilogram: 79, calories: 350 },
+      ],
+    };
+    // Semaine moyenne : trois jours de session, dont le mardi (15 min) et le mercredi (30 min)
+    const sessions = {
+      sessions: [
+        { day: 1, sessionLengthRaw: 45 },
+        { day: 2, sessionLengthRaw: 15 },
+        { day: 3, sessionLengthRaw: 30 },
+        { day: 4, sessionLengthRaw: 0 },
+      ],
+    };
+
+    it("compare le dernier jour enregistré à chaque objectif", () => {
+      const progress = ScoreTransformer.computeGoalProgress({ activity, sessions, goals });
+
+      expect(progress).toMatchObject({ day: "2020-07-01", score: 1, reached: 3, total: 3 });
+      expect(progress.parts.map(({ name, value }) => [name, value])).toEqual([
+        ["calories", 350],
+        ["sessionMinutes", 30],
+        ["weeklySessions", 3],
+      ]);
+    });
+
+    it("plafonne chaque taux de réalisation à 1", () => {
+      const progress = ScoreTransformer.computeGoalProgress({ activity, sessions, goals }, "2020-06-30");
+
+      expect(progress.reached).toBe(2);
+      expect(progress.score).toBeCloseTo((1 + 0.5 + 1) / 3);
+    });
+
+    it("ne compte pas les objectifs sans sessions moyennes", () => {
+      const progress = ScoreTransformer.computeGoalProgress({ activity, sessions: null, goals }, "2020-06-26");
+
+      expect(progress).toMatchObject({ score: 0.5, reached: 0, total: 1 });
+      expect(ScoreTransformer.computeGoalProgress({ activity, sessions, goals: null })).toBeNull();
+    });
+
+    it("évalue les jours antérieurs à la dernière semaine sur leurs seules calories", () => {
+      const days = ScoreTransformer.scoreDays({ activity, sessions, goals });
+
+      expect(days.map(({ day }) => day)).toEqual(["2020-06-26", "2020-06-30", "2020-07-01"]);
+      expect(days[0].score).toBe(0.5);
+      expect(days[1].score).toBeCloseTo(2.5 / 3);
+      expect(days[2].score).toBe(1);
+    });
+  });
+
+  describe("getStreaks", () => {
+    it("compte la série en cours et la meilleure série", () => {
+      expect(ScoreTransformer.getStreaks(history([1, 1, 1, 0.5, 1, 1]))).toEqual({ current: 2, best: 3 });
+    });
+
+    it("termine la série en cours la veille si l'objectif du dernier jour n'est pas atteint", () => {
+      expect(ScoreTransformer.getStreaks(history([1, 1, 0.4]))).toEqual({ current: 2, best: 2 });
+      expect(ScoreTransformer.getStreaks(history([1, 0.2, 0.4]))).toEqual({ current: 0, best: 1 });
+    });
+
+    it("interrompt la série à un jour absent de l'historique", () => {
+      const days = [
+        { day: "2020-07-01", score: 1 },
+        { day: "2020-07-02", score: 1 },
+        { day: "2020-07-04", score: 1 },
+      ];
+
+      expect(ScoreTransformer.getStreaks(days)).toEqual({ current: 1, best: 2 });
+    });
+
+    it("applique le score d'objectif demandé", () => {
+      expect(ScoreTransformer.getStreaks(history([0.8, 0.9]), 0.75)).toEqual({ current: 2, best: 2 });
+      expect(ScoreTransformer.getStreaks([])).toEqual({ current: 0, best: 0 });
+    });
+  });
+
+  describe("formatHistory", () => {
+    it("produit un point par jour jusqu'au dernier jour enregistré", () => {
+      const formatted = ScoreTransformer.formatHistory(
+        { history: [{ day: "2020-07-01", score: 1 }, { day: "2020-07-03", score: 0.456 }], source: "local" },
+        { days: 4 }
+      );
+
+      expect(formatted.points).toEqual([
+        { day: "2020-06-30", percentage: null, reached: false },
+        { day: "2020-07-01", percentage: 100, reached: true },
+        { day: "2020-07-02", percentage: null, reached: false },
+        { day: "2020-07-03", percentage: 46, reached: false },
+      ]);
+      expect(formatted.streaks).toEqual({ current: 0, best: 1 });
+      expect(formatted.source).toBe("local");
+    });
+
+    it("renvoie null sans historique", () => {
+      expect(ScoreTransformer.formatHistory({ history: [] })).toBeNull();
+      expect(ScoreTransformer.formatHistory(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Conversion des données normalisées dans les unités de l'utilisateur
+ *
+ * Étape placée entre le DataNormalizer (données métriques de l'API) et les
+ * ChartTransformers : les valeurs d'origine sont conservées (`kilogram`,
+ * `calories`, `keyData`) et complétées par leurs valeurs converties et les
+ * unités employées, que les graphiques utilisent pour leurs axes, tooltips
+ * et légendes.
+ *
+ * @module services/transformers/UnitConverter
+ * @requires ../utils/units.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { UnitConverter } from './UnitConverter.js';
+ * import { ActivityTransformer } from './ChartTransformers.js';
+ *
+ * const converted = UnitConverter.activity(normalizedActivity, { weight: 'lb', energy: 'kj', mass: 'g' });
+ * const chartData = ActivityTransformer.format(converted);
+ * // chartData.sessions[0] = { kilogram: 80, weight: 176.4, calories: 240, energy: 1004, ... }
+ * // chartData.units = { weight: "lb", energy: "kj" }
+ */
+import { convertValue, resolveUnits } from "../utils/units.js";
+
+/**
+ * Convertisseur des données normalisées
+ */
+export const UnitConverter = {
+  /**
+   * Convertit le poids et les calories des sessions d'activité
+   *
+   * @param {Object} data - Données d'activité normalisées
+   * @param {Partial<UnitPreferences>|string} [units] - Unités choisies
+   * @returns {Object} Données avec `sessions[].weight`, `sessions[].energy` et `units`
+   */
+  activity(data, units) {
+    if (!data?.sessions) {
+      return data;
+    }
+
+    const { weight, energy } = resolveUnits(units);
+
+    return {
+      ...data,
+      units: { weight, energy },
+      sessions: data.sessions.map((session) => ({
+        ...session,
+        weight: convertValue(session.kilogram, weight),
+        energy: convertValue(session.calories, energy),
+      })),
+    };
+  },
+
+  /**
+   * Convertit les apports nutritionnels d'un utilisateur
+   *
+   * @param {Object} user - Données utilisateur normalisées
+   * @param {Partial<UnitPreferences>|string} [units] - Unités choisies
+   * @returns {{ values: Object<string, number|null>, units: Object<string, string> }|null}
+   *   Valeurs converties par clé de `keyData` et unité de chacune, null sans `keyData`
+   *
+   * @example
+   * UnitConverter.keyData({ keyData: { calorieCount: 1930, proteinCount: 155 } }, 'imperial');
+   * // { values: { calorieCount: 1930, proteinCount: 5.5 }, units: { calorieCount: "kcal", proteinCount: "oz" } }
+   */
+  keyData(user, units) {
+    if (!user?.keyData) {
+      return null;
+    }
+
+    const { energy, mass } = resolveUnits(units);
+    const entries = Object.entries(user.keyData).map(([key, value]) => [
+      key,
+      key === "calorieCount" ? energy : mass,
+      value,
+    ]);
+
+    return {
+      values: Object.fromEntries(entries.map(([key, unit, value]) => [key, convertValue(value, unit)])),
+      units: Object.fromEntries(entries.map(([key, unit]) => [key, unit])),
+    };
+  },
+};
+
+/**
+ * Export par défaut
+ */
+export default UnitConverter;
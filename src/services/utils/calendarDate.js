@@ -0,0 +1,271 @@
+/**
+ * Dates calendaires SportSee (AAAA-MM-JJ) indépendantes du fuseau horaire
+ *
+ * `new Date("2020-07-01")` est interprété comme minuit UTC : à l'ouest de
+ * Greenwich, `getDate()` renvoie alors 30 (la veille), et une date invalide
+ * ne lève aucune erreur (`Invalid Date`). Ce module manipule les dates de
+ * l'API comme des jours du calendrier : analyse stricte, arithmétique en
+ * UTC, jour de la semaine et formatage dans la langue de l'interface.
+ *
+ * @module services/utils/calendarDate
+ * @requires ../i18n/i18n.js
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { parseIsoDate, getWeekday, formatOrdinalDay } from './calendarDate.js';
+ *
+ * parseIsoDate('2020-07-01');          // { year: 2020, month: 7, day: 1 }
+ * parseIsoDate('2020-02-30');          // null
+ * getWeekday('2020-07-01');            // 3 (mercredi)
+ * formatOrdinalDay(1);                 // "1er"
+ * formatCalendarDate('2020-07-01');    // "mercredi 1er juillet 2020"
+ * formatCalendarDate('2020-07-01', { locale: 'en' }); // "Wednesday, July 1st, 2020"
+ */
+import { DEFAULT_LOCALE, getIntlLocale, getMessage, interpolate } from "../i18n/i18n.js";
+
+/**
+ * Date calendaire
+ * @typedef {Object} CalendarDate
+ * @property {number} year - Année
+ * @property {number} month - Mois (1 = janvier)
+ * @property {number} day - Jour du mois (1-31)
+ */
+
+/**
+ * Format AAAA-MM-JJ (éventuellement suivi d'une heure, ignorée)
+ * @type {RegExp}
+ * @private
+ */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T.*)?$/;
+
+/**
+ * Nombre de millisecondes dans un jour
+ * @type {number}
+ * @private
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Timestamp UTC de minuit pour une date calendaire
+ *
+ * @private
+ * @param {CalendarDate} date - Date calendaire
+ * @returns {number} Timestamp (ms)
+ */
+const toUtc = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+
+/**
+ * Analyse une date AAAA-MM-JJ sans conversion de fuseau horaire
+ *
+ * @function parseIsoDate
+ * @param {*} value - Valeur à analyser (ex: "2020-07-01")
+ * @returns {CalendarDate|null} La date, null si le format ou le jour est invalide
+ *
+ * @example
+ * parseIsoDate('2020-07-01'); // { year: 2020, month: 7, day: 1 }
+ * parseIsoDate('2021-02-29'); // null (2021 n'est pas bissextile)
+ * parseIsoDate('01/07/2020'); // null
+ */
+export const parseIsoDate = (value) => {
+  const match = typeof value === "string" ? value.match(ISO_DATE_PATTERN) : null;
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1, 4).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+
+  // Date.UTC reporte les débordements (31 juin → 1er juillet) : on les refuse
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+
+  return { year, month, day };
+};
+
+/**
+ * Indique si une valeur est une date AAAA-MM-JJ valide
+ *
+ * @function isValidIsoDate
+ * @param {*} value - Valeur à tester
+ * @returns {boolean} true si la date existe dans le calendrier
+ */
+export const isValidIsoDate = (value) => parseIsoDate(value) !== null;
+
+/**
+ * Formate une date calendaire en AAAA-MM-JJ
+ *
+ * @function toIsoDate
+ * @param {CalendarDate|Date} date - Date calendaire, ou Date JavaScript (jour local)
+ * @returns {string} La date AAAA-MM-JJ
+ *
+ * @example
+ * toIsoDate({ year: 2020, month: 7, day: 1 }); // "2020-07-01"
+ * toIsoDate(new Date());                       // date du jour dans le fuseau de l'utilisateur
+ */
+export const toIsoDate = (date) => {
+  const { year, month, day } =
+    date instanceof Date
+      ? { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() }
+      : date;
+
+  return [
+    String(year).padStart(4, "0"),
+    String(month).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+};
+
+/**
+ * Ajoute (ou retire) des jours à une date AAAA-MM-JJ
+ *
+ * @function addDays
+ * @param {string} isoDate - Date de départ
+ * @param {number} offset - Nombre de jours (négatif pour reculer)
+ * @returns {string|null} La date résultante, null si la date de départ est invalide
+ *
+ * @example
+ * addDays('2020-06-30', 1); // "2020-07-01"
+ */
+export const addDays = (isoDate, offset) => {
+  const date = parseIsoDate(isoDate);
+  if (!date) return null;
+
+  const result = new Date(toUtc(date) + offset * DAY_MS);
+  return toIsoDate({
+    year: result.getUTCFullYear(),
+    month: result.getUTCMonth() + 1,
+    day: result.getUTCDate(),
+  });
+};
+
+/**
+ * Nombre de jours entre deux dates AAAA-MM-JJ
+ *
+ * @function daysBetween
+ * @param {string} from - Date de début
+ * @param {string} to - Date de fin
+ * @returns {number|null} `to - from` en jours, null si une date est invalide
+ *
+ * @example
+ * daysBetween('2020-07-01', '2020-07-08'); // 7
+ */
+export const daysBetween = (from, to) => {
+  const start = parseIsoDate(from);
+  const end = parseIsoDate(to);
+  if (!start || !end) return null;
+
+  return Math.round((toUtc(end) - toUtc(start)) / DAY_MS);
+};
+
+/**
+ * Jour de la semaine d'une date, numéroté comme l'API SportSee
+ *
+ * @function getWeekday
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @returns {number|null} 1 (lundi) à 7 (dimanche), null si la date est invalide
+ *
+ * @example
+ * getWeekday('2020-07-01'); // 3 (mercredi)
+ */
+export const getWeekday = (isoDate) => {
+  const date = parseIsoDate(isoDate);
+  if (!date) return null;
+
+  const weekday = new Date(toUtc(date)).getUTCDay(); // 0 = dimanche
+  return weekday === 0 ? 7 : weekday;
+};
+
+/**
+ * Premier jour (lundi) de la semaine d'une date
+ *
+ * @function getWeekStart
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @returns {string|null} Le lundi de la semaine, null si la date est invalide
+ *
+ * @example
+ * getWeekStart('2020-07-01'); // "2020-06-29"
+ */
+export const getWeekStart = (isoDate) => {
+  const weekday = getWeekday(isoDate);
+  return weekday === null ? null : addDays(isoDate, 1 - weekday);
+};
+
+/**
+ * Formate un jour du mois en ordinal (formes `calendar.ordinal` des catalogues)
+ *
+ * @function formatOrdinalDay
+ * @param {number} day - Jour du mois
+ * @param {string} [locale="fr"] - Langue
+ * @returns {string} Ex: "1er" et "14" en français, "1st" et "14th" en anglais
+ *
+ * @example
+ * formatOrdinalDay(1);        // "1er"
+ * formatOrdinalDay(14);       // "14"
+ * formatOrdinalDay(2, 'en');  // "2nd"
+ */
+export const formatOrdinalDay = (day, locale = DEFAULT_LOCALE) => {
+  const forms = getMessage(locale, "calendar.ordinal");
+  const rule = new Intl.PluralRules(getIntlLocale(locale), { type: "ordinal" }).select(day);
+  return interpolate(forms[rule] ?? forms.other, { day });
+};
+
+/**
+ * Formate une date AAAA-MM-JJ en toutes lettres
+ *
+ * L'ordre et la ponctuation viennent de Intl (évalué en UTC, donc sans
+ * décalage de jour) ; le jour du mois est remplacé par sa forme ordinale.
+ *
+ * @function formatCalendarDate
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @param {Object} [options] - Options de formatage
+ * @param {boolean} [options.weekday=true] - Préfixe le jour de la semaine
+ * @param {boolean} [options.year=true] - Ajoute l'année
+ * @param {string} [options.locale="fr"] - Langue
+ * @returns {string} Ex: "mercredi 1er juillet 2020", "Wednesday, July 1st, 2020" ;
+ *   chaîne vide si la date est invalide
+ */
+export const formatCalendarDate = (
+  isoDate,
+  { weekday = true, year = true, locale = DEFAULT_LOCALE } = {}
+) => {
+  const date = parseIsoDate(isoDate);
+  if (!date) return "";
+
+  const formatter = new Intl.DateTimeFormat(getIntlLocale(locale), {
+    timeZone: "UTC",
+    weekday: weekday ? "long" : undefined,
+    day: "numeric",
+    month: "long",
+    year: year ? "numeric" : undefined,
+  });
+
+  return formatter
+    .formatToParts(toUtc(date))
+    .map(({ type, value }) => (type === "day" ? formatOrdinalDay(date.day, locale) : value))
+    .join("");
+};
+
+/**
+ * Formate une date AAAA-MM-JJ en version courte (jour et mois abrégé)
+ *
+ * @function formatShortDate
+ * @param {string} isoDate - Date AAAA-MM-JJ
+ * @param {Object} [options] - Options de formatage
+ * @param {string} [options.locale="fr"] - Langue
+ * @returns {string} Ex: "1 juil." (fr), "Jul 1" (en) ; chaîne vide si la date est invalide
+ */
+export const formatShortDate = (isoDate, { locale = DEFAULT_LOCALE } = {}) => {
+  const date = parseIsoDate(isoDate);
+  if (!date) return "";
+
+  return new Intl.DateTimeFormat(getIntlLocale(locale), {
+    timeZone: "UTC",
+    day: "numeric",
+    month: "short",
+  }).format(toUtc(date));
+};
+
+/**
+ * Export par défaut
+ */
+export default parseIsoDate;
@@ -0,0 +1,86 @@
+import { describe, expect, it } from "vitest";
+import {
+  addDays,
+  daysBetween,
+  formatCalendarDate,
+  formatOrdinalDay,
+  formatShortDate,
+  getWeekStart,
+  getWeekday,
+  isValidIsoDate,
+  parseIsoDate,
+  toIsoDate,
+} from "./calendarDate.js";
+
+describe("parseIsoDate", () => {
+  it("lit une date AAAA-MM-JJ sans décalage de fuseau", () => {
+    expect(parseIsoDate("2020-07-01")).toEqual({ year: 2020, month: 7, day: 1 });
+    expect(parseIsoDate("2020-07-01T23:30:00-05:00")).toEqual({ year: 2020, month: 7, day: 1 });
+  });
+
+  it("refuse les jours inexistants et les autres formats", () => {
+    expect(parseIsoDate("2020-06-31")).toBeNull();
+    expect(parseIsoDate("2021-02-29")).toBeNull();
+    expect(parseIsoDate("01/07/2020")).toBeNull();
+    expect(parseIsoDate(20200701)).toBeNull();
+    expect(isValidIsoDate("2020-02-29")).toBe(true);
+  });
+});
+
+describe("toIsoDate", () => {
+  it("formate une date calendaire ou le jour local d'une Date", () => {
+    expect(toIsoDate({ year: 2020, month: 7, day: 1 })).toBe("2020-07-01");
+    expect(toIsoDate(new Date(2020, 6, 1, 23, 59))).toBe("2020-07-01");
+  });
+});
+
+describe("arithmétique", () => {
+  it("ajoute des jours par-delà les mois et les années", () => {
+    expect(addDays("2020-06-30", 1)).toBe("2020-07-01");
+    expect(addDays("2020-03-01", -1)).toBe("2020-02-29");
+    expect(addDays("2020-12-31", 1)).toBe("2021-01-01");
+    expect(addDays("2020-13-01", 1)).toBeNull();
+  });
+
+  it("compte les jours entre deux dates, y compris au changement d'heure", () => {
+    expect(daysBetween("2020-07-01", "2020-07-08")).toBe(7);
+    expect(daysBetween("2020-03-28", "2020-03-30")).toBe(2);
+    expect(daysBetween("2020-07-08", "2020-07-01")).toBe(-7);
+    expect(daysBetween("2020-07-01", "invalide")).toBeNull();
+  });
+
+  it("numérote les jours de la semaine comme l'API (1 = lundi)", () => {
+    expect(getWeekday("2020-07-01")).toBe(3);
+    expect(getWeekday("2020-07-05")).toBe(7);
+    expect(getWeekStart("2020-07-01")).toBe("2020-06-29");
+    expect(getWeekStart("2020-07-05")).toBe("2020-06-29");
+    expect(getWeekStart("2020-07-06")).toBe("2020-07-06");
+  });
+});
+
+describe("formatage", () => {
+  it("écrit le jour du mois en ordinal", () => {
+    expect(formatOrdinalDay(1)).toBe("1er");
+    expect(formatOrdinalDay(14)).toBe("14");
+    expect([1, 2, 3, 11, 22].map((day) => formatOrdinalDay(day, "en"))).toEqual([
+      "1st",
+      "2nd",
+      "3rd",
+      "11th",
+      "22nd",
+    ]);
+  });
+
+  it("formate une date en toutes lettres dans la langue demandée", () => {
+    expect(formatCalendarDate("2020-07-01")).toBe("mercredi 1er juillet 2020");
+    expect(formatCalendarDate("2020-07-01", { locale: "en" })).toBe("Wednesday, July 1st, 2020");
+    expect(formatCalendarDate("2020-07-14", { weekday: false, year: false })).toBe("14 juillet");
+    expect(formatCalendarDate("2020-02-30")).toBe("");
+  });
+
+  it("formate une date courte", () => {
+    expect(formatShortDate("2020-07-01")).toBe("1 juil.");
+    expect(formatShortDate("2020-07-01", { locale: "en" })).toBe("Jul 1");
+    expect(formatShortDate("invalide")).toBe("");
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Lecture des endpoints SportSee
+ *
+ * Les endpoints de l'API ont la forme `/user/:id[/:type][?query]`. Ces
+ * fonctions en extraient l'utilisateur et le type de ressource pour toutes
+ * les sources de données (erreurs typées, normalisation, pannes simulées).
+ *
+ * @module services/utils/endpoints
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { getEndpointType, getUserIdFromEndpoint } from './endpoints.js';
+ *
+ * getUserIdFromEndpoint('/user/18/activity'); // "18"
+ * getEndpointType('/user/18/activity');       // "activity"
+ */
+
+/**
+ * Extrait l'ID utilisateur d'un endpoint SportSee
+ *
+ * @function getUserIdFromEndpoint
+ * @param {string} endpoint - Endpoint (ex: "/user/18/activity")
+ * @returns {string|null} L'ID utilisateur ou null
+ *
+ * @example
+ * getUserIdFromEndpoint("/user/18/activity"); // "18"
+ */
+export const getUserIdFromEndpoint = (endpoint) =>
+  endpoint?.match(/^\/user\/([^/?]+)/)?.[1] ?? null;
+
+/**
+ * Détermine le type d'un endpoint SportSee
+ *
+ * @function getEndpointType
+ * @param {string} endpoint - Endpoint (ex: "/user/18/activity")
+ * @returns {string|null} "user", "activity", "average-sessions", "performance", "score-history", "goals" ou null
+ *
+ * @example
+ * getEndpointType('/user/18'); // "user"
+ * getEndpointType('/user/18/performance'); // "performance"
+ */
+export const getEndpointType = (endpoint) => {
+  const match = endpoint?.match(/^\/user\/[^/]+(?:\/([^/?]+))?/);
+  return match ? match[1] ?? "user" : null;
+};
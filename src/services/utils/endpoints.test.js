@@ -0,0 +1,19 @@
+import { describe, expect, it } from "vitest";
+import { getEndpointType, getUserIdFromEndpoint } from "./endpoints.js";
+
+describe("getUserIdFromEndpoint", () => {
+  it("extrait l'ID utilisateur de l'endpoint et de ses sous-ressources", () => {
+    expect(getUserIdFromEndpoint("/user/18")).toBe("18");
+    expect(getUserIdFromEndpoint("/user/18/average-sessions?weeksAgo=1")).toBe("18");
+    expect(getUserIdFromEndpoint("/autre")).toBeNull();
+  });
+});
+
+describe("getEndpointType", () => {
+  it("détermine le type d'un endpoint", () => {
+    expect(getEndpointType("/user/18")).toBe("user");
+    expect(getEndpointType("/user/18?from=2020-07-01")).toBe("user");
+    expect(getEndpointType("/user/18/average-sessions?weeksAgo=1")).toBe("average-sessions");
+    expect(getEndpointType("/autre")).toBeNull();
+  });
+});
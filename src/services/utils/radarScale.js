@@ -0,0 +1,108 @@
+/**
+ * Échelles du radar de performance
+ *
+ * Les valeurs de l'API n'ont pas d'unité : le radar les ramène sur une
+ * échelle commune de 0 à 100 pour que deux radars restent comparables.
+ * - `absolute` : part de la valeur maximale de la catégorie (`max` du registre)
+ * - `normalized` : part de la meilleure catégorie de l'utilisateur
+ * - `percentile` : rang parmi une population de référence (`reference` du
+ *   registre, déciles des valeurs ; répartition uniforme entre 0 et `max` à défaut)
+ *
+ * @module services/utils/radarScale
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { scaleRadarValue } from './radarScale.js';
+ *
+ * scaleRadarValue(80, 'absolute', { max: 200 });                // 40
+ * scaleRadarValue(80, 'normalized', { best: 160 });            // 50
+ * scaleRadarValue(80, 'percentile', { reference: [0, 50, 100] }); // 80
+ */
+
+/**
+ * Échelles disponibles
+ * @type {string[]}
+ * @readonly
+ */
+export const RADAR_SCALES = Object.freeze(["absolute", "normalized", "percentile"]);
+
+/**
+ * Échelle par défaut
+ * @type {string}
+ * @readonly
+ */
+export const DEFAULT_RADAR_SCALE = "absolute";
+
+/**
+ * Valeur maximale de l'échelle commune (graduation du radar)
+ * @type {number}
+ * @readonly
+ */
+export const RADAR_SCALE_MAX = 100;
+
+/**
+ * Valide une échelle
+ *
+ * @function parseRadarScale
+ * @param {*} value - Valeur à tester
+ * @returns {string|null} L'échelle, null si elle n'existe pas
+ */
+export const parseRadarScale = (value) => (RADAR_SCALES.includes(value) ? value : null);
+
+/**
+ * Rang d'une valeur dans une répartition, par interpolation linéaire entre quantiles
+ *
+ * @function getPercentile
+ * @param {number} value - Valeur
+ * @param {number[]} quantiles - Quantiles régulièrement espacés, croissants
+ *   (ex: 11 déciles, de 0 % à 100 %)
+ * @returns {number} Rang de 0 à 100
+ *
+ * @example
+ * getPercentile(75, [0, 50, 100, 200]); // 50
+ */
+export const getPercentile = (value, quantiles) => {
+  const last = quantiles.length - 1;
+
+  if (last < 1 || value <= quantiles[0]) return 0;
+  if (value >= quantiles[last]) return 100;
+
+  const index = quantiles.findIndex((quantile, i) => value < quantiles[i + 1]);
+  const [low, high] = [quantiles[index], quantiles[index + 1]];
+  return ((index + (value - low) / (high - low)) / last) * 100;
+};
+
+/**
+ * Ramène une valeur sur l'échelle commune du radar
+ *
+ * @function scaleRadarValue
+ * @param {number} value - Valeur de l'API
+ * @param {string} scale - Échelle ("absolute", "normalized", "percentile")
+ * @param {Object} context - Référence de la catégorie
+ * @param {number} [context.max] - Valeur maximale de la catégorie
+ * @param {number} [context.best] - Meilleure valeur de l'utilisateur (toutes catégories)
+ * @param {number[]} [context.reference] - Déciles de la population de référence
+ * @returns {number} Valeur entière de 0 à 100
+ */
+export const scaleRadarValue = (value, scale, { max, best, reference } = {}) => {
+  let ratio;
+
+  switch (scale) {
+    case "normalized":
+      ratio = best > 0 ? value / best : 0;
+      break;
+    case "percentile":
+      ratio = getPercentile(value, reference ?? [0, max]) / 100;
+      break;
+    default:
+      ratio = max > 0 ? value / max : 0;
+  }
+
+  return Math.round(Math.min(Math.max(ratio, 0), 1) * RADAR_SCALE_MAX);
+};
+
+/**
+ * Export par défaut
+ */
+export default scaleRadarValue;
@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { getPercentile, parseRadarScale, scaleRadarValue } from "./radarScale.js";
+
+describe("scaleRadarValue", () => {
+  it("rapporte la valeur au maximum de la catégorie (absolute)", () => {
+    expect(scaleRadarValue(80, "absolute", { max: 200 })).toBe(40);
+    expect(scaleRadarValue(300, "absolute", { max: 200 })).toBe(100);
+    expect(scaleRadarValue(80, "absolute", { max: 0 })).toBe(0);
+  });
+
+  it("rapporte la valeur à la meilleure catégorie de l'utilisateur (normalized)", () => {
+    expect(scaleRadarValue(80, "normalized", { best: 160 })).toBe(50);
+    expect(scaleRadarValue(160, "normalized", { best: 160 })).toBe(100);
+    expect(scaleRadarValue(0, "normalized", { best: 0 })).toBe(0);
+  });
+
+  it("classe la valeur dans la population de référence (percentile)", () => {
+    expect(scaleRadarValue(80, "percentile", { reference: [0, 50, 100] })).toBe(80);
+    expect(scaleRadarValue(125, "percentile", { max: 250 })).toBe(50);
+  });
+
+  it("utilise l'échelle absolue pour une échelle inconnue", () => {
+    expect(scaleRadarValue(80, "inconnue", { max: 200 })).toBe(40);
+  });
+});
+
+describe("getPercentile", () => {
+  it("interpole entre les quantiles", () => {
+    expect(getPercentile(75, [0, 50, 100, 200])).toBe(50);
+    expect(getPercentile(150, [0, 50, 100, 200])).toBeCloseTo(83.33);
+  });
+
+  it("borne le rang entre 0 et 100", () => {
+    expect(getPercentile(-5, [0, 100])).toBe(0);
+    expect(getPercentile(500, [0, 100])).toBe(100);
+    expect(getPercentile(50, [100])).toBe(0);
+  });
+});
+
+describe("parseRadarScale", () => {
+  it("n'accepte que les échelles disponibles", () => {
+    expect(parseRadarScale("percentile")).toBe("percentile");
+    expect(parseRadarScale("log")).toBeNull();
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Unités de mesure SportSee : poids, énergie et masse des nutriments
+ *
+ * Les données de l'API sont toujours exprimées en unités métriques (kg,
+ * kCal, g). Ce module décrit les unités d'affichage disponibles, convertit
+ * une valeur métrique dans l'unité choisie et la formate avec son symbole.
+ *
+ * @module services/utils/units
+ * @author SportSee Team
+ * @since 1.1.0
+ *
+ * @example
+ * import { convertValue, formatQuantity, resolveUnits } from './units.js';
+ *
+ * convertValue(80, 'lb');          // 176.4
+ * formatQuantity(8075, 'kj');      // "8 075kJ"
+ * resolveUnits('imperial');        // { weight: "lb", energy: "kcal", mass: "oz" }
+ */
+
+import { DEFAULT_LOCALE, getMessage } from "../i18n/i18n.js";
+
+/**
+ * Définition d'une unité d'affichage
+ * @typedef {Object} UnitDefinition
+ * @property {"weight"|"energy"|"mass"} quantity - Grandeur mesurée
+ * @property {string} symbol - Symbole affiché après la valeur
+ * @property {number} factor - Valeur d'une unité métrique de référence dans cette unité
+ * @property {number} decimals - Nombre maximum de décimales affichées
+ */
+
+/**
+ * Unités d'affichage par identifiant (kg, kCal et g sont les unités de l'API)
+ * @type {Object<string, UnitDefinition>}
+ * @readonly
+ */
+export const UNITS = Object.freeze({
+  kg: Object.freeze({ quantity: "weight", symbol: "kg", factor: 1, decimals: 1 }),
+  lb: Object.freeze({ quantity: "weight", symbol: "lb", factor: 2.20462262, decimals: 1 }),
+  kcal: Object.freeze({ quantity: "energy", symbol: "kCal", factor: 1, decimals: 0 }),
+  kj: Object.freeze({ quantity: "energy", symbol: "kJ", factor: 4.184, decimals: 0 }),
+  g: Object.freeze({ quantity: "mass", symbol: "g", factor: 1, decimals: 0 }),
+  oz: Object.freeze({ quantity: "mass", symbol: "oz", factor: 1 / 28.349523125, decimals: 1 }),
+});
+
+/**
+ * Unités choisies pour chaque grandeur
+ * @typedef {Object} UnitPreferences
+ * @property {"kg"|"lb"} weight - Poids
+ * @property {"kcal"|"kj"} energy - Énergie (calories brûlées et apports)
+ * @property {"g"|"oz"} mass - Masse des nutriments (protéines, glucides, lipides)
+ */
+
+/**
+ * Systèmes d'unités prédéfinis
+ * @type {Object<string, UnitPreferences>}
+ * @readonly
+ */
+export const UNIT_SYSTEMS = Object.freeze({
+  metric: Object.freeze({ weight: "kg", energy: "kcal", mass: "g" }),
+  imperial: Object.freeze({ weight: "lb", energy: "kcal", mass: "oz" }),
+});
+
+/**
+ * Unités par défaut (celles de l'API)
+ * @type {UnitPreferences}
+ * @readonly
+ */
+export const DEFAULT_UNITS = UNIT_SYSTEMS.metric;
+
+/**
+ * Identifiants des unités disponibles pour une grandeur
+ *
+ * @function getUnitsFor
+ * @param {"weight"|"energy"|"mass"} quantity - Grandeur
+ * @returns {string[]} Ex: ["kg", "lb"] pour "weight"
+ */
+export const getUnitsFor = (quantity) =>
+  Object.keys(UNITS).filter((unit) => UNITS[unit].quantity === quantity);
+
+/**
+ * Valide une préférence d'unités
+ *
+ * Accepte un nom de système ("metric", "imperial") ou un objet partiel ;
+ * les grandeurs absentes ou invalides reprennent l'unité de repli.
+ *
+ * @function resolveUnits
+ * @param {string|Partial<UnitPreferences>|null} [value] - Préférence à valider
+ * @param {UnitPreferences} [fallback=DEFAULT_UNITS] - Unités de repli
+ * @returns {UnitPreferences} Unités complètes
+ *
+ * @example
+ * resolveUnits({ energy: 'kj' });  // { weight: "kg", energy: "kj", mass: "g" }
+ * resolveUnits('IMPERIAL');        // { weight: "lb", energy: "kcal", mass: "oz" }
+ */
+export const resolveUnits = (value, fallback = DEFAULT_UNITS) => {
+  const preference =
+    typeof value === "string" ? UNIT_SYSTEMS[value.trim().toLowerCase()] : value;
+
+  return Object.fromEntries(
+    Object.keys(DEFAULT_UNITS).map((quantity) => {
+      const candidates = [String(preference?.[quantity] ?? "").toLowerCase(), fallback?.[quantity]];
+      const unit = candidates.find((candidate) => UNITS[candidate]?.quantity === quantity);
+      return [quantity, unit ?? DEFAULT_UNITS[quantity]];
+    })
+  );
+};
+
+/**
+ * Nom du système correspondant à des unités
+ *
+ * @function getUnitSystem
+ * @param {UnitPreferences} units - Unités choisies
+ * @returns {string|null} "metric", "imperial", ou null pour une combinaison personnalisée
+ */
+export const getUnitSystem = (units) =>
+  Object.keys(UNIT_SYSTEMS).find((system) =>
+    Object.entries(UNIT_SYSTEMS[system]).every(([quantity, unit]) => units?.[quantity] === unit)
+  ) ?? null;
+
+/**
+ * Arrondit une valeur au nombre de décimales de l'unité
+ *
+ * @private
+ * @param {number} value - Valeur
+ * @param {number} decimals - Décimales
+ * @returns {number} Valeur arrondie
+ */
+const round = (value, decimals) => {
+  const scale = 10 ** decimals;
+  return Math.round(value * scale) / scale;
+};
+
+/**
+ * Convertit une valeur métrique (kg, kCal ou g) dans l'unité d'affichage
+ *
+ * @function convertValue
+ * @param {number} value - Valeur dans l'unité de l'API
+ * @param {string} unit - Unité d'affichage (clé de UNITS)
+ * @returns {number|null} Valeur convertie et arrondie, null si la valeur n'est pas un nombre
+ *
+ * @example
+ * convertValue(80, 'lb');   // 176.4
+ * convertValue(240, 'kj');  // 1004
+ */
+export const convertValue = (value, unit) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return null;
+  }
+
+  // Unité inconnue : valeur inchangée
+  const { factor = 1, decimals = 1 } = UNITS[unit] ?? {};
+  return round(value * factor, decimals);
+};
+
+/**
+ * Convertit une valeur saisie dans l'unité d'affichage vers l'unité de l'API
+ *
+ * @function toBaseValue
+ * @param {number} value - Valeur dans l'unité d'affichage
+ * @param {string} unit - Unité d'affichage (clé de UNITS)
+ * @returns {number|null} Valeur métrique arrondie au centième, null si la valeur n'est pas un nombre
+ *
+ * @example
+ * toBaseValue(176.4, 'lb'); // 80.01
+ */
+export const toBaseValue = (value, unit) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return null;
+  }
+
+  const { factor = 1 } = UNITS[unit] ?? {};
+  return round(value / factor, 2);
+};
+
+/**
+ * Symbole d'une unité
+ *
+ * @function getUnitSymbol
+ * @param {string} unit - Unité (clé de UNITS)
+ * @returns {string} Ex: "kCal", "lb"
+ */
+export const getUnitSymbol = (unit) => UNITS[unit]?.symbol ?? unit;
+
+/**
+ * Nom d'une unité dans la langue demandée (catalogue `units.names`)
+ *
+ * @function getUnitName
+ * @param {string} unit - Unité (clé de UNITS)
+ * @param {string} [locale=DEFAULT_LOCALE] - Langue du nom
+ * @returns {string} Ex: "Kilojoules", "Livres" ; l'identifiant pour une unité inconnue
+ */
+export const getUnitName = (unit, locale = DEFAULT_LOCALE) =>
+  (UNITS[unit] && getMessage(locale, `units.names.${unit}`)) ?? unit;
+
+/**
+ * Formate une valeur déjà convertie avec le symbole de son unité
+ *
+ * @function formatQuantity
+ * @param {number} value - Valeur dans l'unité d'affichage
+ * @param {string} unit - Unité (clé de UNITS)
+ * @param {Object} [options] - Options de formatage
+ * @param {string} [options.locale="fr-FR"] - Locale des séparateurs
+ * @returns {string} Ex: "1 930kCal", "176,4lb" ; chaîne vide si la valeur n'est pas un nombre
+ */
+export const formatQuantity = (value, unit, { locale = "fr-FR" } = {}) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    return "";
+  }
+
+  const number = value.toLocaleString(locale, {
+    maximumFractionDigits: UNITS[unit]?.decimals ?? 0,
+  });
+  return `${number}${getUnitSymbol(unit)}`;
+};
+
+/**
+ * Export par défaut
+ */
+export default convertValue;
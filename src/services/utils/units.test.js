@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_UNITS,
+  UNIT_SYSTEMS,
+  convertValue,
+  formatQuantity,
+  getUnitName,
+  getUnitSymbol,
+  getUnitSystem,
+  getUnitsFor,
+  resolveUnits,
+  toBaseValue,
+} from "./units.js";
+
+describe("convertValue", () => {
+  it("convertit une valeur métrique dans l'unité d'affichage", () => {
+    expect(convertValue(80, "lb")).toBe(176.4);
+    expect(convertValue(240, "kj")).toBe(1004);
+    expect(convertValue(155, "oz")).toBe(5.5);
+  });
+
+  it("laisse la valeur inchangée dans l'unité de l'API ou une unité inconnue", () => {
+    expect(convertValue(80.25, "kg")).toBe(80.3);
+    expect(convertValue(1930, "kcal")).toBe(1930);
+    expect(convertValue(12, "inconnue")).toBe(12);
+  });
+
+  it("renvoie null pour une valeur qui n'est pas un nombre", () => {
+    expect(convertValue("80", "lb")).toBeNull();
+    expect(convertValue(Number.NaN, "lb")).toBeNull();
+  });
+});
+
+describe("toBaseValue", () => {
+  it("reconvertit une valeur saisie dans l'unité de l'API", () => {
+    expect(toBaseValue(176.4, "lb")).toBe(80.01);
+    expect(toBaseValue(78, "kg")).toBe(78);
+    expect(toBaseValue(null, "lb")).toBeNull();
+  });
+});
+
+describe("formatQuantity", () => {
+  // Séparateur des milliers en français : espace fine insécable (U+202F)
+  it("formate la valeur avec les séparateurs de la locale et le symbole", () => {
+    expect(formatQuantity(8075, "kj")).toBe("8\u202f075kJ");
+    expect(formatQuantity(176.4, "lb")).toBe("176,4lb");
+    expect(formatQuantity(176.4, "lb", { locale: "en-US" })).toBe("176.4lb");
+    expect(formatQuantity(1930.6, "kcal")).toBe("1\u202f931kCal");
+  });
+
+  it("renvoie une chaîne vide pour une valeur qui n'est pas un nombre", () => {
+    expect(formatQuantity(null, "kg")).toBe("");
+  });
+
+  it("affiche l'identifiant d'une unité inconnue", () => {
+    expect(getUnitSymbol("kcal")).toBe("kCal");
+    expect(getUnitSymbol("st")).toBe("st");
+  });
+});
+
+describe("préférences d'unités", () => {
+  it("accepte un nom de système ou des unités partielles", () => {
+    expect(resolveUnits("IMPERIAL")).toEqual(UNIT_SYSTEMS.imperial);
+    expect(resolveUnits({ energy: "KJ" })).toEqual({ ...DEFAULT_UNITS, energy: "kj" });
+  });
+
+  it("remplace les unités invalides par celles de repli", () => {
+    expect(resolveUnits({ weight: "kcal", mass: "oz" }, UNIT_SYSTEMS.imperial)).toEqual({
+      weight: "lb",
+      energy: "kcal",
+      mass: "oz",
+    });
+    expect(resolveUnits(null)).toEqual(DEFAULT_UNITS);
+    expect(resolveUnits("inconnu")).toEqual(DEFAULT_UNITS);
+  });
+
+  it("retrouve le système d'une combinaison d'unités", () => {
+    expect(getUnitSystem({ weight: "lb", energy: "kcal", mass: "oz" })).toBe("imperial");
+    expect(getUnitSystem({ weight: "kg", energy: "kj", mass: "g" })).toBeNull();
+    expect(getUnitsFor("weight")).toEqual(["kg", "lb"]);
+  });
+});
+
+describe("getUnitName", () => {
+  it("nomme l'unité dans la langue demandée", () => {
+    expect(getUnitName("lb")).toBe("Livres");
+    expect(getUnitName("lb", "en")).toBe("Pounds");
+    expect(getUnitName("kj", "en")).toBe("Kilojoules");
+  });
+
+  it("renvoie l'identifiant d'une unité inconnue", () => {
+    expect(getUnitName("st", "en")).toBe("st");
+  });
+});
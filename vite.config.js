@@ -1,5 +1,7 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react-swc";
+import { mockApiPlugin } from "./server/mockApiPlugin.js";
+import { pwaPlugin } from "./pwa/pwaPlugin.js";
 
 // https://vite.dev/config/
 export default defineConfig(({ mode }) => {
@@ -9,6 +11,10 @@ export default defineConfig(({ mode }) => {
         // Configuration du plugin React
         devTarget: "es2015",
       }),
+      // API SportSee de substitution servie sous /mock-api en développement
+      mockApiPlugin(),
+      // Manifeste, icônes et service worker (application installable)
+      pwaPlugin(),
     ],
 
     // Configuration du serveur de développement